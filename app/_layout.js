@@ -1,14 +1,21 @@
 import { Stack } from "expo-router";
 import { View, ActivityIndicator } from "react-native";
-import { TaskProvider } from "../context/TaskContext";
+import { useContext } from "react";
+import { TaskProvider, TaskContext } from "../context/TaskContext";
 import { ThemeProvider, useTheme } from "../context/ThemeContext";
+import { SettingsProvider, useSettings } from "../context/SettingsContext";
 import { PomodoroProvider } from "../context/PomodoroContext";
 import { StatsProvider } from "../context/StatsContext";
 import { AuthProvider, useAuth } from "../context/AuthContext";
 import { SubscriptionProvider } from "../context/SubscriptionContext";
 import { OrganizationProvider } from "../context/OrganizationContext";
 import { WorkspaceProvider } from "../context/WorkspaceContext";
+import { CategoryProvider } from "../context/CategoryContext";
+import { SmartListProvider } from "../context/SmartListContext";
 import { StatusBar } from "expo-status-bar";
+import { useBackupScheduler } from "../hooks/useBackupScheduler";
+import { useReminderActions } from "../hooks/useReminderActions";
+import { useCompletedTaskCleanup } from "../hooks/useCompletedTaskCleanup";
 import AuthScreen from "./auth";
 
 // Loading screen while checking auth
@@ -25,6 +32,21 @@ function LoadingScreen() {
 function RootLayoutNav() {
   const { isDarkMode, colors } = useTheme();
   const auth = useAuth();
+  const { autoDeleteCompleted } = useSettings();
+  const { tasks, loading: tasksLoading, handleReminderAction, deleteCompletedTasks, applyUploadedAttachments } = useContext(TaskContext);
+
+  // Automatic backups run while signed in
+  useBackupScheduler(tasks, {
+    enabled: auth.isAuthenticated,
+    loading: tasksLoading,
+    onAttachmentsUploaded: applyUploadedAttachments,
+  });
+
+  // Complete / snooze / postpone straight from reminder notifications
+  useReminderActions(handleReminderAction, { loading: tasksLoading });
+
+  // Completed tasks are removed a week after completion when the setting is on
+  useCompletedTaskCleanup(deleteCompletedTasks, { enabled: autoDeleteCompleted, loading: tasksLoading });
 
   // Show loading while checking auth state
   if (auth.loading) {
@@ -90,6 +112,12 @@ function RootLayoutNav() {
             animation: "slide_from_right",
           }}
         />
+        <Stack.Screen 
+          name="categories" 
+          options={{
+            animation: "slide_from_right",
+          }}
+        />
         <Stack.Screen 
           name="data-management" 
           options={{
@@ -133,25 +161,31 @@ function RootLayoutNav() {
 }
 
 // Main layout that provides all contexts
-// Provider order: Theme → Auth → Subscription → Organization → Workspace → Stats → Pomodoro → Task
+// Provider order: Theme → Settings → Auth → Subscription → Organization → Workspace → Stats → Pomodoro → Task → Category → SmartList
 export default function Layout() {
   return (
     <ThemeProvider>
-      <AuthProvider>
-        <SubscriptionProvider>
-          <OrganizationProvider>
-            <WorkspaceProvider>
-              <StatsProvider>
-                <PomodoroProvider>
-                  <TaskProvider>
-                    <RootLayoutNav />
-                  </TaskProvider>
-                </PomodoroProvider>
-              </StatsProvider>
-            </WorkspaceProvider>
-          </OrganizationProvider>
-        </SubscriptionProvider>
-      </AuthProvider>
+      <SettingsProvider>
+        <AuthProvider>
+          <SubscriptionProvider>
+            <OrganizationProvider>
+              <WorkspaceProvider>
+                <StatsProvider>
+                  <PomodoroProvider>
+                    <TaskProvider>
+                      <CategoryProvider>
+                        <SmartListProvider>
+                          <RootLayoutNav />
+                        </SmartListProvider>
+                      </CategoryProvider>
+                    </TaskProvider>
+                  </PomodoroProvider>
+                </StatsProvider>
+              </WorkspaceProvider>
+            </OrganizationProvider>
+          </SubscriptionProvider>
+        </AuthProvider>
+      </SettingsProvider>
     </ThemeProvider>
   );
 }
\ No newline at end of file
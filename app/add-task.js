@@ -3,7 +3,7 @@
  * Modern Bottom Sheet Style Form
  */
 
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useMemo, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -22,69 +22,141 @@ import * as Haptics from 'expo-haptics';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, categories, priorities } from '../constants/theme';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
 import GradientButton from '../components/GradientButton';
 import DatePickerButton from '../components/DatePickerButton';
 import ReminderToggle from '../components/ReminderToggle';
+import ReminderOffsetPicker from '../components/ReminderOffsetPicker';
 import RecurrenceSelector from '../components/RecurrenceSelector';
-import { DEFAULT_RECURRING_CONFIG } from '../utils/recurringHelpers';
-
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
+import TagInput from '../components/TagInput';
+import { DEFAULT_RECURRING_CONFIG, validateRecurringConfig } from '../utils/recurringHelpers';
+import { formatTimeOfDay, timeOfDayToDate } from '../utils/dateHelpers';
+import { parseQuickAdd, getQuickAddSegments, QUICK_ADD_TOKEN_TYPES } from '../utils/quickAddParser';
+import { collectTags, FALLBACK_CATEGORY_ID } from '../utils/categories';
+import { safeHaptics } from '../utils/feedback';
 
 export default function AddTask() {
   const router = useRouter();
-  const { addTask, createRecurringTask } = useContext(TaskContext);
+  const { tasks, addTask, createRecurringTask } = useContext(TaskContext);
   const { colors } = useTheme();
+  const { categories: taskCategories, getCategory } = useCategories();
+  const defaultCategoryId = (taskCategories.find(c => c.id === FALLBACK_CATEGORY_ID) || taskCategories[0])?.id;
+  const tagSuggestions = useMemo(() => collectTags(tasks).map(({ tag }) => tag), [tasks]);
   
   const [title, setTitle] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('personal');
+  const [selectedCategory, setSelectedCategory] = useState(defaultCategoryId);
+  const [tags, setTags] = useState([]);
   const [selectedPriority, setSelectedPriority] = useState('medium');
   const [dueDate, setDueDate] = useState(null);
+  const [dueTime, setDueTime] = useState(null);
   const [enableReminder, setEnableReminder] = useState(false);
+  const [reminderOffsets, setReminderOffsets] = useState([0]);
   const [isRecurring, setIsRecurring] = useState(false);
   const [recurringConfig, setRecurringConfig] = useState({
     ...DEFAULT_RECURRING_CONFIG,
     startDate: new Date().toISOString(),
   });
+  // Remounts the recurrence selector when the title sets a new recurrence
+  const [recurrenceKey, setRecurrenceKey] = useState(0);
+
+  // Recognized words the user turned back into plain title text
+  const [dismissedTokens, setDismissedTokens] = useState([]);
+
+  // Dates, times, priority, category, tags and recurrence typed in the title
+  const quickAdd = useMemo(
+    () => parseQuickAdd(title, new Date(), { categories: taskCategories, dismissed: dismissedTokens }),
+    [title, taskCategories, dismissedTokens]
+  );
+  const appliedTokensRef = useRef({});
+
+  // Fill in the form from the recognized tokens. A token only overrides the
+  // form when what was typed changes, so picking in the form afterwards wins;
+  // deleting or dismissing the token resets the field it had set.
+  useEffect(() => {
+    const { DATE, TIME, PRIORITY, CATEGORY, TAG, RECURRENCE } = QUICK_ADD_TOKEN_TYPES;
+    const applied = appliedTokensRef.current;
+    const current = {};
+    quickAdd.tokens.forEach((token) => {
+      current[token.type] = JSON.stringify(token.value);
+    });
+    if (quickAdd.tags.length > 0) current[TAG] = JSON.stringify(quickAdd.tags);
+    const changed = (type) => current[type] !== applied[type];
+
+    if (changed(DATE) || changed(TIME)) {
+      setDueDate(quickAdd.dueDate);
+      setDueTime(quickAdd.dueTime ? timeOfDayToDate(quickAdd.dueTime, quickAdd.dueDate) : null);
+      if (quickAdd.dueDate) setEnableReminder(true);
+    }
+    if (changed(PRIORITY)) {
+      setSelectedPriority(quickAdd.priority || 'medium');
+    }
+    if (changed(CATEGORY)) {
+      setSelectedCategory(quickAdd.category || defaultCategoryId);
+    }
+    if (changed(TAG)) {
+      // Swap the tags typed before for the ones typed now, keeping picked ones
+      const typedBefore = applied[TAG] ? JSON.parse(applied[TAG]) : [];
+      setTags((prev) => [
+        ...prev.filter((tag) => !typedBefore.includes(tag) && !quickAdd.tags.includes(tag)),
+        ...quickAdd.tags,
+      ]);
+    }
+    if (changed(RECURRENCE)) {
+      setIsRecurring(!!quickAdd.recurrence);
+      setRecurringConfig({
+        ...DEFAULT_RECURRING_CONFIG,
+        ...quickAdd.recurrence,
+        startDate: (quickAdd.dueDate || new Date()).toISOString(),
+      });
+      setRecurrenceKey((key) => key + 1);
+    }
+
+    appliedTokensRef.current = current;
+  }, [quickAdd]);
+
+  // Highlight color of each kind of recognized token
+  const tokenColors = {
+    [QUICK_ADD_TOKEN_TYPES.DATE]: colors.accentCyan,
+    [QUICK_ADD_TOKEN_TYPES.TIME]: colors.accentBlue,
+    [QUICK_ADD_TOKEN_TYPES.RECURRENCE]: colors.accentPurple,
+    [QUICK_ADD_TOKEN_TYPES.PRIORITY]: priorities[quickAdd.priority]?.color,
+    [QUICK_ADD_TOKEN_TYPES.CATEGORY]: quickAdd.category && getCategory(quickAdd.category).color,
+    [QUICK_ADD_TOKEN_TYPES.TAG]: colors.accentPink,
+  };
 
   const handleSubmit = async () => {
-    if (!title.trim()) {
+    if (!quickAdd.title) {
       safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
       return;
     }
 
     const taskData = {
-      title: title.trim(),
+      title: quickAdd.title,
       category: selectedCategory,
+      tags,
       priority: selectedPriority,
       enableReminder: enableReminder,
+      reminderOffsets,
     };
 
     if (isRecurring) {
-      // Validate recurring config has start date
-      if (!recurringConfig.startDate) {
+      // Validate recurring config (start date, days, RRULE syntax)
+      if (!validateRecurringConfig(recurringConfig).valid) {
         safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
         return;
       }
       // Create recurring task series
-      await createRecurringTask(taskData, recurringConfig);
+      await createRecurringTask(
+        { ...taskData, dueTime: dueTime ? formatTimeOfDay(dueTime) : null },
+        recurringConfig
+      );
     } else {
       // Create regular task
       await addTask({
         ...taskData,
         dueDate: dueDate ? dueDate.toISOString() : null,
+        dueTime: dueDate && dueTime ? formatTimeOfDay(dueTime) : null,
         completed: false,
         createdAt: new Date().toISOString(),
       });
@@ -94,9 +166,6 @@ export default function AddTask() {
     router.back();
   };
 
-  // Filter out 'all' category
-  const taskCategories = Object.values(categories).filter(c => c.id !== 'all');
-
   return (
     <KeyboardAvoidingView 
       style={[styles.container, { backgroundColor: colors.bgPrimary }]}
@@ -129,14 +198,42 @@ export default function AddTask() {
           <Text style={[styles.label, { color: colors.textSecondary }]}>¿Qué necesitas hacer?</Text>
           <TextInput
             style={[styles.input, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder, color: colors.textPrimary }]}
-            placeholder="Escribe tu tarea..."
+            placeholder="Escribe tu tarea... (ej. mañana a las 5 #trabajo)"
             placeholderTextColor={colors.textTertiary}
-            value={title}
             onChangeText={setTitle}
             autoFocus
             multiline
             maxLength={200}
-          />
+          >
+            <Text>
+              {getQuickAddSegments(title, quickAdd.tokens).map((segment, index) => (
+                <Text
+                  key={index}
+                  style={segment.type && [styles.quickAddToken, { color: tokenColors[segment.type] }]}
+                >
+                  {segment.text}
+                </Text>
+              ))}
+            </Text>
+          </TextInput>
+          {quickAdd.tokens.length > 0 && (
+            <View style={styles.quickAddChips}>
+              {quickAdd.tokens.map((token) => (
+                <Pressable
+                  key={`${token.type}-${token.start}`}
+                  style={[styles.quickAddChip, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+                  onPress={() => setDismissedTokens((prev) => [...prev, token.text])}
+                  hitSlop={4}
+                  accessibilityLabel={`Dejar "${token.text}" en el título`}
+                >
+                  <Text style={[styles.quickAddChipText, { color: tokenColors[token.type] }]}>
+                    {token.text}
+                  </Text>
+                  <Ionicons name="close" size={14} color={colors.textTertiary} />
+                </Pressable>
+              ))}
+            </View>
+          )}
         </Animated.View>
 
         {/* Category Selection */}
@@ -188,6 +285,15 @@ export default function AddTask() {
           </View>
         </Animated.View>
 
+        {/* Tags */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(250).springify()}
+        >
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Etiquetas</Text>
+          <TagInput value={tags} onChange={setTags} suggestions={tagSuggestions} />
+        </Animated.View>
+
         {/* Due Date Selection */}
         <Animated.View 
           style={styles.section}
@@ -206,17 +312,30 @@ export default function AddTask() {
             placeholder="Agregar fecha límite"
           />
           
-          {/* Reminder Toggle - only show when date is set */}
+          {/* Due time and reminders - only show when date is set */}
           {dueDate && (
             <Animated.View
-              style={{ marginTop: spacing.md }}
+              style={{ marginTop: spacing.md, gap: spacing.md }}
               entering={FadeInUp.springify()}
             >
+              <DatePickerButton 
+                mode="time"
+                value={dueTime}
+                onChange={setDueTime}
+                placeholder="Agregar hora (opcional)"
+              />
               <ReminderToggle 
                 enabled={enableReminder}
                 onToggle={setEnableReminder}
-                label="Recordarme a las 9:00 AM"
+                label="Recordarme"
               />
+              {enableReminder && (
+                <ReminderOffsetPicker
+                  value={reminderOffsets}
+                  onChange={setReminderOffsets}
+                  hasDueTime={!!dueTime}
+                />
+              )}
             </Animated.View>
           )}
         </Animated.View>
@@ -265,6 +384,7 @@ export default function AddTask() {
               entering={FadeInUp.duration(200)}
             >
               <RecurrenceSelector
+                key={recurrenceKey}
                 config={recurringConfig}
                 onChange={setRecurringConfig}
               />
@@ -399,6 +519,32 @@ const styles = StyleSheet.create({
     minHeight: 80,
     textAlignVertical: 'top',
   },
+
+  quickAddToken: {
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  quickAddChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+
+  quickAddChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  quickAddChipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
   
   optionsGrid: {
     flexDirection: 'row',
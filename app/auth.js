@@ -30,6 +30,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import * as Haptics from 'expo-haptics';
 import { useAuth } from '../context/AuthContext'; 
+import { safeHaptics } from '../utils/feedback';
 
 // --- TEMA BITROVA MINIMALISTA ---
 const theme = {
@@ -53,12 +54,6 @@ const theme = {
 
 const { width, height } = Dimensions.get('window');
 
-// Safe haptics wrapper
-const safeHaptics = {
-  impact: (style) => { if (Platform.OS !== 'web') Haptics.impactAsync(style); },
-  notification: (type) => { if (Platform.OS !== 'web') Haptics.notificationAsync(type); }
-};
-
 export default function AuthScreen() {
   const auth = useAuth();
   
@@ -0,0 +1,523 @@
+/**
+ * Categories Screen
+ * Task List App 2026
+ *
+ * Manage user-defined categories (create, edit, merge, delete)
+ * and the tags used across tasks (rename, delete)
+ */
+
+import React, { useState, useMemo, useContext } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  Pressable,
+  Platform,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import Animated, { FadeInDown, FadeInUp, FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+
+import { TaskContext } from '../context/TaskContext';
+import { useTheme } from '../context/ThemeContext';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, typography, borderRadius } from '../constants/theme';
+import { collectTags, normalizeTag, MAX_TAG_LENGTH } from '../utils/categories';
+import CategoryEditorModal from '../components/CategoryEditorModal';
+import { safeHaptics } from '../utils/feedback';
+
+// Bottom sheet to rename or delete a tag
+const TagEditorModal = ({ tag, count, onClose, onRename, onDelete, colors }) => {
+  const [name, setName] = useState(tag || '');
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Eliminar etiqueta',
+      `Se quitará #${tag} de ${count} tareas.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Eliminar', style: 'destructive', onPress: onDelete },
+      ]
+    );
+  };
+
+  const nextTag = normalizeTag(name);
+
+  return (
+    <Modal visible transparent animationType="none" onRequestClose={onClose}>
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.sheet, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          <Text style={[styles.sheetTitle, { color: colors.textPrimary }]}>#{tag}</Text>
+          <Text style={[styles.sheetSubtitle, { color: colors.textSecondary }]}>
+            Usada en {count} {count === 1 ? 'tarea' : 'tareas'}
+          </Text>
+
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder, color: colors.textPrimary }]}
+            value={name}
+            onChangeText={setName}
+            placeholder="Nuevo nombre"
+            placeholderTextColor={colors.textTertiary}
+            autoCapitalize="none"
+            autoCorrect={false}
+            maxLength={MAX_TAG_LENGTH}
+          />
+
+          <TouchableOpacity
+            style={[styles.deleteButton, { borderColor: colors.error + '60' }]}
+            onPress={handleDelete}
+          >
+            <Ionicons name="trash-outline" size={18} color={colors.error} />
+            <Text style={[styles.deleteText, { color: colors.error }]}>Eliminar etiqueta</Text>
+          </TouchableOpacity>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>Cancelar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[
+                styles.confirmButton,
+                { backgroundColor: colors.accentPurple },
+                (!nextTag || nextTag === tag) && styles.confirmDisabled,
+              ]}
+              onPress={() => onRename(nextTag)}
+              disabled={!nextTag || nextTag === tag}
+            >
+              <Text style={[styles.confirmText, { color: colors.white }]}>Renombrar</Text>
+            </TouchableOpacity>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+export default function CategoriesScreen() {
+  const router = useRouter();
+  const { colors } = useTheme();
+  const { tasks, replaceTag } = useContext(TaskContext);
+  const {
+    categories,
+    createCategory,
+    updateCategory,
+    mergeCategories,
+    deleteCategory,
+    getCategory,
+  } = useCategories();
+
+  const [editorVisible, setEditorVisible] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [editingTag, setEditingTag] = useState(null);
+
+  const taskCounts = useMemo(() => {
+    const counts = {};
+    tasks.forEach((task) => {
+      counts[task.category] = (counts[task.category] || 0) + 1;
+    });
+    return counts;
+  }, [tasks]);
+
+  const tags = useMemo(() => collectTags(tasks), [tasks]);
+
+  const openEditor = (category = null) => {
+    setEditingCategory(category);
+    setEditorVisible(true);
+  };
+
+  const closeEditor = () => {
+    setEditorVisible(false);
+    setEditingCategory(null);
+  };
+
+  const handleSave = async (data) => {
+    const result = editingCategory
+      ? await updateCategory(editingCategory.id, data)
+      : await createCategory(data);
+
+    if (!result.error) {
+      safeHaptics.notification();
+      closeEditor();
+    }
+    return result;
+  };
+
+  const handleMerge = async (targetId) => {
+    const source = editingCategory;
+    const result = await mergeCategories(source.id, targetId);
+    closeEditor();
+
+    if (result.error) {
+      Alert.alert('Error', result.error);
+    } else {
+      safeHaptics.notification();
+    }
+  };
+
+  const handleDelete = async () => {
+    const result = await deleteCategory(editingCategory.id);
+    closeEditor();
+
+    if (result.error) {
+      Alert.alert('Error', result.error);
+    } else {
+      safeHaptics.notification();
+      if (taskCounts[editingCategory.id]) {
+        Alert.alert('Categoría eliminada', `Las tareas pasaron a "${getCategory(result.movedTo).name}".`);
+      }
+    }
+  };
+
+  const handleRenameTag = (nextTag) => {
+    replaceTag(editingTag.tag, nextTag);
+    setEditingTag(null);
+    safeHaptics.notification();
+  };
+
+  const handleDeleteTag = () => {
+    replaceTag(editingTag.tag, null);
+    setEditingTag(null);
+    safeHaptics.notification();
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.bgPrimary }]}>
+      {/* Header */}
+      <Animated.View
+        style={styles.header}
+        entering={FadeInDown.springify()}
+      >
+        <TouchableOpacity
+          style={[styles.backButton, { backgroundColor: colors.glassMedium }]}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+
+        <Text style={[styles.headerTitle, { color: colors.textPrimary }]}>
+          Categorías y etiquetas
+        </Text>
+
+        <View style={styles.headerRight} />
+      </Animated.View>
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Categories */}
+        <Animated.View entering={FadeInUp.delay(100).springify()}>
+          <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>CATEGORÍAS</Text>
+
+          <View style={[styles.card, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+            {categories.map((category, index) => (
+              <TouchableOpacity
+                key={category.id}
+                style={[
+                  styles.row,
+                  index < categories.length - 1 && { borderBottomWidth: 1, borderBottomColor: colors.glassBorder },
+                ]}
+                onPress={() => openEditor(category)}
+              >
+                <View style={[styles.rowIcon, { backgroundColor: category.color + '25' }]}>
+                  <Ionicons name={category.icon} size={18} color={category.color} />
+                </View>
+                <Text style={[styles.rowTitle, { color: colors.textPrimary }]} numberOfLines={1}>
+                  {category.name}
+                </Text>
+                <Text style={[styles.rowCount, { color: colors.textTertiary }]}>
+                  {taskCounts[category.id] || 0}
+                </Text>
+                <Ionicons name="chevron-forward" size={18} color={colors.textTertiary} />
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.addButton, { borderColor: colors.accentPurple }]}
+            onPress={() => openEditor(null)}
+          >
+            <Ionicons name="add" size={20} color={colors.accentPurple} />
+            <Text style={[styles.addText, { color: colors.accentPurple }]}>Nueva categoría</Text>
+          </TouchableOpacity>
+        </Animated.View>
+
+        {/* Tags */}
+        <Animated.View entering={FadeInUp.delay(200).springify()}>
+          <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>ETIQUETAS</Text>
+
+          {tags.length === 0 ? (
+            <Text style={[styles.emptyText, { color: colors.textTertiary }]}>
+              Aún no hay etiquetas. Agrégalas al crear una tarea o escribiendo #etiqueta.
+            </Text>
+          ) : (
+            <View style={styles.tags}>
+              {tags.map((entry) => (
+                <TouchableOpacity
+                  key={entry.tag}
+                  style={[styles.tagChip, { backgroundColor: colors.accentPink + '20', borderColor: colors.accentPink }]}
+                  onPress={() => setEditingTag(entry)}
+                >
+                  <Text style={[styles.tagText, { color: colors.accentPink }]}>#{entry.tag}</Text>
+                  <Text style={[styles.tagCount, { color: colors.accentPink }]}>{entry.count}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </Animated.View>
+      </ScrollView>
+
+      <CategoryEditorModal
+        visible={editorVisible}
+        category={editingCategory}
+        categories={categories}
+        taskCount={editingCategory ? taskCounts[editingCategory.id] || 0 : 0}
+        onClose={closeEditor}
+        onSave={handleSave}
+        onMerge={handleMerge}
+        onDelete={handleDelete}
+      />
+
+      {editingTag && (
+        <TagEditorModal
+          tag={editingTag.tag}
+          count={editingTag.count}
+          onClose={() => setEditingTag(null)}
+          onRename={handleRenameTag}
+          onDelete={handleDeleteTag}
+          colors={colors}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.lg,
+    paddingTop: Platform.OS === 'ios' ? spacing.xxxl : spacing.xl,
+    paddingBottom: spacing.lg,
+  },
+
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  headerTitle: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+
+  headerRight: {
+    width: 40,
+  },
+
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.xxxl,
+  },
+
+  sectionTitle: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    letterSpacing: 1.5,
+    marginBottom: spacing.md,
+    marginLeft: spacing.xs,
+    marginTop: spacing.lg,
+  },
+
+  card: {
+    borderRadius: borderRadius.xl,
+    borderWidth: 1,
+    overflow: 'hidden',
+  },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    padding: spacing.md,
+  },
+
+  rowIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  rowTitle: {
+    flex: 1,
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  rowCount: {
+    fontSize: typography.fontSize.sm,
+  },
+
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+  },
+
+  addText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  emptyText: {
+    fontSize: typography.fontSize.sm,
+    marginLeft: spacing.xs,
+  },
+
+  tags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  tagText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  tagCount: {
+    fontSize: typography.fontSize.xs,
+    opacity: 0.7,
+  },
+
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+
+  overlayPressable: {
+    flex: 1,
+  },
+
+  sheet: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+  },
+
+  sheetTitle: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    textAlign: 'center',
+  },
+
+  sheetSubtitle: {
+    fontSize: typography.fontSize.sm,
+    textAlign: 'center',
+    marginTop: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+
+  input: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.md,
+    fontSize: typography.fontSize.md,
+  },
+
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    marginTop: spacing.lg,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+  },
+
+  deleteText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginTop: spacing.lg,
+  },
+
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+
+  confirmDisabled: {
+    opacity: 0.5,
+  },
+
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
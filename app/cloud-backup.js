@@ -5,7 +5,7 @@
  * Manage cloud sync, authentication, and backups
  */
 
-import React, { useState, useContext, useEffect } from 'react';
+import React, { useState, useContext, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -26,25 +26,24 @@ import * as Haptics from 'expo-haptics';
 import { TaskContext } from '../context/TaskContext';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, typography, borderRadius } from '../constants/theme';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, typography, borderRadius, priorities } from '../constants/theme';
+import { REMINDER_OFFSET_OPTIONS } from '../utils/notifications';
 import { isSupabaseConfigured, getSetupInstructions } from '../config/supabase';
 import { getSyncStatus } from '../services/cloudSyncService';
-import { listBackups, createBackup, getBackupStats } from '../services/backupService';
+import {
+  listBackups,
+  createBackup,
+  getBackupStats,
+  getBackupPreview,
+  restoreBackup,
+  getBackupSchedule,
+  saveBackupSchedule,
+  getBackupRunStatus,
+} from '../services/backupService';
 import { useCloudSync } from '../hooks/useCloudSync';
-
-// Safe haptics
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
+import BackupRestoreModal from '../components/BackupRestoreModal';
+import { safeHaptics } from '../utils/feedback';
 
 // Format file size
 const formatSize = (bytes) => {
@@ -53,6 +52,77 @@ const formatSize = (bytes) => {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 };
 
+// Labels for fields that can conflict during sync (every field in MERGE_FIELDS)
+const CONFLICT_FIELD_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  category: 'Categoría',
+  tags: 'Etiquetas',
+  blockedBy: 'Depende de',
+  priority: 'Prioridad',
+  completed: 'Completada',
+  completedAt: 'Completada el',
+  dueDate: 'Fecha límite',
+  enableReminder: 'Recordatorio',
+  dueTime: 'Hora límite',
+  reminderOffsets: 'Avisos',
+  isRecurring: 'Recurrente',
+  recurringSeriesId: 'Serie',
+  instanceDate: 'Fecha de instancia',
+  skipped: 'Omitida',
+  timeZone: 'Zona horaria',
+  floating: 'Hora flotante',
+  subtasks: 'Subtareas',
+  attachments: 'Adjuntos',
+};
+
+// Format a conflicting value for display. `lookup` resolves the ids some
+// fields hold ({ tasks, recurringSeries, categories }).
+const formatConflictValue = (field, value, lookup = {}) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value) && value.length === 0) return '—';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+
+  switch (field) {
+    case 'dueDate':
+    case 'completedAt':
+      return formatDate(value);
+    case 'instanceDate':
+      return formatDay(value);
+    case 'priority':
+      return priorities[value]?.name || String(value);
+    case 'category':
+      return lookup.categories?.find(c => c.id === value)?.name || String(value);
+    case 'tags':
+      return value.map(tag => `#${tag}`).join(' ');
+    case 'blockedBy':
+      return value
+        .map(id => lookup.tasks?.find(t => t.id === id)?.title || 'Tarea eliminada')
+        .join(', ');
+    case 'reminderOffsets':
+      return value
+        .map(offset => REMINDER_OFFSET_OPTIONS.find(o => o.value === offset)?.label || `${offset} min antes`)
+        .join(', ');
+    case 'recurringSeriesId':
+      return lookup.recurringSeries?.find(s => s.id === value)?.title || 'Serie eliminada';
+    case 'subtasks': {
+      const done = value.filter(st => st.completed).length;
+      return `${value.length} subtareas (${done} completadas)`;
+    }
+    case 'attachments':
+      return `${value.length} adjuntos`;
+    default:
+      return String(value);
+  }
+};
+
+// Automatic backup frequency options
+const BACKUP_FREQUENCY_OPTIONS = [
+  { id: 'off', label: 'Desactivado' },
+  { id: 'daily', label: 'Diario' },
+  { id: 'weekly', label: 'Semanal' },
+];
+
 // Format date
 const formatDate = (dateString) => {
   if (!dateString) return 'Nunca';
@@ -65,11 +135,31 @@ const formatDate = (dateString) => {
   });
 };
 
+// Format a day key (YYYY-MM-DD) without shifting it through UTC
+const formatDay = (dayKey) => {
+  const [year, month, day] = String(dayKey).split('-').map(Number);
+  if (!year || !month || !day) return String(dayKey);
+  return new Date(year, month - 1, day).toLocaleDateString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
 export default function CloudBackup() {
   const router = useRouter();
-  const { tasks } = useContext(TaskContext);
+  const { tasks, recurringSeries, applySyncedTasks, applyUploadedAttachments, updateTask, restoreTasks } = useContext(TaskContext);
   const { colors } = useTheme();
   const auth = useAuth();
+  const { categoryRecords, applySyncedCategories } = useCategories();
+  const categorySync = useMemo(
+    () => ({ categories: categoryRecords, setCategories: applySyncedCategories }),
+    [categoryRecords, applySyncedCategories]
+  );
+  const conflictLookup = useMemo(
+    () => ({ tasks, recurringSeries, categories: categoryRecords }),
+    [tasks, recurringSeries, categoryRecords]
+  );
 
   const [isConfigured, setIsConfigured] = useState(false);
   const [activeTab, setActiveTab] = useState('sync');
@@ -77,6 +167,15 @@ export default function CloudBackup() {
   const [backupStats, setBackupStats] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  // Automatic backup state
+  const [backupSchedule, setBackupSchedule] = useState(null);
+  const [backupRunStatus, setBackupRunStatus] = useState(null);
+
+  // Restore state
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+
   // Auth form state
   const [authMode, setAuthMode] = useState('login'); // 'login' | 'register'
   const [email, setEmail] = useState('');
@@ -85,11 +184,16 @@ export default function CloudBackup() {
   const [authError, setAuthError] = useState('');
 
   // Cloud sync hook (only if authenticated)
-  const cloudSync = auth?.isAuthenticated ? useCloudSync(tasks, () => {}) : {
+  const cloudSync = auth?.isAuthenticated ? useCloudSync(tasks, applySyncedTasks, categorySync) : {
     isSyncing: false,
     lastSync: null,
     sync: () => {},
+    retryQueue: () => {},
+    discardFailed: () => {},
+    resolveConflict: () => {},
     syncStatus: { isConfigured: false, isAuthenticated: false },
+    queueState: { pending: 0, failed: 0 },
+    conflicts: [],
   };
 
   // Check configuration on mount
@@ -106,12 +210,16 @@ export default function CloudBackup() {
 
   const loadBackups = async () => {
     try {
-      const [backupList, stats] = await Promise.all([
-        listBackups(5),
+      const [backupList, stats, schedule, runStatus] = await Promise.all([
+        listBackups(10),
         getBackupStats(),
+        getBackupSchedule(),
+        getBackupRunStatus(),
       ]);
       setBackups(backupList);
       setBackupStats(stats);
+      setBackupSchedule(schedule);
+      setBackupRunStatus(runStatus);
     } catch (error) {
       console.error('Error loading backups:', error);
     }
@@ -183,11 +291,47 @@ export default function CloudBackup() {
     }
   };
 
+  // Drop changes the server kept rejecting
+  const handleDiscardFailed = () => {
+    Alert.alert(
+      'Descartar cambios',
+      'Los cambios no enviados se descartarán. La próxima sincronización combinará estas tareas con la nube.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Descartar', style: 'destructive', onPress: () => cloudSync.discardFailed() },
+      ]
+    );
+  };
+
+  // Resolve one conflicting field with the chosen side
+  const handleResolveConflict = async (conflict, fieldConflict, choice) => {
+    try {
+      if (choice === 'local') {
+        let value = fieldConflict.local;
+
+        // Attachments keep their local file data
+        if (fieldConflict.field === 'attachments') {
+          const task = tasks.find(t => t.id === conflict.taskId);
+          const current = new Map((task?.attachments || []).map(a => [a.id, a]));
+          value = value.map(a => ({ ...current.get(a.id), ...a }));
+        }
+
+        await updateTask(conflict.taskId, { [fieldConflict.field]: value });
+      }
+      await cloudSync.resolveConflict(conflict.taskId, fieldConflict.field);
+      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    } catch (error) {
+      console.error('Conflict resolution error:', error);
+      Alert.alert('Error', 'No se pudo resolver el conflicto');
+    }
+  };
+
   // Handle create backup
   const handleCreateBackup = async () => {
     setIsLoading(true);
     try {
-      await createBackup(tasks, false);
+      const { uploadedAttachments } = await createBackup(tasks, false);
+      applyUploadedAttachments(uploadedAttachments);
       await loadBackups();
       safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
       Alert.alert('Respaldo creado', 'Tu respaldo se guardó correctamente');
@@ -200,6 +344,57 @@ export default function CloudBackup() {
     }
   };
 
+  // Change automatic backup frequency
+  const handleChangeFrequency = async (frequency) => {
+    try {
+      const schedule = await saveBackupSchedule({ frequency });
+      setBackupSchedule(schedule);
+      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    } catch (error) {
+      console.error('Backup schedule error:', error);
+      Alert.alert('Error', 'No se pudo guardar la frecuencia de respaldo');
+    }
+  };
+
+  // Open restore preview for a backup
+  const handleOpenRestore = async (backup) => {
+    setRestoreTarget(backup);
+    setRestorePreview(null);
+    setIsLoadingPreview(true);
+    try {
+      const preview = await getBackupPreview(backup, tasks);
+      setRestorePreview(preview);
+    } catch (error) {
+      console.error('Backup preview error:', error);
+      setRestoreTarget(null);
+      Alert.alert('Error', error.message || 'No se pudo abrir el respaldo');
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  // Restore the open backup
+  const handleRestore = async (mode, taskIds) => {
+    const preview = restorePreview;
+    setRestoreTarget(null);
+    setIsLoading(true);
+    try {
+      const result = restoreBackup(preview, tasks, { mode, taskIds });
+      await restoreTasks(result.tasks);
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+      Alert.alert(
+        'Respaldo restaurado',
+        `Se restauraron ${result.restored} tareas${result.removed > 0 ? ` y se eliminaron ${result.removed}` : ''}`
+      );
+    } catch (error) {
+      console.error('Restore error:', error);
+      safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
+      Alert.alert('Error', 'No se pudo restaurar el respaldo');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Show setup instructions
   const showSetupInstructions = () => {
     Alert.alert(
@@ -502,6 +697,112 @@ export default function CloudBackup() {
               </View>
             </View>
 
+            {/* Sync conflicts review */}
+            {cloudSync.conflicts.length > 0 && (
+              <View style={[styles.conflictCard, { backgroundColor: colors.glassLight, borderColor: colors.error + '40' }]}>
+                <View style={styles.conflictHeader}>
+                  <Ionicons name="git-compare-outline" size={20} color={colors.error} />
+                  <Text style={[styles.conflictHeaderText, { color: colors.textPrimary }]}>
+                    {cloudSync.conflicts.length} {cloudSync.conflicts.length === 1 ? 'tarea con conflictos' : 'tareas con conflictos'}
+                  </Text>
+                </View>
+                <Text style={[styles.conflictHint, { color: colors.textSecondary }]}>
+                  Estos campos cambiaron en este dispositivo y en otro. Elige qué valor conservar.
+                </Text>
+
+                {cloudSync.conflicts.map(conflict => (
+                  <View key={conflict.taskId} style={[styles.conflictTask, { borderColor: colors.glassBorder }]}>
+                    <Text style={[styles.conflictTaskTitle, { color: colors.textPrimary }]} numberOfLines={1}>
+                      {conflict.title}
+                    </Text>
+                    {conflict.fields.map(fieldConflict => (
+                      <View key={fieldConflict.field} style={styles.conflictField}>
+                        <Text style={[styles.conflictFieldLabel, { color: colors.textSecondary }]}>
+                          {CONFLICT_FIELD_LABELS[fieldConflict.field] || fieldConflict.field}
+                        </Text>
+                        <View style={styles.conflictOptions}>
+                          <TouchableOpacity
+                            style={[styles.conflictOption, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+                            onPress={() => handleResolveConflict(conflict, fieldConflict, 'local')}
+                          >
+                            <Text style={[styles.conflictOptionLabel, { color: colors.accentPurple }]}>
+                              Este dispositivo
+                            </Text>
+                            <Text style={[styles.conflictOptionValue, { color: colors.textPrimary }]} numberOfLines={2}>
+                              {formatConflictValue(fieldConflict.field, fieldConflict.local, conflictLookup)}
+                            </Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity
+                            style={[styles.conflictOption, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+                            onPress={() => handleResolveConflict(conflict, fieldConflict, 'cloud')}
+                          >
+                            <Text style={[styles.conflictOptionLabel, { color: colors.accentBlue }]}>
+                              Nube
+                            </Text>
+                            <Text style={[styles.conflictOptionValue, { color: colors.textPrimary }]} numberOfLines={2}>
+                              {formatConflictValue(fieldConflict.field, fieldConflict.cloud, conflictLookup)}
+                            </Text>
+                          </TouchableOpacity>
+                        </View>
+                      </View>
+                    ))}
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {/* Pending offline changes */}
+            {cloudSync.queueState.pending > 0 && (
+              <View style={[styles.statusCard, { backgroundColor: colors.warning + '15', borderColor: colors.warning + '30' }]}>
+                <Ionicons name="cloud-upload-outline" size={24} color={colors.warning} />
+                <View style={styles.statusInfo}>
+                  <Text style={[styles.statusTitle, { color: colors.warning }]}>
+                    {cloudSync.queueState.pending} {cloudSync.queueState.pending === 1 ? 'cambio pendiente' : 'cambios pendientes'}
+                  </Text>
+                  <Text style={[styles.statusSubtitle, { color: colors.textSecondary }]}>
+                    {cloudSync.queueState.nextRetryAt
+                      ? `Reintento: ${formatDate(cloudSync.queueState.nextRetryAt)}`
+                      : 'Se enviarán al recuperar la conexión'}
+                  </Text>
+                </View>
+                {cloudSync.queueState.nextRetryAt && (
+                  <TouchableOpacity
+                    style={[styles.signOutButton, { backgroundColor: colors.warning + '20' }]}
+                    onPress={cloudSync.retryQueue}
+                  >
+                    <Ionicons name="refresh" size={18} color={colors.warning} />
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+
+            {/* Changes the server kept rejecting */}
+            {cloudSync.queueState.failed > 0 && (
+              <View style={[styles.statusCard, { backgroundColor: colors.error + '15', borderColor: colors.error + '30' }]}>
+                <Ionicons name="alert-circle-outline" size={24} color={colors.error} />
+                <View style={styles.statusInfo}>
+                  <Text style={[styles.statusTitle, { color: colors.error }]}>
+                    {cloudSync.queueState.failed} {cloudSync.queueState.failed === 1 ? 'cambio no enviado' : 'cambios no enviados'}
+                  </Text>
+                  <Text style={[styles.statusSubtitle, { color: colors.textSecondary }]} numberOfLines={2}>
+                    {cloudSync.queueState.lastError || 'El servidor rechazó los cambios'}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={[styles.signOutButton, { backgroundColor: colors.error + '20' }]}
+                  onPress={cloudSync.retryQueue}
+                >
+                  <Ionicons name="refresh" size={18} color={colors.error} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.signOutButton, { backgroundColor: colors.error + '20' }]}
+                  onPress={handleDiscardFailed}
+                >
+                  <Ionicons name="trash-outline" size={18} color={colors.error} />
+                </TouchableOpacity>
+              </View>
+            )}
+
             {/* Stats */}
             <View style={[styles.statsCard, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
               <View style={styles.statItem}>
@@ -583,6 +884,50 @@ export default function CloudBackup() {
               </LinearGradient>
             </TouchableOpacity>
 
+            {/* Last automatic backup failed */}
+            {backupRunStatus?.lastError && (
+              <View style={[styles.statusCard, { backgroundColor: colors.error + '15', borderColor: colors.error + '30' }]}>
+                <Ionicons name="alert-circle-outline" size={24} color={colors.error} />
+                <View style={styles.statusInfo}>
+                  <Text style={[styles.statusTitle, { color: colors.error }]}>
+                    Falló el respaldo automático
+                  </Text>
+                  <Text style={[styles.statusSubtitle, { color: colors.textSecondary }]}>
+                    {formatDate(backupRunStatus.lastAttemptAt)} · {backupRunStatus.lastError}
+                    {backupRunStatus.consecutiveFailures > 1 && ` (${backupRunStatus.consecutiveFailures} intentos)`}
+                  </Text>
+                </View>
+              </View>
+            )}
+
+            {/* Automatic backup frequency */}
+            <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
+              RESPALDO AUTOMÁTICO
+            </Text>
+            <View style={styles.tabsContainer}>
+              {BACKUP_FREQUENCY_OPTIONS.map(option => {
+                const selected = backupSchedule?.frequency === option.id;
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.tab,
+                      { borderColor: colors.glassBorder },
+                      selected && { backgroundColor: colors.accentPurple + '20', borderColor: colors.accentPurple },
+                    ]}
+                    onPress={() => handleChangeFrequency(option.id)}
+                  >
+                    <Text style={[
+                      styles.tabText,
+                      { color: selected ? colors.accentPurple : colors.textSecondary },
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
             {/* Backup list */}
             <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>
               RESPALDOS RECIENTES
@@ -601,7 +946,11 @@ export default function CloudBackup() {
                   key={backup.id}
                   entering={FadeInUp.delay(index * 50)}
                 >
-                  <View style={[styles.backupItem, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}>
+                  <TouchableOpacity
+                    style={[styles.backupItem, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}
+                    onPress={() => handleOpenRestore(backup)}
+                    disabled={isLoading || backup.version === '2.0'}
+                  >
                     <View style={[styles.backupIcon, { backgroundColor: colors.accentPurple + '20' }]}>
                       <Ionicons name="cloud-done" size={20} color={colors.accentPurple} />
                     </View>
@@ -612,9 +961,13 @@ export default function CloudBackup() {
                       <Text style={[styles.backupMeta, { color: colors.textSecondary }]}>
                         {backup.task_count} tareas · {formatSize(backup.file_size || 0)}
                         {backup.is_automatic && ' · Automático'}
+                        {backup.version === '2.0' && ' · Sin datos'}
                       </Text>
                     </View>
-                  </View>
+                    {backup.version !== '2.0' && (
+                      <Ionicons name="cloud-download-outline" size={20} color={colors.textTertiary} />
+                    )}
+                  </TouchableOpacity>
                 </Animated.View>
               ))
             )}
@@ -623,12 +976,22 @@ export default function CloudBackup() {
             <View style={[styles.infoCard, { backgroundColor: colors.accentPurple + '10', borderColor: colors.accentPurple + '30' }]}>
               <Ionicons name="information-circle-outline" size={20} color={colors.accentPurple} />
               <Text style={[styles.infoText, { color: colors.textSecondary }]}>
-                Se crean respaldos automáticos cada 24 horas. Se mantienen los últimos 5 respaldos.
+                {backupSchedule?.frequency === 'off'
+                  ? 'Los respaldos automáticos están desactivados.'
+                  : `Se crean respaldos automáticos ${backupSchedule?.frequency === 'weekly' ? 'cada semana' : 'cada día'}. Se conservan ${backupSchedule?.retention.DAILY} diarios, ${backupSchedule?.retention.WEEKLY} semanales y ${backupSchedule?.retention.MONTHLY} mensuales.`}
               </Text>
             </View>
           </Animated.View>
         )}
       </ScrollView>
+
+      <BackupRestoreModal
+        visible={!!restoreTarget}
+        loading={isLoadingPreview}
+        preview={restorePreview}
+        onClose={() => setRestoreTarget(null)}
+        onRestore={handleRestore}
+      />
     </View>
   );
 }
@@ -985,6 +1348,73 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.medium,
   },
 
+  conflictCard: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+
+  conflictHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+
+  conflictHeaderText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  conflictHint: {
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+
+  conflictTask: {
+    borderTopWidth: 1,
+    paddingTop: spacing.sm,
+    marginTop: spacing.sm,
+  },
+
+  conflictTaskTitle: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.xs,
+  },
+
+  conflictField: {
+    marginTop: spacing.xs,
+  },
+
+  conflictFieldLabel: {
+    fontSize: typography.fontSize.xs,
+    marginBottom: spacing.xs,
+  },
+
+  conflictOptions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+  },
+
+  conflictOption: {
+    flex: 1,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    padding: spacing.sm,
+  },
+
+  conflictOptionLabel: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: 2,
+  },
+
+  conflictOptionValue: {
+    fontSize: typography.fontSize.sm,
+  },
+
   backupMeta: {
     fontSize: typography.fontSize.sm,
     marginTop: 2,
@@ -24,23 +24,11 @@ import * as Haptics from 'expo-haptics';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
+import { useCategories } from '../context/CategoryContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import { exportToJSON, exportToCSV, exportToMarkdown, saveAndShareExport } from '../services/exportService';
 import { pickAndReadImportFile, validateImportData, detectDuplicates } from '../services/importService';
-
-// Safe haptics
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
+import { safeHaptics } from '../utils/feedback';
 
 // Tab component
 const TabButton = ({ title, icon, isActive, onPress, colors }) => (
@@ -97,8 +85,9 @@ const FormatCard = ({ title, subtitle, icon, isSelected, onPress, colors }) => (
 
 export default function DataManagement() {
   const router = useRouter();
-  const { tasks, addTask } = useContext(TaskContext);
+  const { tasks, importTasks, reconcileReminders } = useContext(TaskContext);
   const { colors, isDarkMode } = useTheme();
+  const { categories, importCategories } = useCategories();
 
   const [activeTab, setActiveTab] = useState('export');
   const [exportFormat, setExportFormat] = useState('json');
@@ -123,16 +112,16 @@ export default function DataManagement() {
       
       switch (exportFormat) {
         case 'json':
-          content = exportToJSON(tasks, { includeCompleted });
+          content = exportToJSON(tasks, { includeCompleted, userCategories: categories });
           break;
         case 'csv':
-          content = exportToCSV(tasks, { includeCompleted });
+          content = exportToCSV(tasks, { includeCompleted, userCategories: categories });
           break;
         case 'markdown':
           content = exportToMarkdown(tasks, { includeCompleted });
           break;
         default:
-          content = exportToJSON(tasks, { includeCompleted });
+          content = exportToJSON(tasks, { includeCompleted, userCategories: categories });
       }
 
       await saveAndShareExport(content, exportFormat);
@@ -162,7 +151,7 @@ export default function DataManagement() {
         return;
       }
 
-      const validation = validateImportData(fileData);
+      const validation = validateImportData(fileData, { categories });
       const duplicates = detectDuplicates(validation.tasks, tasks);
 
       setImportPreview({
@@ -190,16 +179,21 @@ export default function DataManagement() {
 
     try {
       const tasksToImport = importPreview.duplicates.unique;
-      let importedCount = 0;
 
-      for (const task of tasksToImport) {
-        await addTask(task);
-        importedCount++;
-      }
+      // Create the file's categories that the imported tasks use
+      await importCategories(importPreview.validation.newCategories.filter(category =>
+        tasksToImport.some(task => task.category === category.id)
+      ));
+
+      // Added together so dependencies between them follow their new IDs
+      const imported = await importTasks(tasksToImport, importPreview.duplicates.existingIds);
+
+      // Imported reminders may exceed the pending notification limit
+      reconcileReminders();
 
       setImportResult({
         success: true,
-        imported: importedCount,
+        imported: imported.length,
         skipped: importPreview.duplicates.duplicates.length,
       });
 
@@ -438,6 +432,17 @@ export default function DataManagement() {
                       </View>
                     )}
 
+                    {importPreview.validation.newCategories.length > 0 && (
+                      <View style={[styles.validationItem, { backgroundColor: colors.accentPurple + '15' }]}>
+                        <Text style={[styles.validationValue, { color: colors.accentPurple }]}>
+                          {importPreview.validation.newCategories.length}
+                        </Text>
+                        <Text style={[styles.validationLabel, { color: colors.textSecondary }]}>
+                          Categorías nuevas
+                        </Text>
+                      </View>
+                    )}
+
                     {importPreview.validation.stats.invalid > 0 && (
                       <View style={[styles.validationItem, { backgroundColor: colors.error + '15' }]}>
                         <Text style={[styles.validationValue, { color: colors.error }]}>
@@ -3,22 +3,38 @@
  * Modern Premium Design with Glassmorphism
  */
 
-import React, { useState, useContext, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useContext, useCallback, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   FlatList,
+  ScrollView,
   StatusBar,
   RefreshControl,
+  TouchableOpacity,
 } from 'react-native';
 import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
 import Animated, { FadeInUp, LinearTransition } from 'react-native-reanimated';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
+import { useCategories } from '../context/CategoryContext';
+import { useAuth } from '../context/AuthContext';
+import { useSmartLists } from '../context/SmartListContext';
 import { spacing, typography } from '../constants/theme';
+import { collectTags } from '../utils/categories';
+import { parseSearchQuery, searchTasks } from '../utils/searchQuery';
+import { loadRecentSearches, addRecentSearch, clearRecentSearches, loadAiScores, saveAiScores } from '../utils/storage';
+import { searchComments } from '../services/commentService';
+import { getSmartListTasks, countSmartList } from '../utils/smartLists';
+import { groupTasks, sortTasks, reorderIds, SORT_MODES } from '../utils/taskOrdering';
+import { prioritizeTasks, getPrioritySignature } from '../services/aiService';
+import { getBlockersByTask } from '../utils/taskDependencies';
+import { getDayKey } from '../utils/timezone';
+import { useListView, getListKey } from '../hooks/useListView';
 
 // Components
 import Header from '../components/Header';
@@ -29,38 +45,274 @@ import FAB from '../components/FAB';
 import SearchBar from '../components/SearchBar';
 import PomodoroWidget from '../components/PomodoroWidget';
 import ConfettiCelebration from '../components/ConfettiCelebration';
+import SmartListEditorModal from '../components/SmartListEditorModal';
+import ListViewBar from '../components/ListViewBar';
+import TaskReorderList from '../components/TaskReorderList';
 
 export default function Index() {
   const router = useRouter();
-  const { tasks, deleteTask, toggleCompleted, loading } = useContext(TaskContext);
+  const { tasks, recurringSeries, deleteTask, toggleCompleted, loading } = useContext(TaskContext);
   const { isDarkMode, colors } = useTheme();
+  const { categories, getCategory } = useCategories();
+  const { isAuthenticated } = useAuth();
+  const { smartLists, pinnedSmartLists, createSmartList, updateSmartList, deleteSmartList } = useSmartLists();
   const [selectedCategory, setSelectedCategory] = useState('all');
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [selectedSmartList, setSelectedSmartList] = useState(null);
+  const [listEditor, setListEditor] = useState(null); // { smartList, initialQuery } while open
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [commentMatches, setCommentMatches] = useState({});
   const [showConfetti, setShowConfetti] = useState(false);
+  const [isReordering, setIsReordering] = useState(false);
+  const [aiScores, setAiScores] = useState(null); // { [taskId]: { score, reason, signature, scoredOn } } once loaded
+  const [isScoring, setIsScoring] = useState(false);
   
   // Track previous pending count to detect when all tasks become completed
   const prevPendingCount = useRef(null);
 
-  // Filter tasks by category
-  const categoryFilteredTasks = selectedCategory === 'all'
-    ? tasks
-    : tasks.filter(task => task.category === selectedCategory);
-
-  // Filter tasks by search query
-  const filteredTasks = searchQuery.trim() === ''
-    ? categoryFilteredTasks
-    : categoryFilteredTasks.filter(task => {
-        const query = searchQuery.toLowerCase();
-        const titleMatch = task.title?.toLowerCase().includes(query);
-        const descriptionMatch = task.description?.toLowerCase().includes(query);
-        return titleMatch || descriptionMatch;
-      });
+  const tags = useMemo(() => collectTags(tasks).map(({ tag }) => tag), [tasks]);
+
+  // Pending tasks each blocked task waits on (blockers may be in other lists)
+  const blockersByTask = useMemo(() => getBlockersByTask(tasks), [tasks]);
+
+  const activeSmartList = smartLists.find(list => list.id === selectedSmartList) || null;
+
+  // Drop a selected category, tag or smart list that no longer exists (deleted, merged, renamed)
+  useEffect(() => {
+    if (selectedCategory !== 'all' && !categories.some(c => c.id === selectedCategory)) {
+      setSelectedCategory('all');
+    }
+    if (selectedTag && !tags.includes(selectedTag)) setSelectedTag(null);
+    if (selectedSmartList && !activeSmartList) setSelectedSmartList(null);
+  }, [categories, tags, selectedCategory, selectedTag, selectedSmartList, activeSmartList]);
+
+  // A smart list replaces the category and tag filters
+  const handleSelectCategory = useCallback((categoryId) => {
+    setSelectedSmartList(null);
+    setSelectedCategory(categoryId);
+  }, []);
+
+  const handleSelectTag = useCallback((tag) => {
+    setSelectedSmartList(null);
+    setSelectedTag(tag);
+  }, []);
+
+  const handleSelectSmartList = useCallback((listId) => {
+    setSelectedSmartList(listId);
+    setSelectedCategory('all');
+    setSelectedTag(null);
+  }, []);
+
+  // Pinned smart lists with their pending count, kept up to date with the tasks
+  const pinnedWithCounts = useMemo(
+    () => pinnedSmartLists.map(list => ({ ...list, count: countSmartList(tasks, list, { categories }) })),
+    [pinnedSmartLists, tasks, categories]
+  );
+
+  useEffect(() => {
+    loadRecentSearches().then(setRecentSearches);
+  }, []);
+
+  // Each list keeps its own view; a smart list's sort and grouping live on the list itself
+  const listKey = getListKey({ smartListId: selectedSmartList, categoryId: selectedCategory, tag: selectedTag });
+  const { view: savedView, updateView, toggleSection } = useListView(listKey);
+  const view = activeSmartList
+    ? { ...savedView, sortBy: activeSmartList.sortBy, groupBy: activeSmartList.groupBy }
+    : savedView;
+
+  useEffect(() => {
+    setIsReordering(false);
+  }, [listKey]);
+
+  const handleChangeSort = useCallback((sortBy) => {
+    setIsReordering(false);
+    if (activeSmartList) updateSmartList(activeSmartList.id, { sortBy });
+    else updateView({ sortBy });
+  }, [activeSmartList, updateSmartList, updateView]);
+
+  const handleChangeGroup = useCallback((groupBy) => {
+    if (activeSmartList) updateSmartList(activeSmartList.id, { groupBy });
+    else updateView({ groupBy });
+  }, [activeSmartList, updateSmartList, updateView]);
+
+  // Filter tasks by smart list, or by category and tag
+  const listTasks = useMemo(() => (
+    activeSmartList
+      ? getSmartListTasks(tasks, activeSmartList, { categories })
+      : tasks.filter(task =>
+          (selectedCategory === 'all' || task.category === selectedCategory) &&
+          (!selectedTag || task.tags?.includes(selectedTag))
+        )
+  ), [tasks, activeSmartList, categories, selectedCategory, selectedTag]);
+
+  // AI order: scores are cached per task and every scoring call counts
+  // against the AI quota, so only tasks without a score are scored as they
+  // appear; pulling to refresh rescores the ones edited since (or scored
+  // on an earlier day, as due dates draw nearer)
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+  const listTasksRef = useRef(listTasks);
+  listTasksRef.current = listTasks;
+
+  useEffect(() => {
+    loadAiScores().then(setAiScores);
+  }, []);
+
+  useEffect(() => {
+    if (aiScores) saveAiScores(aiScores);
+  }, [aiScores]);
+
+  const scoreTasks = useCallback(async (tasksToScore) => {
+    if (tasksToScore.length === 0) return;
+
+    setIsScoring(true);
+    const scored = await prioritizeTasks(tasksToScore);
+    const scoredOn = getDayKey();
+    // Scores of deleted tasks are dropped along the way
+    const taskIds = new Set(tasksRef.current.map(task => task.id));
+    setAiScores(prev => ({
+      ...Object.fromEntries(Object.entries(prev || {}).filter(([id]) => taskIds.has(id))),
+      ...Object.fromEntries(scored.map(task => [task.id, {
+        score: task.aiScore,
+        reason: task.aiReason,
+        signature: getPrioritySignature(task),
+        scoredOn,
+      }])),
+    }));
+    setIsScoring(false);
+  }, []);
+
+  const isAiSort = view.sortBy === SORT_MODES.AI;
+  const unscoredKey = isAiSort && aiScores
+    ? listTasks.filter(task => !task.completed && !aiScores[task.id]).map(task => task.id).join(',')
+    : '';
+
+  useEffect(() => {
+    if (!unscoredKey) return;
+
+    const ids = new Set(unscoredKey.split(','));
+    const timer = setTimeout(() => {
+      scoreTasks(listTasksRef.current.filter(task => ids.has(task.id)));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [unscoredKey, scoreTasks]);
+
+  const refreshAiScores = useCallback(() => {
+    const today = getDayKey();
+    return scoreTasks(listTasksRef.current.filter((task) => {
+      const cached = aiScores?.[task.id];
+      return !task.completed &&
+        (!cached || cached.signature !== getPrioritySignature(task) || cached.scoredOn !== today);
+    }));
+  }, [aiScores, scoreTasks]);
+
+  // Order the list as its view asks
+  const categoryFilteredTasks = useMemo(
+    () => sortTasks(listTasks, view.sortBy, { manualOrder: view.manualOrder, aiScores: aiScores || {} }),
+    [listTasks, view.sortBy, view.manualOrder, aiScores]
+  );
+
+  const parsedQuery = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+  const textTermsKey = parsedQuery.textTerms.join('\n');
+
+  // Comments only live in the cloud: look up the ones matching the free text
+  useEffect(() => {
+    if (!isAuthenticated || !textTermsKey) {
+      setCommentMatches({});
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setCommentMatches(await searchComments(textTermsKey.split('\n')));
+      } catch (error) {
+        console.error('Error searching comments:', error);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, textTermsKey]);
+
+  // Filter (and rank, when there is free text) tasks by search query
+  const search = useMemo(
+    () => searchTasks(categoryFilteredTasks, parsedQuery, { categories, comments: commentMatches }),
+    [categoryFilteredTasks, parsedQuery, categories, commentMatches]
+  );
+  const filteredTasks = search.results.map(result => result.task);
+  const searchMatches = useMemo(() => {
+    const matches = {};
+    search.results.forEach(({ task, snippet }) => {
+      matches[task.id] = { terms: search.textTerms, snippet };
+    });
+    return matches;
+  }, [search]);
+  const isSearching = !parsedQuery.isEmpty;
+
+  const rememberSearch = useCallback(async () => {
+    if (searchQuery.trim()) {
+      setRecentSearches(await addRecentSearch(searchQuery));
+    }
+  }, [searchQuery]);
+
+  const handleClearRecent = useCallback(async () => {
+    await clearRecentSearches();
+    setRecentSearches([]);
+  }, []);
 
   // Separate completed and pending
   const pendingTasks = filteredTasks.filter(t => !t.completed);
   const completedTasks = filteredTasks.filter(t => t.completed);
 
+  // List sections (pending grouped by the list's view, then completed); collapsed ones only show their header
+  const listRows = useMemo(() => {
+    const sections = groupTasks(filteredTasks, view.groupBy, {
+      categories,
+      getCategory,
+      series: recurringSeries,
+    });
+    return sections.flatMap(section => {
+      const collapsed = view.collapsed.includes(section.key);
+      return [
+        { type: 'header', key: `header-${section.key}`, section, collapsed },
+        ...(collapsed ? [] : section.tasks.map(task => ({ type: 'task', key: task.id, task }))),
+      ];
+    });
+  }, [filteredTasks, view.groupBy, view.collapsed, categories, getCategory, recurringSeries]);
+
+  // Manual order covers the whole list, not just the tasks matching the search
+  const reorderTasks = useMemo(
+    () => categoryFilteredTasks.filter(task => !task.completed),
+    [categoryFilteredTasks]
+  );
+
+  const handleReorder = useCallback((fromIndex, toIndex) => {
+    const visibleIds = reorderTasks.map(task => task.id);
+    updateView({ manualOrder: reorderIds(visibleIds, fromIndex, toIndex, view.manualOrder) });
+  }, [reorderTasks, view.manualOrder, updateView]);
+
+  const handleSaveSmartList = useCallback(async (data) => {
+    const editing = listEditor?.smartList;
+    const result = editing
+      ? await updateSmartList(editing.id, data)
+      : await createSmartList(data);
+
+    if (!result.error) {
+      if (!editing) {
+        // A list made from the current search takes its place
+        if (listEditor?.initialQuery) setSearchQuery('');
+        handleSelectSmartList(result.smartList.id);
+      }
+      setListEditor(null);
+    }
+    return result;
+  }, [listEditor, createSmartList, updateSmartList, handleSelectSmartList]);
+
+  const handleDeleteSmartList = useCallback(async () => {
+    await deleteSmartList(listEditor.smartList.id);
+    setListEditor(null);
+  }, [listEditor, deleteSmartList]);
+
   // Detect when all tasks are completed and show confetti
   useEffect(() => {
     // Only trigger confetti when:
@@ -82,27 +334,55 @@ export default function Index() {
     setShowConfetti(false);
   }, []);
 
-  // Pull to refresh simulation
-  const onRefresh = useCallback(() => {
+  // Pull to refresh: rescores out-of-date tasks in AI order, a simulation otherwise
+  const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    setTimeout(() => setRefreshing(false), 1000);
-  }, []);
+    if (isAiSort) {
+      await refreshAiScores();
+      setRefreshing(false);
+    } else {
+      setTimeout(() => setRefreshing(false), 1000);
+    }
+  }, [isAiSort, refreshAiScores]);
 
-  // Render task section header
-  const renderSectionHeader = (title, count) => (
-    <Animated.View 
-      style={[styles.sectionHeader]}
-      entering={FadeInUp.springify()}
-    >
-      <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>{title}</Text>
-      <View style={[styles.countBadge, { backgroundColor: colors.glassMedium }]}>
-        <Text style={[styles.countText, { color: colors.textSecondary }]}>{count}</Text>
-      </View>
+  // Render task section header (tap to collapse or expand)
+  const renderSectionHeader = (section, collapsed) => (
+    <Animated.View entering={FadeInUp.springify()}>
+      <TouchableOpacity
+        style={styles.sectionHeader}
+        onPress={() => toggleSection(section.key)}
+        activeOpacity={0.7}
+      >
+        {section.color && <View style={[styles.sectionDot, { backgroundColor: section.color }]} />}
+        <Text style={[styles.sectionTitle, { color: colors.textTertiary }]}>{section.title}</Text>
+        <View style={[styles.countBadge, { backgroundColor: colors.glassMedium }]}>
+          <Text style={[styles.countText, { color: colors.textSecondary }]}>{section.tasks.length}</Text>
+        </View>
+        <Ionicons
+          name={collapsed ? 'chevron-forward' : 'chevron-down'}
+          size={16}
+          color={colors.textTertiary}
+          style={styles.sectionChevron}
+        />
+      </TouchableOpacity>
     </Animated.View>
   );
 
   // Render empty state
-  const renderEmptyState = () => (
+  const renderEmptyState = () => (isSearching || activeSmartList) ? (
+    <Animated.View 
+      style={styles.emptyState}
+      entering={FadeInUp.springify()}
+    >
+      <Text style={styles.emptyEmoji}>🔍</Text>
+      <Text style={[styles.emptyTitle, { color: colors.textPrimary }]}>Sin resultados</Text>
+      <Text style={[styles.emptySubtitle, { color: colors.textSecondary }]}>
+        {isSearching
+          ? <>Ninguna tarea coincide con la búsqueda.{'\n'}Prueba con otras palabras o filtros.</>
+          : <>Ninguna tarea coincide con esta lista.{'\n'}Mantén pulsada la lista para editarla.</>}
+      </Text>
+    </Animated.View>
+  ) : (
     <Animated.View 
       style={styles.emptyState}
       entering={FadeInUp.delay(300).springify()}
@@ -123,7 +403,11 @@ export default function Index() {
       <Header />
       
       {/* Stats Widget */}
-      <StatsWidget tasks={tasks} />
+      <StatsWidget
+        tasks={tasks}
+        smartLists={pinnedWithCounts}
+        onSelectSmartList={handleSelectSmartList}
+      />
       
       {/* Pomodoro Widget */}
       <PomodoroWidget />
@@ -131,54 +415,83 @@ export default function Index() {
       {/* Category Filter */}
       <CategoryFilter 
         selected={selectedCategory}
-        onSelect={setSelectedCategory}
+        onSelect={handleSelectCategory}
+        tags={tags}
+        selectedTag={selectedTag}
+        onSelectTag={handleSelectTag}
+        smartLists={pinnedWithCounts}
+        selectedSmartList={selectedSmartList}
+        onSelectSmartList={handleSelectSmartList}
+        onEditSmartList={(smartList) => setListEditor({ smartList })}
+        onAddSmartList={() => setListEditor({ smartList: null, initialQuery: searchQuery.trim() })}
       />
       
       {/* Search Bar */}
       <SearchBar 
         value={searchQuery}
         onChangeText={setSearchQuery}
-        placeholder="Buscar tareas..."
+        placeholder="Buscar o filtrar (due:<7d, is:overdue...)"
+        onSubmit={rememberSearch}
+        recentSearches={recentSearches}
+        onClearRecent={handleClearRecent}
+        errors={parsedQuery.errors}
+      />
+
+      {/* Sort, grouping and manual order of this list */}
+      <ListViewBar
+        sortBy={view.sortBy}
+        groupBy={view.groupBy}
+        onChangeSort={handleChangeSort}
+        onChangeGroup={handleChangeGroup}
+        onReorder={reorderTasks.length > 1 ? () => setIsReordering(prev => !prev) : undefined}
+        isReordering={isReordering}
+        isScoring={isScoring}
       />
       
       {/* Task List */}
-      <FlatList
-        data={[...pendingTasks, ...completedTasks]}
-        keyExtractor={(item) => item.id}
-        showsVerticalScrollIndicator={false}
-        contentContainerStyle={styles.listContent}
-        refreshControl={
-          <RefreshControl 
-            refreshing={refreshing} 
-            onRefresh={onRefresh}
-            tintColor={colors.accentPurple}
-            colors={[colors.accentPurple]}
-          />
-        }
-        ListHeaderComponent={() => (
-          pendingTasks.length > 0 && renderSectionHeader('Pendientes', pendingTasks.length)
-        )}
-        ListEmptyComponent={renderEmptyState}
-        renderItem={({ item, index }) => (
-          <>
-            {/* Section header for completed tasks */}
-            {index === pendingTasks.length && completedTasks.length > 0 && (
-              renderSectionHeader('Completadas', completedTasks.length)
-            )}
-            <Animated.View
-              entering={FadeInUp.delay(index * 50).springify()}
-              layout={LinearTransition.springify()}
-            >
-              <TaskCard
-                task={item}
-                onToggle={toggleCompleted}
-                onDelete={deleteTask}
-                onPress={() => router.push(`/task-details?taskId=${item.id}`)}
-              />
-            </Animated.View>
-          </>
-        )}
-      />
+      {isReordering ? (
+        <ScrollView contentContainerStyle={styles.listContent} showsVerticalScrollIndicator={false}>
+          <TaskReorderList tasks={reorderTasks} onReorder={handleReorder} />
+        </ScrollView>
+      ) : (
+        <FlatList
+          data={listRows}
+          keyExtractor={(item) => item.key}
+          showsVerticalScrollIndicator={false}
+          contentContainerStyle={styles.listContent}
+          refreshControl={
+            <RefreshControl 
+              refreshing={refreshing} 
+              onRefresh={onRefresh}
+              tintColor={colors.accentPurple}
+              colors={[colors.accentPurple]}
+            />
+          }
+          ListEmptyComponent={renderEmptyState}
+          renderItem={({ item, index }) => (
+            item.type === 'header'
+              ? renderSectionHeader(item.section, item.collapsed)
+              : (
+                <Animated.View
+                  entering={FadeInUp.delay(index * 50).springify()}
+                  layout={LinearTransition.springify()}
+                >
+                  <TaskCard
+                    task={item.task}
+                    onToggle={toggleCompleted}
+                    onDelete={deleteTask}
+                    onPress={() => {
+                      rememberSearch();
+                      router.push(`/task-details?taskId=${item.task.id}`);
+                    }}
+                    search={isSearching ? searchMatches[item.task.id] : undefined}
+                    blockers={blockersByTask[item.task.id]}
+                  />
+                </Animated.View>
+              )
+          )}
+        />
+      )}
       
       {/* Floating Action Button */}
       <FAB onPress={() => router.push('/add-task')} />
@@ -188,6 +501,17 @@ export default function Index() {
         visible={showConfetti} 
         onComplete={handleConfettiComplete}
       />
+
+      {/* Smart list editor */}
+      <SmartListEditorModal
+        visible={!!listEditor}
+        smartList={listEditor?.smartList || null}
+        initialQuery={listEditor?.initialQuery}
+        tasks={tasks}
+        onClose={() => setListEditor(null)}
+        onSave={handleSaveSmartList}
+        onDelete={handleDeleteSmartList}
+      />
     </GestureHandlerRootView>
   );
 }
@@ -209,6 +533,13 @@ const styles = StyleSheet.create({
     paddingBottom: spacing.md,
   },
   
+  sectionDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: spacing.sm,
+  },
+  
   sectionTitle: {
     fontSize: typography.fontSize.sm,
     fontWeight: typography.fontWeight.semibold,
@@ -228,6 +559,10 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.bold,
   },
   
+  sectionChevron: {
+    marginLeft: 'auto',
+  },
+  
   emptyState: {
     alignItems: 'center',
     justifyContent: 'center',
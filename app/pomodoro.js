@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { View, Text, StyleSheet, Pressable, ScrollView, Platform } from 'react-native';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
 import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import Animated, { FadeInUp } from 'react-native-reanimated';
@@ -14,15 +14,7 @@ import PomodoroTimer from '../components/PomodoroTimer';
 import { usePomodoro } from '../context/PomodoroContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
-
-// Safe haptics wrapper
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
+import { safeHaptics } from '../utils/feedback';
 
 export default function PomodoroScreen() {
   const router = useRouter();
@@ -14,6 +14,7 @@ import {
   ScrollView,
   Pressable,
   FlatList,
+  Alert,
 } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
@@ -26,7 +27,8 @@ import { LinearGradient } from 'expo-linear-gradient';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, priorities, categories } from '../constants/theme';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
 import { formatRecurrencePreview, DAYS_OF_WEEK } from '../utils/recurringHelpers';
 import TaskCard from '../components/TaskCard';
 
@@ -80,6 +82,7 @@ export default function RecurringSeries() {
     deleteTask,
   } = useContext(TaskContext);
   const { colors } = useTheme();
+  const { getCategory } = useCategories();
   
   const [activeFilter, setActiveFilter] = useState(FILTERS.ALL);
   
@@ -122,7 +125,7 @@ export default function RecurringSeries() {
   
   // Get priority and category from series
   const priority = priorities[series?.priority] || priorities.medium;
-  const category = categories[series?.category] || categories.personal;
+  const category = getCategory(series?.category || 'personal');
   
   // Format recurrence pattern
   const recurrenceText = series?.recurringConfig 
@@ -162,8 +165,11 @@ export default function RecurringSeries() {
     );
   }
 
-  const handleToggle = (taskId) => {
-    toggleCompleted(taskId);
+  const handleToggle = async (taskId) => {
+    const result = await toggleCompleted(taskId);
+    if (result?.error) {
+      Alert.alert('Tarea bloqueada', result.error);
+    }
   };
 
   const handleDelete = (taskId) => {
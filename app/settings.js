@@ -25,9 +25,14 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { TaskContext } from '../context/TaskContext';
 import { useAuth } from '../context/AuthContext';
 import { useTheme, colorThemes, fontSizeScales } from '../context/ThemeContext';
+import { useSettings } from '../context/SettingsContext';
+import { useCategories } from '../context/CategoryContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import ColorThemePicker from '../components/ColorThemePicker';
+import DatePickerButton from '../components/DatePickerButton';
 import { useAutoSavePreference } from '../hooks/useAutoSave';
+import { useNotificationPreferences } from '../hooks/useNotificationPreferences';
+import { formatTimeOfDay, timeOfDayToDate } from '../utils/dateHelpers';
 
 // Setting item component
 const SettingItem = ({ 
@@ -84,22 +89,41 @@ const SectionHeader = ({ title, delay = 0, colors }) => (
 
 export default function Settings() {
   const router = useRouter();
-  const { tasks, notificationsEnabled } = useContext(TaskContext);
+  const { tasks, notificationsEnabled, deleteCompletedTasks } = useContext(TaskContext);
   const { isDarkMode, toggleTheme, colors, selectedColorTheme, selectedFontSize, setFontSize } = useTheme();
   const { signOut, user, getDisplayName } = useAuth();
   
   // Font size modal state
   const [fontSizeModalVisible, setFontSizeModalVisible] = useState(false);
   
-  // Local settings state
-  const [hapticFeedback, setHapticFeedback] = useState(true);
-  const [soundEffects, setSoundEffects] = useState(true);
-  const [autoDeleteCompleted, setAutoDeleteCompleted] = useState(false);
-  const [showBadgeCount, setShowBadgeCount] = useState(true);
+  // Behavior settings (persistent)
+  const {
+    hapticFeedback,
+    setHapticFeedback,
+    soundEffects,
+    setSoundEffects,
+    autoDeleteCompleted,
+    setAutoDeleteCompleted,
+    showBadgeCount,
+    setShowBadgeCount,
+  } = useSettings();
   
   // Auto-save preference (persistent)
   const { autoSaveEnabled, setAutoSaveEnabled } = useAutoSavePreference();
 
+  // Notification policy (quiet hours, digest, muted categories)
+  const { preferences: notificationPrefs, updatePreferences } = useNotificationPreferences();
+  const { quietHours, digest, mutedCategories } = notificationPrefs;
+  const { categories: taskCategories } = useCategories();
+
+  const toggleMutedCategory = (categoryId) => {
+    updatePreferences({
+      mutedCategories: mutedCategories.includes(categoryId)
+        ? mutedCategories.filter(id => id !== categoryId)
+        : [...mutedCategories, categoryId],
+    });
+  };
+
   // Stats
   const totalTasks = tasks.length;
   const completedTasks = tasks.filter(t => t.completed).length;
@@ -121,8 +145,8 @@ export default function Settings() {
         { 
           text: 'Eliminar', 
           style: 'destructive',
-          onPress: () => {
-            // TODO: Implement clear completed in TaskContext
+          onPress: async () => {
+            await deleteCompletedTasks();
             Alert.alert('Éxito', 'Tareas completadas eliminadas.');
           }
         },
@@ -234,10 +258,107 @@ export default function Settings() {
           delay={240}
           colors={colors}
           isSwitch
-          switchValue={showBadgeCount}
-          onSwitchChange={setShowBadgeCount}
+          switchValue={notificationPrefs.remindersEnabled}
+          onSwitchChange={(value) => updatePreferences({ remindersEnabled: value })}
         />
 
+        <SettingItem
+          icon="moon-outline"
+          iconColor={colors.accentPurple}
+          title="Horas de silencio"
+          subtitle={quietHours.enabled
+            ? `Sin avisos de ${quietHours.start} a ${quietHours.end}`
+            : 'Los avisos se retrasan hasta que terminen'}
+          delay={245}
+          colors={colors}
+          isSwitch
+          switchValue={quietHours.enabled}
+          onSwitchChange={(value) => updatePreferences({ quietHours: { enabled: value } })}
+        />
+
+        {quietHours.enabled && (
+          <Animated.View style={styles.settingDetail} entering={FadeInUp.springify()}>
+            <View style={styles.timeField}>
+              <Text style={[styles.timeFieldLabel, { color: colors.textTertiary }]}>Desde</Text>
+              <DatePickerButton
+                mode="time"
+                value={timeOfDayToDate(quietHours.start)}
+                onChange={(date) => date && updatePreferences({ quietHours: { start: formatTimeOfDay(date) } })}
+              />
+            </View>
+            <View style={styles.timeField}>
+              <Text style={[styles.timeFieldLabel, { color: colors.textTertiary }]}>Hasta</Text>
+              <DatePickerButton
+                mode="time"
+                value={timeOfDayToDate(quietHours.end)}
+                onChange={(date) => date && updatePreferences({ quietHours: { end: formatTimeOfDay(date) } })}
+              />
+            </View>
+          </Animated.View>
+        )}
+
+        <SettingItem
+          icon="sunny-outline"
+          iconColor={colors.warning}
+          title="Resumen matutino"
+          subtitle={digest.enabled
+            ? `Un aviso a las ${digest.time} con las tareas de hoy y vencidas`
+            : 'Agrupa los avisos de las tareas sin hora'}
+          delay={250}
+          colors={colors}
+          isSwitch
+          switchValue={digest.enabled}
+          onSwitchChange={(value) => updatePreferences({ digest: { enabled: value } })}
+        />
+
+        {digest.enabled && (
+          <Animated.View style={styles.settingDetail} entering={FadeInUp.springify()}>
+            <View style={styles.timeField}>
+              <Text style={[styles.timeFieldLabel, { color: colors.textTertiary }]}>Hora del resumen</Text>
+              <DatePickerButton
+                mode="time"
+                value={timeOfDayToDate(digest.time)}
+                onChange={(date) => date && updatePreferences({ digest: { time: formatTimeOfDay(date) } })}
+              />
+            </View>
+          </Animated.View>
+        )}
+
+        <Animated.View
+          style={[styles.settingItem, styles.mutedCategories, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}
+          entering={FadeInUp.delay(255).springify()}
+        >
+          <Text style={[styles.settingTitle, { color: colors.textPrimary }]}>Silenciar categorías</Text>
+          <Text style={[styles.settingSubtitle, { color: colors.textSecondary }]}>
+            Sus tareas no envían recordatorios
+          </Text>
+          <View style={styles.categoryChips}>
+            {taskCategories.map((category) => {
+              const muted = mutedCategories.includes(category.id);
+              return (
+                <TouchableOpacity
+                  key={category.id}
+                  style={[
+                    styles.categoryChip,
+                    { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                    muted && { backgroundColor: category.color + '20', borderColor: category.color },
+                  ]}
+                  onPress={() => toggleMutedCategory(category.id)}
+                >
+                  <Ionicons
+                    name={muted ? 'notifications-off' : category.icon}
+                    size={14}
+                    color={muted ? category.color : colors.textSecondary}
+                  />
+                  <Text style={[styles.categoryChipText, { color: muted ? category.color : colors.textSecondary }]}>
+                    {category.name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </Animated.View>
+
         <SettingItem
           icon="notifications-circle"
           iconColor={colors.accentBlue}
@@ -347,6 +468,16 @@ export default function Settings() {
         {/* Data Section */}
         <SectionHeader title="DATOS" delay={500} colors={colors} />
 
+        <SettingItem
+          icon="pricetags"
+          iconColor={colors.accentPurple}
+          title="Categorías y etiquetas"
+          subtitle={`${taskCategories.length} categorías`}
+          onPress={() => router.push('/categories')}
+          delay={510}
+          colors={colors}
+        />
+
         <SettingItem
           icon="cloud-upload"
           iconColor={colors.accentBlue}
@@ -720,6 +851,49 @@ const styles = StyleSheet.create({
     marginTop: 2,
   },
 
+  // Notification policy details
+  settingDetail: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+
+  timeField: {
+    flex: 1,
+    gap: spacing.xs,
+  },
+
+  timeFieldLabel: {
+    fontSize: typography.fontSize.xs,
+    marginLeft: spacing.xs,
+  },
+
+  mutedCategories: {
+    flexDirection: 'column',
+    alignItems: 'stretch',
+  },
+
+  categoryChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+
+  categoryChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  categoryChipText: {
+    fontSize: typography.fontSize.sm,
+  },
+
   // Status Badge
   statusBadge: {
     paddingHorizontal: spacing.sm,
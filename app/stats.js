@@ -4,7 +4,7 @@
  */
 
 import React, { useState, useContext, useMemo } from 'react';
-import { View, Text, StyleSheet, Pressable, ScrollView, Platform } from 'react-native';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
 import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import Animated, { FadeInUp } from 'react-native-reanimated';
@@ -16,15 +16,7 @@ import { useStats } from '../context/StatsContext';
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
-
-// Safe haptics wrapper
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
+import { safeHaptics } from '../utils/feedback';
 
 export default function StatsScreen() {
   const router = useRouter();
@@ -240,6 +232,28 @@ export default function StatsScreen() {
                 </Text>
               </View>
             </View>
+
+            <View style={[styles.monthlyDividerH, { backgroundColor: colors.glassBorder }]} />
+
+            <View style={styles.monthlyRow}>
+              <View style={styles.monthlyItem}>
+                <Text style={[styles.monthlyValue, { color: colors.textSecondary }]}>
+                  {monthlyStats.tasksSnoozed}
+                </Text>
+                <Text style={[styles.monthlyLabel, { color: colors.textTertiary }]}>
+                  Recordatorios pospuestos
+                </Text>
+              </View>
+              <View style={[styles.monthlyDivider, { backgroundColor: colors.glassBorder }]} />
+              <View style={styles.monthlyItem}>
+                <Text style={[styles.monthlyValue, { color: colors.textSecondary }]}>
+                  {monthlyStats.tasksPostponed}
+                </Text>
+                <Text style={[styles.monthlyLabel, { color: colors.textTertiary }]}>
+                  Movidas a mañana
+                </Text>
+              </View>
+            </View>
           </View>
 
           {/* Streak Card */}
@@ -3,7 +3,7 @@
  * View and Edit Task Details with Modern Glassmorphism
  */
 
-import React, { useState, useContext, useEffect, useCallback } from 'react';
+import React, { useState, useContext, useEffect, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
@@ -23,35 +23,31 @@ import * as Haptics from 'expo-haptics';
 
 import { TaskContext } from '../context/TaskContext';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, categories, priorities } from '../constants/theme';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
 import DatePickerButton from '../components/DatePickerButton';
 import ReminderToggle from '../components/ReminderToggle';
+import ReminderOffsetPicker from '../components/ReminderOffsetPicker';
 import DraggableSubtaskList from '../components/DraggableSubtaskList';
 import DiscardChangesModal from '../components/DiscardChangesModal';
 import SaveIndicator, { SAVE_STATES } from '../components/SaveIndicator';
 import TaskDescriptionEditor from '../components/TaskDescriptionEditor';
 import RecurringActionModal from '../components/RecurringActionModal';
+import SubtaskBreakdownModal from '../components/SubtaskBreakdownModal';
+import PaywallModal from '../components/PaywallModal';
+import TagInput from '../components/TagInput';
+import TaskDependencies from '../components/TaskDependencies';
 import AttachmentGallery from '../components/AttachmentGallery';
 import AttachmentPicker from '../components/AttachmentPicker';
 import AttachmentViewer from '../components/AttachmentViewer';
 import { useFilePicker } from '../hooks/useFilePicker';
-import { formatRelativeTime } from '../utils/dateHelpers';
+import { useFeatureAccess } from '../hooks/useFeatureAccess';
+import { formatRelativeTime, formatTimeOfDay, timeOfDayToDate } from '../utils/dateHelpers';
 import { useHistory, useUndoRedoKeyboard } from '../hooks/useHistory';
 import { CommentsSection } from '../components/comments';
-
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
+import { safeHaptics } from '../utils/feedback';
+import { collectTags } from '../utils/categories';
+import { getPendingBlockers } from '../utils/taskDependencies';
 
 export default function TaskDetails() {
   const router = useRouter();
@@ -62,6 +58,7 @@ export default function TaskDetails() {
     deleteTask, 
     toggleCompleted, 
     addSubtask, 
+    addSubtasks,
     toggleSubtask, 
     deleteSubtask, 
     updateSubtask, 
@@ -75,9 +72,16 @@ export default function TaskDetails() {
     // Attachment methods
     addAttachment,
     deleteAttachment,
+    // Dependency methods
+    addDependency,
+    removeDependency,
   } = useContext(TaskContext);
   const { colors } = useTheme();
+  const { categories: taskCategories } = useCategories();
+  const tagSuggestions = useMemo(() => collectTags(tasks).map(({ tag }) => tag), [tasks]);
   const { pickImage, takePhoto, pickDocument, isLoading: isFilePicking } = useFilePicker();
+  const { hasAccess } = useFeatureAccess();
+  const canBreakDown = hasAccess('ai_priorities');
   
   // Find the task
   const task = tasks.find(t => t.id === taskId);
@@ -86,9 +90,12 @@ export default function TaskDetails() {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('personal');
+  const [tags, setTags] = useState([]);
   const [selectedPriority, setSelectedPriority] = useState('medium');
   const [dueDate, setDueDate] = useState(null);
+  const [dueTime, setDueTime] = useState(null);
   const [enableReminder, setEnableReminder] = useState(false);
+  const [reminderOffsets, setReminderOffsets] = useState([0]);
   const [hasChanges, setHasChanges] = useState(false);
   
   // Modal and save state
@@ -110,6 +117,10 @@ export default function TaskDetails() {
   const [showAttachmentPicker, setShowAttachmentPicker] = useState(false);
   const [showAttachmentViewer, setShowAttachmentViewer] = useState(false);
   const [selectedAttachment, setSelectedAttachment] = useState(null);
+
+  // AI breakdown state
+  const [showBreakdownModal, setShowBreakdownModal] = useState(false);
+  const [showPaywall, setShowPaywall] = useState(false);
   
   // History for undo/redo
   const history = useHistory({ title: '', description: '', category: 'personal', priority: 'medium' });
@@ -153,9 +164,12 @@ export default function TaskDetails() {
       setTitle(task.title || '');
       setDescription(task.description || '');
       setSelectedCategory(task.category || 'personal');
+      setTags(task.tags || []);
       setSelectedPriority(task.priority || 'medium');
       setDueDate(task.dueDate ? new Date(task.dueDate) : null);
+      setDueTime(task.dueTime ? timeOfDayToDate(task.dueTime) : null);
       setEnableReminder(task.enableReminder || false);
+      setReminderOffsets(task.reminderOffsets || [0]);
     }
   }, [task]);
   
@@ -166,12 +180,15 @@ export default function TaskDetails() {
         title !== task.title ||
         description !== (task.description || '') ||
         selectedCategory !== task.category ||
+        tags.join(',') !== (task.tags || []).join(',') ||
         selectedPriority !== task.priority ||
         (dueDate?.toISOString() || null) !== task.dueDate ||
-        enableReminder !== task.enableReminder;
+        (dueTime ? formatTimeOfDay(dueTime) : null) !== (task.dueTime || null) ||
+        enableReminder !== task.enableReminder ||
+        reminderOffsets.join(',') !== (task.reminderOffsets || [0]).join(',');
       setHasChanges(changed);
     }
-  }, [title, description, selectedCategory, selectedPriority, dueDate, enableReminder, task]);
+  }, [title, description, selectedCategory, tags, selectedPriority, dueDate, dueTime, enableReminder, reminderOffsets, task]);
   
   if (!task) {
     return (
@@ -218,9 +235,12 @@ export default function TaskDetails() {
         title: title.trim(),
         description: description,
         category: selectedCategory,
+        tags,
         priority: selectedPriority,
         dueDate: dueDate ? dueDate.toISOString() : null,
+        dueTime: dueDate && dueTime ? formatTimeOfDay(dueTime) : null,
         enableReminder: enableReminder && dueDate !== null,
+        reminderOffsets,
       });
       
       setSaveState(SAVE_STATES.SUCCESS);
@@ -238,7 +258,7 @@ export default function TaskDetails() {
       safeHaptics.notification(Haptics.NotificationFeedbackType.Error);
       return false;
     }
-  }, [title, selectedCategory, selectedPriority, dueDate, enableReminder, taskId, updateTask, router]);
+  }, [title, selectedCategory, tags, selectedPriority, dueDate, dueTime, enableReminder, reminderOffsets, taskId, updateTask, router]);
 
   // Modal handlers
   const handleModalSave = async () => {
@@ -319,6 +339,21 @@ export default function TaskDetails() {
     safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
   };
 
+  // AI breakdown handlers
+  const handleBreakdownPress = () => {
+    if (!canBreakDown) {
+      setShowPaywall(true);
+      return;
+    }
+    setShowBreakdownModal(true);
+  };
+
+  const handleBreakdownAccept = (items) => {
+    addSubtasks(taskId, items);
+    setShowBreakdownModal(false);
+    safeHaptics.notification(Haptics.NotificationFeedbackType.Success);
+  };
+
   // Attachment handlers
   const handleAddAttachment = () => {
     setShowAttachmentPicker(true);
@@ -362,6 +397,16 @@ export default function TaskDetails() {
   };
 
   const handleToggleComplete = () => {
+    // Tasks it waits on come first
+    const pendingBlockers = task.completed ? [] : getPendingBlockers(task, tasks);
+    if (pendingBlockers.length > 0) {
+      Alert.alert(
+        'Tarea bloqueada',
+        `Completa antes: ${pendingBlockers.map(blocker => `"${blocker.title}"`).join(', ')}`
+      );
+      return;
+    }
+
     toggleCompleted(taskId);
     safeHaptics.impact(Haptics.ImpactFeedbackStyle.Medium);
   };
@@ -379,8 +424,6 @@ export default function TaskDetails() {
     });
   };
 
-  // Filter out 'all' category
-  const taskCategories = Object.values(categories).filter(c => c.id !== 'all');
   const priority = priorities[task.priority] || priorities.medium;
 
   return (
@@ -631,13 +674,29 @@ export default function TaskDetails() {
         >
           <View style={styles.subtasksHeader}>
             <Text style={[styles.label, { color: colors.textSecondary }]}>Subtareas</Text>
-            {task.subtasks && task.subtasks.length > 0 && (
-              <View style={[styles.subtasksProgress, { backgroundColor: colors.accentPurple + '20' }]}>
-                <Text style={[styles.subtasksProgressText, { color: colors.accentPurple }]}>
-                  {task.subtasks.filter(st => st.completed).length}/{task.subtasks.length}
-                </Text>
-              </View>
-            )}
+            <View style={styles.subtasksHeaderActions}>
+              {task.subtasks && task.subtasks.length > 0 && (
+                <View style={[styles.subtasksProgress, { backgroundColor: colors.accentPurple + '20' }]}>
+                  <Text style={[styles.subtasksProgressText, { color: colors.accentPurple }]}>
+                    {task.subtasks.filter(st => st.completed).length}/{task.subtasks.length}
+                  </Text>
+                </View>
+              )}
+              {!task.completed && (
+                <Pressable
+                  style={[styles.breakdownButton, { borderColor: colors.accentPurple + '60' }]}
+                  onPress={handleBreakdownPress}
+                >
+                  <Ionicons name="sparkles" size={14} color={colors.accentPurple} />
+                  <Text style={[styles.breakdownButtonText, { color: colors.accentPurple }]}>
+                    Dividir con IA
+                  </Text>
+                  {!canBreakDown && (
+                    <Ionicons name="lock-closed" size={12} color={colors.textTertiary} />
+                  )}
+                </Pressable>
+              )}
+            </View>
           </View>
           
           {/* Progress bar */}
@@ -703,6 +762,21 @@ export default function TaskDetails() {
           />
         </Animated.View>
 
+        {/* Dependencies Section */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(182).springify()}
+        >
+          <TaskDependencies
+            task={task}
+            tasks={tasks}
+            onAdd={(blockerId) => addDependency(taskId, blockerId)}
+            onRemove={(blockerId) => removeDependency(taskId, blockerId)}
+            onOpenTask={(id) => router.push(`/task-details?taskId=${id}`)}
+            editable={!task.completed}
+          />
+        </Animated.View>
+
         {/* Attachments Section */}
         <Animated.View 
           style={styles.section}
@@ -774,6 +848,15 @@ export default function TaskDetails() {
           </View>
         </Animated.View>
 
+        {/* Tags */}
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInUp.delay(225).springify()}
+        >
+          <Text style={[styles.label, { color: colors.textSecondary }]}>Etiquetas</Text>
+          <TagInput value={tags} onChange={setTags} suggestions={tagSuggestions} />
+        </Animated.View>
+
         {/* Due Date Selection */}
         <Animated.View 
           style={styles.section}
@@ -791,17 +874,30 @@ export default function TaskDetails() {
             placeholder="Agregar fecha límite"
           />
           
-          {/* Reminder Toggle */}
+          {/* Due time and reminders */}
           {dueDate && (
             <Animated.View
-              style={{ marginTop: spacing.md }}
+              style={{ marginTop: spacing.md, gap: spacing.md }}
               entering={FadeInUp.springify()}
             >
+              <DatePickerButton 
+                mode="time"
+                value={dueTime}
+                onChange={setDueTime}
+                placeholder="Agregar hora (opcional)"
+              />
               <ReminderToggle 
                 enabled={enableReminder}
                 onToggle={setEnableReminder}
-                label="Recordarme a las 9:00 AM"
+                label="Recordarme"
               />
+              {enableReminder && (
+                <ReminderOffsetPicker
+                  value={reminderOffsets}
+                  onChange={setReminderOffsets}
+                  hasDueTime={!!dueTime}
+                />
+              )}
             </Animated.View>
           )}
         </Animated.View>
@@ -906,6 +1002,20 @@ export default function TaskDetails() {
         counts={recurringCounts}
       />
 
+      {/* AI Subtask Breakdown Modal */}
+      <SubtaskBreakdownModal
+        visible={showBreakdownModal}
+        task={{ ...task, title, description }}
+        onClose={() => setShowBreakdownModal(false)}
+        onAccept={handleBreakdownAccept}
+      />
+
+      <PaywallModal
+        visible={showPaywall}
+        onClose={() => setShowPaywall(false)}
+        triggerFeature="ai_priorities"
+      />
+
       {/* Attachment Picker Modal */}
       <AttachmentPicker
         visible={showAttachmentPicker}
@@ -1166,6 +1276,27 @@ const styles = StyleSheet.create({
     marginBottom: spacing.md,
   },
   
+  subtasksHeaderActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+
+  breakdownButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+
+  breakdownButtonText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  
   subtasksProgress: {
     paddingVertical: spacing.xs,
     paddingHorizontal: spacing.md,
@@ -21,6 +21,8 @@ import * as Haptics from 'expo-haptics';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import { getFileIcon, formatFileSize, isImageType } from '../constants/storage';
+import { getUploadProgress, subscribeToUploadProgress } from '../services/attachmentStorageService';
+import { safeHaptics } from '../utils/feedback';
 
 export default function AttachmentCard({
   attachment,
@@ -32,6 +34,15 @@ export default function AttachmentCard({
   const { colors } = useTheme();
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [upload, setUpload] = useState(() => getUploadProgress(attachment.id));
+
+  // Follow upload progress for this attachment
+  useEffect(() => {
+    setUpload(getUploadProgress(attachment.id));
+    return subscribeToUploadProgress((attachmentId, state) => {
+      if (attachmentId === attachment.id) setUpload(state);
+    });
+  }, [attachment.id]);
 
   const isImage = isImageType(attachment.mimeType);
   const iconName = getFileIcon(attachment.mimeType);
@@ -46,12 +57,12 @@ export default function AttachmentCard({
   const config = sizeConfig[size];
 
   const handlePress = () => {
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
     onPress?.(attachment);
   };
 
   const handleDelete = () => {
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Medium);
     Alert.alert(
       'Eliminar adjunto',
       `¿Eliminar "${attachment.filename}"?`,
@@ -67,7 +78,7 @@ export default function AttachmentCard({
   };
 
   const handleLongPress = () => {
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Medium);
     handleDelete();
   };
 
@@ -108,7 +119,7 @@ export default function AttachmentCard({
             },
           ]}
         >
-          {isImage && !imageError ? (
+          {isImage && attachment.localUri && !imageError ? (
             <>
               <Image
                 source={{ uri: attachment.localUri }}
@@ -134,17 +145,29 @@ export default function AttachmentCard({
           )}
 
           {/* Upload status indicator */}
-          {attachment.uploadStatus === 'uploading' && (
-            <View style={[styles.statusBadge, { backgroundColor: colors.warning }]}>
-              <Ionicons name="cloud-upload" size={12} color={colors.white} />
-            </View>
-          )}
-
-          {attachment.uploadStatus === 'uploaded' && (
+          {upload ? (
+            <>
+              <View style={[styles.statusBadge, { backgroundColor: colors.warning }]}>
+                <Ionicons name="cloud-upload" size={12} color={colors.white} />
+              </View>
+              <View style={[styles.progressTrack, { backgroundColor: colors.glassMedium }]}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    { backgroundColor: colors.accentPurple, width: `${Math.round(upload.progress * 100)}%` },
+                  ]}
+                />
+              </View>
+            </>
+          ) : attachment.uploadStatus === 'uploaded' ? (
             <View style={[styles.statusBadge, { backgroundColor: colors.success }]}>
               <Ionicons name="cloud-done" size={12} color={colors.white} />
             </View>
-          )}
+          ) : attachment.uploadStatus === 'failed' ? (
+            <View style={[styles.statusBadge, { backgroundColor: colors.error }]}>
+              <Ionicons name="cloud-offline" size={12} color={colors.white} />
+            </View>
+          ) : null}
 
           {/* Delete button */}
           {showActions && (
@@ -226,6 +249,20 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
   },
 
+  progressTrack: {
+    position: 'absolute',
+    left: 4,
+    right: 28,
+    bottom: 11,
+    height: 4,
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+
+  progressFill: {
+    height: '100%',
+  },
+
   deleteButton: {
     position: 'absolute',
     top: 4,
@@ -17,6 +17,7 @@ import {
   Platform,
   ScrollView,
   Alert,
+  ActivityIndicator,
 } from 'react-native';
 import Animated, {
   FadeIn,
@@ -32,6 +33,8 @@ import { BlurView } from 'expo-blur';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, typography, borderRadius } from '../constants/theme';
 import { formatFileSize, isImageType } from '../constants/storage';
+import { resolveAttachmentUri } from '../services/attachmentStorageService';
+import { safeHaptics } from '../utils/feedback';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -45,6 +48,9 @@ export default function AttachmentViewer({
   const { colors, isDarkMode } = useTheme();
   const [currentIndex, setCurrentIndex] = useState(0);
   const scrollRef = useRef(null);
+  // Local file URIs by attachment ID (downloaded on first view when needed)
+  const [resolvedUris, setResolvedUris] = useState({});
+  const [loadErrors, setLoadErrors] = useState({});
 
   // Initialize index based on selected attachment
   React.useEffect(() => {
@@ -59,6 +65,25 @@ export default function AttachmentViewer({
 
   const currentAttachment = attachments[currentIndex] || attachment;
 
+  // Resolve the visible attachment's file, downloading it if not on this device
+  React.useEffect(() => {
+    if (!visible || !currentAttachment || resolvedUris[currentAttachment.id]) return;
+
+    let cancelled = false;
+    resolveAttachmentUri(currentAttachment)
+      .then((uri) => {
+        if (!cancelled) setResolvedUris((prev) => ({ ...prev, [currentAttachment.id]: uri }));
+      })
+      .catch((error) => {
+        console.error('Error loading attachment:', error);
+        if (!cancelled) setLoadErrors((prev) => ({ ...prev, [currentAttachment.id]: error.message }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, currentAttachment?.id]);
+
   if (!currentAttachment) {
     return null;
   }
@@ -67,10 +92,11 @@ export default function AttachmentViewer({
 
   const handleShare = async () => {
     try {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
       const isAvailable = await Sharing.isAvailableAsync();
       if (isAvailable) {
-        await Sharing.shareAsync(currentAttachment.localUri);
+        const uri = resolvedUris[currentAttachment.id] || await resolveAttachmentUri(currentAttachment);
+        await Sharing.shareAsync(uri);
       } else {
         Alert.alert('No disponible', 'Compartir no está disponible en este dispositivo');
       }
@@ -81,7 +107,7 @@ export default function AttachmentViewer({
   };
 
   const handleDelete = () => {
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Medium);
     Alert.alert(
       'Eliminar adjunto',
       `¿Eliminar "${currentAttachment.filename}"?`,
@@ -104,7 +130,7 @@ export default function AttachmentViewer({
     const newIndex = Math.round(offsetX / SCREEN_WIDTH);
     if (newIndex !== currentIndex && newIndex >= 0 && newIndex < attachments.length) {
       setCurrentIndex(newIndex);
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
     }
   };
 
@@ -176,7 +202,16 @@ export default function AttachmentViewer({
         >
           {(attachments.length > 0 ? attachments : [attachment]).map((att, index) => (
             <View key={att.id} style={styles.slide}>
-              {isImageType(att.mimeType) ? (
+              {loadErrors[att.id] ? (
+                <View style={styles.documentPreview}>
+                  <Ionicons name="cloud-offline-outline" size={64} color={colors.textTertiary} />
+                  <Text style={[styles.documentType, { color: colors.textSecondary }]}>
+                    {loadErrors[att.id]}
+                  </Text>
+                </View>
+              ) : !resolvedUris[att.id] ? (
+                <ActivityIndicator size="large" color={colors.accentPurple} />
+              ) : isImageType(att.mimeType) ? (
                 <ScrollView
                   maximumZoomScale={4}
                   minimumZoomScale={1}
@@ -185,7 +220,7 @@ export default function AttachmentViewer({
                   contentContainerStyle={styles.imageScrollContent}
                 >
                   <Image
-                    source={{ uri: att.localUri }}
+                    source={{ uri: resolvedUris[att.id] }}
                     style={styles.image}
                     resizeMode="contain"
                   />
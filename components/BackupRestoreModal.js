@@ -0,0 +1,395 @@
+/**
+ * BackupRestoreModal - Preview and restore a cloud backup
+ * TaskList App - Phase 2 Cloud Backup
+ *
+ * Shows what a backup contains compared with the current tasks and
+ * lets the user restore it in one of three modes:
+ * - Replace all tasks
+ * - Merge (add missing, keep newer)
+ * - Restore selected tasks only
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Pressable,
+  ScrollView,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { RESTORE_MODES } from '../services/backupService';
+
+const MODES = [
+  {
+    id: RESTORE_MODES.REPLACE,
+    icon: 'swap-horizontal-outline',
+    title: 'Reemplazar todo',
+    description: 'Tus tareas actuales se sustituyen por las del respaldo',
+  },
+  {
+    id: RESTORE_MODES.MERGE,
+    icon: 'git-merge-outline',
+    title: 'Combinar',
+    description: 'Se añaden las que faltan y se conserva la versión más reciente',
+  },
+  {
+    id: RESTORE_MODES.SELECTED,
+    icon: 'checkbox-outline',
+    title: 'Solo las seleccionadas',
+    description: 'Elige qué tareas del respaldo quieres recuperar',
+  },
+];
+
+/**
+ * Diff summary pill
+ */
+const DiffStat = ({ value, label, color, colors }) => (
+  <View style={[styles.diffStat, { backgroundColor: color + '15' }]}>
+    <Text style={[styles.diffValue, { color }]}>{value}</Text>
+    <Text style={[styles.diffLabel, { color: colors.textSecondary }]}>{label}</Text>
+  </View>
+);
+
+/**
+ * BackupRestoreModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {boolean} props.loading - Whether the preview is being downloaded
+ * @param {Object|null} props.preview - Result of getBackupPreview
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onRestore - Called with (mode, taskIds)
+ */
+const BackupRestoreModal = ({ visible, loading, preview, onClose, onRestore }) => {
+  const { colors } = useTheme();
+  const [mode, setMode] = useState(RESTORE_MODES.MERGE);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Reset selection when a different backup is opened
+  useEffect(() => {
+    setMode(RESTORE_MODES.MERGE);
+    setSelectedIds([]);
+  }, [preview?.backup?.id]);
+
+  // Status of each backup task compared with current tasks
+  const taskStatus = useMemo(() => {
+    const status = new Map();
+    if (!preview) return status;
+    preview.diff.added.forEach(t => status.set(t.id, 'added'));
+    preview.diff.changed.forEach(c => status.set(c.backup.id, 'changed'));
+    return status;
+  }, [preview]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev =>
+      prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]
+    );
+  };
+
+  const canConfirm = !!preview && (mode !== RESTORE_MODES.SELECTED || selectedIds.length > 0);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={[styles.iconContainer, { backgroundColor: colors.accentPurple + '20' }]}>
+              <Ionicons name="cloud-download-outline" size={24} color={colors.accentPurple} />
+            </View>
+            <Text style={[styles.title, { color: colors.textPrimary }]}>
+              Restaurar respaldo
+            </Text>
+            {preview && (
+              <Text style={[styles.subtitle, { color: colors.textTertiary }]}>
+                {preview.tasks.length} tareas en el respaldo
+              </Text>
+            )}
+          </View>
+
+          {loading || !preview ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color={colors.accentPurple} />
+            </View>
+          ) : (
+            <>
+              {/* Diff summary */}
+              <View style={styles.diffRow}>
+                <DiffStat value={preview.diff.added.length} label="Nuevas" color={colors.success} colors={colors} />
+                <DiffStat value={preview.diff.changed.length} label="Distintas" color={colors.warning} colors={colors} />
+                <DiffStat value={preview.diff.removed.length} label="Solo actuales" color={colors.error} colors={colors} />
+                <DiffStat value={preview.diff.unchanged} label="Iguales" color={colors.textTertiary} colors={colors} />
+              </View>
+
+              {/* Restore mode */}
+              <View style={styles.modeContainer}>
+                {MODES.map(option => {
+                  const selected = mode === option.id;
+                  return (
+                    <Pressable
+                      key={option.id}
+                      style={[
+                        styles.modeOption,
+                        {
+                          backgroundColor: selected ? colors.accentPurple + '15' : colors.glassMedium,
+                          borderColor: selected ? colors.accentPurple : colors.glassBorder,
+                        },
+                      ]}
+                      onPress={() => setMode(option.id)}
+                    >
+                      <Ionicons
+                        name={option.icon}
+                        size={18}
+                        color={selected ? colors.accentPurple : colors.textSecondary}
+                      />
+                      <View style={styles.modeContent}>
+                        <Text style={[styles.modeTitle, { color: selected ? colors.accentPurple : colors.textPrimary }]}>
+                          {option.title}
+                        </Text>
+                        <Text style={[styles.modeDescription, { color: colors.textTertiary }]}>
+                          {option.description}
+                        </Text>
+                      </View>
+                    </Pressable>
+                  );
+                })}
+              </View>
+
+              {/* Task picker for selected mode */}
+              {mode === RESTORE_MODES.SELECTED && (
+                <ScrollView style={[styles.taskList, { borderColor: colors.glassBorder }]}>
+                  {preview.tasks.map(task => {
+                    const checked = selectedIds.includes(task.id);
+                    const status = taskStatus.get(task.id);
+                    return (
+                      <Pressable
+                        key={task.id}
+                        style={styles.taskRow}
+                        onPress={() => toggleSelected(task.id)}
+                      >
+                        <Ionicons
+                          name={checked ? 'checkbox' : 'square-outline'}
+                          size={20}
+                          color={checked ? colors.accentPurple : colors.textTertiary}
+                        />
+                        <Text style={[styles.taskTitle, { color: colors.textPrimary }]} numberOfLines={1}>
+                          {task.title}
+                        </Text>
+                        {status && (
+                          <Text style={[
+                            styles.taskStatus,
+                            { color: status === 'added' ? colors.success : colors.warning },
+                          ]}>
+                            {status === 'added' ? 'Nueva' : 'Distinta'}
+                          </Text>
+                        )}
+                      </Pressable>
+                    );
+                  })}
+                </ScrollView>
+              )}
+
+              {/* Warning for replace */}
+              {mode === RESTORE_MODES.REPLACE && preview.diff.removed.length > 0 && (
+                <View style={[styles.warningBanner, { backgroundColor: colors.error + '15' }]}>
+                  <Ionicons name="warning" size={18} color={colors.error} />
+                  <Text style={[styles.warningText, { color: colors.error }]}>
+                    Se eliminarán {preview.diff.removed.length} tareas que no están en el respaldo
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
+
+          {/* Action Buttons */}
+          <View style={styles.buttonRow}>
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                Cancelar
+              </Text>
+            </Pressable>
+
+            <Pressable
+              style={[
+                styles.confirmButton,
+                { backgroundColor: colors.accentPurple, opacity: canConfirm ? 1 : 0.5 },
+              ]}
+              onPress={() => onRestore(mode, selectedIds)}
+              disabled={!canConfirm}
+            >
+              <Text style={[styles.confirmText, { color: colors.white }]}>
+                Restaurar
+              </Text>
+            </Pressable>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+    maxHeight: '90%',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: typography.fontSize.md,
+    textAlign: 'center',
+  },
+  loadingContainer: {
+    paddingVertical: spacing.xxl,
+    alignItems: 'center',
+  },
+  diffRow: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+  diffStat: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  diffValue: {
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.bold,
+  },
+  diffLabel: {
+    fontSize: typography.fontSize.xs,
+  },
+  modeContainer: {
+    gap: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+  modeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    gap: spacing.md,
+  },
+  modeContent: {
+    flex: 1,
+  },
+  modeTitle: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  modeDescription: {
+    fontSize: typography.fontSize.sm,
+  },
+  taskList: {
+    maxHeight: 200,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.lg,
+  },
+  taskRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  taskTitle: {
+    flex: 1,
+    fontSize: typography.fontSize.md,
+  },
+  taskStatus: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  warningBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.lg,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default BackupRestoreModal;
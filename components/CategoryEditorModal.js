@@ -0,0 +1,391 @@
+/**
+ * CategoryEditorModal - Create or edit a category
+ * Task List App 2026
+ *
+ * Name, color and icon of a category. When editing, the category can also
+ * be merged into another one or deleted; both move its tasks.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  Pressable,
+  ScrollView,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { CATEGORY_COLORS, CATEGORY_ICONS, MAX_CATEGORY_NAME_LENGTH } from '../utils/categories';
+
+/**
+ * CategoryEditorModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {Object|null} props.category - Category to edit, or null to create one
+ * @param {Array} props.categories - All live categories (merge targets)
+ * @param {number} [props.taskCount] - Tasks in the category being edited
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onSave - Called with { name, color, icon }; resolves to { error? }
+ * @param {Function} props.onMerge - Called with the target category ID
+ * @param {Function} props.onDelete - Called to delete the category
+ */
+const CategoryEditorModal = ({
+  visible,
+  category,
+  categories,
+  taskCount = 0,
+  onClose,
+  onSave,
+  onMerge,
+  onDelete,
+}) => {
+  const { colors } = useTheme();
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(CATEGORY_COLORS[0]);
+  const [icon, setIcon] = useState(CATEGORY_ICONS[0]);
+  const [error, setError] = useState(null);
+  const [showMergeTargets, setShowMergeTargets] = useState(false);
+
+  const isEditing = !!category;
+  const mergeTargets = categories.filter((c) => c.id !== category?.id);
+
+  // Start from the category being edited every time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+    setName(category?.name || '');
+    setColor(category?.color || CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length]);
+    setIcon(category?.icon || CATEGORY_ICONS[0]);
+    setError(null);
+    setShowMergeTargets(false);
+  }, [visible, category]);
+
+  const handleSave = async () => {
+    const result = await onSave({ name, color, icon });
+    if (result?.error) {
+      setError(result.error);
+    }
+  };
+
+  const handleMerge = (target) => {
+    Alert.alert(
+      'Combinar categorías',
+      `Las tareas de "${category.name}" (${taskCount}) pasarán a "${target.name}" y "${category.name}" se eliminará.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Combinar', onPress: () => onMerge(target.id) },
+      ]
+    );
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Eliminar categoría',
+      taskCount > 0
+        ? `"${category.name}" tiene ${taskCount} tareas. Pasarán a la categoría por defecto.`
+        : `¿Eliminar "${category.name}"?`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Eliminar', style: 'destructive', onPress: onDelete },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          <ScrollView keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+            {/* Header with live preview */}
+            <View style={styles.header}>
+              <View style={[styles.iconContainer, { backgroundColor: color + '25' }]}>
+                <Ionicons name={icon} size={26} color={color} />
+              </View>
+              <Text style={[styles.title, { color: colors.textPrimary }]}>
+                {isEditing ? 'Editar categoría' : 'Nueva categoría'}
+              </Text>
+            </View>
+
+            {/* Name */}
+            <TextInput
+              style={[
+                styles.input,
+                { backgroundColor: colors.glassMedium, borderColor: error ? colors.error : colors.glassBorder, color: colors.textPrimary },
+              ]}
+              value={name}
+              onChangeText={(text) => {
+                setName(text);
+                setError(null);
+              }}
+              placeholder="Nombre (ej. Cliente Acme)"
+              placeholderTextColor={colors.textTertiary}
+              maxLength={MAX_CATEGORY_NAME_LENGTH}
+              autoFocus={!isEditing}
+            />
+            {error && <Text style={[styles.errorText, { color: colors.error }]}>{error}</Text>}
+
+            {/* Color */}
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Color</Text>
+            <View style={styles.swatches}>
+              {CATEGORY_COLORS.map((option) => (
+                <Pressable
+                  key={option}
+                  style={[
+                    styles.swatch,
+                    { backgroundColor: option },
+                    color === option && { borderColor: colors.textPrimary },
+                  ]}
+                  onPress={() => setColor(option)}
+                >
+                  {color === option && <Ionicons name="checkmark" size={16} color={colors.white} />}
+                </Pressable>
+              ))}
+            </View>
+
+            {/* Icon */}
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Icono</Text>
+            <View style={styles.icons}>
+              {CATEGORY_ICONS.map((option) => (
+                <Pressable
+                  key={option}
+                  style={[
+                    styles.iconOption,
+                    { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                    icon === option && { backgroundColor: color + '25', borderColor: color },
+                  ]}
+                  onPress={() => setIcon(option)}
+                >
+                  <Ionicons name={option} size={20} color={icon === option ? color : colors.textSecondary} />
+                </Pressable>
+              ))}
+            </View>
+
+            {/* Merge and delete */}
+            {isEditing && mergeTargets.length > 0 && (
+              <View style={styles.dangerZone}>
+                <Pressable
+                  style={[styles.secondaryButton, { borderColor: colors.glassBorder }]}
+                  onPress={() => setShowMergeTargets(!showMergeTargets)}
+                >
+                  <Ionicons name="git-merge-outline" size={18} color={colors.textSecondary} />
+                  <Text style={[styles.secondaryText, { color: colors.textSecondary }]}>Combinar con otra</Text>
+                </Pressable>
+
+                {showMergeTargets && (
+                  <View style={styles.mergeTargets}>
+                    {mergeTargets.map((target) => (
+                      <Pressable
+                        key={target.id}
+                        style={[styles.mergeTarget, { backgroundColor: target.color + '20', borderColor: target.color }]}
+                        onPress={() => handleMerge(target)}
+                      >
+                        <Ionicons name={target.icon} size={14} color={target.color} />
+                        <Text style={[styles.mergeTargetText, { color: target.color }]}>{target.name}</Text>
+                      </Pressable>
+                    ))}
+                  </View>
+                )}
+
+                <Pressable
+                  style={[styles.secondaryButton, { borderColor: colors.error + '60' }]}
+                  onPress={handleDelete}
+                >
+                  <Ionicons name="trash-outline" size={18} color={colors.error} />
+                  <Text style={[styles.secondaryText, { color: colors.error }]}>Eliminar categoría</Text>
+                </Pressable>
+              </View>
+            )}
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonRow}>
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                Cancelar
+              </Text>
+            </Pressable>
+
+            <Pressable
+              style={[
+                styles.confirmButton,
+                { backgroundColor: colors.accentPurple },
+                !name.trim() && styles.confirmDisabled,
+              ]}
+              onPress={handleSave}
+              disabled={!name.trim()}
+            >
+              <Text style={[styles.confirmText, { color: colors.white }]}>
+                {isEditing ? 'Guardar' : 'Crear'}
+              </Text>
+            </Pressable>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+    maxHeight: '90%',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+  input: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.md,
+    fontSize: typography.fontSize.md,
+  },
+  errorText: {
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.xs,
+  },
+  label: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+    marginTop: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  swatches: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  swatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  icons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  iconOption: {
+    width: 40,
+    height: 40,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dangerZone: {
+    gap: spacing.sm,
+    marginTop: spacing.xl,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+  },
+  secondaryText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+  mergeTargets: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  mergeTarget: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+  mergeTargetText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginTop: spacing.lg,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmDisabled: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default CategoryEditorModal;
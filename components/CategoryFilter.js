@@ -1,6 +1,11 @@
 /**
- * CategoryFilter - Horizontal Category Chips
+ * CategoryFilter - Horizontal Category and Tag Chips
  * Task List App 2025
+ *
+ * "Todas", the pinned smart lists (with their pending count), the user's
+ * categories, then the tags in use. A category and a tag can be selected
+ * at the same time; tapping a selected tag clears it. A smart list is
+ * selected on its own; long-pressing it opens its editor.
  */
 
 import React from 'react';
@@ -13,12 +18,40 @@ import Animated, {
   FadeInRight,
 } from 'react-native-reanimated';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, categories } from '../constants/theme';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, borderRadius, typography, categories as defaultCategories } from '../constants/theme';
 
 const AnimatedPressable = Animated.createAnimatedComponent(Pressable);
 
-export default function CategoryFilter({ selected, onSelect }) {
+/**
+ * @param {Object} props
+ * @param {string} props.selected - Selected category ID ('all' for none)
+ * @param {Function} props.onSelect - Called with a category ID
+ * @param {Array<string>} [props.tags] - Tags to offer
+ * @param {string|null} [props.selectedTag] - Selected tag
+ * @param {Function} [props.onSelectTag] - Called with a tag, or null to clear it
+ * @param {Array} [props.smartLists] - Pinned smart lists, each with a `count`
+ * @param {string|null} [props.selectedSmartList] - Selected smart list ID
+ * @param {Function} [props.onSelectSmartList] - Called with a smart list ID, or null to clear it
+ * @param {Function} [props.onEditSmartList] - Called with a smart list on long press
+ * @param {Function} [props.onAddSmartList] - Shows a "Nueva lista" chip that calls it
+ */
+export default function CategoryFilter({
+  selected,
+  onSelect,
+  tags = [],
+  selectedTag = null,
+  onSelectTag,
+  smartLists = [],
+  selectedSmartList = null,
+  onSelectSmartList,
+  onEditSmartList,
+  onAddSmartList,
+}) {
   const { colors } = useTheme();
+  const { categories } = useCategories();
+  const chips = [defaultCategories.all, ...categories];
+  const listChips = onSelectSmartList ? smartLists : [];
   
   return (
     <ScrollView 
@@ -30,21 +63,59 @@ export default function CategoryFilter({ selected, onSelect }) {
       alwaysBounceHorizontal={true}
       style={styles.scrollView}
     >
-      {Object.values(categories).map((category, index) => (
+      <CategoryChip
+        category={defaultCategories.all}
+        isSelected={!selectedSmartList && selected === defaultCategories.all.id}
+        onPress={() => onSelect(defaultCategories.all.id)}
+        delay={0}
+        colors={colors}
+      />
+      {listChips.map((list, index) => (
+        <CategoryChip
+          key={`list-${list.id}`}
+          category={list}
+          count={list.count}
+          isSelected={selectedSmartList === list.id}
+          onPress={() => onSelectSmartList(selectedSmartList === list.id ? null : list.id)}
+          onLongPress={onEditSmartList && (() => onEditSmartList(list))}
+          delay={(index + 1) * 50}
+          colors={colors}
+        />
+      ))}
+      {categories.map((category, index) => (
         <CategoryChip
           key={category.id}
           category={category}
-          isSelected={selected === category.id}
+          isSelected={!selectedSmartList && selected === category.id}
           onPress={() => onSelect(category.id)}
-          delay={index * 50}
+          delay={(listChips.length + index + 1) * 50}
+          colors={colors}
+        />
+      ))}
+      {onSelectTag && tags.map((tag, index) => (
+        <CategoryChip
+          key={`tag-${tag}`}
+          category={{ id: tag, name: `#${tag}`, icon: 'pricetag-outline', color: colors.accentPink }}
+          isSelected={!selectedSmartList && selectedTag === tag}
+          onPress={() => onSelectTag(selectedTag === tag ? null : tag)}
+          delay={(listChips.length + chips.length + index) * 50}
           colors={colors}
         />
       ))}
+      {onAddSmartList && (
+        <CategoryChip
+          category={{ id: 'add-list', name: 'Nueva lista', icon: 'add', color: colors.accentPurple }}
+          isSelected={false}
+          onPress={onAddSmartList}
+          delay={(listChips.length + chips.length + tags.length) * 50}
+          colors={colors}
+        />
+      )}
     </ScrollView>
   );
 }
 
-function CategoryChip({ category, isSelected, onPress, delay, colors }) {
+function CategoryChip({ category, count, isSelected, onPress, onLongPress, delay, colors }) {
   const scale = useSharedValue(1);
   
   const handlePressIn = () => {
@@ -74,6 +145,7 @@ function CategoryChip({ category, isSelected, onPress, delay, colors }) {
         onPressIn={handlePressIn}
         onPressOut={handlePressOut}
         onPress={onPress}
+        onLongPress={onLongPress}
       >
         <Ionicons 
           name={category.icon} 
@@ -87,6 +159,13 @@ function CategoryChip({ category, isSelected, onPress, delay, colors }) {
         ]}>
           {category.name}
         </Text>
+        {count !== undefined && (
+          <View style={[styles.countBadge, { backgroundColor: (isSelected ? category.color : colors.textTertiary) + '30' }]}>
+            <Text style={[styles.countText, { color: isSelected ? category.color : colors.textSecondary }]}>
+              {count}
+            </Text>
+          </View>
+        )}
       </AnimatedPressable>
     </Animated.View>
   );
@@ -120,5 +199,18 @@ const styles = StyleSheet.create({
     fontSize: typography.fontSize.sm,
     fontWeight: typography.fontWeight.medium,
   },
+
+  countBadge: {
+    minWidth: 20,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: borderRadius.full,
+    alignItems: 'center',
+  },
+
+  countText: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.bold,
+  },
 });
 
@@ -1,6 +1,8 @@
 /**
  * DatePickerButton - Due Date Selector
  * Task List App 2026
+ *
+ * With mode="time" it picks a time of day instead (e.g. the due time).
  */
 
 import React, { useState } from 'react';
@@ -10,22 +12,11 @@ import { Ionicons } from '@expo/vector-icons';
 import Animated, { FadeIn, FadeOut } from 'react-native-reanimated';
 import * as Haptics from 'expo-haptics';
 import { colors, spacing, borderRadius, typography } from '../constants/theme';
+import { formatTimeOfDay, timeOfDayToDate } from '../utils/dateHelpers';
+import { safeHaptics } from '../utils/feedback';
 
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
-
-export default function DatePickerButton({ value, onChange, placeholder = "Sin fecha límite" }) {
+export default function DatePickerButton({ value, onChange, placeholder = "Sin fecha límite", mode = 'date' }) {
+  const isTimeMode = mode === 'time';
   const [showPicker, setShowPicker] = useState(false);
   const [tempDate, setTempDate] = useState(value || new Date());
   
@@ -65,6 +56,10 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
   const formatDate = (date) => {
     if (!date) return null;
     
+    if (isTimeMode) {
+      return date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+    }
+    
     const today = new Date();
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -83,7 +78,7 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
   };
   
   // Check if date is overdue
-  const isOverdue = value && value < new Date() && value.toDateString() !== new Date().toDateString();
+  const isOverdue = !isTimeMode && value && value < new Date() && value.toDateString() !== new Date().toDateString();
   
   return (
     <>
@@ -97,7 +92,7 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
       >
         <View style={styles.iconContainer}>
           <Ionicons 
-            name={value ? "calendar" : "calendar-outline"} 
+            name={isTimeMode ? (value ? "time" : "time-outline") : (value ? "calendar" : "calendar-outline")} 
             size={20} 
             color={isOverdue ? colors.error : value ? colors.accentCyan : colors.textTertiary} 
           />
@@ -140,7 +135,7 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
                 <Pressable onPress={handleCancel}>
                   <Text style={styles.pickerCancelText}>Cancelar</Text>
                 </Pressable>
-                <Text style={styles.pickerTitle}>Fecha límite</Text>
+                <Text style={styles.pickerTitle}>{isTimeMode ? 'Hora límite' : 'Fecha límite'}</Text>
                 <Pressable onPress={handleConfirm}>
                   <Text style={styles.pickerConfirmText}>Confirmar</Text>
                 </Pressable>
@@ -148,10 +143,10 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
               
               <DateTimePicker
                 value={tempDate}
-                mode="date"
+                mode={mode}
                 display="spinner"
                 onChange={handleChange}
-                minimumDate={new Date()}
+                minimumDate={isTimeMode ? undefined : new Date()}
                 textColor={colors.textPrimary}
                 themeVariant="dark"
                 style={styles.picker}
@@ -165,10 +160,10 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
       {Platform.OS === 'android' && showPicker && (
         <DateTimePicker
           value={tempDate}
-          mode="date"
+          mode={mode}
           display="default"
           onChange={handleChange}
-          minimumDate={new Date()}
+          minimumDate={isTimeMode ? undefined : new Date()}
         />
       )}
       
@@ -186,9 +181,9 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
               entering={FadeIn}
               exiting={FadeOut}
             >
-              <Text style={styles.pickerTitle}>Seleccionar fecha</Text>
+              <Text style={styles.pickerTitle}>{isTimeMode ? 'Seleccionar hora' : 'Seleccionar fecha'}</Text>
               <input
-                type="date"
+                type={mode}
                 style={{
                   backgroundColor: colors.bgSecondary,
                   color: colors.textPrimary,
@@ -198,10 +193,12 @@ export default function DatePickerButton({ value, onChange, placeholder = "Sin f
                   fontSize: 16,
                   marginVertical: spacing.lg,
                 }}
-                min={new Date().toISOString().split('T')[0]}
-                defaultValue={tempDate.toISOString().split('T')[0]}
+                min={isTimeMode ? undefined : new Date().toISOString().split('T')[0]}
+                defaultValue={isTimeMode ? formatTimeOfDay(tempDate) : tempDate.toISOString().split('T')[0]}
                 onChange={(e) => {
-                  const newDate = new Date(e.target.value);
+                  const newDate = isTimeMode
+                    ? timeOfDayToDate(e.target.value)
+                    : new Date(e.target.value);
                   onChange(newDate);
                   setShowPicker(false);
                 }}
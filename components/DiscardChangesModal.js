@@ -29,20 +29,7 @@ import * as Haptics from 'expo-haptics';
 
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
-
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
+import { safeHaptics } from '../utils/feedback';
 
 export default function DiscardChangesModal({ 
   visible, 
@@ -12,7 +12,6 @@ import React, { useState, useCallback } from 'react';
 import {
   View,
   StyleSheet,
-  Platform,
 } from 'react-native';
 import Animated, {
   useSharedValue,
@@ -28,15 +27,7 @@ import * as Haptics from 'expo-haptics';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius } from '../constants/theme';
 import SubtaskItem from './SubtaskItem';
-
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
+import { safeHaptics } from '../utils/feedback';
 
 const ITEM_HEIGHT = 58; // Approximate height of SubtaskItem
 
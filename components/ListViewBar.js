@@ -0,0 +1,209 @@
+/**
+ * ListViewBar Component
+ * Task List App 2026
+ *
+ * Sort and group pickers for the home task list. With manual order it
+ * also offers a button to rearrange the tasks by dragging (and to finish
+ * while rearranging).
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { SORT_OPTIONS, GROUP_OPTIONS, SORT_MODES } from '../utils/taskOrdering';
+
+const PICKERS = {
+  sort: { title: 'Ordenar por', options: SORT_OPTIONS },
+  group: { title: 'Agrupar por', options: GROUP_OPTIONS },
+};
+
+export default function ListViewBar({
+  sortBy,
+  groupBy,
+  onChangeSort,
+  onChangeGroup,
+  onReorder,
+  isReordering = false,
+  isScoring = false,
+}) {
+  const { colors } = useTheme();
+  const [picker, setPicker] = useState(null); // 'sort' | 'group' while open
+
+  const sortOption = SORT_OPTIONS.find((option) => option.value === sortBy) || SORT_OPTIONS[0];
+  const groupOption = GROUP_OPTIONS.find((option) => option.value === groupBy) || GROUP_OPTIONS[0];
+  const current = picker === 'sort' ? sortBy : groupBy;
+
+  const handlePick = (value) => {
+    if (picker === 'sort') onChangeSort(value);
+    else onChangeGroup(value);
+    setPicker(null);
+  };
+
+  const renderPill = (key, option, label) => (
+    <TouchableOpacity
+      style={[styles.pill, { backgroundColor: colors.glassLight, borderColor: colors.glassBorder }]}
+      onPress={() => setPicker(key)}
+    >
+      <Ionicons name={option.icon} size={14} color={colors.textSecondary} />
+      <Text style={[styles.pillText, { color: colors.textSecondary }]} numberOfLines={1}>
+        {label}: {option.label}
+      </Text>
+      <Ionicons name="chevron-down" size={12} color={colors.textTertiary} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {renderPill('sort', sortOption, 'Orden')}
+      {renderPill('group', groupOption, 'Grupos')}
+
+      {isScoring && <ActivityIndicator size="small" color={colors.accentPurple} />}
+
+      {sortBy === SORT_MODES.MANUAL && onReorder && (
+        <TouchableOpacity
+          style={styles.reorderButton}
+          onPress={onReorder}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+          <Ionicons
+            name={isReordering ? 'checkmark' : 'swap-vertical'}
+            size={16}
+            color={colors.accentPurple}
+          />
+          <Text style={[styles.reorderText, { color: colors.accentPurple }]}>
+            {isReordering ? 'Listo' : 'Reordenar'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      <Modal
+        visible={!!picker}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setPicker(null)}
+      >
+        <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={() => setPicker(null)}>
+          <View style={[styles.sheet, { backgroundColor: colors.bgPrimary }]}>
+            <View style={[styles.handle, { backgroundColor: colors.glassBorder }]} />
+            <Text style={[styles.sheetTitle, { color: colors.textPrimary }]}>
+              {picker && PICKERS[picker].title}
+            </Text>
+
+            <ScrollView showsVerticalScrollIndicator={false}>
+              {picker && PICKERS[picker].options.map((option) => {
+                const isSelected = option.value === current;
+                return (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.option, isSelected && { backgroundColor: colors.accentPurple + '10' }]}
+                    onPress={() => handlePick(option.value)}
+                  >
+                    <Ionicons
+                      name={option.icon}
+                      size={20}
+                      color={isSelected ? colors.accentPurple : colors.textSecondary}
+                    />
+                    <Text style={[styles.optionText, { color: colors.textPrimary }]}>{option.label}</Text>
+                    {isSelected && <Ionicons name="checkmark-circle" size={20} color={colors.accentPurple} />}
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginHorizontal: spacing.xl,
+    marginBottom: spacing.xs,
+  },
+
+  pill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    flexShrink: 1,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+  },
+
+  pillText: {
+    flexShrink: 1,
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  reorderButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    marginLeft: 'auto',
+  },
+
+  reorderText: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    paddingTop: spacing.sm,
+    paddingBottom: 40,
+    maxHeight: '70%',
+  },
+
+  handle: {
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginBottom: spacing.lg,
+  },
+
+  sheetTitle: {
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+    paddingHorizontal: spacing.xl,
+    marginBottom: spacing.sm,
+  },
+
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.xl,
+  },
+
+  optionText: {
+    flex: 1,
+    fontSize: typography.fontSize.md,
+  },
+});
@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { View, Text, StyleSheet, Pressable, Platform } from 'react-native';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useRouter } from 'expo-router';
@@ -22,15 +22,7 @@ import * as Haptics from 'expo-haptics';
 import { usePomodoro, POMODORO_MODES } from '../context/PomodoroContext';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
-
-// Safe haptics wrapper
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
+import { safeHaptics } from '../utils/feedback';
 
 const AnimatedPressable = Animated.createAnimatedComponent(Pressable);
 
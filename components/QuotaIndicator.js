@@ -5,7 +5,7 @@
  * Visual progress indicators for usage quotas
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import {
   View,
   Text,
@@ -172,6 +172,92 @@ export const StorageQuotaIndicator = ({ showLabel = true }) => {
   );
 };
 
+/**
+ * Linear progress bar for monthly AI requests (credits)
+ */
+export const AiQuotaIndicator = ({ showLabel = true }) => {
+  const { theme } = useTheme();
+  const { usage, getCurrentTier, getRemainingAiRequests, refreshUsage } = useSubscription();
+
+  // AI calls are metered server-side; fetch the latest count when shown
+  useEffect(() => {
+    refreshUsage();
+  }, [refreshUsage]);
+
+  const tier = getCurrentTier();
+  const limit = tier.limits.aiRequestsPerMonth;
+  const current = usage.aiRequestsThisMonth || 0;
+  const remaining = getRemainingAiRequests();
+
+  const header = (value) => showLabel && (
+    <View style={styles.storageHeader}>
+      <Ionicons name="sparkles-outline" size={16} color={theme.textSecondary} />
+      <Text style={[styles.storageLabel, { color: theme.textSecondary }]}>
+        AI credits
+      </Text>
+      {value}
+    </View>
+  );
+
+  // Unlimited
+  if (limit === -1) {
+    return showLabel ? (
+      <View style={styles.storageContainer}>
+        {header(null)}
+        <View style={styles.unlimitedRow}>
+          <Ionicons name="infinite" size={16} color={theme.primary} />
+          <Text style={[styles.unlimitedText, { color: theme.textSecondary }]}>
+            Unlimited
+          </Text>
+        </View>
+      </View>
+    ) : null;
+  }
+
+  // Not part of this plan
+  if (limit === 0) {
+    return showLabel ? (
+      <View style={styles.storageContainer}>
+        {header(null)}
+        <Text style={[styles.labelText, { color: theme.textSecondary }]}>
+          Not included in the {tier.name} plan
+        </Text>
+      </View>
+    ) : null;
+  }
+
+  const percent = Math.min(100, Math.round((current / limit) * 100));
+  const status = getQuotaStatus(percent);
+
+  return (
+    <View style={styles.storageContainer}>
+      {header(
+        <Text style={[styles.storageValue, { color: theme.text }]}>
+          {remaining} / {limit} left
+        </Text>
+      )}
+
+      <View style={[styles.progressBarBackground, { backgroundColor: theme.border }]}>
+        <View
+          style={[
+            styles.progressBarFill,
+            {
+              width: `${percent}%`,
+              backgroundColor: status.color,
+            }
+          ]}
+        />
+      </View>
+
+      {status.status !== 'ok' && (
+        <Text style={[styles.warningText, { color: status.color }]}>
+          {status.message}
+        </Text>
+      )}
+    </View>
+  );
+};
+
 /**
  * Combined quota summary card for Settings
  */
@@ -202,6 +288,10 @@ export const QuotaSummaryCard = () => {
       <View style={styles.divider} />
       
       <StorageQuotaIndicator showLabel={true} />
+      
+      <View style={styles.divider} />
+      
+      <AiQuotaIndicator showLabel={true} />
     </View>
   );
 };
@@ -6,10 +6,12 @@
  * - Daily, Weekly, Monthly, or Custom
  * - Frequency selection
  * - Day of week selection (for weekly)
+ * - Repeat after completion instead of on calendar dates
  * - Start/end date configuration
+ * - Advanced mode with an RFC 5545 RRULE
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { View, Text, TextInput, Pressable, StyleSheet, Platform } from 'react-native';
 import Animated, { 
   FadeInDown, 
@@ -28,17 +30,23 @@ import DatePickerButton from './DatePickerButton';
 import { 
   RECURRENCE_PATTERNS, 
   DEFAULT_RECURRING_CONFIG,
+  RECURRENCE_MODES,
   formatRecurrencePreview,
+  generateDateRange,
+  isCompletionBased,
 } from '../utils/recurringHelpers';
+import { parseRecurrenceRule, configToRecurrenceRule } from '../utils/rrule';
+import { safeHaptics } from '../utils/feedback';
 
-// Safe haptics wrapper
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
+/**
+ * Ready-made rules for advanced mode
+ */
+const RULE_PRESETS = [
+  { label: 'Último viernes', rule: 'RRULE:FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1' },
+  { label: 'Segundo martes', rule: 'RRULE:FREQ=MONTHLY;BYDAY=2TU' },
+  { label: 'Último día del mes', rule: 'RRULE:FREQ=MONTHLY;BYMONTHDAY=-1' },
+  { label: 'Cada año', rule: 'RRULE:FREQ=YEARLY' },
+];
 
 /**
  * Pattern tab button component
@@ -91,11 +99,11 @@ const PatternTab = ({ id, label, icon, selected, onPress, colors }) => {
 /**
  * Frequency input component
  */
-const FrequencyInput = ({ value, onChange, unit, colors }) => {
+const FrequencyInput = ({ value, onChange, unit, colors, label = 'Repetir cada' }) => {
   return (
     <View style={styles.frequencyContainer}>
       <Text style={[styles.frequencyLabel, { color: colors.textSecondary }]}>
-        Repetir cada
+        {label}
       </Text>
       <TextInput
         style={[
@@ -163,13 +171,28 @@ const RecurrenceSelector = ({
   startDateRequired = true,
 }) => {
   const { colors } = useTheme();
-  const [pattern, setPattern] = useState(config.pattern || RECURRENCE_PATTERNS.WEEKLY);
+  const [pattern, setPattern] = useState(
+    config.pattern && config.pattern !== RECURRENCE_PATTERNS.RRULE ? config.pattern : RECURRENCE_PATTERNS.WEEKLY
+  );
   const [frequency, setFrequency] = useState(config.frequency || 1);
   const [daysOfWeek, setDaysOfWeek] = useState(config.daysOfWeek || []);
   const [dayOfMonth, setDayOfMonth] = useState(config.dayOfMonth || 1);
   const [startDate, setStartDate] = useState(config.startDate ? new Date(config.startDate) : new Date());
   const [endDate, setEndDate] = useState(config.endDate ? new Date(config.endDate) : null);
   const [hasEndDate, setHasEndDate] = useState(!!config.endDate);
+  const [advanced, setAdvanced] = useState(config.pattern === RECURRENCE_PATTERNS.RRULE);
+  const [ruleText, setRuleText] = useState(config.rrule || '');
+  const [afterCompletion, setAfterCompletion] = useState(isCompletionBased(config));
+
+  // Parse the rule typed in advanced mode
+  const { rule, ruleError } = useMemo(() => {
+    if (!advanced) return { rule: null, ruleError: null };
+    try {
+      return { rule: parseRecurrenceRule(ruleText), ruleError: null };
+    } catch (error) {
+      return { rule: null, ruleError: error.message };
+    }
+  }, [advanced, ruleText]);
 
   // Pattern tab configuration
   const patterns = [
@@ -196,6 +219,21 @@ const RecurrenceSelector = ({
 
   // Build and emit config on changes
   useEffect(() => {
+    if (advanced) {
+      onChange?.({
+        pattern: RECURRENCE_PATTERNS.RRULE,
+        frequency: rule?.interval || 1,
+        daysOfWeek: [],
+        dayOfMonth: null,
+        startDate: startDate?.toISOString() || null,
+        endDate: hasEndDate && endDate ? endDate.toISOString() : null,
+        endAfterOccurrences: rule?.count || null,
+        rrule: ruleText,
+        mode: RECURRENCE_MODES.CALENDAR,
+      });
+      return;
+    }
+
     const newConfig = {
       pattern,
       frequency,
@@ -204,18 +242,46 @@ const RecurrenceSelector = ({
       startDate: startDate?.toISOString() || null,
       endDate: hasEndDate && endDate ? endDate.toISOString() : null,
       endAfterOccurrences: null,
+      mode: afterCompletion ? RECURRENCE_MODES.AFTER_COMPLETION : RECURRENCE_MODES.CALENDAR,
     };
     onChange?.(newConfig);
-  }, [pattern, frequency, daysOfWeek, dayOfMonth, startDate, endDate, hasEndDate]);
+  }, [pattern, frequency, daysOfWeek, dayOfMonth, startDate, endDate, hasEndDate, advanced, ruleText, rule, afterCompletion]);
 
   // Get preview text
-  const previewConfig = {
-    pattern,
-    frequency,
-    daysOfWeek,
-    dayOfMonth,
+  const previewConfig = advanced
+    ? { pattern: RECURRENCE_PATTERNS.RRULE, rrule: ruleText }
+    : {
+        pattern,
+        frequency,
+        daysOfWeek,
+        dayOfMonth,
+        mode: afterCompletion ? RECURRENCE_MODES.AFTER_COMPLETION : RECURRENCE_MODES.CALENDAR,
+      };
+  const previewText = advanced && ruleError
+    ? 'Regla de recurrencia no válida'
+    : formatRecurrencePreview(previewConfig);
+
+  // Next occurrences of the advanced rule
+  const nextDates = useMemo(() => {
+    if (!rule || !startDate) return [];
+    const rangeEnd = new Date(startDate);
+    rangeEnd.setFullYear(rangeEnd.getFullYear() + 5);
+    return generateDateRange(
+      { pattern: RECURRENCE_PATTERNS.RRULE, rrule: ruleText, startDate: startDate.toISOString() },
+      startDate,
+      rangeEnd,
+      3
+    );
+  }, [rule, ruleText, startDate]);
+
+  const handleToggleAdvanced = () => {
+    if (!advanced && !ruleText) {
+      // Start from the rule equivalent to the current simple pattern
+      setRuleText(configToRecurrenceRule({ pattern, frequency, daysOfWeek, dayOfMonth }));
+    }
+    setAdvanced(!advanced);
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
   };
-  const previewText = formatRecurrencePreview(previewConfig);
 
   const handlePatternChange = (newPattern) => {
     setPattern(newPattern);
@@ -230,7 +296,82 @@ const RecurrenceSelector = ({
 
   return (
     <View style={styles.container}>
+      {/* Advanced Mode Toggle */}
+      <Pressable style={styles.endDateToggle} onPress={handleToggleAdvanced}>
+        <View style={[
+          styles.toggleCircle,
+          { 
+            backgroundColor: advanced ? colors.accentCyan : 'transparent',
+            borderColor: advanced ? colors.accentCyan : colors.glassBorder,
+          }
+        ]}>
+          {advanced && (
+            <Ionicons name="checkmark" size={12} color={colors.bgPrimary} />
+          )}
+        </View>
+        <Text style={[styles.toggleLabel, { color: colors.textSecondary }]}>
+          Modo avanzado (RRULE)
+        </Text>
+      </Pressable>
+
+      {/* Advanced Rule Editor */}
+      {advanced && (
+        <Animated.View 
+          style={styles.section}
+          entering={FadeInDown.duration(200)}
+          exiting={FadeOutUp.duration(150)}
+          layout={Layout.springify()}
+        >
+          <View style={styles.presetRow}>
+            {RULE_PRESETS.map((preset) => (
+              <Pressable
+                key={preset.label}
+                style={[
+                  styles.presetChip,
+                  { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                ]}
+                onPress={() => {
+                  setRuleText(preset.rule);
+                  safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+                }}
+              >
+                <Text style={[styles.presetLabel, { color: colors.textSecondary }]}>
+                  {preset.label}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+          <TextInput
+            style={[
+              styles.ruleInput,
+              { 
+                backgroundColor: colors.glassMedium, 
+                borderColor: ruleError ? colors.error : colors.glassBorder,
+                color: colors.textPrimary,
+              }
+            ]}
+            value={ruleText}
+            onChangeText={setRuleText}
+            placeholder={'RRULE:FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1\nEXDATE:20261225'}
+            placeholderTextColor={colors.textTertiary}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            multiline
+          />
+          {ruleError ? (
+            <Text style={[styles.ruleHint, { color: colors.error }]}>
+              {ruleError}
+            </Text>
+          ) : nextDates.length > 0 ? (
+            <Text style={[styles.ruleHint, { color: colors.textTertiary }]}>
+              Próximas: {nextDates.map((d) => d.toLocaleDateString('es-ES')).join(', ')}
+            </Text>
+          ) : null}
+        </Animated.View>
+      )}
+
       {/* Pattern Tabs */}
+      {!advanced && (
       <View style={styles.patternTabs}>
         {patterns.map((p) => (
           <PatternTab
@@ -244,8 +385,10 @@ const RecurrenceSelector = ({
           />
         ))}
       </View>
+      )}
 
       {/* Frequency Input */}
+      {!advanced && (
       <Animated.View 
         style={styles.section}
         entering={FadeInDown.duration(200)}
@@ -254,13 +397,37 @@ const RecurrenceSelector = ({
         <FrequencyInput
           value={frequency}
           onChange={setFrequency}
-          unit={getUnitLabel()}
+          unit={afterCompletion ? `${getUnitLabel()} después de completarla` : getUnitLabel()}
+          label={afterCompletion ? 'Repetir' : 'Repetir cada'}
           colors={colors}
         />
+        <Pressable
+          style={styles.endDateToggle}
+          onPress={() => {
+            setAfterCompletion(!afterCompletion);
+            safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+          }}
+        >
+          <View style={[
+            styles.toggleCircle,
+            { 
+              backgroundColor: afterCompletion ? colors.accentCyan : 'transparent',
+              borderColor: afterCompletion ? colors.accentCyan : colors.glassBorder,
+            }
+          ]}>
+            {afterCompletion && (
+              <Ionicons name="checkmark" size={12} color={colors.bgPrimary} />
+            )}
+          </View>
+          <Text style={[styles.toggleLabel, { color: colors.textSecondary }]}>
+            Contar desde que la completo
+          </Text>
+        </Pressable>
       </Animated.View>
+      )}
 
       {/* Day of Week Picker (for weekly pattern) */}
-      {pattern === RECURRENCE_PATTERNS.WEEKLY && (
+      {!advanced && !afterCompletion && pattern === RECURRENCE_PATTERNS.WEEKLY && (
         <Animated.View 
           style={styles.section}
           entering={FadeInDown.duration(200)}
@@ -279,7 +446,7 @@ const RecurrenceSelector = ({
       )}
 
       {/* Day of Month Selector (for monthly pattern) */}
-      {pattern === RECURRENCE_PATTERNS.MONTHLY && (
+      {!advanced && !afterCompletion && pattern === RECURRENCE_PATTERNS.MONTHLY && (
         <Animated.View 
           style={styles.section}
           entering={FadeInDown.duration(200)}
@@ -440,6 +607,33 @@ const styles = StyleSheet.create({
   toggleLabel: {
     fontSize: typography.fontSize.md,
   },
+  presetRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  presetChip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+  presetLabel: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.medium,
+  },
+  ruleInput: {
+    minHeight: 72,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    padding: spacing.md,
+    fontSize: typography.fontSize.sm,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    textAlignVertical: 'top',
+  },
+  ruleHint: {
+    fontSize: typography.fontSize.xs,
+  },
   previewContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,98 @@
+/**
+ * ReminderOffsetPicker - Choose when to be reminded of a task
+ * Task List App 2026
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { colors, spacing, borderRadius, typography } from '../constants/theme';
+import { REMINDER_OFFSET_OPTIONS, DEFAULT_DUE_TIME } from '../utils/notifications';
+import { safeHaptics } from '../utils/feedback';
+
+export default function ReminderOffsetPicker({ value = [0], onChange, hasDueTime = false }) {
+  const handleToggle = (offset) => {
+    const selected = value.includes(offset);
+
+    // Keep at least one reminder while reminders are enabled
+    if (selected && value.length === 1) return;
+
+    safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    const next = selected ? value.filter(v => v !== offset) : [...value, offset];
+    onChange(next.sort((a, b) => b - a));
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Avisarme</Text>
+      <View style={styles.chips}>
+        {REMINDER_OFFSET_OPTIONS.map((option) => {
+          const selected = value.includes(option.value);
+          const label = option.value === 0 && !hasDueTime
+            ? `A las ${DEFAULT_DUE_TIME}`
+            : option.label;
+
+          return (
+            <Pressable
+              key={option.value}
+              style={[styles.chip, selected && styles.chipSelected]}
+              onPress={() => handleToggle(option.value)}
+            >
+              {selected && (
+                <Ionicons name="checkmark" size={14} color={colors.accentPurple} />
+              )}
+              <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                {label}
+              </Text>
+            </Pressable>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: spacing.sm,
+  },
+
+  label: {
+    fontSize: typography.fontSize.sm,
+    color: colors.textTertiary,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    backgroundColor: colors.glassMedium,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+    borderColor: colors.glassBorder,
+  },
+
+  chipSelected: {
+    backgroundColor: colors.accentPurple + '20',
+    borderColor: colors.accentPurple,
+  },
+
+  chipText: {
+    fontSize: typography.fontSize.sm,
+    color: colors.textSecondary,
+  },
+
+  chipTextSelected: {
+    color: colors.accentPurple,
+    fontWeight: typography.fontWeight.medium,
+  },
+});
@@ -15,7 +15,6 @@ import {
   Text,
   StyleSheet,
   ActivityIndicator,
-  Platform,
 } from 'react-native';
 import Animated, {
   useSharedValue,
@@ -31,15 +30,7 @@ import * as Haptics from 'expo-haptics';
 
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
-
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  notification: (type) => {
-    if (Platform.OS !== 'web') {
-      Haptics.notificationAsync(type);
-    }
-  }
-};
+import { safeHaptics } from '../utils/feedback';
 
 // Save states
 export const SAVE_STATES = {
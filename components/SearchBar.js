@@ -2,14 +2,19 @@
  * SearchBar Component
  * Task List App 2025
  * Premium search bar with glassmorphism design
+ *
+ * Accepts the query syntax of utils/searchQuery (due:<7d, is:overdue, OR...).
+ * While focused and empty it lists recent searches and filter examples.
  */
 
 import React, { useState } from 'react';
 import {
   View,
+  Text,
   TextInput,
   StyleSheet,
   TouchableOpacity,
+  ScrollView,
   Keyboard,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
@@ -17,10 +22,19 @@ import Animated, { FadeIn, FadeOut } from 'react-native-reanimated';
 
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
+import { SEARCH_SYNTAX_HINTS } from '../utils/searchQuery';
 
 const AnimatedTouchable = Animated.createAnimatedComponent(TouchableOpacity);
 
-export default function SearchBar({ value, onChangeText, placeholder = 'Buscar tareas...' }) {
+export default function SearchBar({
+  value,
+  onChangeText,
+  placeholder = 'Buscar tareas...',
+  onSubmit,
+  recentSearches = [],
+  onClearRecent,
+  errors = [],
+}) {
   const [isFocused, setIsFocused] = useState(false);
   const { colors } = useTheme();
 
@@ -29,45 +43,117 @@ export default function SearchBar({ value, onChangeText, placeholder = 'Buscar t
     Keyboard.dismiss();
   };
 
+  // Add a filter example to the query; "tag:" waits for its value
+  const handleHint = (hint) => {
+    const next = `${value.trim()} ${hint}`.trim();
+    onChangeText(hint.endsWith(':') ? next : `${next} `);
+  };
+
+  const showSuggestions = isFocused && value.length === 0;
+
   return (
-    <View style={[
-      styles.container, 
-      { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
-      isFocused && { borderColor: colors.accentPurple, backgroundColor: colors.glassStrong }
-    ]}>
-      <Ionicons 
-        name="search" 
-        size={20} 
-        color={isFocused ? colors.accentPurple : colors.textTertiary} 
-        style={styles.searchIcon}
-      />
-      
-      <TextInput
-        style={[styles.input, { color: colors.textPrimary }]}
-        value={value}
-        onChangeText={onChangeText}
-        placeholder={placeholder}
-        placeholderTextColor={colors.textTertiary}
-        selectionColor={colors.accentPurple}
-        onFocus={() => setIsFocused(true)}
-        onBlur={() => setIsFocused(false)}
-        returnKeyType="search"
-      />
-
-      {value.length > 0 && (
-        <AnimatedTouchable
+    <View>
+      <View style={[
+        styles.container, 
+        { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+        isFocused && { borderColor: colors.accentPurple, backgroundColor: colors.glassStrong }
+      ]}>
+        <Ionicons 
+          name="search" 
+          size={20} 
+          color={isFocused ? colors.accentPurple : colors.textTertiary} 
+          style={styles.searchIcon}
+        />
+        
+        <TextInput
+          style={[styles.input, { color: colors.textPrimary }]}
+          value={value}
+          onChangeText={onChangeText}
+          placeholder={placeholder}
+          placeholderTextColor={colors.textTertiary}
+          selectionColor={colors.accentPurple}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => setIsFocused(false)}
+          onSubmitEditing={() => onSubmit?.(value)}
+          returnKeyType="search"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+
+        {value.length > 0 && (
+          <AnimatedTouchable
+            entering={FadeIn.duration(150)}
+            exiting={FadeOut.duration(150)}
+            onPress={handleClear}
+            style={styles.clearButton}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons 
+              name="close-circle" 
+              size={20} 
+              color={colors.textTertiary} 
+            />
+          </AnimatedTouchable>
+        )}
+      </View>
+
+      {/* Query errors (unknown filters are ignored) */}
+      {value.length > 0 && errors.length > 0 && (
+        <Text style={[styles.errorText, { color: colors.warning }]} numberOfLines={1}>
+          {errors[0]}
+        </Text>
+      )}
+
+      {/* Recent searches and filter examples */}
+      {showSuggestions && (
+        <Animated.View
           entering={FadeIn.duration(150)}
           exiting={FadeOut.duration(150)}
-          onPress={handleClear}
-          style={styles.clearButton}
-          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          style={styles.suggestions}
         >
-          <Ionicons 
-            name="close-circle" 
-            size={20} 
-            color={colors.textTertiary} 
-          />
-        </AnimatedTouchable>
+          {recentSearches.length > 0 && (
+            <>
+              <View style={styles.suggestionsHeader}>
+                <Text style={[styles.suggestionsTitle, { color: colors.textTertiary }]}>RECIENTES</Text>
+                {onClearRecent && (
+                  <TouchableOpacity onPress={onClearRecent} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                    <Text style={[styles.clearRecentText, { color: colors.accentPurple }]}>Borrar</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              {recentSearches.map((query) => (
+                <TouchableOpacity
+                  key={query}
+                  style={styles.recentRow}
+                  onPress={() => onChangeText(query)}
+                >
+                  <Ionicons name="time-outline" size={16} color={colors.textTertiary} />
+                  <Text style={[styles.recentText, { color: colors.textSecondary }]} numberOfLines={1}>
+                    {query}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </>
+          )}
+
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+            contentContainerStyle={styles.hints}
+          >
+            {SEARCH_SYNTAX_HINTS.map((hint) => (
+              <TouchableOpacity
+                key={hint.query}
+                style={[styles.hint, { borderColor: colors.glassBorder, backgroundColor: colors.glassLight }]}
+                onPress={() => handleHint(hint.query)}
+              >
+                <Text style={[styles.hintQuery, { color: colors.accentPurple }]}>{hint.query}</Text>
+                <Text style={[styles.hintLabel, { color: colors.textTertiary }]}>{hint.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </Animated.View>
       )}
     </View>
   );
@@ -101,5 +187,67 @@ const styles = StyleSheet.create({
     marginLeft: spacing.sm,
     padding: spacing.xs,
   },
+
+  errorText: {
+    fontSize: typography.fontSize.xs,
+    marginHorizontal: spacing.xl,
+    marginBottom: spacing.xs,
+  },
+
+  suggestions: {
+    marginHorizontal: spacing.xl,
+    marginBottom: spacing.sm,
+  },
+
+  suggestionsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+
+  suggestionsTitle: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    letterSpacing: 1,
+  },
+
+  clearRecentText: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  recentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+
+  recentText: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+  },
+
+  hints: {
+    gap: spacing.sm,
+    paddingTop: spacing.sm,
+  },
+
+  hint: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+  },
+
+  hintQuery: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  hintLabel: {
+    fontSize: typography.fontSize.xs,
+  },
 });
 
@@ -77,16 +77,17 @@ const SmartDueDateSuggestion = ({
             dueDate: result.suggestedDueDate,
             priority: result.priority,
             reasoning: result.reasoning,
-            isAI: true,
+            // Results computed on-device when the AI service is unreachable
+            isAI: !result.isLocal,
           });
           scale.value = 1;
         }
       } else {
         // Fallback to local heuristics
         const localResult = estimatePriorityLocally(taskTitle);
-        if (localResult.priority !== 'Medium') {
+        if (localResult.suggestedDueDate || localResult.priority !== 'Medium') {
           setSuggestion({
-            dueDate: null,
+            dueDate: localResult.suggestedDueDate,
             priority: localResult.priority,
             reasoning: localResult.reasoning,
             isAI: false,
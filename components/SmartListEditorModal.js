@@ -0,0 +1,495 @@
+/**
+ * SmartListEditorModal - Create or edit a smart list
+ * Task List App 2026
+ *
+ * Name, search query (with a live count of matching tasks), sort order,
+ * grouping, icon, color and whether the list is pinned next to the
+ * category chips.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  Pressable,
+  ScrollView,
+  Switch,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { CATEGORY_COLORS } from '../utils/categories';
+import { parseSearchQuery } from '../utils/searchQuery';
+import { SORT_OPTIONS, GROUP_OPTIONS, SORT_MODES, GROUP_MODES } from '../utils/taskOrdering';
+import {
+  SMART_LIST_ICONS,
+  SMART_LIST_TEMPLATES,
+  MAX_SMART_LIST_NAME_LENGTH,
+  getSmartListTasks,
+} from '../utils/smartLists';
+
+// Criteria that can be added to the query with one tap
+const QUERY_SHORTCUTS = [
+  { query: 'due:<7d', label: 'Esta semana' },
+  { query: 'is:overdue', label: 'Vencidas' },
+  { query: 'priority:high', label: 'Alta' },
+  { query: '-is:completed', label: 'Pendientes' },
+  { query: '-is:recurring', label: 'No recurrentes' },
+  { query: 'has:attachment', label: 'Con adjuntos' },
+];
+
+// Row of selectable chips
+const OptionChips = ({ options, value, onChange, colors }) => (
+  <View style={styles.chips}>
+    {options.map((option) => {
+      const isSelected = option.value === value;
+      return (
+        <Pressable
+          key={option.value}
+          style={[
+            styles.chip,
+            { borderColor: colors.glassBorder, backgroundColor: colors.glassMedium },
+            isSelected && { borderColor: colors.accentPurple, backgroundColor: colors.accentPurple + '20' },
+          ]}
+          onPress={() => onChange(option.value)}
+        >
+          <Ionicons name={option.icon} size={14} color={isSelected ? colors.accentPurple : colors.textSecondary} />
+          <Text style={[styles.chipText, { color: isSelected ? colors.accentPurple : colors.textSecondary }]}>
+            {option.label}
+          </Text>
+        </Pressable>
+      );
+    })}
+  </View>
+);
+
+/**
+ * SmartListEditorModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {Object|null} props.smartList - List to edit, or null to create one
+ * @param {string} [props.initialQuery] - Query for a new list (e.g. the current search)
+ * @param {Array} props.tasks - All tasks, for the live count
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onSave - Called with the list data; resolves to { error? }
+ * @param {Function} [props.onDelete] - Called to delete the list being edited
+ */
+const SmartListEditorModal = ({
+  visible,
+  smartList,
+  initialQuery = '',
+  tasks,
+  onClose,
+  onSave,
+  onDelete,
+}) => {
+  const { colors } = useTheme();
+  const { categories } = useCategories();
+  const [name, setName] = useState('');
+  const [query, setQuery] = useState('');
+  const [sortBy, setSortBy] = useState(SORT_MODES.MANUAL);
+  const [groupBy, setGroupBy] = useState(GROUP_MODES.NONE);
+  const [icon, setIcon] = useState(SMART_LIST_ICONS[0]);
+  const [color, setColor] = useState(CATEGORY_COLORS[4]);
+  const [pinned, setPinned] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isEditing = !!smartList;
+
+  // Start from the list being edited every time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+    setName(smartList?.name || '');
+    setQuery(smartList?.query ?? initialQuery);
+    setSortBy(smartList?.sortBy || SORT_MODES.MANUAL);
+    setGroupBy(smartList?.groupBy || GROUP_MODES.NONE);
+    setIcon(smartList?.icon || SMART_LIST_ICONS[0]);
+    setColor(smartList?.color || CATEGORY_COLORS[4]);
+    setPinned(smartList?.pinned ?? true);
+    setError(null);
+  }, [visible, smartList, initialQuery]);
+
+  const queryErrors = useMemo(() => parseSearchQuery(query).errors, [query]);
+  const matchCount = useMemo(
+    () => (visible ? getSmartListTasks(tasks, { query, sortBy }, { categories }).length : 0),
+    [visible, tasks, query, sortBy, categories]
+  );
+
+  const appendToQuery = (criteria) => {
+    setQuery((current) => `${current.trim()} ${criteria}`.trim());
+  };
+
+  const applyTemplate = (template) => {
+    setName(template.name);
+    setQuery(template.query);
+    setIcon(template.icon);
+    setSortBy(template.sortBy);
+    setGroupBy(template.groupBy);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    const result = await onSave({ name, query, sortBy, groupBy, icon, color, pinned });
+    if (result?.error) {
+      setError(result.error);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Eliminar lista',
+      `¿Eliminar "${smartList.name}"? Las tareas no se modifican.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Eliminar', style: 'destructive', onPress: onDelete },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          <ScrollView keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+            {/* Header with live preview */}
+            <View style={styles.header}>
+              <View style={[styles.iconContainer, { backgroundColor: color + '25' }]}>
+                <Ionicons name={icon} size={26} color={color} />
+              </View>
+              <Text style={[styles.title, { color: colors.textPrimary }]}>
+                {isEditing ? 'Editar lista' : 'Nueva lista inteligente'}
+              </Text>
+            </View>
+
+            {/* Templates */}
+            {!isEditing && !initialQuery && (
+              <View style={styles.chips}>
+                {SMART_LIST_TEMPLATES.map((template) => (
+                  <Pressable
+                    key={template.name}
+                    style={[styles.chip, { borderColor: colors.glassBorder, backgroundColor: colors.glassLight }]}
+                    onPress={() => applyTemplate(template)}
+                  >
+                    <Ionicons name={template.icon} size={14} color={colors.textSecondary} />
+                    <Text style={[styles.chipText, { color: colors.textSecondary }]}>{template.name}</Text>
+                  </Pressable>
+                ))}
+              </View>
+            )}
+
+            {/* Name */}
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Nombre</Text>
+            <TextInput
+              style={[
+                styles.input,
+                { backgroundColor: colors.glassMedium, borderColor: error ? colors.error : colors.glassBorder, color: colors.textPrimary },
+              ]}
+              value={name}
+              onChangeText={(text) => {
+                setName(text);
+                setError(null);
+              }}
+              placeholder="Ej. Trabajo urgente"
+              placeholderTextColor={colors.textTertiary}
+              maxLength={MAX_SMART_LIST_NAME_LENGTH}
+            />
+            {error && <Text style={[styles.errorText, { color: colors.error }]}>{error}</Text>}
+
+            {/* Criteria */}
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Filtro</Text>
+            <TextInput
+              style={[styles.input, styles.queryInput, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder, color: colors.textPrimary }]}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="category:work due:<7d priority:high"
+              placeholderTextColor={colors.textTertiary}
+              autoCapitalize="none"
+              autoCorrect={false}
+              multiline
+            />
+            <Text style={[styles.helperText, { color: queryErrors.length > 0 ? colors.warning : colors.textTertiary }]}>
+              {queryErrors.length > 0
+                ? queryErrors[0]
+                : `${matchCount} ${matchCount === 1 ? 'tarea coincide' : 'tareas coinciden'}`}
+            </Text>
+            <View style={styles.chips}>
+              {QUERY_SHORTCUTS.map((shortcut) => (
+                <Pressable
+                  key={shortcut.query}
+                  style={[styles.chip, { borderColor: colors.glassBorder }]}
+                  onPress={() => appendToQuery(shortcut.query)}
+                >
+                  <Text style={[styles.chipText, { color: colors.accentPurple }]}>{shortcut.label}</Text>
+                </Pressable>
+              ))}
+              {categories.map((category) => (
+                <Pressable
+                  key={category.id}
+                  style={[styles.chip, { borderColor: category.color + '60' }]}
+                  onPress={() => appendToQuery(`category:${category.id}`)}
+                >
+                  <Ionicons name={category.icon} size={12} color={category.color} />
+                  <Text style={[styles.chipText, { color: category.color }]}>{category.name}</Text>
+                </Pressable>
+              ))}
+            </View>
+
+            {/* Sort and group */}
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Ordenar por</Text>
+            <OptionChips options={SORT_OPTIONS} value={sortBy} onChange={setSortBy} colors={colors} />
+
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Agrupar por</Text>
+            <OptionChips options={GROUP_OPTIONS} value={groupBy} onChange={setGroupBy} colors={colors} />
+
+            {/* Look */}
+            <Text style={[styles.label, { color: colors.textSecondary }]}>Icono y color</Text>
+            <View style={styles.chips}>
+              {SMART_LIST_ICONS.map((option) => (
+                <Pressable
+                  key={option}
+                  style={[
+                    styles.iconOption,
+                    { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                    icon === option && { backgroundColor: color + '25', borderColor: color },
+                  ]}
+                  onPress={() => setIcon(option)}
+                >
+                  <Ionicons name={option} size={18} color={icon === option ? color : colors.textSecondary} />
+                </Pressable>
+              ))}
+            </View>
+            <View style={[styles.chips, styles.swatches]}>
+              {CATEGORY_COLORS.map((option) => (
+                <Pressable
+                  key={option}
+                  style={[
+                    styles.swatch,
+                    { backgroundColor: option },
+                    color === option && { borderColor: colors.textPrimary },
+                  ]}
+                  onPress={() => setColor(option)}
+                />
+              ))}
+            </View>
+
+            {/* Pinned */}
+            <View style={styles.switchRow}>
+              <Text style={[styles.switchLabel, { color: colors.textPrimary }]}>Fijar junto a las categorías</Text>
+              <Switch
+                value={pinned}
+                onValueChange={setPinned}
+                trackColor={{ false: colors.glassStrong, true: colors.accentPurple }}
+                thumbColor={colors.white}
+              />
+            </View>
+
+            {isEditing && onDelete && (
+              <Pressable
+                style={[styles.deleteButton, { borderColor: colors.error + '60' }]}
+                onPress={handleDelete}
+              >
+                <Ionicons name="trash-outline" size={18} color={colors.error} />
+                <Text style={[styles.deleteText, { color: colors.error }]}>Eliminar lista</Text>
+              </Pressable>
+            )}
+          </ScrollView>
+
+          {/* Action Buttons */}
+          <View style={styles.buttonRow}>
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                Cancelar
+              </Text>
+            </Pressable>
+
+            <Pressable
+              style={[
+                styles.confirmButton,
+                { backgroundColor: colors.accentPurple },
+                !name.trim() && styles.confirmDisabled,
+              ]}
+              onPress={handleSave}
+              disabled={!name.trim()}
+            >
+              <Text style={[styles.confirmText, { color: colors.white }]}>
+                {isEditing ? 'Guardar' : 'Crear'}
+              </Text>
+            </Pressable>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+    maxHeight: '92%',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+  },
+  label: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+    marginTop: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  input: {
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    padding: spacing.md,
+    fontSize: typography.fontSize.md,
+  },
+  queryInput: {
+    minHeight: 56,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontSize: typography.fontSize.sm,
+    marginTop: spacing.xs,
+  },
+  helperText: {
+    fontSize: typography.fontSize.xs,
+    marginTop: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  iconOption: {
+    width: 36,
+    height: 36,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swatches: {
+    marginTop: spacing.md,
+  },
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.lg,
+  },
+  switchLabel: {
+    fontSize: typography.fontSize.md,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    marginTop: spacing.xl,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+  },
+  deleteText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginTop: spacing.lg,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmDisabled: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default SmartListEditorModal;
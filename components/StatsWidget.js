@@ -1,10 +1,12 @@
 /**
  * StatsWidget - Productivity Statistics
  * Task List App 2025
+ *
+ * Below the stats, the pinned smart lists with their pending count.
  */
 
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Animated, {
   useSharedValue,
@@ -16,7 +18,7 @@ import Animated, {
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
 
-export default function StatsWidget({ tasks = [] }) {
+export default function StatsWidget({ tasks = [], smartLists = [], onSelectSmartList }) {
   const { colors } = useTheme();
   
   // Calculate stats
@@ -33,46 +35,73 @@ export default function StatsWidget({ tasks = [] }) {
       style={[styles.container, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
       entering={FadeInRight.delay(200).springify()}
     >
-      {/* Progress Ring */}
-      <View style={styles.progressContainer}>
-        <View style={[styles.progressRing, { borderColor: colors.glassStrong }]}>
-          <View style={[styles.progressFill, { 
-            borderColor: colors.accentPurple,
-            transform: [{ rotate: `${(completionRate * 3.6)}deg` }] 
-          }]} />
-          <View style={[styles.progressCenter, { backgroundColor: colors.bgSecondary }]}>
-            <Text style={[styles.progressPercent, { color: colors.textPrimary }]}>{completionRate}%</Text>
+      <View style={styles.statsRow}>
+        {/* Progress Ring */}
+        <View style={styles.progressContainer}>
+          <View style={[styles.progressRing, { borderColor: colors.glassStrong }]}>
+            <View style={[styles.progressFill, { 
+              borderColor: colors.accentPurple,
+              transform: [{ rotate: `${(completionRate * 3.6)}deg` }] 
+            }]} />
+            <View style={[styles.progressCenter, { backgroundColor: colors.bgSecondary }]}>
+              <Text style={[styles.progressPercent, { color: colors.textPrimary }]}>{completionRate}%</Text>
+            </View>
           </View>
         </View>
-      </View>
       
-      {/* Stats Grid */}
-      <View style={styles.statsGrid}>
-        <StatItem 
-          icon="checkmark-circle"
-          value={completedToday}
-          label="Completadas"
-          color={colors.success}
-          colors={colors}
-          delay={100}
-        />
-        <StatItem 
-          icon="time-outline"
-          value={pending}
-          label="Pendientes"
-          color={colors.accentCyan}
-          colors={colors}
-          delay={200}
-        />
-        <StatItem 
-          icon="alert-circle"
-          value={highPriorityPending}
-          label="Urgentes"
-          color={colors.priorityHigh}
-          colors={colors}
-          delay={300}
-        />
+        {/* Stats Grid */}
+        <View style={styles.statsGrid}>
+          <StatItem 
+            icon="checkmark-circle"
+            value={completedToday}
+            label="Completadas"
+            color={colors.success}
+            colors={colors}
+            delay={100}
+          />
+          <StatItem 
+            icon="time-outline"
+            value={pending}
+            label="Pendientes"
+            color={colors.accentCyan}
+            colors={colors}
+            delay={200}
+          />
+          <StatItem 
+            icon="alert-circle"
+            value={highPriorityPending}
+            label="Urgentes"
+            color={colors.priorityHigh}
+            colors={colors}
+            delay={300}
+          />
+        </View>
       </View>
+
+      {/* Smart list counts */}
+      {smartLists.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.listsRow}
+          style={[styles.lists, { borderTopColor: colors.glassBorder }]}
+        >
+          {smartLists.map((list) => (
+            <TouchableOpacity
+              key={list.id}
+              style={styles.listItem}
+              onPress={() => onSelectSmartList?.(list.id)}
+              disabled={!onSelectSmartList}
+            >
+              <Ionicons name={list.icon} size={14} color={list.color} />
+              <Text style={[styles.listName, { color: colors.textSecondary }]} numberOfLines={1}>
+                {list.name}
+              </Text>
+              <Text style={[styles.listCount, { color: colors.textPrimary }]}>{list.count}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
     </Animated.View>
   );
 }
@@ -94,8 +123,6 @@ function StatItem({ icon, value, label, color, colors, delay }) {
 
 const styles = StyleSheet.create({
   container: {
-    flexDirection: 'row',
-    alignItems: 'center',
     borderRadius: borderRadius.xl,
     borderWidth: 1,
     padding: spacing.lg,
@@ -103,6 +130,11 @@ const styles = StyleSheet.create({
     marginBottom: spacing.xl,
   },
   
+  statsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  
   progressContainer: {
     marginRight: spacing.lg,
   },
@@ -169,5 +201,32 @@ const styles = StyleSheet.create({
     fontSize: typography.fontSize.xs,
     marginTop: 2,
   },
+
+  lists: {
+    marginTop: spacing.md,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+  },
+
+  listsRow: {
+    gap: spacing.lg,
+  },
+
+  listItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    maxWidth: 160,
+  },
+
+  listName: {
+    fontSize: typography.fontSize.xs,
+    flexShrink: 1,
+  },
+
+  listCount: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.bold,
+  },
 });
 
@@ -0,0 +1,320 @@
+/**
+ * SubtaskBreakdownModal - Preview AI-proposed subtasks
+ * Task List App 2026
+ *
+ * Asks the AI service to break a task down and lets the user review the
+ * proposal before anything is added: edit titles, untick or remove items,
+ * then add the remaining ones in order.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  Pressable,
+  ScrollView,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import Animated, { FadeIn, FadeOut, SlideInDown, SlideOutDown } from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { breakDownTask } from '../services/aiService';
+import { formatDuration } from '../utils/dateHelpers';
+
+/**
+ * SubtaskBreakdownModal component
+ * @param {Object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {Object} props.task - Task to break down ({ title, description, subtasks })
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onAccept - Called with the accepted [{ title, estimatedMinutes }]
+ */
+const SubtaskBreakdownModal = ({ visible, task, onClose, onAccept }) => {
+  const { colors } = useTheme();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const requestBreakdown = useCallback(async () => {
+    if (!task) return;
+
+    setLoading(true);
+    setError(null);
+    setItems([]);
+
+    const result = await breakDownTask(task);
+    if (result.quotaExceeded) {
+      // Retrying won't help until next month
+      setError({ message: 'Has usado todos tus créditos de IA de este mes.', canRetry: false });
+    } else if (result.error) {
+      setError({ message: 'No se pudo generar el desglose. Inténtalo de nuevo.', canRetry: true });
+    } else {
+      setItems(result.subtasks.map((subtask, index) => ({
+        ...subtask,
+        key: String(index),
+        selected: true,
+      })));
+    }
+    setLoading(false);
+  }, [task]);
+
+  // Ask for a fresh proposal every time the modal opens
+  useEffect(() => {
+    if (visible) requestBreakdown();
+  }, [visible]);
+
+  const updateItem = (key, updates) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, ...updates } : item)));
+  };
+
+  const removeItem = (key) => {
+    setItems(prev => prev.filter(item => item.key !== key));
+  };
+
+  const acceptedItems = items.filter(item => item.selected && item.title.trim());
+
+  const handleAccept = () => {
+    onAccept(acceptedItems.map(({ title, estimatedMinutes }) => ({ title, estimatedMinutes })));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="none"
+      onRequestClose={onClose}
+    >
+      <Animated.View
+        style={[styles.overlay, { backgroundColor: colors.overlay }]}
+        entering={FadeIn.duration(200)}
+        exiting={FadeOut.duration(200)}
+      >
+        <Pressable style={styles.overlayPressable} onPress={onClose} />
+
+        <Animated.View
+          style={[styles.modalContent, { backgroundColor: colors.bgSecondary }]}
+          entering={SlideInDown.springify().damping(15)}
+          exiting={SlideOutDown.duration(200)}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={[styles.iconContainer, { backgroundColor: colors.accentPurple + '20' }]}>
+              <Ionicons name="sparkles" size={24} color={colors.accentPurple} />
+            </View>
+            <Text style={[styles.title, { color: colors.textPrimary }]}>
+              Dividir en subtareas
+            </Text>
+            <Text style={[styles.subtitle, { color: colors.textTertiary }]} numberOfLines={2}>
+              {task?.title}
+            </Text>
+          </View>
+
+          {/* Proposal */}
+          {loading ? (
+            <View style={styles.stateContainer}>
+              <ActivityIndicator color={colors.accentPurple} />
+              <Text style={[styles.stateText, { color: colors.textSecondary }]}>
+                Pensando los pasos...
+              </Text>
+            </View>
+          ) : error ? (
+            <View style={styles.stateContainer}>
+              <Ionicons name="cloud-offline-outline" size={28} color={colors.error} />
+              <Text style={[styles.stateText, { color: colors.textSecondary }]}>{error.message}</Text>
+              {error.canRetry && (
+                <Pressable onPress={requestBreakdown}>
+                  <Text style={[styles.retryText, { color: colors.accentPurple }]}>Reintentar</Text>
+                </Pressable>
+              )}
+            </View>
+          ) : items.length === 0 ? (
+            <View style={styles.stateContainer}>
+              <Text style={[styles.stateText, { color: colors.textSecondary }]}>
+                No hay subtareas que sugerir para esta tarea
+              </Text>
+            </View>
+          ) : (
+            <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+              {items.map((item, index) => (
+                <View
+                  key={item.key}
+                  style={[
+                    styles.item,
+                    { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+                    !item.selected && styles.itemUnselected,
+                  ]}
+                >
+                  <Pressable
+                    onPress={() => updateItem(item.key, { selected: !item.selected })}
+                    hitSlop={8}
+                  >
+                    <Ionicons
+                      name={item.selected ? 'checkbox' : 'square-outline'}
+                      size={20}
+                      color={item.selected ? colors.accentPurple : colors.textTertiary}
+                    />
+                  </Pressable>
+                  <Text style={[styles.itemIndex, { color: colors.textTertiary }]}>{index + 1}.</Text>
+                  <TextInput
+                    style={[styles.itemInput, { color: colors.textPrimary }]}
+                    value={item.title}
+                    onChangeText={(text) => updateItem(item.key, { title: text })}
+                    maxLength={100}
+                    multiline
+                  />
+                  {item.estimatedMinutes > 0 && (
+                    <Text style={[styles.itemEstimate, { color: colors.textTertiary }]}>
+                      {formatDuration(item.estimatedMinutes)}
+                    </Text>
+                  )}
+                  <Pressable onPress={() => removeItem(item.key)} hitSlop={8}>
+                    <Ionicons name="close" size={18} color={colors.textTertiary} />
+                  </Pressable>
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          {/* Action Buttons */}
+          <View style={styles.buttonRow}>
+            <Pressable
+              style={[styles.cancelButton, { borderColor: colors.glassBorder }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.cancelText, { color: colors.textSecondary }]}>
+                Cancelar
+              </Text>
+            </Pressable>
+
+            <Pressable
+              style={[
+                styles.confirmButton,
+                { backgroundColor: colors.accentPurple },
+                acceptedItems.length === 0 && styles.confirmDisabled,
+              ]}
+              onPress={handleAccept}
+              disabled={acceptedItems.length === 0}
+            >
+              <Text style={[styles.confirmText, { color: colors.white }]}>
+                Agregar {acceptedItems.length > 0 ? `(${acceptedItems.length})` : ''}
+              </Text>
+            </Pressable>
+          </View>
+        </Animated.View>
+      </Animated.View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  overlayPressable: {
+    flex: 1,
+  },
+  modalContent: {
+    borderTopLeftRadius: borderRadius.xxl,
+    borderTopRightRadius: borderRadius.xxl,
+    padding: spacing.xl,
+    paddingBottom: spacing.xxxl,
+    maxHeight: '85%',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.xl,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.md,
+  },
+  title: {
+    fontSize: typography.fontSize.xl,
+    fontWeight: typography.fontWeight.bold,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: typography.fontSize.md,
+    textAlign: 'center',
+  },
+  stateContainer: {
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingVertical: spacing.xl,
+    marginBottom: spacing.lg,
+  },
+  stateText: {
+    fontSize: typography.fontSize.md,
+    textAlign: 'center',
+  },
+  retryText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  list: {
+    marginBottom: spacing.lg,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    marginBottom: spacing.sm,
+  },
+  itemUnselected: {
+    opacity: 0.5,
+  },
+  itemIndex: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  itemInput: {
+    flex: 1,
+    fontSize: typography.fontSize.sm,
+    paddingVertical: 0,
+  },
+  itemEstimate: {
+    fontSize: typography.fontSize.xs,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    alignItems: 'center',
+  },
+  confirmDisabled: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.semibold,
+  },
+});
+
+export default SubtaskBreakdownModal;
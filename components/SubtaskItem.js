@@ -10,7 +10,7 @@
  */
 
 import React, { useState, useRef } from 'react';
-import { View, Text, TextInput, StyleSheet, TouchableOpacity, Pressable, Platform } from 'react-native';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Animated, {
   useSharedValue,
@@ -25,15 +25,8 @@ import * as Haptics from 'expo-haptics';
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
 import LottieCheckbox from './LottieCheckbox';
-
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
+import { safeHaptics } from '../utils/feedback';
+import { formatDuration } from '../utils/dateHelpers';
 
 export default function SubtaskItem({ subtask, onToggle, onDelete, onUpdate }) {
   const { colors } = useTheme();
@@ -176,6 +169,13 @@ export default function SubtaskItem({ subtask, onToggle, onDelete, onUpdate }) {
         </Pressable>
       )}
 
+      {/* Time estimate */}
+      {!isEditing && subtask.estimatedMinutes > 0 && (
+        <Text style={[styles.estimate, { color: colors.textTertiary }]}>
+          {formatDuration(subtask.estimatedMinutes)}
+        </Text>
+      )}
+
       {/* Delete button */}
       {!isEditing && (
         <TouchableOpacity 
@@ -214,6 +214,11 @@ const styles = StyleSheet.create({
     fontWeight: typography.fontWeight.regular,
   },
 
+  estimate: {
+    fontSize: typography.fontSize.xs,
+    marginRight: spacing.sm,
+  },
+
   editHint: {
     fontSize: typography.fontSize.xs,
     marginTop: 2,
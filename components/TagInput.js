@@ -0,0 +1,149 @@
+/**
+ * TagInput - Edit the tags of a task
+ * Task List App 2026
+ *
+ * Tags show as removable chips. Typing a comma, a space or pressing enter
+ * adds the tag being typed; tags already used on other tasks are
+ * suggested below the input.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { normalizeTag, MAX_TAG_LENGTH } from '../utils/categories';
+
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * TagInput component
+ * @param {Object} props
+ * @param {Array<string>} props.value - Current tags
+ * @param {Function} props.onChange - Called with the new list of tags
+ * @param {Array<string>} [props.suggestions] - Known tags, most used first
+ */
+const TagInput = ({ value = [], onChange, suggestions = [] }) => {
+  const { colors } = useTheme();
+  const [text, setText] = useState('');
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setText('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((t) => t !== tag));
+  };
+
+  const handleChangeText = (next) => {
+    // A separator finishes the tag being typed
+    if (/[,\s]$/.test(next)) {
+      addTag(next);
+    } else {
+      setText(next);
+    }
+  };
+
+  const query = normalizeTag(text);
+  const visibleSuggestions = suggestions
+    .filter((tag) => !value.includes(tag) && (!query || tag.startsWith(query)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  return (
+    <View>
+      <View style={[styles.field, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}>
+        {value.map((tag) => (
+          <Pressable
+            key={tag}
+            style={[styles.tag, { backgroundColor: colors.accentPurple + '20' }]}
+            onPress={() => removeTag(tag)}
+            hitSlop={4}
+          >
+            <Text style={[styles.tagText, { color: colors.accentPurple }]}>#{tag}</Text>
+            <Ionicons name="close" size={12} color={colors.accentPurple} />
+          </Pressable>
+        ))}
+        <TextInput
+          style={[styles.input, { color: colors.textPrimary }]}
+          value={text}
+          onChangeText={handleChangeText}
+          onSubmitEditing={() => addTag(text)}
+          onBlur={() => text && addTag(text)}
+          placeholder={value.length === 0 ? 'Agregar etiquetas...' : ''}
+          placeholderTextColor={colors.textTertiary}
+          autoCapitalize="none"
+          autoCorrect={false}
+          blurOnSubmit={false}
+          maxLength={MAX_TAG_LENGTH + 1}
+        />
+      </View>
+
+      {visibleSuggestions.length > 0 && (
+        <View style={styles.suggestions}>
+          {visibleSuggestions.map((tag) => (
+            <Pressable
+              key={tag}
+              style={[styles.suggestion, { borderColor: colors.glassBorder }]}
+              onPress={() => addTag(tag)}
+            >
+              <Text style={[styles.suggestionText, { color: colors.textSecondary }]}>#{tag}</Text>
+            </Pressable>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  field: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: spacing.xs,
+    padding: spacing.sm,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    minHeight: 48,
+  },
+  tag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+  },
+  tagText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+  },
+  input: {
+    flexGrow: 1,
+    minWidth: 100,
+    fontSize: typography.fontSize.md,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.xs,
+  },
+  suggestions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  suggestion: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.full,
+    borderWidth: 1,
+  },
+  suggestionText: {
+    fontSize: typography.fontSize.sm,
+  },
+});
+
+export default TagInput;
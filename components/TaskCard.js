@@ -7,11 +7,13 @@
  * - Priority indicator with glow
  * - Animated checkbox with Lottie
  * - Swipe to delete
- * - Category badge
+ * - Category badge and tags
+ * - Search match highlighting
+ * - Locked look while waiting on other tasks
  */
 
 import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Pressable } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Pressable, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useRouter } from 'expo-router';
 import Animated, {
@@ -24,13 +26,37 @@ import Animated, {
 } from 'react-native-reanimated';
 import { Gesture, GestureDetector } from 'react-native-gesture-handler';
 import { useTheme } from '../context/ThemeContext';
-import { spacing, borderRadius, typography, shadows, priorities, categories } from '../constants/theme';
+import { useCategories } from '../context/CategoryContext';
+import { spacing, borderRadius, typography, shadows, priorities } from '../constants/theme';
 import LottieCheckbox from './LottieCheckbox';
+import { resolveTaskDate } from '../utils/timezone';
+import { splitHighlights, getExcerpt } from '../utils/searchQuery';
 
 const AnimatedPressable = Animated.createAnimatedComponent(Pressable);
 
-export default function TaskCard({ task, onToggle, onDelete, onPress }) {
+// Labels for search matches the card does not otherwise show
+const SNIPPET_LABELS = {
+  description: 'Descripción',
+  subtasks: 'Subtarea',
+  comments: 'Comentario',
+};
+
+// Text with the parts that match a search highlighted
+const Highlighted = ({ text, terms, color }) => (
+  <>
+    {splitHighlights(text, terms).map((part, index) => (
+      part.match
+        ? <Text key={index} style={[styles.highlight, { backgroundColor: color + '30', color }]}>{part.text}</Text>
+        : part.text
+    ))}
+  </>
+);
+
+// `search` ({ terms, snippet }) highlights a search match;
+// `blockers` are the pending tasks this one waits on
+export default function TaskCard({ task, onToggle, onDelete, onPress, search, blockers = [] }) {
   const { colors, getFontSize } = useTheme();
+  const { getCategory } = useCategories();
   const router = useRouter();
   const scale = useSharedValue(1);
   const translateX = useSharedValue(0);
@@ -39,7 +65,12 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
   
   // Get priority and category config
   const priority = priorities[task.priority] || priorities.medium;
-  const category = categories[task.category] || categories.personal;
+  const category = getCategory(task.category);
+  const tags = task.tags || [];
+  const searchTerms = search?.terms || [];
+  const snippet = search?.snippet;
+  const isBlocked = !task.completed && blockers.length > 0;
+  const blockerNames = blockers.map(blocker => `"${blocker.title}"`).join(', ');
   
   // Calculate subtask progress
   const subtasks = task.subtasks || [];
@@ -79,7 +110,10 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
     };
   };
   
-  const dueDateInfo = formatDueDate(task.dueDate);
+  const dueDateInfo = formatDueDate(resolveTaskDate(task));
+  if (dueDateInfo && task.dueTime && !dueDateInfo.isOverdue) {
+    dueDateInfo.text = `${dueDateInfo.text} · ${task.dueTime}`;
+  }
   
   // Press animation
   const handlePressIn = () => {
@@ -98,6 +132,11 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
     });
     onToggle(task.id);
   };
+
+  // A blocked task can't be checked off yet
+  const handleLockedPress = () => {
+    Alert.alert('Tarea bloqueada', `Completa antes: ${blockerNames}`);
+  };
   
   // Swipe gesture for delete
   const panGesture = Gesture.Pan()
@@ -148,7 +187,12 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
       
       <GestureDetector gesture={panGesture}>
         <AnimatedPressable
-          style={[styles.container, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }, cardAnimatedStyle]}
+          style={[
+            styles.container,
+            { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+            isBlocked && styles.blocked,
+            cardAnimatedStyle,
+          ]}
           onPressIn={handlePressIn}
           onPressOut={handlePressOut}
           onPress={onPress}
@@ -159,11 +203,21 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
           <View style={styles.content}>
             {/* Checkbox with Lottie animation */}
             <View style={styles.checkbox}>
-              <LottieCheckbox
-                checked={task.completed}
-                onToggle={handleToggle}
-                size={28}
-              />
+              {isBlocked ? (
+                <TouchableOpacity
+                  style={[styles.lockButton, { borderColor: colors.textTertiary }]}
+                  onPress={handleLockedPress}
+                  hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                >
+                  <Ionicons name="lock-closed" size={14} color={colors.textTertiary} />
+                </TouchableOpacity>
+              ) : (
+                <LottieCheckbox
+                  checked={task.completed}
+                  onToggle={handleToggle}
+                  size={28}
+                />
+              )}
             </View>
             
             {/* Task content */}
@@ -176,8 +230,33 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
                 ]}
                 numberOfLines={2}
               >
-                {task.title}
+                <Highlighted text={task.title} terms={searchTerms} color={colors.accentPurple} />
               </Text>
+
+              {/* Tasks it waits on */}
+              {isBlocked && (
+                <Text
+                  style={[styles.blockedText, { color: colors.warning, fontSize: getFontSize(typography.fontSize.xs) }]}
+                  numberOfLines={1}
+                >
+                  <Ionicons name="lock-closed" size={10} color={colors.warning} /> Espera a {blockerNames}
+                </Text>
+              )}
+
+              {/* Where the search matched, when it is not in the title */}
+              {snippet && (
+                <Text
+                  style={[styles.snippetText, { color: colors.textSecondary, fontSize: getFontSize(typography.fontSize.xs) }]}
+                  numberOfLines={1}
+                >
+                  <Text style={styles.snippetLabel}>{SNIPPET_LABELS[snippet.field]}: </Text>
+                  <Highlighted
+                    text={getExcerpt(snippet.text, searchTerms)}
+                    terms={searchTerms}
+                    color={colors.accentPurple}
+                  />
+                </Text>
+              )}
               
               <View style={styles.metaRow}>
                 {/* Category badge */}
@@ -253,6 +332,20 @@ export default function TaskCard({ task, onToggle, onDelete, onPress }) {
                   </Pressable>
                 )}
               </View>
+
+              {/* Tags */}
+              {tags.length > 0 && (
+                <Text
+                  style={[styles.tagsText, { color: colors.textTertiary, fontSize: getFontSize(typography.fontSize.xs) }]}
+                  numberOfLines={1}
+                >
+                  <Highlighted
+                    text={tags.map(tag => `#${tag}`).join('  ')}
+                    terms={searchTerms}
+                    color={colors.accentPurple}
+                  />
+                </Text>
+              )}
             </View>
             
             {/* Priority icon */}
@@ -311,6 +404,24 @@ const styles = StyleSheet.create({
   checkbox: {
     marginRight: spacing.md,
   },
+
+  blocked: {
+    opacity: 0.7,
+  },
+
+  lockButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  blockedText: {
+    marginBottom: spacing.xs,
+  },
   
   checkboxOuter: {
     width: 24,
@@ -359,6 +470,22 @@ const styles = StyleSheet.create({
   categoryText: {
     fontWeight: typography.fontWeight.medium,
   },
+
+  tagsText: {
+    marginTop: spacing.xs,
+  },
+
+  highlight: {
+    borderRadius: 2,
+  },
+
+  snippetText: {
+    marginBottom: spacing.xs,
+  },
+
+  snippetLabel: {
+    fontWeight: typography.fontWeight.semibold,
+  },
   
   dueDateContainer: {
     flexDirection: 'row',
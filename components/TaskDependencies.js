@@ -0,0 +1,291 @@
+/**
+ * TaskDependencies Component
+ * Task List App 2026
+ *
+ * Dependencies section of the task details: the tasks this one waits on
+ * (removable), the tasks waiting on it, and a picker to add a blocker.
+ * Tasks that already wait on this one can't be picked (cycle).
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography } from '../constants/theme';
+import { getBlockers, getDependents, wouldCreateCycle } from '../utils/taskDependencies';
+import { foldName } from '../utils/categories';
+
+export default function TaskDependencies({ task, tasks, onAdd, onRemove, onOpenTask, editable = true }) {
+  const { colors } = useTheme();
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [query, setQuery] = useState('');
+
+  const blockers = useMemo(() => getBlockers(task, tasks), [task, tasks]);
+  const dependents = useMemo(() => getDependents(task.id, tasks), [task.id, tasks]);
+
+  // Pending tasks that could block this one, cycles marked
+  const candidates = useMemo(() => {
+    if (!pickerVisible) return [];
+    const folded = foldName(query);
+    return tasks
+      .filter(t => t.id !== task.id && !t.completed && !task.blockedBy?.includes(t.id))
+      .filter(t => !folded || foldName(t.title).includes(folded))
+      .map(t => ({ task: t, isCycle: wouldCreateCycle(task.id, t.id, tasks) }));
+  }, [pickerVisible, query, tasks, task]);
+
+  const closePicker = () => {
+    setPickerVisible(false);
+    setQuery('');
+  };
+
+  const handlePick = (blocker) => {
+    const result = onAdd(blocker.id);
+    if (result?.error) {
+      Alert.alert('No se puede añadir', result.error);
+      return;
+    }
+    closePicker();
+  };
+
+  const renderTaskRow = (item, { onRemovePress } = {}) => (
+    <TouchableOpacity
+      key={item.id}
+      style={[styles.row, { backgroundColor: colors.glassMedium, borderColor: colors.glassBorder }]}
+      onPress={() => onOpenTask(item.id)}
+    >
+      <Ionicons
+        name={item.completed ? 'checkmark-circle' : 'ellipse-outline'}
+        size={18}
+        color={item.completed ? colors.success : colors.textTertiary}
+      />
+      <Text
+        style={[
+          styles.rowTitle,
+          { color: colors.textPrimary },
+          item.completed && { textDecorationLine: 'line-through', color: colors.textTertiary },
+        ]}
+        numberOfLines={1}
+      >
+        {item.title}
+      </Text>
+      {onRemovePress && (
+        <TouchableOpacity onPress={onRemovePress} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <Ionicons name="close" size={18} color={colors.textTertiary} />
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <View style={styles.header}>
+        <Text style={[styles.label, { color: colors.textSecondary }]}>Dependencias</Text>
+        {editable && (
+          <TouchableOpacity style={styles.addButton} onPress={() => setPickerVisible(true)}>
+            <Ionicons name="add" size={16} color={colors.accentPurple} />
+            <Text style={[styles.addText, { color: colors.accentPurple }]}>Añadir</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {blockers.length === 0 && dependents.length === 0 && (
+        <Text style={[styles.emptyText, { color: colors.textTertiary }]}>
+          Añade las tareas que deben completarse antes que esta.
+        </Text>
+      )}
+
+      {blockers.length > 0 && (
+        <>
+          <Text style={[styles.groupTitle, { color: colors.textTertiary }]}>Espera a</Text>
+          {blockers.map(blocker => renderTaskRow(blocker, {
+            onRemovePress: editable ? () => onRemove(blocker.id) : undefined,
+          }))}
+        </>
+      )}
+
+      {dependents.length > 0 && (
+        <>
+          <Text style={[styles.groupTitle, { color: colors.textTertiary }]}>Bloquea a</Text>
+          {dependents.map(dependent => renderTaskRow(dependent))}
+        </>
+      )}
+
+      <Modal
+        visible={pickerVisible}
+        animationType="slide"
+        transparent
+        onRequestClose={closePicker}
+      >
+        <View style={styles.overlay}>
+          <View style={[styles.sheet, { backgroundColor: colors.bgPrimary }]}>
+            <View style={styles.sheetHeader}>
+              <Text style={[styles.sheetTitle, { color: colors.textPrimary }]}>Esta tarea espera a...</Text>
+              <TouchableOpacity onPress={closePicker}>
+                <Ionicons name="close" size={24} color={colors.textPrimary} />
+              </TouchableOpacity>
+            </View>
+
+            <TextInput
+              style={[
+                styles.searchInput,
+                { color: colors.textPrimary, backgroundColor: colors.glassMedium, borderColor: colors.glassBorder },
+              ]}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Buscar tarea..."
+              placeholderTextColor={colors.textTertiary}
+              autoCorrect={false}
+            />
+
+            <FlatList
+              data={candidates}
+              keyExtractor={(item) => item.task.id}
+              keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={(
+                <Text style={[styles.emptyText, styles.pickerEmpty, { color: colors.textTertiary }]}>
+                  No hay tareas pendientes que coincidan
+                </Text>
+              )}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={[styles.option, item.isCycle && styles.optionDisabled]}
+                  onPress={() => handlePick(item.task)}
+                  disabled={item.isCycle}
+                >
+                  <Text style={[styles.rowTitle, { color: colors.textPrimary }]} numberOfLines={1}>
+                    {item.task.title}
+                  </Text>
+                  {item.isCycle && (
+                    <Text style={[styles.cycleText, { color: colors.textTertiary }]}>Ya espera a esta</Text>
+                  )}
+                </TouchableOpacity>
+              )}
+            />
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.medium,
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+  },
+
+  addText: {
+    fontSize: typography.fontSize.sm,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  emptyText: {
+    fontSize: typography.fontSize.sm,
+  },
+
+  groupTitle: {
+    fontSize: typography.fontSize.xs,
+    fontWeight: typography.fontWeight.semibold,
+    marginBottom: spacing.xs,
+    marginTop: spacing.sm,
+  },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    marginBottom: spacing.xs,
+  },
+
+  rowTitle: {
+    flex: 1,
+    fontSize: typography.fontSize.md,
+  },
+
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    paddingTop: spacing.lg,
+    paddingBottom: 40,
+    maxHeight: '70%',
+  },
+
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.xl,
+    marginBottom: spacing.md,
+  },
+
+  sheetTitle: {
+    fontSize: typography.fontSize.lg,
+    fontWeight: typography.fontWeight.semibold,
+  },
+
+  searchInput: {
+    marginHorizontal: spacing.xl,
+    marginBottom: spacing.sm,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    fontSize: typography.fontSize.md,
+  },
+
+  pickerEmpty: {
+    textAlign: 'center',
+    paddingVertical: spacing.xl,
+  },
+
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.xl,
+  },
+
+  optionDisabled: {
+    opacity: 0.4,
+  },
+
+  cycleText: {
+    fontSize: typography.fontSize.xs,
+  },
+});
@@ -16,7 +16,6 @@ import {
   TextInput,
   StyleSheet,
   Pressable,
-  Platform,
 } from 'react-native';
 import Animated, {
   FadeIn,
@@ -30,18 +29,10 @@ import * as Haptics from 'expo-haptics';
 
 import { useTheme } from '../context/ThemeContext';
 import { spacing, borderRadius, typography } from '../constants/theme';
+import { safeHaptics } from '../utils/feedback';
 
 const MAX_CHARACTERS = 500;
 
-// Safe haptics wrapper for web compatibility
-const safeHaptics = {
-  impact: (style) => {
-    if (Platform.OS !== 'web') {
-      Haptics.impactAsync(style);
-    }
-  },
-};
-
 export default function TaskDescriptionEditor({ 
   value = '', 
   onChange,
@@ -0,0 +1,205 @@
+/**
+ * TaskReorderList - Manual order editor for the home list
+ * Task List App 2026
+ *
+ * Compact rows of the pending tasks; long press and drag a row to move
+ * it. Used instead of TaskCard while reordering, whose swipe gestures
+ * would compete with the drag.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withSpring,
+  runOnJS,
+} from 'react-native-reanimated';
+import {
+  GestureDetector,
+  Gesture,
+} from 'react-native-gesture-handler';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, borderRadius, typography, priorities } from '../constants/theme';
+import { safeHaptics } from '../utils/feedback';
+
+const ROW_HEIGHT = 52; // Row height plus gap
+
+/**
+ * Draggable row for a single task
+ */
+function DraggableTaskRow({
+  task,
+  index,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  isActive,
+}) {
+  const { colors } = useTheme();
+  const translateY = useSharedValue(0);
+  const scale = useSharedValue(1);
+  const zIndex = useSharedValue(0);
+
+  const panGesture = Gesture.Pan()
+    .activateAfterLongPress(200)
+    .onStart(() => {
+      runOnJS(onDragStart)(index);
+      runOnJS(safeHaptics.impact)(Haptics.ImpactFeedbackStyle.Medium);
+      scale.value = withSpring(1.03, { damping: 15 });
+      zIndex.value = 100;
+    })
+    .onUpdate((event) => {
+      translateY.value = event.translationY;
+      runOnJS(onDragMove)(index, event.translationY);
+    })
+    .onEnd(() => {
+      runOnJS(onDragEnd)(index);
+      translateY.value = withSpring(0);
+      scale.value = withSpring(1);
+      zIndex.value = 0;
+    });
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    transform: [
+      { translateY: translateY.value },
+      { scale: scale.value },
+    ],
+    zIndex: zIndex.value,
+  }));
+
+  const priorityColor = priorities[task.priority]?.color || colors.textTertiary;
+
+  return (
+    <GestureDetector gesture={panGesture}>
+      <Animated.View
+        style={[
+          styles.row,
+          { backgroundColor: colors.glassMedium, borderColor: isActive ? colors.accentPurple : colors.glassBorder },
+          animatedStyle,
+        ]}
+      >
+        <View style={[styles.priorityBar, { backgroundColor: priorityColor }]} />
+        <Text style={[styles.title, { color: colors.textPrimary }]} numberOfLines={1}>
+          {task.title}
+        </Text>
+        <Ionicons name="reorder-three" size={22} color={colors.textTertiary} />
+      </Animated.View>
+    </GestureDetector>
+  );
+}
+
+/**
+ * Main TaskReorderList component
+ * @param {Array} tasks - Tasks in their current order
+ * @param {Function} onReorder - (fromIndex, toIndex) => void
+ */
+export default function TaskReorderList({ tasks, onReorder }) {
+  const { colors } = useTheme();
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+
+  const handleDragStart = useCallback((index) => {
+    setDragIndex(index);
+  }, []);
+
+  const handleDragMove = useCallback((fromIndex, translationY) => {
+    const offset = Math.round(translationY / ROW_HEIGHT);
+    const newIndex = Math.max(0, Math.min(tasks.length - 1, fromIndex + offset));
+
+    if (newIndex !== dragOverIndex) {
+      setDragOverIndex(newIndex);
+    }
+  }, [tasks.length, dragOverIndex]);
+
+  const handleDragEnd = useCallback((fromIndex) => {
+    if (dragOverIndex !== null && dragOverIndex !== fromIndex) {
+      onReorder(fromIndex, dragOverIndex);
+      safeHaptics.impact(Haptics.ImpactFeedbackStyle.Light);
+    }
+
+    setDragIndex(null);
+    setDragOverIndex(null);
+  }, [dragOverIndex, onReorder]);
+
+  const isDragging = dragIndex !== null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.hint, { color: colors.textTertiary }]}>
+        Mantén pulsada una tarea y arrástrala para moverla
+      </Text>
+
+      {tasks.map((task, index) => (
+        <View key={task.id}>
+          {/* Drop indicator above */}
+          {isDragging && dragOverIndex === index && dragIndex > index && (
+            <View style={[styles.dropIndicator, { backgroundColor: colors.accentPurple }]} />
+          )}
+
+          <DraggableTaskRow
+            task={task}
+            index={index}
+            onDragStart={handleDragStart}
+            onDragMove={handleDragMove}
+            onDragEnd={handleDragEnd}
+            isActive={dragIndex === index}
+          />
+
+          {/* Drop indicator below */}
+          {isDragging && dragOverIndex === index && dragIndex < index && (
+            <View style={[styles.dropIndicator, { backgroundColor: colors.accentPurple }]} />
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: spacing.sm,
+    paddingHorizontal: spacing.xl,
+    paddingTop: spacing.sm,
+  },
+
+  hint: {
+    fontSize: typography.fontSize.xs,
+    textAlign: 'center',
+    marginBottom: spacing.xs,
+  },
+
+  row: {
+    height: ROW_HEIGHT - spacing.sm,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingRight: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    overflow: 'hidden',
+  },
+
+  priorityBar: {
+    width: 4,
+    alignSelf: 'stretch',
+  },
+
+  title: {
+    flex: 1,
+    fontSize: typography.fontSize.md,
+    fontWeight: typography.fontWeight.medium,
+  },
+
+  dropIndicator: {
+    height: 2,
+    borderRadius: 1,
+    marginVertical: spacing.xs,
+  },
+});
@@ -2,20 +2,21 @@
  * CategoryBreakdown Component
  * TaskList App - Phase 4 Analytics
  * 
- * Donut chart showing task distribution by category
+ * Donut chart showing task distribution by the user's categories
  */
 
 import React from 'react';
 import { View, Text, StyleSheet, Dimensions } from 'react-native';
 import Svg, { Circle, G, Text as SvgText } from 'react-native-svg';
 import { useTheme } from '../../context/ThemeContext';
-import { CATEGORIES } from '../../constants/categories';
+import { useCategories } from '../../context/CategoryContext';
 
 const CHART_SIZE = 160;
 const STROKE_WIDTH = 24;
 
 const CategoryBreakdown = ({ tasks = [], title = 'By Category' }) => {
   const { theme } = useTheme();
+  const { getCategory } = useCategories();
   
   // Group tasks by category
   const categoryData = tasks.reduce((acc, task) => {
@@ -30,8 +31,8 @@ const CategoryBreakdown = ({ tasks = [], title = 'By Category' }) => {
     category: key,
     count,
     percentage: Math.round((count / total) * 100),
-    color: CATEGORIES.find(c => c.id === key)?.color || '#6B7280',
-    label: CATEGORIES.find(c => c.id === key)?.label || key,
+    color: getCategory(key).color,
+    label: getCategory(key).name,
   })).sort((a, b) => b.count - a.count);
   
   // SVG donut calculations
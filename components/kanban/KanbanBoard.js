@@ -19,6 +19,7 @@ import { useTheme } from '../../context/ThemeContext';
 import { useWorkspace } from '../../context/WorkspaceContext';
 import { useTasks } from '../../context/TaskContext';
 import KanbanColumn from './KanbanColumn';
+import { getBlockersByTask } from '../../utils/taskDependencies';
 import { Ionicons } from '@expo/vector-icons';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
@@ -61,6 +62,9 @@ export default function KanbanBoard({ onTaskPress, onAddTask }) {
     return grouped;
   }, [tasks, kanbanColumns]);
 
+  // Pending tasks each blocked task waits on
+  const blockersByTask = useMemo(() => getBlockersByTask(tasks), [tasks]);
+
   // Handle task drag start
   const handleDragStart = useCallback((task) => {
     setDraggingTask(task);
@@ -158,6 +162,7 @@ export default function KanbanBoard({ onTaskPress, onAddTask }) {
             onDragLeave={() => setDropTargetColumn(null)}
             draggingTask={draggingTask}
             columnWidth={COLUMN_WIDTH}
+            blockersByTask={blockersByTask}
           />
         )}
 
@@ -176,6 +181,7 @@ export default function KanbanBoard({ onTaskPress, onAddTask }) {
             onDragLeave={() => setDropTargetColumn(null)}
             draggingTask={draggingTask}
             columnWidth={COLUMN_WIDTH}
+            blockersByTask={blockersByTask}
           />
         ))}
 
@@ -3,6 +3,7 @@
  * Bitrova TaskList App - Phase 3 B2B
  * 
  * Individual task card for Kanban board
+ * (locked while the task waits on pending tasks, given as `blockers`)
  */
 
 import React from 'react';
@@ -13,7 +14,9 @@ import {
   StyleSheet,
 } from 'react-native';
 import { useTheme } from '../../context/ThemeContext';
+import { useCategories } from '../../context/CategoryContext';
 import { Ionicons } from '@expo/vector-icons';
+import { resolveTaskDate } from '../../utils/timezone';
 
 // Priority colors
 const PRIORITY_COLORS = {
@@ -29,8 +32,9 @@ const PRIORITY_ICONS = {
   low: 'arrow-down',
 };
 
-export default function KanbanCard({ task, onPress, onDragStart, isDragging }) {
+export default function KanbanCard({ task, onPress, onDragStart, isDragging, blockers = [] }) {
   const { colors, isDarkMode } = useTheme();
+  const { getCategory } = useCategories();
   
   const priorityColor = PRIORITY_COLORS[task.priority] || PRIORITY_COLORS.low;
   const priorityIcon = PRIORITY_ICONS[task.priority] || PRIORITY_ICONS.low;
@@ -52,10 +56,12 @@ export default function KanbanCard({ task, onPress, onDragStart, isDragging }) {
     }
   };
 
-  const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && !task.completed;
-  const dueText = formatDueDate(task.dueDate);
+  const dueDate = resolveTaskDate(task);
+  const isOverdue = dueDate && dueDate < new Date() && !task.completed;
+  const dueText = formatDueDate(dueDate);
+  const isBlocked = !task.completed && blockers.length > 0;
 
-  const styles = createStyles(colors, isDarkMode, isDragging, priorityColor);
+  const styles = createStyles(colors, isDarkMode, isDragging, priorityColor, isBlocked);
 
   return (
     <TouchableOpacity
@@ -71,9 +77,19 @@ export default function KanbanCard({ task, onPress, onDragStart, isDragging }) {
       {/* Content */}
       <View style={styles.content}>
         {/* Title */}
-        <Text style={styles.title} numberOfLines={2}>
-          {task.title}
-        </Text>
+        <View style={styles.titleRow}>
+          {isBlocked && <Ionicons name="lock-closed" size={14} color={colors.textTertiary} />}
+          <Text style={styles.title} numberOfLines={2}>
+            {task.title}
+          </Text>
+        </View>
+
+        {/* Tasks it waits on */}
+        {isBlocked && (
+          <Text style={styles.blockedText} numberOfLines={1}>
+            Blocked by {blockers.map(blocker => blocker.title).join(', ')}
+          </Text>
+        )}
 
         {/* Description snippet */}
         {task.description && (
@@ -106,7 +122,7 @@ export default function KanbanCard({ task, onPress, onDragStart, isDragging }) {
           {/* Category */}
           {task.category && (
             <View style={styles.categoryBadge}>
-              <Text style={styles.categoryText}>{task.category}</Text>
+              <Text style={styles.categoryText}>{getCategory(task.category).name}</Text>
             </View>
           )}
 
@@ -160,7 +176,7 @@ export default function KanbanCard({ task, onPress, onDragStart, isDragging }) {
   );
 }
 
-const createStyles = (colors, isDarkMode, isDragging, priorityColor) =>
+const createStyles = (colors, isDarkMode, isDragging, priorityColor, isBlocked) =>
   StyleSheet.create({
     container: {
       backgroundColor: isDarkMode ? colors.bgSecondary : '#fff',
@@ -168,7 +184,7 @@ const createStyles = (colors, isDarkMode, isDragging, priorityColor) =>
       overflow: 'hidden',
       borderWidth: 1,
       borderColor: isDragging ? colors.accentPurple : colors.border,
-      opacity: isDragging ? 0.5 : 1,
+      opacity: isDragging ? 0.5 : (isBlocked ? 0.7 : 1),
       transform: isDragging ? [{ scale: 1.02 }] : [],
       shadowColor: '#000',
       shadowOffset: { width: 0, height: 2 },
@@ -183,13 +199,24 @@ const createStyles = (colors, isDarkMode, isDragging, priorityColor) =>
     content: {
       padding: 12,
     },
+    titleRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      gap: 6,
+    },
     title: {
+      flex: 1,
       fontSize: 14,
       fontWeight: '600',
       color: colors.textPrimary,
       marginBottom: 4,
       lineHeight: 20,
     },
+    blockedText: {
+      fontSize: 11,
+      color: '#f59e0b',
+      marginBottom: 4,
+    },
     description: {
       fontSize: 12,
       color: colors.textSecondary,
@@ -31,6 +31,7 @@ export default function KanbanColumn({
   onDragLeave,
   draggingTask,
   columnWidth,
+  blockersByTask = {},
 }) {
   const { colors, isDarkMode } = useTheme();
   const { updateWorkspace } = useWorkspace();
@@ -110,6 +111,7 @@ export default function KanbanColumn({
             onPress={() => onTaskPress?.(task)}
             onDragStart={() => onDragStart?.(task)}
             isDragging={draggingTask?.id === task.id}
+            blockers={blockersByTask[task.id]}
           />
         ))}
 
@@ -25,6 +25,7 @@ const NOTIFICATION_CONFIG = {
   mention: { icon: 'at', color: '#8b5cf6' },
   task_assigned: { icon: 'person', color: '#3b82f6' },
   task_completed: { icon: 'checkmark-circle', color: '#10b981' },
+  task_unblocked: { icon: 'lock-open', color: '#10b981' },
   comment: { icon: 'chatbubble', color: '#6366f1' },
   invite: { icon: 'mail', color: '#f59e0b' },
   reminder: { icon: 'alarm', color: '#ef4444' },
@@ -75,6 +75,7 @@ export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
 export const TABLES = {
   PROFILES: 'profiles',
   TASKS: 'tasks',
+  TASK_CATEGORIES: 'task_categories',
   BACKUPS: 'backups',
   SYNC_QUEUE: 'sync_queue',
   // Phase 3 B2B tables
@@ -97,20 +98,46 @@ export const BUCKETS = {
   BACKUPS: 'backups',
 };
 
+/**
+ * Build a direct Storage upload request (used for uploads that report progress)
+ * @param {string} bucket - Bucket name
+ * @param {string} path - Object path inside the bucket
+ * @param {string} accessToken - Session access token
+ * @returns {{ url: string, headers: Object }}
+ */
+export const getStorageUploadRequest = (bucket, path, accessToken) => ({
+  url: `${SUPABASE_URL}/storage/v1/object/${bucket}/${path}`,
+  headers: {
+    apikey: SUPABASE_ANON_KEY,
+    Authorization: `Bearer ${accessToken}`,
+  },
+});
+
 // Sync configuration
 export const SYNC_CONFIG = {
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY_MS: 1000,
+  MAX_RETRY_DELAY_MS: 5 * 60 * 1000, // Backoff cap for queued operations
   BATCH_SIZE: 50,
-  CONFLICT_RESOLUTION: 'server_wins', // 'server_wins' | 'client_wins' | 'merge'
+  CONFLICT_RESOLUTION: 'merge', // 'server_wins' | 'client_wins' | 'merge' (field-level three-way)
   AUTO_SYNC_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes
+  TOMBSTONE_RETENTION_DAYS: 30, // How long deletions are remembered for propagation
 };
 
 // Backup configuration
 export const BACKUP_CONFIG = {
-  MAX_BACKUPS: 5,
+  MAX_BACKUPS: 5, // Manual backups kept
   AUTO_BACKUP_ENABLED: true,
   BACKUP_INTERVAL_HOURS: 24,
+  DEFAULT_FREQUENCY: 'daily', // 'off' | 'daily' | 'weekly'
+  // Grandfather-father-son retention for automatic backups
+  RETENTION: {
+    DAILY: 7,
+    WEEKLY: 4,
+    MONTHLY: 12,
+  },
+  FAILURE_RETRY_HOURS: 1,
+  SCHEDULER_CHECK_INTERVAL_MS: 15 * 60 * 1000, // 15 minutes
 };
 
 /**
@@ -145,7 +172,8 @@ CREATE TABLE profiles (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_sync_at TIMESTAMP WITH TIME ZONE,
-  subscription_tier TEXT DEFAULT 'free'
+  subscription_tier TEXT DEFAULT 'free',
+  smart_lists JSONB DEFAULT '[]'
 );
 
 -- Tasks table
@@ -155,16 +183,23 @@ CREATE TABLE tasks (
   title TEXT NOT NULL,
   description TEXT,
   category TEXT DEFAULT 'personal',
+  tags JSONB DEFAULT '[]',
+  blocked_by JSONB DEFAULT '[]',
   priority TEXT DEFAULT 'medium',
   completed BOOLEAN DEFAULT FALSE,
+  completed_at TIMESTAMP WITH TIME ZONE,
   due_date TIMESTAMP WITH TIME ZONE,
   enable_reminder BOOLEAN DEFAULT FALSE,
+  due_time TEXT,
+  reminder_offsets JSONB DEFAULT '[0]',
   subtasks JSONB DEFAULT '[]',
   attachments JSONB DEFAULT '[]',
   is_recurring BOOLEAN DEFAULT FALSE,
   recurring_series_id TEXT,
   instance_date TEXT,
   skipped BOOLEAN DEFAULT FALSE,
+  time_zone TEXT,
+  floating BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   synced_at TIMESTAMP WITH TIME ZONE,
@@ -172,6 +207,19 @@ CREATE TABLE tasks (
   deleted BOOLEAN DEFAULT FALSE
 );
 
+-- User-defined categories (deleted ones are kept as sync tombstones)
+CREATE TABLE task_categories (
+  id TEXT NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  color TEXT,
+  icon TEXT,
+  position INTEGER DEFAULT 0,
+  deleted BOOLEAN DEFAULT FALSE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
+
 -- Backups table
 CREATE TABLE backups (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -181,12 +229,14 @@ CREATE TABLE backups (
   file_size INTEGER,
   storage_path TEXT,
   is_automatic BOOLEAN DEFAULT TRUE,
-  version TEXT DEFAULT '2.0'
+  version TEXT DEFAULT '2.0',
+  attachment_paths JSONB
 );
 
 -- Enable Row Level Security
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE backups ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for profiles
@@ -209,6 +259,10 @@ CREATE POLICY "Users can update own tasks" ON tasks
 CREATE POLICY "Users can delete own tasks" ON tasks
   FOR DELETE USING (auth.uid() = user_id);
 
+-- RLS Policies for categories
+CREATE POLICY "Users can manage own categories" ON task_categories
+  FOR ALL USING (auth.uid() = user_id);
+
 -- RLS Policies for backups
 CREATE POLICY "Users can manage own backups" ON backups
   FOR ALL USING (auth.uid() = user_id);
@@ -1,6 +0,0 @@
-export const categories = {
-  personal: { name: "Personal", color: "#FFB74D" },
-  work: { name: "Trabajo", color: "#64B5F6" },
-  shopping: { name: "Compras", color: "#81C784" },
-  all: { name: "Todas", color: "#9E9E9E" },
-};
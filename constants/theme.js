@@ -165,7 +165,7 @@ export const animations = {
   },
 };
 
-// Category configuration with icons and colors
+// Default categories seeded into CategoryContext ("all" is the filter chip)
 export const categories = {
   all: {
     id: 'all',
@@ -3,6 +3,7 @@
  * TaskList App - Phase 4 Monetization
  * 
  * Defines tier limits, features, and pricing structure
+ * (keep limits in sync with the plan_limits table in Supabase)
  */
 
 export const SUBSCRIPTION_TIERS = {
@@ -18,6 +19,7 @@ export const SUBSCRIPTION_TIERS = {
       tasksPerMonth: 25,
       storageMB: 100,
       attachmentsPerTask: 1,
+      aiRequestsPerMonth: 0,
     },
     features: [
       'basic_tasks',
@@ -40,6 +42,7 @@ export const SUBSCRIPTION_TIERS = {
       tasksPerMonth: 10000, // Effectively unlimited
       storageMB: 10000, // 10GB
       attachmentsPerTask: 10,
+      aiRequestsPerMonth: 500,
     },
     features: [
       'basic_tasks',
@@ -70,6 +73,7 @@ export const SUBSCRIPTION_TIERS = {
       tasksPerMonth: -1, // Unlimited
       storageMB: -1, // Unlimited
       attachmentsPerTask: -1,
+      aiRequestsPerMonth: 2000,
     },
     features: [
       'basic_tasks',
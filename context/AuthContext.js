@@ -8,6 +8,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { Alert, Platform } from 'react-native';
 import { supabase, isSupabaseConfigured } from '../config/supabase';
+import { clearQueue } from '../services/syncQueueService';
 
 const AuthContext = createContext();
 
@@ -58,6 +59,10 @@ export const AuthProvider = ({ children }) => {
     const { data: { subscription } } = supabase.auth.onAuthStateChange(
       async (event, session) => {
         console.log('Auth state changed:', event);
+        if (event === 'SIGNED_OUT') {
+          // Unsent changes belong to the account that made them
+          clearQueue();
+        }
         setSession(session);
         setUser(session?.user ?? null);
         setLoading(false);
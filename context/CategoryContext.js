@@ -0,0 +1,245 @@
+/**
+ * CategoryContext - User-defined task categories
+ * Task List App 2026
+ *
+ * Categories start as the defaults in constants/theme and can be created,
+ * renamed, recolored, re-iconed, merged and deleted. Deleted categories are
+ * kept as tombstones ({ deleted: true }) so cloud sync can propagate them;
+ * `categories` only lists the live ones. Merging or deleting moves the
+ * affected tasks through TaskContext, so this provider sits inside it.
+ */
+
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { TaskContext } from './TaskContext';
+import {
+  FALLBACK_CATEGORY_ID,
+  MAX_CATEGORY_NAME_LENGTH,
+  CATEGORY_COLORS,
+  getDefaultCategories,
+  createCategoryId,
+  findCategory,
+  getUnknownCategory,
+  foldName,
+} from '../utils/categories';
+
+const CATEGORIES_STORAGE_KEY = '@tasklist_categories';
+
+export const CategoryContext = createContext();
+
+export const useCategories = () => {
+  const context = useContext(CategoryContext);
+  if (!context) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+  return context;
+};
+
+/**
+ * Validate a category name against the other live categories
+ * @returns {string|null} Error message
+ */
+const validateName = (name, categories, ignoreId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'El nombre no puede estar vacío';
+  if (trimmed.length > MAX_CATEGORY_NAME_LENGTH) {
+    return `El nombre no puede superar ${MAX_CATEGORY_NAME_LENGTH} caracteres`;
+  }
+  const folded = foldName(trimmed);
+  if (categories.some((c) => c.id !== ignoreId && foldName(c.name) === folded)) {
+    return 'Ya existe una categoría con ese nombre';
+  }
+  return null;
+};
+
+export const CategoryProvider = ({ children }) => {
+  const [records, setRecords] = useState(getDefaultCategories);
+  const [isLoading, setIsLoading] = useState(true);
+  const { reassignCategory } = useContext(TaskContext) || {};
+
+  // Load saved categories
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const saved = await AsyncStorage.getItem(CATEGORIES_STORAGE_KEY);
+        if (saved) {
+          setRecords(JSON.parse(saved));
+        }
+      } catch (error) {
+        console.error('Error loading categories:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadCategories();
+  }, []);
+
+  const categories = useMemo(
+    () => records.filter((c) => !c.deleted).sort((a, b) => a.position - b.position),
+    [records]
+  );
+
+  // Replace all category records and persist them
+  const saveRecords = useCallback(async (next) => {
+    setRecords(next);
+
+    try {
+      await AsyncStorage.setItem(CATEGORIES_STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.error('Error saving categories:', error);
+    }
+  }, []);
+
+  /**
+   * Display data for a category id (unknown ids get a neutral look)
+   */
+  const getCategory = useCallback(
+    (id) => categories.find((c) => c.id === id) || getUnknownCategory(id),
+    [categories]
+  );
+
+  /**
+   * Category that takes the tasks of a deleted one
+   */
+  const getFallbackCategoryId = useCallback((excludeId) => {
+    const remaining = categories.filter((c) => c.id !== excludeId);
+    return (remaining.find((c) => c.id === FALLBACK_CATEGORY_ID) || remaining[0])?.id || null;
+  }, [categories]);
+
+  /**
+   * Create a category
+   * @param {Object} data - { name, color, icon }
+   * @returns {Promise<Object>} { category } or { error }
+   */
+  const createCategory = useCallback(async ({ name, color, icon }) => {
+    const error = validateName(name, categories);
+    if (error) return { error };
+
+    const category = {
+      id: createCategoryId(name, records),
+      name: name.trim(),
+      color: color || CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length],
+      icon: icon || 'pricetag',
+      position: Math.max(-1, ...categories.map((c) => c.position)) + 1,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await saveRecords([...records, category]);
+    return { category };
+  }, [categories, records, saveRecords]);
+
+  /**
+   * Rename, recolor or re-icon a category
+   * @param {string} id - Category ID
+   * @param {Object} updates - { name?, color?, icon? }
+   * @returns {Promise<Object>} { category } or { error }
+   */
+  const updateCategory = useCallback(async (id, updates) => {
+    const existing = categories.find((c) => c.id === id);
+    if (!existing) return { error: 'La categoría no existe' };
+
+    if (updates.name !== undefined) {
+      const error = validateName(updates.name, categories, id);
+      if (error) return { error };
+    }
+
+    const category = {
+      ...existing,
+      ...(updates.name !== undefined && { name: updates.name.trim() }),
+      ...(updates.color && { color: updates.color }),
+      ...(updates.icon && { icon: updates.icon }),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await saveRecords(records.map((c) => (c.id === id ? category : c)));
+    return { category };
+  }, [categories, records, saveRecords]);
+
+  /**
+   * Merge a category into another: its tasks move over and it is removed
+   * @param {string} sourceId - Category to remove
+   * @param {string} targetId - Category that keeps the tasks
+   * @returns {Promise<Object>} {} or { error }
+   */
+  const mergeCategories = useCallback(async (sourceId, targetId) => {
+    if (sourceId === targetId) return { error: 'Elige otra categoría' };
+    if (!categories.some((c) => c.id === sourceId) || !categories.some((c) => c.id === targetId)) {
+      return { error: 'La categoría no existe' };
+    }
+
+    reassignCategory?.(sourceId, targetId);
+
+    const now = new Date().toISOString();
+    await saveRecords(records.map((c) => (c.id === sourceId ? { ...c, deleted: true, updatedAt: now } : c)));
+    return {};
+  }, [categories, records, saveRecords, reassignCategory]);
+
+  /**
+   * Delete a category; its tasks move to the fallback category
+   * @param {string} id - Category ID
+   * @returns {Promise<Object>} { movedTo } or { error }
+   */
+  const deleteCategory = useCallback(async (id) => {
+    const movedTo = getFallbackCategoryId(id);
+    if (!movedTo) return { error: 'Debe quedar al menos una categoría' };
+
+    const result = await mergeCategories(id, movedTo);
+    return result.error ? result : { movedTo };
+  }, [getFallbackCategoryId, mergeCategories]);
+
+  /**
+   * Add categories that came with imported tasks, skipping known ids and names
+   * @param {Array} imported - [{ id, name, color, icon }]
+   */
+  const importCategories = useCallback(async (imported = []) => {
+    const next = [...records];
+    let position = Math.max(-1, ...categories.map((c) => c.position));
+
+    for (const category of imported) {
+      const live = next.filter((c) => !c.deleted);
+      if (findCategory(live, category.id) || findCategory(live, category.name)) continue;
+
+      const tombstone = next.findIndex((c) => c.id === category.id);
+      const record = {
+        id: category.id,
+        name: String(category.name || category.id).trim().slice(0, MAX_CATEGORY_NAME_LENGTH),
+        color: category.color || CATEGORY_COLORS[live.length % CATEGORY_COLORS.length],
+        icon: category.icon || 'pricetag',
+        position: ++position,
+        updatedAt: new Date().toISOString(),
+      };
+      if (tombstone >= 0) next[tombstone] = record;
+      else next.push(record);
+    }
+
+    if (next.length !== records.length || next.some((c, i) => c !== records[i])) {
+      await saveRecords(next);
+    }
+  }, [categories, records, saveRecords]);
+
+  /**
+   * Replace all category records with the result of a cloud sync
+   */
+  const applySyncedCategories = useCallback((synced) => {
+    if (synced) saveRecords(synced);
+  }, [saveRecords]);
+
+  return (
+    <CategoryContext.Provider
+      value={{
+        categories,
+        categoryRecords: records,
+        isLoading,
+        getCategory,
+        createCategory,
+        updateCategory,
+        mergeCategories,
+        deleteCategory,
+        importCategories,
+        applySyncedCategories,
+      }}
+    >
+      {children}
+    </CategoryContext.Provider>
+  );
+};
@@ -0,0 +1,91 @@
+/**
+ * SettingsContext - Persisted app behavior settings
+ * Task List App 2026
+ *
+ * Vibración, efectos de sonido, auto-eliminar completadas and badge count.
+ * Haptics and sounds read the settings through utils/feedback; TaskContext
+ * applies the auto-delete sweep and the app icon badge.
+ */
+
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureFeedback } from '../utils/feedback';
+
+const SETTINGS_STORAGE_KEY = '@tasklist_settings';
+
+export const DEFAULT_SETTINGS = {
+  hapticFeedback: true,
+  soundEffects: true,
+  autoDeleteCompleted: false,
+  showBadgeCount: true,
+};
+
+export const SettingsContext = createContext();
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
+
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Load saved settings
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const saved = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+        if (saved) {
+          setSettings({ ...DEFAULT_SETTINGS, ...JSON.parse(saved) });
+        }
+      } catch (error) {
+        console.error('Error loading settings:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  // Keep haptics and sounds in line with the settings
+  useEffect(() => {
+    configureFeedback({
+      hapticFeedback: settings.hapticFeedback,
+      soundEffects: settings.soundEffects,
+    });
+  }, [settings.hapticFeedback, settings.soundEffects]);
+
+  // Change one setting and persist all of them
+  const updateSetting = async (key, value) => {
+    if (!(key in DEFAULT_SETTINGS)) return;
+
+    const next = { ...settings, [key]: value };
+    setSettings(next);
+
+    try {
+      await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+  };
+
+  return (
+    <SettingsContext.Provider
+      value={{
+        ...settings,
+        isLoading,
+        updateSetting,
+        setHapticFeedback: (value) => updateSetting('hapticFeedback', value),
+        setSoundEffects: (value) => updateSetting('soundEffects', value),
+        setAutoDeleteCompleted: (value) => updateSetting('autoDeleteCompleted', value),
+        setShowBadgeCount: (value) => updateSetting('showBadgeCount', value),
+      }}
+    >
+      {children}
+    </SettingsContext.Provider>
+  );
+};
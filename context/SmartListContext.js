@@ -0,0 +1,196 @@
+/**
+ * SmartListContext - Saved task views
+ * Task List App 2026
+ *
+ * Smart lists (see utils/smartLists) are stored on the device and, when
+ * signed in, synced with the user's profile: once after sign-in and a
+ * moment after every change. Deleted lists are kept as tombstones
+ * ({ deleted: true }) so the deletion reaches other devices; `smartLists`
+ * only lists the live ones.
+ */
+
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './AuthContext';
+import { syncSmartLists } from '../services/cloudSyncService';
+import { mergeByUpdatedAt } from '../utils/syncMerge';
+import { createSmartListId, MAX_SMART_LIST_NAME_LENGTH } from '../utils/smartLists';
+import { SORT_MODES, GROUP_MODES } from '../utils/taskOrdering';
+import { CATEGORY_COLORS } from '../utils/categories';
+
+const SMART_LISTS_STORAGE_KEY = '@tasklist_smart_lists';
+const SYNC_DELAY_MS = 1500;
+
+export const SmartListContext = createContext();
+
+export const useSmartLists = () => {
+  const context = useContext(SmartListContext);
+  if (!context) {
+    throw new Error('useSmartLists must be used within a SmartListProvider');
+  }
+  return context;
+};
+
+/**
+ * Validate a smart list name
+ * @returns {string|null} Error message
+ */
+const validateName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'El nombre no puede estar vacío';
+  if (trimmed.length > MAX_SMART_LIST_NAME_LENGTH) {
+    return `El nombre no puede superar ${MAX_SMART_LIST_NAME_LENGTH} caracteres`;
+  }
+  return null;
+};
+
+export const SmartListProvider = ({ children }) => {
+  const [records, setRecords] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const { isAuthenticated } = useAuth();
+  const recordsRef = useRef(records);
+  const syncTimer = useRef(null);
+
+  recordsRef.current = records;
+
+  // Load saved smart lists
+  useEffect(() => {
+    const loadSmartLists = async () => {
+      try {
+        const saved = await AsyncStorage.getItem(SMART_LISTS_STORAGE_KEY);
+        if (saved) {
+          setRecords(JSON.parse(saved));
+        }
+      } catch (error) {
+        console.error('Error loading smart lists:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadSmartLists();
+  }, []);
+
+  const persist = useCallback(async (next) => {
+    try {
+      await AsyncStorage.setItem(SMART_LISTS_STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.error('Error saving smart lists:', error);
+    }
+  }, []);
+
+  /**
+   * Sync with the profile; changes made meanwhile win over the result
+   */
+  const syncNow = useCallback(async () => {
+    const result = await syncSmartLists(recordsRef.current);
+    if (!result.success) return;
+
+    const { merged } = mergeByUpdatedAt(recordsRef.current, result.smartLists);
+    setRecords(merged);
+    persist(merged);
+  }, [persist]);
+
+  const scheduleSync = useCallback(() => {
+    if (!isAuthenticated) return;
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(syncNow, SYNC_DELAY_MS);
+  }, [isAuthenticated, syncNow]);
+
+  // Sync once loaded and signed in
+  useEffect(() => {
+    if (!isLoading && isAuthenticated) syncNow();
+  }, [isLoading, isAuthenticated, syncNow]);
+
+  useEffect(() => () => clearTimeout(syncTimer.current), []);
+
+  const smartLists = useMemo(
+    () => records.filter((list) => !list.deleted).sort((a, b) => a.position - b.position),
+    [records]
+  );
+
+  // Replace all records, persist them and queue a sync
+  const saveRecords = useCallback(async (next) => {
+    setRecords(next);
+    await persist(next);
+    scheduleSync();
+  }, [persist, scheduleSync]);
+
+  /**
+   * Create a smart list
+   * @param {Object} data - { name, query, icon?, color?, sortBy?, groupBy?, pinned? }
+   * @returns {Promise<Object>} { smartList } or { error }
+   */
+  const createSmartList = useCallback(async (data) => {
+    const error = validateName(data.name);
+    if (error) return { error };
+
+    const smartList = {
+      id: createSmartListId(),
+      name: data.name.trim(),
+      query: (data.query || '').trim(),
+      icon: data.icon || 'flash',
+      color: data.color || CATEGORY_COLORS[smartLists.length % CATEGORY_COLORS.length],
+      sortBy: data.sortBy || SORT_MODES.MANUAL,
+      groupBy: data.groupBy || GROUP_MODES.NONE,
+      pinned: data.pinned ?? true,
+      position: Math.max(-1, ...smartLists.map((list) => list.position)) + 1,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await saveRecords([...records, smartList]);
+    return { smartList };
+  }, [records, smartLists, saveRecords]);
+
+  /**
+   * Update a smart list
+   * @param {string} id - Smart list ID
+   * @param {Object} updates - Any of the fields given to createSmartList
+   * @returns {Promise<Object>} { smartList } or { error }
+   */
+  const updateSmartList = useCallback(async (id, updates) => {
+    const existing = smartLists.find((list) => list.id === id);
+    if (!existing) return { error: 'La lista no existe' };
+
+    if (updates.name !== undefined) {
+      const error = validateName(updates.name);
+      if (error) return { error };
+    }
+
+    const smartList = {
+      ...existing,
+      ...updates,
+      ...(updates.name !== undefined && { name: updates.name.trim() }),
+      ...(updates.query !== undefined && { query: updates.query.trim() }),
+      id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await saveRecords(records.map((list) => (list.id === id ? smartList : list)));
+    return { smartList };
+  }, [records, smartLists, saveRecords]);
+
+  /**
+   * Delete a smart list
+   * @param {string} id - Smart list ID
+   */
+  const deleteSmartList = useCallback(async (id) => {
+    const now = new Date().toISOString();
+    await saveRecords(records.map((list) => (list.id === id ? { ...list, deleted: true, updatedAt: now } : list)));
+  }, [records, saveRecords]);
+
+  return (
+    <SmartListContext.Provider
+      value={{
+        smartLists,
+        pinnedSmartLists: smartLists.filter((list) => list.pinned),
+        isLoading,
+        createSmartList,
+        updateSmartList,
+        deleteSmartList,
+        syncSmartLists: syncNow,
+      }}
+    >
+      {children}
+    </SmartListContext.Provider>
+  );
+};
@@ -5,14 +5,32 @@
 
 import React, { createContext, useState, useEffect, useCallback, useContext } from "react";
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDayKey, utcDayKeyToDayKey } from '../utils/timezone';
 
 export const StatsContext = createContext();
 
 const STATS_STORAGE_KEY = '@stats_history';
+// Marks history keyed by device-local day; older history was keyed by UTC day
+const STATS_DAY_KEYS_KEY = '@stats_history_day_keys';
+const LOCAL_DAY_KEYS = 'local';
 
-// Helper to get date string in YYYY-MM-DD format
+// Helper to get date string in YYYY-MM-DD format (device-local calendar day)
 const getDateKey = (date = new Date()) => {
-  return date.toISOString().split('T')[0];
+  return getDayKey(date);
+};
+
+// Move history keyed by UTC day to local days, adding up days that land together.
+// Days recorded since the switch are already local and keep their key.
+const migrateUtcDayKeys = (history) => {
+  return Object.entries(history).reduce((migrated, [utcKey, dayStats]) => {
+    const dateKey = utcDayKeyToDayKey(utcKey);
+    const merged = { ...migrated[dateKey] };
+    Object.entries(dayStats || {}).forEach(([field, value]) => {
+      merged[field] = (merged[field] || 0) + value;
+    });
+    migrated[dateKey] = merged;
+    return migrated;
+  }, {});
 };
 
 // Helper to get start of week (Monday)
@@ -39,10 +57,20 @@ export const StatsProvider = ({ children }) => {
   useEffect(() => {
     const loadStats = async () => {
       try {
-        const saved = await AsyncStorage.getItem(STATS_STORAGE_KEY);
-        if (saved) {
-          setStatsHistory(JSON.parse(saved));
+        const [[, saved], [, dayKeys]] = await AsyncStorage.multiGet([STATS_STORAGE_KEY, STATS_DAY_KEYS_KEY]);
+        const history = saved ? JSON.parse(saved) : {};
+
+        if (dayKeys === LOCAL_DAY_KEYS) {
+          setStatsHistory(history);
+          return;
         }
+
+        const migrated = migrateUtcDayKeys(history);
+        setStatsHistory(migrated);
+        await AsyncStorage.multiSet([
+          [STATS_STORAGE_KEY, JSON.stringify(migrated)],
+          [STATS_DAY_KEYS_KEY, LOCAL_DAY_KEYS],
+        ]);
       } catch (error) {
         console.error('Error loading stats history:', error);
       } finally {
@@ -80,6 +108,23 @@ export const StatsProvider = ({ children }) => {
     }));
   }, []);
 
+  /**
+   * Record a postponed reminder for today
+   * @param {number|'tomorrow'} snooze - Snoozed minutes, or 'tomorrow' when
+   *   the task was moved to the next day
+   */
+  const recordTaskSnoozed = useCallback((snooze) => {
+    const dateKey = getDateKey();
+    const field = snooze === 'tomorrow' ? 'tasksPostponed' : 'tasksSnoozed';
+    setStatsHistory((prev) => ({
+      ...prev,
+      [dateKey]: {
+        ...prev[dateKey],
+        [field]: (prev[dateKey]?.[field] || 0) + 1,
+      },
+    }));
+  }, []);
+
   /**
    * Record a completed Pomodoro session
    */
@@ -158,6 +203,8 @@ export const StatsProvider = ({ children }) => {
     let tasksCompleted = 0;
     let pomodoroSessions = 0;
     let focusMinutes = 0;
+    let tasksSnoozed = 0;
+    let tasksPostponed = 0;
     let activeDays = 0;
     let currentStreak = 0;
     let maxStreak = 0;
@@ -172,6 +219,8 @@ export const StatsProvider = ({ children }) => {
         tasksCompleted += dayStats.tasksCompleted || 0;
         pomodoroSessions += dayStats.pomodoroSessions || 0;
         focusMinutes += dayStats.focusMinutes || 0;
+        tasksSnoozed += dayStats.tasksSnoozed || 0;
+        tasksPostponed += dayStats.tasksPostponed || 0;
         
         if ((dayStats.tasksCompleted || 0) + (dayStats.pomodoroSessions || 0) > 0) {
           activeDays++;
@@ -209,6 +258,8 @@ export const StatsProvider = ({ children }) => {
       tasksCompleted,
       pomodoroSessions,
       focusMinutes,
+      tasksSnoozed,
+      tasksPostponed,
       activeDays,
       currentStreak,
       maxStreak,
@@ -232,6 +283,7 @@ export const StatsProvider = ({ children }) => {
         
         // Actions
         recordTaskCompleted,
+        recordTaskSnoozed,
         recordPomodoroSession,
         
         // Getters
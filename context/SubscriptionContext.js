@@ -19,6 +19,7 @@ import {
   logoutUser,
   syncSubscriptionToSupabase,
 } from '../services/subscriptionService';
+import { fetchAiUsage } from '../services/quotaService';
 import { SUBSCRIPTION_TIERS, getTierById, isFeatureAvailable } from '../constants/tiers';
 
 const SubscriptionContext = createContext();
@@ -43,6 +44,7 @@ export const SubscriptionProvider = ({ children }) => {
   const [usage, setUsage] = useState({
     tasksThisMonth: 0,
     storageMB: 0,
+    aiRequestsThisMonth: 0,
     cycleStartDate: null,
   });
 
@@ -67,7 +69,7 @@ export const SubscriptionProvider = ({ children }) => {
           const data = JSON.parse(cached);
           setTier(data.tier || 'free');
           setIsLegacy(data.isLegacy || false);
-          setUsage(data.usage || { tasksThisMonth: 0, storageMB: 0 });
+          setUsage(data.usage || { tasksThisMonth: 0, storageMB: 0, aiRequestsThisMonth: 0 });
         }
       } catch (error) {
         console.error('Failed to load subscription cache:', error);
@@ -117,9 +119,11 @@ export const SubscriptionProvider = ({ children }) => {
             }
 
             // Update usage from Supabase
+            const aiUsage = await fetchAiUsage(user.id);
             setUsage({
               tasksThisMonth: profile.tasks_usage_current || 0,
               storageMB: (profile.storage_usage_bytes || 0) / (1024 * 1024),
+              aiRequestsThisMonth: aiUsage?.used || 0,
               cycleStartDate: profile.cycle_start_date,
             });
           }
@@ -165,7 +169,7 @@ export const SubscriptionProvider = ({ children }) => {
       setTier('free');
       setIsLegacy(false);
       setCustomerInfo(null);
-      setUsage({ tasksThisMonth: 0, storageMB: 0, cycleStartDate: null });
+      setUsage({ tasksThisMonth: 0, storageMB: 0, aiRequestsThisMonth: 0, cycleStartDate: null });
     }
   }, [isAuthenticated]);
 
@@ -234,6 +238,18 @@ export const SubscriptionProvider = ({ children }) => {
     return Math.min(100, Math.round((usage.storageMB / limit) * 100));
   }, [getCurrentTier, usage.storageMB]);
 
+  /**
+   * Get remaining AI requests this month
+   */
+  const getRemainingAiRequests = useCallback(() => {
+    const tierConfig = getCurrentTier();
+    const limit = tierConfig.limits.aiRequestsPerMonth;
+
+    if (limit === -1) return -1; // Unlimited
+
+    return Math.max(0, limit - (usage.aiRequestsThisMonth || 0));
+  }, [getCurrentTier, usage.aiRequestsThisMonth]);
+
   /**
    * Increment task usage (called when a task is created)
    */
@@ -267,9 +283,11 @@ export const SubscriptionProvider = ({ children }) => {
         .single();
 
       if (!error && profile) {
+        const aiUsage = await fetchAiUsage(user.id);
         setUsage({
           tasksThisMonth: profile.tasks_usage_current || 0,
           storageMB: (profile.storage_usage_bytes || 0) / (1024 * 1024),
+          aiRequestsThisMonth: aiUsage?.used || 0,
           cycleStartDate: profile.cycle_start_date,
         });
       }
@@ -297,6 +315,7 @@ export const SubscriptionProvider = ({ children }) => {
     getRemainingTasks,
     canAddAttachment,
     getStorageUsagePercent,
+    getRemainingAiRequests,
     incrementTaskUsage,
     refreshUsage,
   };
@@ -3,26 +3,135 @@
  * Task List App 2026
  */
 
-import React, { createContext, useState, useEffect, useCallback, useContext } from "react";
+import React, { createContext, useState, useEffect, useCallback, useContext, useRef } from "react";
 import { Platform } from "react-native";
-import { loadTasks, saveTasks, loadRecurringSeries, saveRecurringSeries } from "../utils/storage";
-import { deleteFile } from "../utils/fileManager";
+import { loadTasks, saveTaskChanges, loadRecurringSeries, saveRecurringSeries } from "../utils/storage";
+import { deleteFile, getAttachmentFileUri } from "../utils/fileManager";
 import {
   requestNotificationPermissions,
-  scheduleTaskDueDateNotification,
+  scheduleSnoozedReminder,
+  cancelTaskReminders,
   cancelNotification,
+  setBadgeCount,
+  REMINDER_ACTIONS,
+  SNOOZE_MINUTES,
 } from "../utils/notifications";
+import { reconcileNotifications } from "../utils/notificationReconciler";
+import {
+  loadNotificationPreferences,
+  subscribeToNotificationPreferences,
+  schedulePolicyReminders,
+  getNotificationPreferences,
+} from "../utils/notificationPolicy";
+import { enqueueTaskChanges, processQueue } from "../services/syncQueueService";
+import { recordTombstones, clearTombstones } from "../services/cloudSyncService";
+import { uploadAttachment, deleteUnusedAttachmentObjects } from "../services/attachmentStorageService";
+import { notifyUnblockedTasks } from "../services/notificationService";
 import { StatsContext } from "./StatsContext";
+import { SettingsContext, DEFAULT_SETTINGS } from "./SettingsContext";
 import { 
   createRecurringSeries as createSeriesUtil,
   generateInstancesForSeries,
+  generateAllMissingInstances,
+  generateNextCompletionInstance,
+  getCompletedOccurrences,
   filterTasksByScope,
   getAffectedInstanceCount,
 } from "../utils/recurringGenerator";
-import { validateRecurringConfig } from "../utils/recurringHelpers";
+import { validateRecurringConfig, isCompletionBased } from "../utils/recurringHelpers";
+import { getDeviceTimeZone, isTaskOverdue, moveTaskToDay } from "../utils/timezone";
+import {
+  wouldCreateCycle,
+  getUnblockedByCompletion,
+  getPendingBlockers,
+  getDependents,
+  isTaskBlocked,
+  sanitizeDependencies,
+} from "../utils/taskDependencies";
 
 export const TaskContext = createContext();
 
+/**
+ * Task fields that change when (or whether) its reminders fire
+ */
+const REMINDER_FIELDS = [
+  'title',
+  'dueDate',
+  'dueTime',
+  'reminderOffsets',
+  'enableReminder',
+  'timeZone',
+  'floating',
+  'completed',
+  'skipped',
+];
+
+// Delay before refreshing the morning digest after tasks change
+const DIGEST_REFRESH_DELAY_MS = 2000;
+
+/**
+ * Schedule the reminders of a pending task (under the notification policy)
+ * @param {Object} task - Task
+ * @param {boolean} notificationsEnabled - Whether notification permission was granted
+ * @param {Array} [tasks] - All tasks, to leave Complete off reminders of blocked tasks
+ * @returns {Promise<Object>} Notification IDs by reminder offset
+ */
+const scheduleReminders = async (task, notificationsEnabled, tasks = []) => {
+  if (!notificationsEnabled || !task.enableReminder || !task.dueDate || task.completed || task.skipped) {
+    return {};
+  }
+
+  try {
+    return await schedulePolicyReminders(task, isTaskBlocked(task, tasks));
+  } catch (error) {
+    console.error('Error scheduling notification:', error);
+    return {};
+  }
+};
+
+/**
+ * Release what a task holds on this device before it is deleted
+ * (scheduled reminders and attachment files)
+ * @param {Object} task - Task being deleted
+ */
+const releaseTaskResources = async (task) => {
+  await cancelTaskReminders(task);
+
+  if (task?.attachments?.length > 0) {
+    for (const attachment of task.attachments) {
+      await deleteFile(attachment.localUri || getAttachmentFileUri(attachment.id, attachment.filename));
+    }
+  }
+};
+
+/**
+ * Build a task as added to the list (defaults filled in)
+ * @param {Object} task - Task data
+ * @param {string} id - ID for the new task
+ * @param {string} now - Creation time (ISO)
+ * @returns {Object}
+ */
+const buildNewTask = (task, id, now) => ({
+  ...task,
+  id,
+  notificationIds: {},
+  dueTime: task.dueTime || null,
+  reminderOffsets: task.reminderOffsets || [0],
+  tags: task.tags || [],
+  blockedBy: task.blockedBy || [],
+  subtasks: task.subtasks || [],
+  description: task.description || '',
+  attachments: task.attachments || [],
+  isRecurring: false,
+  recurringSeriesId: null,
+  instanceDate: null,
+  skipped: false,
+  timeZone: task.timeZone || getDeviceTimeZone(),
+  floating: task.floating ?? true,
+  createdAt: now,
+  updatedAt: now,
+});
+
 // Hook for easy access to TaskContext
 export const useTasks = () => {
   const context = useContext(TaskContext);
@@ -37,9 +146,22 @@ export const TaskProvider = ({ children }) => {
   const [recurringSeries, setRecurringSeries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+
+  // Scheduled notifications are checked against tasks on startup and
+  // whenever the task list is replaced (sync, restore, import)
+  const [reconcileRequested, setReconcileRequested] = useState(true);
+  const [preferencesLoaded, setPreferencesLoaded] = useState(false);
+
+  // Last task list written to the task store, used to persist only changes
+  const persistedTasksRef = useRef(null);
+
+  // Tasks applied from a cloud sync; these must not be queued back to the cloud
+  const syncedTasksRef = useRef(new WeakSet());
+  const syncRemovedIdsRef = useRef(new Set());
   
   // Access stats context (may be null during provider nesting)
   const statsContext = useContext(StatsContext);
+  const { showBadgeCount, soundEffects } = useContext(SettingsContext) || DEFAULT_SETTINGS;
 
   // Request notification permissions on mount
   useEffect(() => {
@@ -63,26 +185,118 @@ export const TaskProvider = ({ children }) => {
       // Ensure all tasks have required fields for backwards compatibility
       const tasksWithDefaults = savedTasks.map(task => ({
         ...task,
+        tags: task.tags || [],
+        blockedBy: task.blockedBy || [],
         subtasks: task.subtasks || [],
         attachments: task.attachments || [],
         isRecurring: task.isRecurring || false,
         recurringSeriesId: task.recurringSeriesId || null,
         instanceDate: task.instanceDate || null,
         skipped: task.skipped || false,
+        dueTime: task.dueTime || null,
+        reminderOffsets: task.reminderOffsets || [0],
+        // Single-reminder tasks kept one notificationId; it is the at-due reminder
+        notificationIds: task.notificationIds || (task.notificationId ? { 0: task.notificationId } : {}),
+        notificationId: null,
+        completedAt: task.completedAt || null,
       }));
       
       setTasks(tasksWithDefaults);
       setRecurringSeries(savedSeries || []);
       setLoading(false);
+
+      // Replay operations left over from a previous offline session
+      processQueue();
     };
     loadData();
   }, []);
 
-  // Save tasks when they change
+  // Save tasks when they change (only the records that changed are written)
   useEffect(() => {
-    if (!loading) saveTasks(tasks);
+    if (loading) return;
+    if (persistedTasksRef.current === null) {
+      persistedTasksRef.current = tasks;
+      return;
+    }
+    saveTaskChanges(persistedTasksRef.current, tasks);
+    enqueueTaskChanges(persistedTasksRef.current, tasks, {
+      shouldSkip: (task) =>
+        syncedTasksRef.current.has(task) || syncRemovedIdsRef.current.has(task.id),
+    });
+    syncRemovedIdsRef.current.clear();
+    persistedTasksRef.current = tasks;
   }, [tasks, loading]);
 
+  // Load notification preferences; any change reschedules reminders
+  useEffect(() => {
+    loadNotificationPreferences().then(() => setPreferencesLoaded(true));
+    return subscribeToNotificationPreferences(() => setReconcileRequested(true));
+  }, []);
+
+  // The morning digest lists tasks by name, so refresh it as they change
+  useEffect(() => {
+    if (loading || !getNotificationPreferences().digest.enabled) return;
+    const timer = setTimeout(() => setReconcileRequested(true), DIGEST_REFRESH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [tasks, loading]);
+
+  // Reconcile scheduled notifications with task reminders
+  useEffect(() => {
+    if (loading || !preferencesLoaded || !notificationsEnabled || !reconcileRequested) return;
+    setReconcileRequested(false);
+
+    const reconcile = async () => {
+      try {
+        const { tasks: reconciled } = await reconcileNotifications(tasks);
+        const changed = new Map();
+        reconciled.forEach((task, i) => {
+          if (task !== tasks[i]) changed.set(task.id, [tasks[i].notificationIds, task.notificationIds]);
+        });
+        if (changed.size === 0) return;
+
+        // Notification IDs are local-only: store them without queueing an upload,
+        // and leave tasks whose reminders changed meanwhile to the next pass
+        setTasks((prev) =>
+          prev.map((task) => {
+            const change = changed.get(task.id);
+            if (!change || task.notificationIds !== change[0]) return task;
+            const next = { ...task, notificationIds: change[1] };
+            syncedTasksRef.current.add(next);
+            return next;
+          })
+        );
+      } catch (error) {
+        console.error('Error reconciling notifications:', error);
+      }
+    };
+    reconcile();
+  }, [tasks, loading, preferencesLoaded, notificationsEnabled, reconcileRequested]);
+
+  // Scheduled notifications keep the sound they were created with
+  const soundEffectsRef = useRef(soundEffects);
+  useEffect(() => {
+    if (soundEffectsRef.current === soundEffects) return;
+    soundEffectsRef.current = soundEffects;
+    setReconcileRequested(true);
+  }, [soundEffects]);
+
+  // Keep the app icon badge at the number of pending tasks
+  useEffect(() => {
+    if (loading || Platform.OS === 'web') return;
+    const pending = showBadgeCount
+      ? tasks.filter((t) => !t.completed && !t.skipped).length
+      : 0;
+    setBadgeCount(pending);
+  }, [tasks, loading, showBadgeCount]);
+
+  /**
+   * Check scheduled notifications against task reminders on the next render
+   * (after imports or other bulk changes)
+   */
+  const reconcileReminders = useCallback(() => {
+    setReconcileRequested(true);
+  }, []);
+
   // Save recurring series when they change
   useEffect(() => {
     if (!loading) saveRecurringSeries(recurringSeries);
@@ -92,36 +306,45 @@ export const TaskProvider = ({ children }) => {
    * Add a new task with optional notification
    */
   const addTask = useCallback(async (task) => {
-    const now = new Date().toISOString();
-    const newTask = { 
-      ...task, 
-      id: Date.now().toString(),
-      notificationId: null,
-      subtasks: task.subtasks || [],
-      description: task.description || '',
-      attachments: task.attachments || [],
-      isRecurring: false,
-      recurringSeriesId: null,
-      instanceDate: null,
-      skipped: false,
-      createdAt: now,
-      updatedAt: now,
-    };
+    const newTask = buildNewTask(task, Date.now().toString(), new Date().toISOString());
 
-    // Schedule notification if task has due date and reminder is enabled
-    if (task.dueDate && task.enableReminder && notificationsEnabled) {
-      try {
-        const notificationId = await scheduleTaskDueDateNotification(newTask);
-        newTask.notificationId = notificationId;
-      } catch (error) {
-        console.error('Error scheduling notification:', error);
-      }
-    }
+    // Schedule reminders if task has due date and reminder is enabled
+    newTask.notificationIds = await scheduleReminders(newTask, notificationsEnabled);
 
     setTasks((prev) => [...prev, newTask]);
     return newTask;
   }, [notificationsEnabled]);
 
+  /**
+   * Add imported tasks at once. They get new IDs; dependencies between
+   * them follow, and those on skipped duplicates point to the existing task.
+   * @param {Array} importedTasks - Tasks from importService (with their file IDs)
+   * @param {Object} [existingIds] - { [fileId]: existing task ID } for skipped duplicates
+   * @returns {Promise<Array>} The added tasks
+   */
+  const importTasks = useCallback(async (importedTasks, existingIds = {}) => {
+    const now = new Date().toISOString();
+    const base = Date.now();
+    const idMap = new Map(Object.entries(existingIds));
+    importedTasks.forEach((task, index) => idMap.set(task.id, `${base}-${index}`));
+
+    const newTasks = importedTasks.map((task) => buildNewTask({
+      ...task,
+      blockedBy: (task.blockedBy || []).map((id) => idMap.get(id)).filter(Boolean),
+    }, idMap.get(task.id), now));
+
+    // Dependencies may point to tasks already on this device
+    const withExisting = sanitizeDependencies([...tasks, ...newTasks]);
+    const added = withExisting.slice(tasks.length);
+
+    for (const task of added) {
+      task.notificationIds = await scheduleReminders(task, notificationsEnabled);
+    }
+
+    setTasks((prev) => [...prev, ...added]);
+    return added;
+  }, [tasks, notificationsEnabled]);
+
   /**
    * Create a new recurring task series
    */
@@ -136,16 +359,9 @@ export const TaskProvider = ({ children }) => {
     // Create series and initial instances
     const { series, instances } = createSeriesUtil(taskData, recurringConfig);
 
-    // Schedule notifications for instances if enabled
-    if (taskData.enableReminder && notificationsEnabled) {
-      for (const instance of instances) {
-        try {
-          const notificationId = await scheduleTaskDueDateNotification(instance);
-          instance.notificationId = notificationId;
-        } catch (error) {
-          console.error('Error scheduling notification:', error);
-        }
-      }
+    // Schedule reminders for instances if enabled
+    for (const instance of instances) {
+      instance.notificationIds = await scheduleReminders(instance, notificationsEnabled);
     }
 
     // Add series and instances
@@ -163,6 +379,49 @@ export const TaskProvider = ({ children }) => {
     setTasks((prev) => [...prev, ...newTasks]);
   }, []);
 
+  /**
+   * Replace local tasks with the result of a cloud sync.
+   * Applied tasks are not queued for upload again.
+   */
+  const applySyncedTasks = useCallback((syncedTasks) => {
+    if (!syncedTasks) return;
+    const nextIds = new Set(syncedTasks.map(t => t.id));
+
+    syncedTasks.forEach(task => syncedTasksRef.current.add(task));
+
+    // Dependencies merged from several devices can close a cycle; tasks
+    // fixed here are queued so the cloud gets the fix too
+    const sanitized = sanitizeDependencies(syncedTasks);
+
+    setTasks((prev) => {
+      prev.forEach(task => {
+        if (!nextIds.has(task.id)) syncRemovedIdsRef.current.add(task.id);
+      });
+      return sanitized;
+    });
+    setReconcileRequested(true);
+  }, []);
+
+  /**
+   * Replace local tasks with a restored task list (e.g. from a backup).
+   * Unlike applySyncedTasks, the changes are queued for upload.
+   */
+  const restoreTasks = useCallback(async (restoredTasks) => {
+    const restoredIds = new Set(restoredTasks.map(t => t.id));
+    const removedTasks = tasks.filter(t => !restoredIds.has(t.id));
+
+    // Cancel notifications of tasks that no longer exist
+    for (const task of removedTasks) {
+      await cancelTaskReminders(task);
+    }
+
+    await recordTombstones(removedTasks.map(t => t.id));
+    await clearTombstones([...restoredIds]);
+
+    setTasks(restoredTasks);
+    setReconcileRequested(true);
+  }, [tasks]);
+
   /**
    * Get all instances for a recurring series
    */
@@ -194,9 +453,7 @@ export const TaskProvider = ({ children }) => {
 
     // Cancel notifications for affected tasks
     for (const task of affected) {
-      if (task.notificationId) {
-        await cancelNotification(task.notificationId);
-      }
+      await cancelTaskReminders(task);
     }
 
     // Update affected tasks
@@ -204,19 +461,12 @@ export const TaskProvider = ({ children }) => {
       ...task,
       ...updates,
       updatedAt: new Date().toISOString(),
-      notificationId: null,
+      notificationIds: {},
     }));
 
-    // Re-schedule notifications if needed
-    if (updates.enableReminder && updates.dueDate && notificationsEnabled) {
-      for (const task of updatedAffected) {
-        try {
-          const notificationId = await scheduleTaskDueDateNotification(task);
-          task.notificationId = notificationId;
-        } catch (error) {
-          console.error('Error scheduling notification:', error);
-        }
-      }
+    // Re-schedule reminders with the updated fields
+    for (const task of updatedAffected) {
+      task.notificationIds = await scheduleReminders(task, notificationsEnabled);
     }
 
     // Update series if updating all or future
@@ -233,6 +483,26 @@ export const TaskProvider = ({ children }) => {
     setTasks([...remaining, ...updatedAffected]);
   }, [tasks, notificationsEnabled]);
 
+  /**
+   * New open instance of a completion-based series whose open instance
+   * was skipped or deleted (completions create theirs in toggleCompleted)
+   * @param {Object} task - Instance that was skipped or deleted
+   * @param {Array} remainingTasks - Tasks after the change
+   * @returns {Promise<Object|null>}
+   */
+  const createReplacementInstance = useCallback(async (task, remainingTasks) => {
+    const series = task?.recurringSeriesId
+      ? recurringSeries.find((s) => s.id === task.recurringSeriesId)
+      : null;
+    if (!series || !isCompletionBased(series.recurringConfig)) return null;
+
+    const [instance] = generateAllMissingInstances([series], remainingTasks);
+    if (!instance) return null;
+
+    instance.notificationIds = await scheduleReminders(instance, notificationsEnabled);
+    return { ...instance, previousInstanceId: task.id };
+  }, [recurringSeries, notificationsEnabled]);
+
   /**
    * Delete recurring series instances
    */
@@ -241,11 +511,17 @@ export const TaskProvider = ({ children }) => {
 
     // Cancel notifications for affected tasks
     for (const task of affected) {
-      if (task.notificationId) {
-        await cancelNotification(task.notificationId);
-      }
+      await cancelTaskReminders(task);
     }
 
+    // Remember deletions so other devices don't resurrect them on sync
+    await recordTombstones(affected.map(task => task.id));
+    deleteUnusedAttachmentObjects(affected.flatMap(task => task.attachments || []), remaining);
+
+    const replacement = scope === 'this'
+      ? await createReplacementInstance(affected[0], remaining)
+      : null;
+
     // If deleting all, remove the series
     if (scope === 'all') {
       setRecurringSeries((prev) => prev.filter((s) => s.id !== seriesId));
@@ -258,8 +534,8 @@ export const TaskProvider = ({ children }) => {
       );
     }
 
-    setTasks(remaining);
-  }, [tasks]);
+    setTasks(replacement ? [...remaining, replacement] : remaining);
+  }, [tasks, createReplacementInstance]);
 
   /**
    * Skip a recurring instance
@@ -267,18 +543,22 @@ export const TaskProvider = ({ children }) => {
   const skipRecurringInstance = useCallback(async (taskId) => {
     const task = tasks.find(t => t.id === taskId);
     
-    if (task?.notificationId) {
-      await cancelNotification(task.notificationId);
-    }
+    await cancelTaskReminders(task);
 
-    setTasks((prev) =>
-      prev.map((t) =>
+    const replacement = await createReplacementInstance(
+      task,
+      tasks.map((t) => (t.id === taskId ? { ...t, skipped: true } : t))
+    );
+
+    setTasks((prev) => {
+      const updated = prev.map((t) =>
         t.id === taskId
-          ? { ...t, skipped: true, notificationId: null, updatedAt: new Date().toISOString() }
+          ? { ...t, skipped: true, notificationIds: {}, updatedAt: new Date().toISOString() }
           : t
-      )
-    );
-  }, [tasks]);
+      );
+      return replacement ? [...updated, replacement] : updated;
+    });
+  }, [tasks, createReplacementInstance]);
 
   /**
    * Unskip a recurring instance
@@ -287,21 +567,25 @@ export const TaskProvider = ({ children }) => {
     const task = tasks.find(t => t.id === taskId);
     if (!task) return;
 
-    let notificationId = null;
-    if (task.enableReminder && task.dueDate && notificationsEnabled) {
-      try {
-        notificationId = await scheduleTaskDueDateNotification(task);
-      } catch (error) {
-        console.error('Error scheduling notification:', error);
-      }
+    const notificationIds = await scheduleReminders({ ...task, skipped: false }, notificationsEnabled, tasks);
+
+    // Drop the instance created in its place, unless it was touched since
+    const replacement = tasks.find(
+      (t) => t.previousInstanceId === taskId && !t.completed && t.updatedAt === t.createdAt
+    );
+    if (replacement) {
+      await cancelTaskReminders(replacement);
+      await recordTombstones([replacement.id]);
     }
 
     setTasks((prev) =>
-      prev.map((t) =>
-        t.id === taskId
-          ? { ...t, skipped: false, notificationId, updatedAt: new Date().toISOString() }
-          : t
-      )
+      prev
+        .filter((t) => t.id !== replacement?.id)
+        .map((t) =>
+          t.id === taskId
+            ? { ...t, skipped: false, notificationIds, updatedAt: new Date().toISOString() }
+            : t
+        )
     );
   }, [tasks, notificationsEnabled]);
 
@@ -311,31 +595,100 @@ export const TaskProvider = ({ children }) => {
   const deleteTask = useCallback(async (id) => {
     const taskToDelete = tasks.find((task) => task.id === id);
     
-    // Cancel notification if exists
-    if (taskToDelete?.notificationId) {
-      await cancelNotification(taskToDelete.notificationId);
+    // Cancel all of its reminders and delete its attachments
+    await releaseTaskResources(taskToDelete);
+
+    // Remember the deletion so sync propagates it instead of resurrecting the task
+    await recordTombstones([id]);
+    deleteUnusedAttachmentObjects(
+      taskToDelete?.attachments || [],
+      tasks.filter((task) => task.id !== id)
+    );
+
+    const replacement = await createReplacementInstance(
+      taskToDelete,
+      tasks.filter((task) => task.id !== id)
+    );
+
+    setTasks((prev) => {
+      const remaining = prev.filter((task) => task.id !== id);
+      return replacement ? [...remaining, replacement] : remaining;
+    });
+  }, [tasks, createReplacementInstance]);
+
+  /**
+   * Delete completed tasks
+   * @param {Object} [options]
+   * @param {Date} [options.completedBefore] - Only delete tasks completed before
+   *   this moment (all completed tasks if omitted)
+   * @returns {Promise<number>} Number of deleted tasks
+   */
+  const deleteCompletedTasks = useCallback(async ({ completedBefore } = {}) => {
+    const completed = tasks.filter((task) => task.completed);
+    const toDelete = completedBefore
+      ? completed.filter((task) => task.completedAt && new Date(task.completedAt) < completedBefore)
+      : completed;
+
+    // Tasks completed before completion times were recorded start counting now;
+    // the stamp isn't queued on its own, the next full sync merges it into the
+    // cloud like any other completedAt
+    const unstampedIds = completedBefore
+      ? new Set(completed.filter((task) => !task.completedAt).map((task) => task.id))
+      : new Set();
+
+    for (const task of toDelete) {
+      await releaseTaskResources(task);
     }
 
-    // Delete attachments if any
-    if (taskToDelete?.attachments?.length > 0) {
-      for (const attachment of taskToDelete.attachments) {
-        await deleteFile(attachment.localUri);
-      }
+    // Remember the deletions so sync propagates them instead of resurrecting the tasks
+    const deletedIds = new Set(toDelete.map((task) => task.id));
+    if (deletedIds.size > 0) {
+      await recordTombstones([...deletedIds]);
+      deleteUnusedAttachmentObjects(
+        toDelete.flatMap((task) => task.attachments || []),
+        tasks.filter((task) => !deletedIds.has(task.id))
+      );
     }
+    if (deletedIds.size === 0 && unstampedIds.size === 0) return 0;
 
-    setTasks((prev) => prev.filter((task) => task.id !== id));
+    const stampedAt = new Date().toISOString();
+    setTasks((prev) =>
+      prev
+        .filter((task) => !deletedIds.has(task.id))
+        .map((task) => {
+          if (!unstampedIds.has(task.id) || task.completedAt || !task.completed) return task;
+          const stamped = { ...task, completedAt: stampedAt };
+          syncedTasksRef.current.add(stamped);
+          return stamped;
+        })
+    );
+
+    return deletedIds.size;
   }, [tasks]);
 
   /**
    * Toggle task completion
-   * Cancels notification when task is completed
+   * Cancels reminders when the task is completed and restores them when it is reopened.
+   * A task can't be completed while tasks it waits on are pending.
+   * @returns {Promise<Object|undefined>} { error, blockers } when the task is blocked
    */
   const toggleCompleted = useCallback(async (id) => {
     const task = tasks.find((t) => t.id === id);
+
+    const pendingBlockers = task && !task.completed ? getPendingBlockers(task, tasks) : [];
+    if (pendingBlockers.length > 0) {
+      return {
+        error: `Completa antes: ${pendingBlockers.map((blocker) => `"${blocker.title}"`).join(', ')}`,
+        blockers: pendingBlockers,
+      };
+    }
     
-    // If completing and has notification, cancel it
-    if (task && !task.completed && task.notificationId) {
-      await cancelNotification(task.notificationId);
+    // Completing cancels every reminder; reopening schedules them again
+    let notificationIds = {};
+    if (task && !task.completed) {
+      await cancelTaskReminders(task);
+    } else if (task) {
+      notificationIds = await scheduleReminders({ ...task, completed: false }, notificationsEnabled, tasks);
     }
 
     // Record task completion in stats
@@ -343,14 +696,78 @@ export const TaskProvider = ({ children }) => {
       statsContext.recordTaskCompleted();
     }
 
-    setTasks((prev) =>
-      prev.map((task) =>
-        task.id === id 
-          ? { ...task, completed: !task.completed, notificationId: task.completed ? task.notificationId : null } 
-          : task
-      )
-    );
-  }, [tasks, statsContext]);
+    // Completion-based series: create the next instance relative to now,
+    // or drop it again if the completion is undone before it was touched
+    const series = task?.recurringSeriesId
+      ? recurringSeries.find((s) => s.id === task.recurringSeriesId)
+      : null;
+    let nextInstance = null;
+    let undoneInstance = null;
+
+    if (task && !task.completed) {
+      nextInstance = generateNextCompletionInstance(series, task, tasks);
+      if (nextInstance) {
+        nextInstance.notificationIds = await scheduleReminders(nextInstance, notificationsEnabled);
+      }
+
+      // Tell the user which waiting tasks can start now; their reminders
+      // get the Complete action back
+      const unblocked = getUnblockedByCompletion(id, tasks);
+      if (unblocked.length > 0) {
+        notifyUnblockedTasks(task, unblocked).catch((error) => {
+          console.error('Error notifying unblocked tasks:', error);
+        });
+        setReconcileRequested(true);
+      }
+    } else if (task?.completed) {
+      undoneInstance = tasks.find(
+        (t) => t.previousInstanceId === id && !t.completed && t.updatedAt === t.createdAt
+      );
+      if (undoneInstance) {
+        await cancelTaskReminders(undoneInstance);
+        await recordTombstones([undoneInstance.id]);
+      }
+
+      // Reopening a blocker locks its pending dependents again
+      if (getDependents(id, tasks).some((t) => !t.completed)) {
+        setReconcileRequested(true);
+      }
+    }
+
+    const now = new Date().toISOString();
+    setTasks((prev) => {
+      const updated = prev
+        .filter((task) => task.id !== undoneInstance?.id)
+        .map((task) =>
+          task.id === id 
+            ? {
+                ...task,
+                completed: !task.completed,
+                completedAt: task.completed ? null : now,
+                notificationIds,
+                updatedAt: now,
+              } 
+            : task
+        );
+      return nextInstance ? [...updated, nextInstance] : updated;
+    });
+
+    // "After N times" counts completions on the series, so deleting
+    // completed instances later doesn't bring the series back
+    if (series && isCompletionBased(series.recurringConfig)) {
+      setRecurringSeries((prev) =>
+        prev.map((s) =>
+          s.id === series.id
+            ? {
+                ...s,
+                completedOccurrences: Math.max(0, getCompletedOccurrences(s, tasks) + (task.completed ? -1 : 1)),
+                updatedAt: now,
+              }
+            : s
+        )
+      );
+    }
+  }, [tasks, recurringSeries, statsContext, notificationsEnabled]);
 
   /**
    * Update a task
@@ -359,36 +776,158 @@ export const TaskProvider = ({ children }) => {
     const existingTask = tasks.find((t) => t.id === id);
     if (!existingTask) return;
 
-    let notificationId = existingTask.notificationId;
-
-    // If due date changed and reminder is enabled, reschedule notification
-    if (updates.dueDate !== existingTask.dueDate) {
-      // Cancel old notification
-      if (notificationId) {
-        await cancelNotification(notificationId);
-        notificationId = null;
-      }
+    let { notificationIds } = existingTask;
 
-      // Schedule new notification if due date exists and reminder enabled
-      if (updates.dueDate && updates.enableReminder && notificationsEnabled) {
-        try {
-          notificationId = await scheduleTaskDueDateNotification({
-            ...existingTask,
-            ...updates,
-          });
-        } catch (error) {
-          console.error('Error rescheduling notification:', error);
-        }
-      }
+    // If anything the reminders depend on changed, cancel and reschedule all of them
+    const remindersChanged = REMINDER_FIELDS.some(
+      (field) => field in updates && JSON.stringify(updates[field]) !== JSON.stringify(existingTask[field])
+    );
+    if (remindersChanged) {
+      await cancelTaskReminders(existingTask);
+      notificationIds = await scheduleReminders({ ...existingTask, ...updates }, notificationsEnabled, tasks);
     }
 
     setTasks((prev) =>
       prev.map((task) =>
-        task.id === id ? { ...task, ...updates, notificationId, updatedAt: new Date().toISOString() } : task
+        task.id === id
+          ? { ...task, ...updates, notificationIds, updatedAt: new Date().toISOString() }
+          : task
       )
     );
   }, [tasks, notificationsEnabled]);
 
+  /**
+   * Make a task wait on another one
+   * @param {string} taskId - Task that waits
+   * @param {string} blockerId - Task that has to be completed first
+   * @returns {Object} { success } or { error }
+   */
+  const addDependency = useCallback((taskId, blockerId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || !tasks.some((t) => t.id === blockerId)) {
+      return { error: 'La tarea no existe' };
+    }
+    if (task.blockedBy?.includes(blockerId)) return { success: true };
+    if (wouldCreateCycle(taskId, blockerId, tasks)) {
+      return { error: 'Esa tarea ya depende de esta: se formaría un ciclo' };
+    }
+
+    const now = new Date().toISOString();
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === taskId ? { ...t, blockedBy: [...(t.blockedBy || []), blockerId], updatedAt: now } : t
+      )
+    );
+    // Reminders of a blocked task don't offer Complete
+    setReconcileRequested(true);
+    return { success: true };
+  }, [tasks]);
+
+  /**
+   * Stop a task from waiting on another one
+   * @param {string} taskId - Task that waits
+   * @param {string} blockerId - Task it no longer waits on
+   */
+  const removeDependency = useCallback((taskId, blockerId) => {
+    const now = new Date().toISOString();
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === taskId && t.blockedBy?.includes(blockerId)
+          ? { ...t, blockedBy: t.blockedBy.filter((id) => id !== blockerId), updatedAt: now }
+          : t
+      )
+    );
+    setReconcileRequested(true);
+  }, []);
+
+  /**
+   * Move every task and recurring series of a category to another one
+   * (used when categories are merged or deleted)
+   * @param {string} fromId - Category being removed
+   * @param {string} toId - Category that takes its tasks
+   */
+  const reassignCategory = useCallback((fromId, toId) => {
+    const now = new Date().toISOString();
+
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.category === fromId ? { ...task, category: toId, updatedAt: now } : task
+      )
+    );
+    setRecurringSeries((prev) =>
+      prev.map((series) =>
+        series.category === fromId ? { ...series, category: toId, updatedAt: now } : series
+      )
+    );
+
+    // Muted categories decide which reminders are scheduled
+    setReconcileRequested(true);
+  }, []);
+
+  /**
+   * Rename a tag on every task that has it, or remove it
+   * @param {string} tag - Current tag
+   * @param {string|null} nextTag - New (normalized) tag, or null to remove it
+   */
+  const replaceTag = useCallback((tag, nextTag) => {
+    const now = new Date().toISOString();
+
+    setTasks((prev) =>
+      prev.map((task) => {
+        if (!task.tags?.includes(tag)) return task;
+        const tags = task.tags.filter((t) => t !== tag);
+        if (nextTag && !tags.includes(nextTag)) tags.push(nextTag);
+        return { ...task, tags, updatedAt: now };
+      })
+    );
+  }, []);
+
+  /**
+   * Handle an action tapped on a task reminder notification
+   * (Complete, Snooze 10 min / 1 hour, Tomorrow)
+   * @param {string} taskId - Task the reminder belongs to
+   * @param {string} actionId - One of REMINDER_ACTIONS
+   */
+  const handleReminderAction = useCallback(async (taskId, actionId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || task.completed) return;
+
+    switch (actionId) {
+      case REMINDER_ACTIONS.COMPLETE:
+        // Refused while the task waits on others (older reminders still offer it)
+        await toggleCompleted(taskId);
+        break;
+
+      case REMINDER_ACTIONS.SNOOZE_10_MIN:
+      case REMINDER_ACTIONS.SNOOZE_1_HOUR: {
+        const minutes = SNOOZE_MINUTES[actionId];
+        await cancelNotification(task.notificationIds?.snooze);
+        const snoozeId = await scheduleSnoozedReminder(task, minutes, isTaskBlocked(task, tasks));
+
+        setTasks((prev) =>
+          prev.map((t) =>
+            t.id === taskId
+              ? { ...t, notificationIds: { ...t.notificationIds, snooze: snoozeId } }
+              : t
+          )
+        );
+        statsContext?.recordTaskSnoozed?.(minutes);
+        break;
+      }
+
+      case REMINDER_ACTIONS.TOMORROW: {
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        await updateTask(taskId, moveTaskToDay(task, tomorrow));
+        statsContext?.recordTaskSnoozed?.('tomorrow');
+        break;
+      }
+
+      default:
+        break;
+    }
+  }, [tasks, toggleCompleted, updateTask, statsContext]);
+
   /**
    * Get task statistics
    */
@@ -397,13 +936,8 @@ export const TaskProvider = ({ children }) => {
     const completed = tasks.filter((t) => t.completed).length;
     const pending = total - completed;
     const highPriority = tasks.filter((t) => !t.completed && t.priority === 'high').length;
-    const overdue = tasks.filter((t) => {
-      if (t.completed || !t.dueDate) return false;
-      const dueDate = new Date(t.dueDate);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      return dueDate < today;
-    }).length;
+    const now = new Date();
+    const overdue = tasks.filter((t) => isTaskOverdue(t, now)).length;
     const recurring = tasks.filter((t) => t.isRecurring).length;
     const skipped = tasks.filter((t) => t.skipped).length;
 
@@ -425,7 +959,11 @@ export const TaskProvider = ({ children }) => {
     setTasks((prev) =>
       prev.map((task) =>
         task.id === taskId
-          ? { ...task, subtasks: [...(task.subtasks || []), newSubtask] }
+          ? {
+              ...task,
+              updatedAt: new Date().toISOString(),
+              subtasks: [...(task.subtasks || []), newSubtask],
+            }
           : task
       )
     );
@@ -433,6 +971,40 @@ export const TaskProvider = ({ children }) => {
     return newSubtask;
   }, []);
 
+  /**
+   * Add several subtasks to a task at once, in order
+   * @param {string} taskId
+   * @param {Array<{ title: string, estimatedMinutes?: number }>} items
+   * @returns {Array} The created subtasks
+   */
+  const addSubtasks = useCallback((taskId, items) => {
+    const now = Date.now();
+    const newSubtasks = items
+      .filter((item) => item.title?.trim())
+      .map((item, index) => ({
+        id: `${now}-${index}`,
+        title: item.title.trim(),
+        completed: false,
+        ...(item.estimatedMinutes ? { estimatedMinutes: item.estimatedMinutes } : {}),
+      }));
+
+    if (newSubtasks.length === 0) return [];
+
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.id === taskId
+          ? {
+              ...task,
+              updatedAt: new Date().toISOString(),
+              subtasks: [...(task.subtasks || []), ...newSubtasks],
+            }
+          : task
+      )
+    );
+
+    return newSubtasks;
+  }, []);
+
   /**
    * Toggle subtask completion
    */
@@ -442,6 +1014,7 @@ export const TaskProvider = ({ children }) => {
         task.id === taskId
           ? {
               ...task,
+              updatedAt: new Date().toISOString(),
               subtasks: (task.subtasks || []).map((st) =>
                 st.id === subtaskId ? { ...st, completed: !st.completed } : st
               ),
@@ -460,6 +1033,7 @@ export const TaskProvider = ({ children }) => {
         task.id === taskId
           ? {
               ...task,
+              updatedAt: new Date().toISOString(),
               subtasks: (task.subtasks || []).filter((st) => st.id !== subtaskId),
             }
           : task
@@ -524,6 +1098,33 @@ export const TaskProvider = ({ children }) => {
     );
   }, []);
 
+  /**
+   * Save the upload results (hash, Storage path, status) of attachments
+   * uploaded in the background or for a backup, so they sync with their tasks
+   */
+  const applyUploadedAttachments = useCallback((uploadedAttachments) => {
+    if (!uploadedAttachments || uploadedAttachments.length === 0) return;
+    const uploadedById = new Map(uploadedAttachments.map((a) => [a.id, a]));
+
+    const withUpload = (a) => {
+      const uploaded = uploadedById.get(a.id);
+      if (!uploaded) return a;
+      return { ...a, hash: uploaded.hash, storagePath: uploaded.storagePath, uploadStatus: uploaded.uploadStatus };
+    };
+
+    setTasks((prev) =>
+      prev.map((task) =>
+        task.attachments?.some((a) => uploadedById.has(a.id))
+          ? {
+              ...task,
+              attachments: task.attachments.map(withUpload),
+              updatedAt: new Date().toISOString(),
+            }
+          : task
+      )
+    );
+  }, []);
+
   /**
    * Add an attachment to a task
    */
@@ -539,7 +1140,12 @@ export const TaskProvider = ({ children }) => {
           : task
       )
     );
-  }, []);
+
+    // Upload the file in the background; the Storage path syncs with the task
+    uploadAttachment(attachment).then((uploaded) => {
+      if (uploaded !== attachment) applyUploadedAttachments([uploaded]);
+    });
+  }, [applyUploadedAttachments]);
 
   /**
    * Delete an attachment from a task
@@ -548,9 +1154,13 @@ export const TaskProvider = ({ children }) => {
     const task = tasks.find((t) => t.id === taskId);
     const attachment = task?.attachments?.find((a) => a.id === attachmentId);
     
-    // Delete the file
-    if (attachment?.localUri) {
-      await deleteFile(attachment.localUri);
+    // Delete the file (or its downloaded copy), and the uploaded one unless
+    // another attachment or a retained backup shares it
+    if (attachment) {
+      await deleteFile(attachment.localUri || getAttachmentFileUri(attachment.id, attachment.filename));
+      deleteUnusedAttachmentObjects([attachment], tasks.map((t) =>
+        t.id === taskId ? { ...t, attachments: t.attachments.filter((a) => a.id !== attachmentId) } : t
+      ));
     }
 
     setTasks((prev) =>
@@ -580,13 +1190,22 @@ export const TaskProvider = ({ children }) => {
         tasks, 
         recurringSeries,
         addTask, 
+        importTasks,
         deleteTask, 
+        deleteCompletedTasks,
         toggleCompleted, 
         updateTask,
+        reassignCategory,
+        replaceTag,
+        // Dependency methods
+        addDependency,
+        removeDependency,
         getStats,
         // Recurring task methods
         createRecurringTask,
         addGeneratedTasks,
+        applySyncedTasks,
+        restoreTasks,
         getRecurringSeriesInstances,
         getSeriesById,
         getAffectedCount,
@@ -596,6 +1215,7 @@ export const TaskProvider = ({ children }) => {
         unskipRecurringInstance,
         // Subtask methods
         addSubtask,
+        addSubtasks,
         toggleSubtask,
         deleteSubtask,
         updateSubtask,
@@ -603,8 +1223,12 @@ export const TaskProvider = ({ children }) => {
         getSubtaskProgress,
         // Attachment methods
         addAttachment,
+        applyUploadedAttachments,
         deleteAttachment,
         getAttachments,
+        // Notification actions
+        handleReminderAction,
+        reconcileReminders,
         loading,
         notificationsEnabled,
       }}
@@ -0,0 +1,65 @@
+/**
+ * useBackupScheduler Hook
+ * TaskList App - Phase 2 Cloud Backup
+ * 
+ * Runs automatic backups according to the user's backup schedule.
+ * Checks on startup, periodically while the app is open, and every
+ * time the app returns to the foreground.
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { useForegroundInterval } from './useForegroundInterval';
+import { runScheduledBackup } from '../services/backupService';
+import { BACKUP_CONFIG } from '../config/supabase';
+
+/**
+ * Hook to drive scheduled automatic backups
+ * @param {Array} tasks - Current tasks
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the user is signed in
+ * @param {boolean} options.loading - Whether tasks are still loading
+ * @param {Function} [options.onAttachmentsUploaded] - Called with the attachments uploaded for a backup
+ * @returns {{ checkNow: Function }}
+ */
+export const useBackupScheduler = (tasks, { enabled = true, loading = false, onAttachmentsUploaded } = {}) => {
+  const tasksRef = useRef(tasks);
+  const onAttachmentsUploadedRef = useRef(onAttachmentsUploaded);
+  const isRunningRef = useRef(false);
+
+  // Always back up the latest tasks
+  useEffect(() => {
+    tasksRef.current = tasks;
+  }, [tasks]);
+
+  useEffect(() => {
+    onAttachmentsUploadedRef.current = onAttachmentsUploaded;
+  }, [onAttachmentsUploaded]);
+
+  /**
+   * Run a backup if one is due
+   */
+  const checkNow = useCallback(async () => {
+    if (isRunningRef.current) return null;
+    isRunningRef.current = true;
+
+    try {
+      const result = await runScheduledBackup(tasksRef.current);
+      if (result.ran && !result.success) {
+        console.error('Scheduled backup failed:', result.error);
+      }
+      if (result.uploadedAttachments?.length > 0) {
+        onAttachmentsUploadedRef.current?.(result.uploadedAttachments);
+      }
+      return result;
+    } finally {
+      isRunningRef.current = false;
+    }
+  }, []);
+
+  // Check on startup, periodically and when app comes to foreground
+  useForegroundInterval(checkNow, BACKUP_CONFIG.SCHEDULER_CHECK_INTERVAL_MS, { enabled: enabled && !loading });
+
+  return { checkNow };
+};
+
+export default useBackupScheduler;
@@ -9,17 +9,30 @@ import { useState, useCallback, useEffect, useRef } from 'react';
 import { AppState } from 'react-native';
 import { 
   syncTasks, 
+  syncCategories,
   getSyncStatus, 
   uploadToCloud,
   isAuthenticated,
+  getPendingConflicts,
+  resolveConflictField,
 } from '../services/cloudSyncService';
-import { createBackup, isBackupNeeded } from '../services/backupService';
+import {
+  processQueue,
+  retryNow,
+  discardFailedOperations,
+  getQueueState,
+  subscribeToQueue,
+} from '../services/syncQueueService';
 import { isSupabaseConfigured, SYNC_CONFIG } from '../config/supabase';
 
 /**
  * Cloud sync hook for managing synchronization
+ * @param {Array} tasks - Local tasks
+ * @param {Function} setTasks - Applies the synced tasks
+ * @param {Object} [categorySync] - { categories, setCategories } to sync the
+ *   user's category records along with the tasks
  */
-export const useCloudSync = (tasks, setTasks) => {
+export const useCloudSync = (tasks, setTasks, categorySync = null) => {
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncError, setSyncError] = useState(null);
   const [lastSync, setLastSync] = useState(null);
@@ -28,6 +41,14 @@ export const useCloudSync = (tasks, setTasks) => {
     isAuthenticated: false,
     lastSync: null,
   });
+  const [queueState, setQueueState] = useState({
+    pending: 0,
+    failed: 0,
+    isProcessing: false,
+    nextRetryAt: null,
+    lastError: null,
+  });
+  const [conflicts, setConflicts] = useState([]);
 
   const syncIntervalRef = useRef(null);
   const appStateRef = useRef(AppState.currentState);
@@ -37,6 +58,17 @@ export const useCloudSync = (tasks, setTasks) => {
     checkSyncStatus();
   }, []);
 
+  // Load conflicts left from previous syncs
+  useEffect(() => {
+    getPendingConflicts().then(setConflicts);
+  }, []);
+
+  // Track offline operation queue
+  useEffect(() => {
+    getQueueState().then(setQueueState);
+    return subscribeToQueue(setQueueState);
+  }, []);
+
   // Auto-sync interval
   useEffect(() => {
     if (syncStatus.isAuthenticated && syncStatus.isConfigured) {
@@ -101,17 +133,21 @@ export const useCloudSync = (tasks, setTasks) => {
     setSyncError(null);
 
     try {
+      // Replay queued offline operations first, in order
+      await processQueue();
+
       const result = await syncTasks(tasks);
 
       if (result.success) {
         setTasks(result.tasks);
-        setLastSync(new Date());
-        
-        // Check if auto backup is needed
-        const needsBackup = await isBackupNeeded();
-        if (needsBackup) {
-          await createBackup(result.tasks, true);
+
+        if (categorySync) {
+          const categoryResult = await syncCategories(categorySync.categories);
+          if (categoryResult.success) categorySync.setCategories(categoryResult.categories);
         }
+
+        setLastSync(new Date());
+        setConflicts(await getPendingConflicts());
       } else if (!silent) {
         setSyncError(result.error);
       }
@@ -127,7 +163,7 @@ export const useCloudSync = (tasks, setTasks) => {
     } finally {
       setIsSyncing(false);
     }
-  }, [tasks, setTasks, isSyncing, checkSyncStatus]);
+  }, [tasks, setTasks, categorySync, isSyncing, checkSyncStatus]);
 
   /**
    * Force upload all local tasks to cloud
@@ -166,6 +202,34 @@ export const useCloudSync = (tasks, setTasks) => {
     return performSync(false);
   }, [performSync]);
 
+  /**
+   * Retry queued operations immediately, ignoring backoff
+   */
+  const retryQueue = useCallback(async () => {
+    const result = await retryNow();
+    if (!result.success && result.error) {
+      setSyncError(result.error);
+    }
+    return result;
+  }, []);
+
+  /**
+   * Drop operations the server kept rejecting
+   */
+  const discardFailed = useCallback(() => discardFailedOperations(), []);
+
+  /**
+   * Mark a conflicting field as reviewed.
+   * The caller applies the chosen value; the cloud value is already in place.
+   * @param {string} taskId - Task ID
+   * @param {string} field - Field name
+   */
+  const resolveConflict = useCallback(async (taskId, field) => {
+    const remaining = await resolveConflictField(taskId, field);
+    setConflicts(remaining);
+    return remaining;
+  }, []);
+
   /**
    * Clear sync error
    */
@@ -178,8 +242,13 @@ export const useCloudSync = (tasks, setTasks) => {
     syncError,
     lastSync,
     syncStatus,
+    queueState,
+    conflicts,
     sync,
     forceUpload,
+    retryQueue,
+    discardFailed,
+    resolveConflict,
     checkSyncStatus,
     clearError,
   };
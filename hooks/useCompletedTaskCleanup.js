@@ -0,0 +1,62 @@
+/**
+ * useCompletedTaskCleanup Hook
+ * Task List App 2026
+ *
+ * Auto-deletes tasks completed more than 7 days ago when the
+ * "Auto-eliminar completadas" setting is on. Sweeps on startup,
+ * periodically while the app is open, and every time the app returns
+ * to the foreground.
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { useForegroundInterval } from './useForegroundInterval';
+
+// Days a completed task is kept before it is auto-deleted
+export const AUTO_DELETE_AFTER_DAYS = 7;
+
+// How often to sweep while the app stays open
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Hook to drive the auto-delete sweep of completed tasks
+ * @param {Function} deleteCompletedTasks - TaskContext bulk delete
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether auto-delete is turned on
+ * @param {boolean} options.loading - Whether tasks are still loading
+ * @returns {{ sweepNow: Function }}
+ */
+export const useCompletedTaskCleanup = (deleteCompletedTasks, { enabled = false, loading = false } = {}) => {
+  const deleteRef = useRef(deleteCompletedTasks);
+  const isRunningRef = useRef(false);
+
+  // Always sweep the latest task list
+  useEffect(() => {
+    deleteRef.current = deleteCompletedTasks;
+  }, [deleteCompletedTasks]);
+
+  /**
+   * Delete tasks completed before the retention window
+   */
+  const sweepNow = useCallback(async () => {
+    if (isRunningRef.current) return 0;
+    isRunningRef.current = true;
+
+    try {
+      const completedBefore = new Date();
+      completedBefore.setDate(completedBefore.getDate() - AUTO_DELETE_AFTER_DAYS);
+      return await deleteRef.current({ completedBefore });
+    } catch (error) {
+      console.error('Error auto-deleting completed tasks:', error);
+      return 0;
+    } finally {
+      isRunningRef.current = false;
+    }
+  }, []);
+
+  // Sweep on startup, periodically and when app comes to foreground
+  useForegroundInterval(sweepNow, SWEEP_INTERVAL_MS, { enabled: enabled && !loading });
+
+  return { sweepNow };
+};
+
+export default useCompletedTaskCleanup;
@@ -0,0 +1,58 @@
+/**
+ * useForegroundInterval Hook
+ * Task List App 2026
+ *
+ * Runs a background check on startup, periodically while the app is
+ * open, and every time the app returns to the foreground.
+ */
+
+import { useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+
+/**
+ * Hook to run a callback on an interval and when the app is reopened
+ * @param {Function} callback - Check to run (the latest one is always called)
+ * @param {number} intervalMs - Time between runs while the app is open
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the check should run at all
+ */
+export const useForegroundInterval = (callback, intervalMs, { enabled = true } = {}) => {
+  const callbackRef = useRef(callback);
+  const appStateRef = useRef(AppState.currentState);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  }, [callback]);
+
+  // Run on startup and periodically
+  useEffect(() => {
+    if (!enabled) return;
+
+    const run = () => callbackRef.current();
+    run();
+    const interval = setInterval(run, intervalMs);
+
+    return () => clearInterval(interval);
+  }, [enabled, intervalMs]);
+
+  // Run when app comes to foreground
+  useEffect(() => {
+    if (!enabled) return;
+
+    const subscription = AppState.addEventListener('change', nextAppState => {
+      if (
+        appStateRef.current.match(/inactive|background/) &&
+        nextAppState === 'active'
+      ) {
+        callbackRef.current();
+      }
+      appStateRef.current = nextAppState;
+    });
+
+    return () => {
+      subscription?.remove();
+    };
+  }, [enabled]);
+};
+
+export default useForegroundInterval;
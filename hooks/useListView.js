@@ -0,0 +1,71 @@
+/**
+ * useListView - Sort, grouping and layout of a task list
+ * Task List App 2026
+ *
+ * Each list (a category, a tag or a smart list) keeps its own view on the
+ * device, keyed by `listKey`: sort mode, group mode, manual order and the
+ * sections the user collapsed.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { loadListViews, saveListViews } from '../utils/storage';
+import { DEFAULT_LIST_VIEW } from '../utils/taskOrdering';
+
+/**
+ * Key of the list shown on the home screen
+ * @param {Object} filters - { smartListId, categoryId, tag }
+ * @returns {string}
+ */
+export const getListKey = ({ smartListId, categoryId = 'all', tag }) => {
+  if (smartListId) return `smart:${smartListId}`;
+  return tag ? `category:${categoryId}/tag:${tag}` : `category:${categoryId}`;
+};
+
+/**
+ * Hook to read and update the view of one list
+ * @param {string} listKey - See getListKey
+ */
+export function useListView(listKey) {
+  const [views, setViews] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadListViews().then((loaded) => {
+      setViews(loaded);
+      setLoading(false);
+    });
+  }, []);
+
+  // Save views when they change
+  useEffect(() => {
+    if (!loading) {
+      saveListViews(views);
+    }
+  }, [views, loading]);
+
+  const updateView = useCallback((updates) => {
+    setViews((prev) => ({ ...prev, [listKey]: { ...prev[listKey], ...updates } }));
+  }, [listKey]);
+
+  /**
+   * Collapse or expand a section of the list
+   * @param {string} sectionKey - groupTasks section key
+   */
+  const toggleSection = useCallback((sectionKey) => {
+    const collapsed = views[listKey]?.collapsed || [];
+    updateView({
+      collapsed: collapsed.includes(sectionKey)
+        ? collapsed.filter((key) => key !== sectionKey)
+        : [...collapsed, sectionKey],
+    });
+  }, [views, listKey, updateView]);
+
+  return {
+    view: { ...DEFAULT_LIST_VIEW, ...views[listKey] },
+    updateView,
+    toggleSection,
+    loading,
+  };
+}
+
+export default useListView;
@@ -0,0 +1,40 @@
+/**
+ * useNotificationPreferences - Notification policy settings
+ * Task List App 2026
+ *
+ * Quiet hours, morning digest and per-category mute. Changes are
+ * persisted and picked up by TaskContext, which reschedules reminders.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getNotificationPreferences,
+  loadNotificationPreferences,
+  saveNotificationPreferences,
+  subscribeToNotificationPreferences,
+} from '../utils/notificationPolicy';
+
+/**
+ * Hook to read and update notification preferences
+ */
+export function useNotificationPreferences() {
+  const [preferences, setPreferences] = useState(getNotificationPreferences());
+  const [loading, setLoading] = useState(true);
+
+  // Load preferences on mount and follow changes made elsewhere
+  useEffect(() => {
+    loadNotificationPreferences().then((loaded) => {
+      setPreferences(loaded);
+      setLoading(false);
+    });
+    return subscribeToNotificationPreferences(setPreferences);
+  }, []);
+
+  const updatePreferences = useCallback((updates) => {
+    return saveNotificationPreferences(updates);
+  }, []);
+
+  return { preferences, updatePreferences, loading };
+}
+
+export default useNotificationPreferences;
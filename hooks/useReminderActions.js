@@ -0,0 +1,67 @@
+/**
+ * useReminderActions Hook
+ * Task List App 2026
+ *
+ * Handles the actions tapped on task reminder notifications (Complete,
+ * Snooze, Tomorrow). Actions run without bringing the app to the
+ * foreground, so responses are handled as soon as the JS runtime is
+ * up, including the response that launched the app.
+ */
+
+import { useEffect, useRef } from 'react';
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { REMINDER_ACTIONS } from '../utils/notifications';
+
+const ACTION_IDS = new Set(Object.values(REMINDER_ACTIONS));
+
+/**
+ * Hook to apply reminder notification actions to tasks
+ * @param {Function} handleReminderAction - TaskContext handler (taskId, actionId)
+ * @param {Object} options
+ * @param {boolean} options.loading - Whether tasks are still loading
+ */
+export const useReminderActions = (handleReminderAction, { loading = false } = {}) => {
+  const handlerRef = useRef(handleReminderAction);
+  const handledRef = useRef(new Set());
+
+  // Always act on the latest task list
+  useEffect(() => {
+    handlerRef.current = handleReminderAction;
+  }, [handleReminderAction]);
+
+  useEffect(() => {
+    if (loading || Platform.OS === 'web') return;
+
+    const handleResponse = async (response) => {
+      if (!response) return;
+
+      const { actionIdentifier, notification } = response;
+      const { identifier, content } = notification.request;
+      const taskId = content.data?.taskId;
+      if (!taskId || !ACTION_IDS.has(actionIdentifier)) return;
+
+      // The launch response is reported again on later checks
+      const key = `${identifier}:${actionIdentifier}`;
+      if (handledRef.current.has(key)) return;
+      handledRef.current.add(key);
+
+      try {
+        await handlerRef.current(taskId, actionIdentifier);
+        await Notifications.dismissNotificationAsync(identifier);
+      } catch (error) {
+        console.error('Error handling reminder action:', error);
+      }
+    };
+
+    // Action tapped while the app was not running
+    Notifications.getLastNotificationResponseAsync()
+      .then(handleResponse)
+      .catch((error) => console.error('Error reading notification response:', error));
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(handleResponse);
+    return () => subscription.remove();
+  }, [loading]);
+};
+
+export default useReminderActions;
@@ -0,0 +1,120 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Supabase calls made by createBackup; no old backups to clean up
+const mockQuery = {
+  insert: jest.fn(() => mockQuery),
+  select: jest.fn(() => mockQuery),
+  eq: jest.fn(() => mockQuery),
+  single: jest.fn(async () => ({ data: { id: 'backup-1', created_at: '2026-10-19T08:00:00.000Z' }, error: null })),
+  order: jest.fn(async () => ({ data: [], error: null })),
+};
+
+jest.mock('../../config/supabase', () => ({
+  supabase: {
+    from: () => mockQuery,
+    storage: { from: () => ({ upload: async () => ({ error: null }), remove: async () => ({}) }) },
+  },
+  TABLES: { BACKUPS: 'backups' },
+  BUCKETS: { BACKUPS: 'backups' },
+  BACKUP_CONFIG: { MAX_BACKUPS: 5, RETENTION: { DAILY: 7, WEEKLY: 4, MONTHLY: 6 } },
+  isSupabaseConfigured: () => true,
+}));
+
+jest.mock('../cloudSyncService', () => ({ getCurrentUserId: async () => 'user-1' }));
+
+jest.mock('../attachmentStorageService', () => ({
+  uploadPendingAttachments: jest.fn(),
+  getAttachmentPaths: () => [],
+  deleteUnusedAttachmentPaths: jest.fn(),
+}));
+
+import { selectBackupsToKeep, createBackup } from '../backupService';
+import { uploadPendingAttachments } from '../attachmentStorageService';
+
+const backupAt = (id, ...date) => ({ id, created_at: new Date(...date).toISOString() });
+
+const kept = (backups, retention) => [...selectBackupsToKeep(backups, retention)].sort();
+
+const ONLY = { DAILY: 0, WEEKLY: 0, MONTHLY: 0 };
+
+describe('selectBackupsToKeep', () => {
+  it('keeps the newest backup of each of the last days, split at midnight', () => {
+    const backups = [
+      backupAt('tue-morning', 2026, 9, 20, 0, 0),
+      backupAt('mon-night', 2026, 9, 19, 23, 59),
+      backupAt('mon-morning', 2026, 9, 19, 8, 0),
+      backupAt('sun', 2026, 9, 18, 12, 0),
+    ];
+
+    expect(kept(backups, { ...ONLY, DAILY: 2 })).toEqual(['mon-night', 'tue-morning']);
+  });
+
+  it('starts weeks on Monday', () => {
+    const backups = [
+      backupAt('mon', 2026, 9, 26, 1, 0),
+      backupAt('sun', 2026, 9, 25, 23, 0),
+      backupAt('sat', 2026, 9, 24, 12, 0),
+      backupAt('previous-sun', 2026, 9, 18, 12, 0),
+    ];
+
+    expect(kept(backups, { ...ONLY, WEEKLY: 2 })).toEqual(['mon', 'sun']);
+  });
+
+  it('keeps a week that spans the new year as one week', () => {
+    const backups = [
+      backupAt('mon', 2027, 0, 4, 9, 0),
+      backupAt('sun', 2027, 0, 3, 9, 0),
+      backupAt('thu', 2026, 11, 31, 9, 0),
+      backupAt('previous-sun', 2026, 11, 27, 9, 0),
+    ];
+
+    expect(kept(backups, { ...ONLY, WEEKLY: 3 })).toEqual(['mon', 'previous-sun', 'sun']);
+  });
+
+  it('keeps the newest backup of each of the last months', () => {
+    const backups = [
+      backupAt('nov-first', 2026, 10, 1, 0, 30),
+      backupAt('oct-last', 2026, 9, 31, 23, 30),
+      backupAt('oct-mid', 2026, 9, 15, 12, 0),
+      backupAt('sep', 2026, 8, 30, 12, 0),
+    ];
+
+    expect(kept(backups, { ...ONLY, MONTHLY: 2 })).toEqual(['nov-first', 'oct-last']);
+  });
+
+  it('keeps every backup that fills a daily, weekly or monthly slot', () => {
+    // One backup a day from Monday 14 September to Monday 19 October 2026
+    const backups = [];
+    for (let day = new Date(2026, 9, 19, 3, 0); day >= new Date(2026, 8, 14); day.setDate(day.getDate() - 1)) {
+      backups.push(backupAt(`${day.getMonth() + 1}-${day.getDate()}`, day));
+    }
+
+    expect(kept(backups, { DAILY: 3, WEEKLY: 3, MONTHLY: 2 })).toEqual([
+      // Days: 19, 18, 17 October; weeks: 19, 18, 11 October; months: 19 October, 30 September
+      '10-11', '10-17', '10-18', '10-19', '9-30',
+    ]);
+  });
+});
+
+describe('createBackup', () => {
+  it('returns the attachments uploaded for the backup', async () => {
+    const photo = { id: 'p1', filename: 'foto.jpg', localUri: 'file:///foto.jpg' };
+    const uploadedPhoto = { ...photo, hash: 'abc', storagePath: 'user-1/abc', uploadStatus: 'uploaded' };
+    const tasks = [
+      { id: 'a', title: 'Con foto', attachments: [photo] },
+      { id: 'b', title: 'Sin adjuntos' },
+    ];
+    uploadPendingAttachments.mockResolvedValue({
+      tasks: [{ ...tasks[0], attachments: [uploadedPhoto] }, tasks[1]],
+      uploaded: 1,
+      failed: 0,
+    });
+
+    const result = await createBackup(tasks, false);
+
+    expect(result).toMatchObject({ success: true, backupId: 'backup-1', taskCount: 2 });
+    expect(result.uploadedAttachments).toEqual([uploadedPhoto]);
+  });
+});
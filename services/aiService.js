@@ -2,35 +2,67 @@
  * AI Service
  * TaskList App - Phase 4 Monetization
  * 
- * OpenAI integration for task prioritization and smart features
+ * Task prioritization and smart features. Models run server-side in
+ * Supabase Edge Functions (the provider is configured there); when they
+ * can't be reached, results come from on-device heuristics instead.
  */
 
 import { supabase, isSupabaseConfigured } from '../config/supabase';
+import { parseQuickAdd } from '../utils/quickAddParser';
+import { getDayKey } from '../utils/timezone';
+import {
+  URGENT_KEYWORDS,
+  HIGH_KEYWORDS,
+  LOW_KEYWORDS,
+  normalizeKeywordText,
+  hasKeyword,
+} from '../supabase/functions/_shared/priorityKeywords';
 
-// Direct OpenAI client for fallback (if Edge Function fails)
-// Note: API key should be stored in Supabase Edge Function secrets, not client
-const OPENAI_API_KEY = process.env.EXPO_PUBLIC_OPENAI_API_KEY || '';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score used to sort tasks when prioritizing on-device
+const LOCAL_PRIORITY_SCORES = { High: 80, Medium: 50, Low: 20 };
+
+// Most tasks prioritize-tasks accepts per request
+const MAX_PRIORITIZE_BATCH = 100;
+
+/**
+ * Minutes the device clock is ahead of UTC, so Edge Functions count
+ * "today" and "tomorrow" in the user's time zone
+ */
+const getUtcOffset = () => -new Date().getTimezoneOffset();
+
+/**
+ * Whether an Edge Function error means the monthly AI quota is used up
+ */
+const isQuotaExceeded = (error) => error?.context?.status === 429;
 
 /**
  * Analyze a task using AI and get priority/due date suggestions
  * Uses Supabase Edge Function for security (API key not exposed to client)
  * 
  * @param {string} taskContent - The task title/description
- * @returns {Object} { priority, suggested_due_date, reasoning }
+ * @returns {Object} { priority, suggestedDueDate, reasoning, confidence, isLocal? }
  */
 export const analyzeTaskWithAI = async (taskContent) => {
-  try {
-    // Basic check: Don't waste API calls on empty strings
-    if (!taskContent?.trim()) return null;
+  // Basic check: Don't waste API calls on empty strings
+  if (!taskContent?.trim()) return null;
 
-    // Minimum length check (avoid analyzing single words)
-    if (taskContent.trim().length < 5) return null;
+  // Minimum length check (avoid analyzing single words)
+  if (taskContent.trim().length < 5) return null;
 
+  // No backend to reach: answer on-device
+  if (!isSupabaseConfigured()) {
+    return { ...estimatePriorityLocally(taskContent), isLocal: true };
+  }
+
+  try {
     // Call the Supabase Edge Function
     const { data, error } = await supabase.functions.invoke('analyze-task', {
       body: {
         task_content: taskContent,
         current_date: new Date().toISOString(),
+        utc_offset: getUtcOffset(),
       },
     });
 
@@ -46,46 +78,70 @@ export const analyzeTaskWithAI = async (taskContent) => {
 
   } catch (err) {
     console.error('AI Analysis Failed:', err);
-    // Fail gracefully: return default values so the user can still create the task
-    return { 
-      priority: 'Medium', 
-      suggestedDueDate: null, 
-      reasoning: null,
+    // Fail gracefully: fall back to on-device heuristics
+    return {
+      ...estimatePriorityLocally(taskContent),
+      isLocal: true,
       error: err.message,
     };
   }
 };
 
+/**
+ * Summary of a task sent for prioritization
+ */
+const getTaskSummary = (task) => ({
+  id: task.id,
+  title: task.title,
+  dueDate: task.dueDate,
+  category: task.category,
+  hasSubtasks: (task.subtasks?.length || 0) > 0,
+});
+
+/**
+ * What a task's priority score depends on: the score of a task whose
+ * signature changed is out of date
+ *
+ * @param {Object} task - Task object
+ * @returns {string}
+ */
+export const getPrioritySignature = (task) => {
+  const { title, dueDate, category, hasSubtasks } = getTaskSummary(task);
+  return [title, dueDate || '', category || '', hasSubtasks].join('|');
+};
+
 /**
  * Batch analyze multiple tasks for priority sorting
+ * Sent in batches of up to 100 tasks (the most the function accepts);
+ * each batch counts against the monthly AI quota.
  * 
  * @param {Array} tasks - Array of task objects
  * @returns {Array} Tasks sorted by AI-computed priority
  */
 export const prioritizeTasks = async (tasks) => {
-  try {
-    if (!tasks || tasks.length === 0) return tasks;
+  if (!tasks || tasks.length === 0) return tasks;
 
-    // Prepare task summaries for batch analysis
-    const taskSummaries = tasks.map(t => ({
-      id: t.id,
-      title: t.title,
-      dueDate: t.dueDate,
-      category: t.category,
-      hasSubtasks: (t.subtasks?.length || 0) > 0,
-    }));
-
-    const { data, error } = await supabase.functions.invoke('prioritize-tasks', {
-      body: {
-        tasks: taskSummaries,
-        current_date: new Date().toISOString(),
-      },
-    });
+  // No backend to reach: score on-device
+  if (!isSupabaseConfigured()) return prioritizeTasksLocally(tasks);
 
-    if (error) throw error;
+  try {
+    // Prepare task summaries for batch analysis
+    const taskSummaries = tasks.map(getTaskSummary);
 
     // data returns: { prioritized: [{ id, score, reason }] }
-    const scores = data?.prioritized || [];
+    const scores = [];
+    for (let i = 0; i < taskSummaries.length; i += MAX_PRIORITIZE_BATCH) {
+      const { data, error } = await supabase.functions.invoke('prioritize-tasks', {
+        body: {
+          tasks: taskSummaries.slice(i, i + MAX_PRIORITIZE_BATCH),
+          current_date: new Date().toISOString(),
+          utc_offset: getUtcOffset(),
+        },
+      });
+
+      if (error) throw error;
+      scores.push(...(data?.prioritized || []));
+    }
     
     // Create a score map
     const scoreMap = new Map(scores.map(s => [s.id, s]));
@@ -101,8 +157,8 @@ export const prioritizeTasks = async (tasks) => {
 
   } catch (err) {
     console.error('AI Prioritization Failed:', err);
-    // Return original order on failure
-    return tasks;
+    // Fall back to on-device heuristics
+    return prioritizeTasksLocally(tasks);
   }
 };
 
@@ -113,6 +169,9 @@ export const prioritizeTasks = async (tasks) => {
  * @returns {Object} { date, confidence, reasoning }
  */
 export const suggestDueDate = async (taskData) => {
+  // No backend to reach: suggest on-device
+  if (!isSupabaseConfigured()) return suggestDueDateLocally(taskData);
+
   try {
     const { data, error } = await supabase.functions.invoke('suggest-due-date', {
       body: {
@@ -121,6 +180,7 @@ export const suggestDueDate = async (taskData) => {
         subtask_count: taskData.subtasks?.length || 0,
         description_length: taskData.description?.length || 0,
         current_date: new Date().toISOString(),
+        utc_offset: getUtcOffset(),
       },
     });
 
@@ -134,7 +194,44 @@ export const suggestDueDate = async (taskData) => {
 
   } catch (err) {
     console.error('Smart Due Date Failed:', err);
-    return { date: null, confidence: 0, reasoning: null };
+    // Fall back to on-device heuristics
+    return suggestDueDateLocally(taskData);
+  }
+};
+
+/**
+ * Break a task down into ordered subtasks
+ *
+ * @param {Object} taskData - Task data including title, description, subtasks
+ * @returns {Object} { subtasks: [{ title, estimatedMinutes }], error?, quotaExceeded? }
+ */
+export const breakDownTask = async (taskData) => {
+  if (!isSupabaseConfigured()) {
+    return { subtasks: [], error: 'Cloud features not configured' };
+  }
+
+  try {
+    const { data, error } = await supabase.functions.invoke('breakdown-task', {
+      body: {
+        task_title: taskData.title,
+        description: taskData.description || '',
+        existing_subtasks: (taskData.subtasks || []).map(st => st.title),
+      },
+    });
+
+    if (error) throw error;
+
+    // data returns: { subtasks: [{ title, estimated_minutes }] }
+    return {
+      subtasks: (data?.subtasks || []).map(st => ({
+        title: st.title,
+        estimatedMinutes: st.estimated_minutes || null,
+      })),
+    };
+
+  } catch (err) {
+    console.error('Task Breakdown Failed:', err);
+    return { subtasks: [], error: err.message, quotaExceeded: isQuotaExceeded(err) };
   }
 };
 
@@ -171,38 +268,94 @@ export const generateWeeklyInsights = async (stats) => {
   }
 };
 
+const PRIORITY_NAMES = { high: 'High', medium: 'Medium', low: 'Low' };
+
+/**
+ * Whole calendar days from today to a date (negative when past)
+ */
+const daysUntil = (date, now) => {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const end = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((end - start) / DAY_MS);
+};
+
 /**
  * Local priority estimation (fallback when AI is unavailable)
- * Uses simple heuristics instead of LLM
+ * Uses heuristics instead of an LLM: explicit markers ("!!", "p1"),
+ * Spanish and English keywords, and how soon the task is due, read from
+ * the text with the quick-add parser ("mañana", "el viernes"...)
  * 
  * @param {string} taskContent - The task title/description
- * @returns {Object} { priority, reasoning }
+ * @param {Object} [options]
+ * @param {Date|string} [options.dueDate] - Known due date (wins over one in the text)
+ * @param {Date} [options.now] - Reference date (now if omitted)
+ * @returns {Object} { priority, suggestedDueDate, reasoning, confidence }
  */
-export const estimatePriorityLocally = (taskContent) => {
-  const text = taskContent.toLowerCase();
-  
-  // High priority keywords
-  const urgentKeywords = ['urgent', 'asap', 'now', 'immediately', 'emergency', 'critical', 'deadline'];
-  const highKeywords = ['important', 'today', 'tonight', 'must', 'need to', 'required'];
-  const lowKeywords = ['sometime', 'maybe', 'eventually', 'later', 'when possible', 'no rush'];
-  
-  // Check for urgent indicators
-  if (urgentKeywords.some(kw => text.includes(kw))) {
-    return { priority: 'High', reasoning: 'Contains urgent keywords' };
+export const estimatePriorityLocally = (taskContent, { dueDate = null, now = new Date() } = {}) => {
+  const parsed = parseQuickAdd(taskContent || '', now);
+  const text = normalizeKeywordText(taskContent || '');
+
+  const due = dueDate ? new Date(dueDate) : parsed.dueDate;
+  const days = due && !isNaN(due.getTime()) ? daysUntil(due, now) : null;
+
+  // Only suggest a date the task doesn't already have
+  const suggestedDueDate = !dueDate && parsed.dueDate ? getDayKey(parsed.dueDate) : null;
+  const result = (priority, reasoning, confidence, date = suggestedDueDate) => ({
+    priority,
+    suggestedDueDate: date,
+    reasoning,
+    confidence,
+  });
+
+  if (parsed.priority) {
+    return result(PRIORITY_NAMES[parsed.priority], 'Prioridad indicada en la tarea', 0.9);
+  }
+  if (days !== null && days < 0) {
+    return result('High', 'Tarea vencida', 0.8);
+  }
+  if (hasKeyword(text, URGENT_KEYWORDS)) {
+    const date = suggestedDueDate || (dueDate ? null : getDayKey(now));
+    return result('High', 'Contiene palabras urgentes', 0.8, date);
   }
-  
-  // Check for high priority indicators
-  if (highKeywords.some(kw => text.includes(kw))) {
-    return { priority: 'High', reasoning: 'Time-sensitive task' };
+  if (days !== null && days <= 1) {
+    return result('High', days === 0 ? 'Vence hoy' : 'Vence mañana', 0.7);
   }
-  
-  // Check for low priority indicators
-  if (lowKeywords.some(kw => text.includes(kw))) {
-    return { priority: 'Low', reasoning: 'No immediate deadline' };
+  if (hasKeyword(text, LOW_KEYWORDS)) {
+    return result('Low', 'Sin fecha límite inmediata', 0.6);
   }
-  
+  if (hasKeyword(text, HIGH_KEYWORDS)) {
+    return result('High', 'Tarea importante', 0.6);
+  }
+  if (days !== null) {
+    return result(days <= 7 ? 'Medium' : 'Low', `Vence en ${days} días`, 0.5);
+  }
+
   // Default to medium
-  return { priority: 'Medium', reasoning: 'Standard task' };
+  return result('Medium', 'Tarea estándar', 0.4);
+};
+
+/**
+ * Sort tasks by their on-device priority estimate, most urgent first
+ */
+const prioritizeTasksLocally = (tasks) => {
+  const now = new Date();
+
+  return tasks
+    .map(task => {
+      const { priority, reasoning } = estimatePriorityLocally(task.title, { dueDate: task.dueDate, now });
+      return { ...task, aiScore: LOCAL_PRIORITY_SCORES[priority], aiReason: reasoning };
+    })
+    .sort((a, b) => b.aiScore - a.aiScore);
+};
+
+/**
+ * Due date the task's own text points to, if any
+ */
+const suggestDueDateLocally = (taskData) => {
+  const { suggestedDueDate, reasoning, confidence } = estimatePriorityLocally(taskData?.title);
+
+  if (!suggestedDueDate) return { date: null, confidence: 0, reasoning: null };
+  return { date: suggestedDueDate, confidence, reasoning };
 };
 
 /**
@@ -235,7 +388,9 @@ export const checkAIAvailability = async () => {
 export default {
   analyzeTaskWithAI,
   prioritizeTasks,
+  getPrioritySignature,
   suggestDueDate,
+  breakDownTask,
   generateWeeklyInsights,
   estimatePriorityLocally,
   checkAIAvailability,
@@ -0,0 +1,358 @@
+/**
+ * Attachment Storage Service
+ * TaskList App - Phase 2 Attachments
+ *
+ * Uploads attachment files to Supabase Storage and downloads them back
+ * the first time they are opened on another device. Files are stored by
+ * content hash, so the same file is only uploaded once per user, and
+ * deleted once no task or retained backup refers to it anymore.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import { supabase, TABLES, BUCKETS, isSupabaseConfigured, getStorageUploadRequest } from '../config/supabase';
+import { getAttachmentFileUri, ensureDirectoryExists } from '../utils/fileManager';
+
+// Signed download URLs only need to live long enough to start the download
+const SIGNED_URL_EXPIRY_SECONDS = 60;
+
+// Uploads in progress: attachment ID -> { progress: 0..1 }
+const uploadProgress = new Map();
+const activeUploads = new Map();
+const activeDownloads = new Map();
+const listeners = new Set();
+
+/**
+ * Update upload progress and notify listeners
+ * @param {string} attachmentId - Attachment ID
+ * @param {Object|null} state - Progress state, or null when finished
+ */
+const notifyProgress = (attachmentId, state) => {
+  if (state) {
+    uploadProgress.set(attachmentId, state);
+  } else {
+    uploadProgress.delete(attachmentId);
+  }
+  listeners.forEach((listener) => listener(attachmentId, state));
+};
+
+/**
+ * Listen for upload progress changes
+ * @param {Function} listener - Called with (attachmentId, state|null)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToUploadProgress = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the current upload progress of an attachment
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Object|null} { progress } while uploading, otherwise null
+ */
+export const getUploadProgress = (attachmentId) => {
+  return uploadProgress.get(attachmentId) || null;
+};
+
+/**
+ * Check whether an attachment still has to be uploaded
+ * @param {Object} attachment - Attachment
+ * @returns {boolean}
+ */
+export const needsUpload = (attachment) => {
+  return !attachment.storagePath && !!attachment.localUri;
+};
+
+/**
+ * Compute the content hash of a local file
+ * @param {string} localUri - Local file URI
+ * @returns {Promise<string>} MD5 hash
+ */
+export const computeFileHash = async (localUri) => {
+  const info = await FileSystem.getInfoAsync(localUri, { md5: true });
+  if (!info.exists) {
+    throw new Error('El archivo no existe');
+  }
+  return info.md5;
+};
+
+/**
+ * Storage path for a file: one object per user and content hash
+ */
+const getObjectPath = (userId, hash, filename) => {
+  const extension = filename.split('.').pop() || 'bin';
+  return `${userId}/${hash}.${extension}`;
+};
+
+/**
+ * Check whether an object is already in the attachments bucket
+ */
+const objectExists = async (storagePath) => {
+  const [folder, name] = storagePath.split('/');
+  const { data, error } = await supabase.storage
+    .from(BUCKETS.ATTACHMENTS)
+    .list(folder, { search: name, limit: 1 });
+
+  if (error) return false;
+  return (data || []).some((item) => item.name === name);
+};
+
+/**
+ * Send the file to Storage, reporting progress
+ */
+const performUpload = async (attachment, session) => {
+  const hash = attachment.hash || await computeFileHash(attachment.localUri);
+  const storagePath = getObjectPath(session.user.id, hash, attachment.filename);
+
+  // Same content already uploaded (from this or another task/device)
+  if (!(await objectExists(storagePath))) {
+    const { url, headers } = getStorageUploadRequest(
+      BUCKETS.ATTACHMENTS,
+      storagePath,
+      session.access_token
+    );
+
+    const uploadTask = FileSystem.createUploadTask(
+      url,
+      attachment.localUri,
+      {
+        httpMethod: 'POST',
+        uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+        headers: {
+          ...headers,
+          'Content-Type': attachment.mimeType || 'application/octet-stream',
+          'x-upsert': 'true',
+        },
+      },
+      ({ totalBytesSent, totalBytesExpectedToSend }) => {
+        notifyProgress(attachment.id, {
+          progress: totalBytesExpectedToSend > 0 ? totalBytesSent / totalBytesExpectedToSend : 0,
+        });
+      }
+    );
+
+    const response = await uploadTask.uploadAsync();
+    if (!response || response.status >= 300) {
+      throw new Error(`Error al subir el archivo (${response?.status ?? 'sin respuesta'})`);
+    }
+  }
+
+  return {
+    ...attachment,
+    hash,
+    storagePath,
+    uploadStatus: 'uploaded',
+  };
+};
+
+/**
+ * Upload an attachment file to Supabase Storage
+ * @param {Object} attachment - Attachment with a localUri
+ * @returns {Promise<Object>} Attachment with hash, storagePath and uploadStatus.
+ *   Returned unchanged when there is nothing to upload or the user is signed out.
+ */
+export const uploadAttachment = async (attachment) => {
+  if (!needsUpload(attachment) || !isSupabaseConfigured()) {
+    return attachment;
+  }
+
+  // Share an upload that is already running for this attachment
+  if (activeUploads.has(attachment.id)) {
+    return activeUploads.get(attachment.id);
+  }
+
+  const upload = (async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) return attachment;
+
+    notifyProgress(attachment.id, { progress: 0 });
+    try {
+      return await performUpload(attachment, session);
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      return { ...attachment, uploadStatus: 'failed' };
+    } finally {
+      activeUploads.delete(attachment.id);
+      notifyProgress(attachment.id, null);
+    }
+  })();
+
+  activeUploads.set(attachment.id, upload);
+  return upload;
+};
+
+/**
+ * Upload every attachment that is not in Storage yet
+ * @param {Array} tasks - Tasks in local format
+ * @returns {Promise<Object>} { tasks, uploaded, failed } - tasks without
+ *   pending uploads are returned as the same objects
+ */
+export const uploadPendingAttachments = async (tasks) => {
+  let uploaded = 0;
+  let failed = 0;
+  const result = [];
+
+  for (const task of tasks) {
+    if (!(task.attachments || []).some(needsUpload)) {
+      result.push(task);
+      continue;
+    }
+
+    let taskUploaded = false;
+    const attachments = [];
+    for (const attachment of task.attachments) {
+      const next = await uploadAttachment(attachment);
+      if (next.storagePath && !attachment.storagePath) {
+        uploaded++;
+        taskUploaded = true;
+      } else if (next.uploadStatus === 'failed') {
+        failed++;
+      }
+      attachments.push(next);
+    }
+
+    const changed = attachments.some((a, i) => a !== task.attachments[i]);
+    result.push(changed
+      ? {
+          ...task,
+          attachments,
+          updatedAt: taskUploaded ? new Date().toISOString() : task.updatedAt,
+        }
+      : task);
+  }
+
+  return { tasks: result, uploaded, failed };
+};
+
+/**
+ * Get a local URI for an attachment, downloading the file from Storage
+ * the first time it is opened on this device. Downloads are cached in
+ * the attachments directory.
+ * @param {Object} attachment - Attachment
+ * @returns {Promise<string>} Local file URI
+ */
+export const resolveAttachmentUri = async (attachment) => {
+  if (attachment.localUri) {
+    const info = await FileSystem.getInfoAsync(attachment.localUri);
+    if (info.exists) return attachment.localUri;
+  }
+
+  const cachedUri = getAttachmentFileUri(attachment.id, attachment.filename);
+  const cached = await FileSystem.getInfoAsync(cachedUri);
+  if (cached.exists) return cachedUri;
+
+  if (!attachment.storagePath || !isSupabaseConfigured()) {
+    throw new Error('El archivo no está disponible en este dispositivo');
+  }
+
+  if (activeDownloads.has(attachment.id)) {
+    return activeDownloads.get(attachment.id);
+  }
+
+  const download = (async () => {
+    try {
+      const { data, error } = await supabase.storage
+        .from(BUCKETS.ATTACHMENTS)
+        .createSignedUrl(attachment.storagePath, SIGNED_URL_EXPIRY_SECONDS);
+
+      if (error) throw error;
+
+      await ensureDirectoryExists();
+      const response = await FileSystem.downloadAsync(data.signedUrl, cachedUri);
+      if (response.status >= 300) {
+        await FileSystem.deleteAsync(cachedUri, { idempotent: true });
+        throw new Error('No se pudo descargar el archivo');
+      }
+
+      return cachedUri;
+    } finally {
+      activeDownloads.delete(attachment.id);
+    }
+  })();
+
+  activeDownloads.set(attachment.id, download);
+  return download;
+};
+
+/**
+ * Storage paths of the attachment files a list of tasks refers to
+ * @param {Array} tasks - Tasks
+ * @returns {Array<string>} Unique paths
+ */
+export const getAttachmentPaths = (tasks) => [...new Set(
+  tasks.flatMap((task) => (task.attachments || []).map((a) => a.storagePath)).filter(Boolean)
+)];
+
+/**
+ * Paths listed by the backups still stored in the cloud. Returns null
+ * when a backup made before backups listed their files is retained,
+ * since any file may belong to it.
+ * @returns {Promise<Set<string>|null>}
+ */
+const getBackupAttachmentPaths = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) return null;
+
+  const { data, error } = await supabase
+    .from(TABLES.BACKUPS)
+    .select('attachment_paths')
+    .eq('user_id', session.user.id);
+
+  if (error) throw error;
+  if ((data || []).some((backup) => !Array.isArray(backup.attachment_paths))) return null;
+
+  return new Set(data.flatMap((backup) => backup.attachment_paths));
+};
+
+/**
+ * Delete Storage files that no remaining task and no retained backup
+ * refers to (files are shared by content hash, so another task, a copy
+ * of the same file or a backup may still use one). Failures are only
+ * logged: a leftover file costs space, not data.
+ * @param {Array<string>} paths - Storage paths that may have been released
+ * @param {Array} remainingTasks - Tasks that are kept
+ * @returns {Promise<void>}
+ */
+export const deleteUnusedAttachmentPaths = async (paths, remainingTasks) => {
+  if (!isSupabaseConfigured()) return;
+
+  const inUse = new Set(getAttachmentPaths(remainingTasks));
+  const candidates = [...new Set(paths)].filter((path) => path && !inUse.has(path));
+  if (candidates.length === 0) return;
+
+  try {
+    const inBackups = await getBackupAttachmentPaths();
+    if (!inBackups) return;
+
+    const unused = candidates.filter((path) => !inBackups.has(path));
+    if (unused.length === 0) return;
+
+    const { error } = await supabase.storage.from(BUCKETS.ATTACHMENTS).remove(unused);
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error deleting attachment files:', error);
+  }
+};
+
+/**
+ * Delete the Storage files of removed attachments once nothing refers
+ * to them (see deleteUnusedAttachmentPaths)
+ * @param {Array} attachments - Attachments that were removed
+ * @param {Array} remainingTasks - Tasks that are kept
+ * @returns {Promise<void>}
+ */
+export const deleteUnusedAttachmentObjects = (attachments, remainingTasks) =>
+  deleteUnusedAttachmentPaths(attachments.map((a) => a.storagePath), remainingTasks);
+
+export default {
+  subscribeToUploadProgress,
+  getUploadProgress,
+  needsUpload,
+  computeFileHash,
+  uploadAttachment,
+  uploadPendingAttachments,
+  resolveAttachmentUri,
+  getAttachmentPaths,
+  deleteUnusedAttachmentPaths,
+  deleteUnusedAttachmentObjects,
+};
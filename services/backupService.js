@@ -5,14 +5,80 @@
  * Handles task backups to Supabase cloud storage
  */
 
-import { supabase, TABLES, BACKUP_CONFIG, isSupabaseConfigured } from '../config/supabase';
+import pako from 'pako';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase, TABLES, BUCKETS, BACKUP_CONFIG, isSupabaseConfigured } from '../config/supabase';
 import { getCurrentUserId } from './cloudSyncService';
+import { uploadPendingAttachments, getAttachmentPaths, deleteUnusedAttachmentPaths } from './attachmentStorageService';
+import { MERGE_FIELDS, valuesEqual, toSyncedAttachments } from '../utils/syncMerge';
+
+// Backup format versions
+// 2.0: metadata only (payload was never stored)
+// 2.1: gzip-compressed JSON payload in the backups storage bucket
+const BACKUP_FORMAT_VERSION = '2.1';
+
+// Storage keys
+const BACKUP_SCHEDULE_KEY = '@tasklist_backup_schedule';
+const BACKUP_STATUS_KEY = '@tasklist_backup_status';
+
+/**
+ * Automatic backup frequencies (hours between backups)
+ */
+export const BACKUP_FREQUENCIES = {
+  off: null,
+  daily: 24,
+  weekly: 24 * 7,
+};
+
+/**
+ * Restore modes
+ */
+export const RESTORE_MODES = {
+  REPLACE: 'replace',   // Backup replaces all current tasks
+  MERGE: 'merge',       // Add missing tasks, keep the newer version of shared ones
+  SELECTED: 'selected', // Restore only the chosen tasks
+};
+
+/**
+ * Compress a backup payload
+ * @param {Object} backupData - Backup payload
+ * @returns {Uint8Array} gzip bytes
+ */
+const compressBackup = (backupData) => {
+  return pako.gzip(JSON.stringify(backupData));
+};
+
+/**
+ * Decompress a backup payload
+ * @param {ArrayBuffer} buffer - gzip bytes
+ * @returns {Object} Backup payload
+ */
+const decompressBackup = (buffer) => {
+  const json = pako.ungzip(new Uint8Array(buffer), { to: 'string' });
+  return JSON.parse(json);
+};
+
+/**
+ * Read a downloaded Blob as an ArrayBuffer
+ */
+const blobToArrayBuffer = (blob) => {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
 
 /**
  * Create a backup of all tasks
  * @param {Array} tasks - Tasks to backup
  * @param {boolean} isAutomatic - Whether this is an automatic backup
- * @returns {Promise<Object>} Backup result
+ * @returns {Promise<Object>} Backup result; `uploadedAttachments` are the
+ *   attachments uploaded for it, to save back on their tasks
  */
 export const createBackup = async (tasks, isAutomatic = false) => {
   if (!isSupabaseConfigured()) {
@@ -25,35 +91,50 @@ export const createBackup = async (tasks, isAutomatic = false) => {
   }
 
   try {
+    // Make sure attachment files are in Storage so the backup can restore them
+    const { tasks: preparedTasks } = await uploadPendingAttachments(tasks);
+    const uploadedAttachments = preparedTasks.flatMap((task, i) =>
+      task === tasks[i] ? [] : task.attachments.filter((a, j) => a !== tasks[i].attachments[j])
+    );
+
     // Create backup data
     const backupData = {
-      version: '2.0',
+      version: BACKUP_FORMAT_VERSION,
       created_at: new Date().toISOString(),
       task_count: tasks.length,
-      tasks: tasks.map(task => ({
+      tasks: preparedTasks.map(task => ({
         ...task,
         // Remove local-only data
         notificationId: null,
-        attachments: (task.attachments || []).map(a => ({
-          id: a.id,
-          filename: a.filename,
-          type: a.type,
-          filesize: a.filesize,
-        })),
+        notificationIds: {},
+        attachments: toSyncedAttachments(task.attachments),
       })),
     };
 
-    // Convert to JSON string
-    const backupJson = JSON.stringify(backupData, null, 2);
-    const backupSize = new Blob([backupJson]).size;
+    // Compress the payload
+    const compressed = compressBackup(backupData);
+    const backupSize = compressed.byteLength;
 
     // Generate storage path
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const storagePath = `backups/${userId}/${timestamp}.json`;
+    const storagePath = `backups/${userId}/${timestamp}.json.gz`;
+
+    // Upload the payload to Supabase Storage
+    const { error: uploadError } = await supabase.storage
+      .from(BUCKETS.BACKUPS)
+      .upload(storagePath, compressed.buffer.slice(
+        compressed.byteOffset,
+        compressed.byteOffset + compressed.byteLength
+      ), {
+        contentType: 'application/gzip',
+        upsert: false,
+      });
+
+    if (uploadError) {
+      console.error('Error uploading backup payload:', uploadError);
+      throw uploadError;
+    }
 
-    // Upload to Supabase Storage (if bucket exists) or save metadata only
-    // For simplicity, we'll store the backup in the database as JSONB
-    
     // Insert backup record
     const { data, error } = await supabase
       .from(TABLES.BACKUPS)
@@ -63,18 +144,22 @@ export const createBackup = async (tasks, isAutomatic = false) => {
         file_size: backupSize,
         storage_path: storagePath,
         is_automatic: isAutomatic,
-        version: '2.0',
+        version: BACKUP_FORMAT_VERSION,
+        // Attachment files stay in Storage while a backup lists them
+        attachment_paths: getAttachmentPaths(backupData.tasks),
       })
       .select()
       .single();
 
     if (error) {
       console.error('Error creating backup record:', error);
+      // Don't leave an orphaned payload behind
+      await supabase.storage.from(BUCKETS.BACKUPS).remove([storagePath]);
       throw error;
     }
 
     // Clean up old backups
-    await cleanupOldBackups(userId);
+    await cleanupOldBackups(userId, preparedTasks);
 
     return {
       success: true,
@@ -82,6 +167,7 @@ export const createBackup = async (tasks, isAutomatic = false) => {
       taskCount: tasks.length,
       fileSize: backupSize,
       createdAt: data.created_at,
+      uploadedAttachments,
     };
   } catch (error) {
     console.error('Error creating backup:', error);
@@ -139,6 +225,13 @@ export const deleteBackup = async (backupId) => {
   }
 
   try {
+    const { data: backup } = await supabase
+      .from(TABLES.BACKUPS)
+      .select('storage_path')
+      .eq('id', backupId)
+      .eq('user_id', userId)
+      .single();
+
     const { error } = await supabase
       .from(TABLES.BACKUPS)
       .delete()
@@ -150,6 +243,10 @@ export const deleteBackup = async (backupId) => {
       throw error;
     }
 
+    if (backup?.storage_path) {
+      await supabase.storage.from(BUCKETS.BACKUPS).remove([backup.storage_path]);
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting backup:', error);
@@ -158,15 +255,63 @@ export const deleteBackup = async (backupId) => {
 };
 
 /**
- * Clean up old backups, keeping only the most recent ones
+ * Select automatic backups to keep with a grandfather-father-son policy:
+ * the newest backup of each of the last N days, weeks and months.
+ * @param {Array} backups - Automatic backups sorted newest first
+ * @param {Object} retention - { DAILY, WEEKLY, MONTHLY }
+ * @returns {Set<string>} IDs of backups to keep
+ */
+export const selectBackupsToKeep = (backups, retention = BACKUP_CONFIG.RETENTION) => {
+  const keep = new Set();
+
+  const keepNewestPerPeriod = (getPeriodKey, limit) => {
+    const seen = new Set();
+    for (const backup of backups) {
+      if (seen.size >= limit) break;
+      const key = getPeriodKey(new Date(backup.created_at));
+      if (seen.has(key)) continue;
+      seen.add(key);
+      keep.add(backup.id);
+    }
+  };
+
+  // Day key (local)
+  keepNewestPerPeriod(
+    (d) => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`,
+    retention.DAILY
+  );
+
+  // Week key: date of the Monday starting the week
+  keepNewestPerPeriod((d) => {
+    const monday = new Date(d);
+    const day = monday.getDay();
+    monday.setDate(monday.getDate() - day + (day === 0 ? -6 : 1));
+    return `${monday.getFullYear()}-${monday.getMonth()}-${monday.getDate()}`;
+  }, retention.WEEKLY);
+
+  // Month key
+  keepNewestPerPeriod(
+    (d) => `${d.getFullYear()}-${d.getMonth()}`,
+    retention.MONTHLY
+  );
+
+  return keep;
+};
+
+/**
+ * Clean up old backups.
+ * Manual backups: keep the most recent BACKUP_CONFIG.MAX_BACKUPS.
+ * Automatic backups: keep according to the retention policy.
+ * Attachment files only the deleted backups listed are deleted too.
  * @param {string} userId - User ID
+ * @param {Array} tasks - Current tasks (their attachment files are kept)
  */
-const cleanupOldBackups = async (userId) => {
+const cleanupOldBackups = async (userId, tasks) => {
   try {
     // Get all backups sorted by date
     const { data: backups, error } = await supabase
       .from(TABLES.BACKUPS)
-      .select('id, created_at')
+      .select('id, created_at, storage_path, is_automatic, attachment_paths')
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
 
@@ -175,10 +320,17 @@ const cleanupOldBackups = async (userId) => {
       return;
     }
 
-    // Delete old backups beyond the limit
-    if (backups && backups.length > BACKUP_CONFIG.MAX_BACKUPS) {
-      const toDelete = backups.slice(BACKUP_CONFIG.MAX_BACKUPS);
-      
+    const manual = (backups || []).filter(b => !b.is_automatic);
+    const automatic = (backups || []).filter(b => b.is_automatic);
+    const schedule = await getBackupSchedule();
+    const keep = selectBackupsToKeep(automatic, schedule.retention);
+
+    const toDelete = [
+      ...manual.slice(BACKUP_CONFIG.MAX_BACKUPS),
+      ...automatic.filter(b => !keep.has(b.id)),
+    ];
+
+    if (toDelete.length > 0) {
       for (const backup of toDelete) {
         await supabase
           .from(TABLES.BACKUPS)
@@ -186,6 +338,16 @@ const cleanupOldBackups = async (userId) => {
           .eq('id', backup.id);
       }
 
+      const paths = toDelete.map(b => b.storage_path).filter(Boolean);
+      if (paths.length > 0) {
+        await supabase.storage.from(BUCKETS.BACKUPS).remove(paths);
+      }
+
+      await deleteUnusedAttachmentPaths(
+        toDelete.flatMap(b => b.attachment_paths || []),
+        tasks
+      );
+
       console.log(`Cleaned up ${toDelete.length} old backups`);
     }
   } catch (error) {
@@ -245,15 +407,267 @@ export const getBackupStats = async () => {
   }
 };
 
+/**
+ * Download and decode a backup payload
+ * @param {Object} backup - Backup record (from listBackups)
+ * @returns {Promise<Object>} Backup payload with tasks
+ */
+export const downloadBackup = async (backup) => {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase no está configurado');
+  }
+
+  if (!backup?.storage_path || backup.version === '2.0') {
+    throw new Error('Este respaldo no contiene datos restaurables');
+  }
+
+  const { data, error } = await supabase.storage
+    .from(BUCKETS.BACKUPS)
+    .download(backup.storage_path);
+
+  if (error) {
+    console.error('Error downloading backup:', error);
+    throw error;
+  }
+
+  const buffer = await blobToArrayBuffer(data);
+  return decompressBackup(buffer);
+};
+
+/**
+ * Compare backup tasks with the current tasks
+ * @param {Array} backupTasks - Tasks from the backup
+ * @param {Array} currentTasks - Current local tasks
+ * @returns {{ added: Array, removed: Array, changed: Array, unchanged: number }}
+ *   added: only in backup, removed: only current, changed: { backup, current, fields }
+ */
+export const diffBackup = (backupTasks, currentTasks) => {
+  const currentMap = new Map(currentTasks.map(t => [t.id, t]));
+  const backupIds = new Set(backupTasks.map(t => t.id));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const backupTask of backupTasks) {
+    const current = currentMap.get(backupTask.id);
+    if (!current) {
+      added.push(backupTask);
+      continue;
+    }
+
+    const fields = MERGE_FIELDS.filter(field =>
+      field !== 'attachments' && !valuesEqual(backupTask[field], current[field])
+    );
+    if (fields.length > 0) {
+      changed.push({ backup: backupTask, current, fields });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = currentTasks.filter(t => !backupIds.has(t.id));
+
+  return { added, removed, changed, unchanged };
+};
+
+/**
+ * Get a preview of a backup: its tasks and the diff against current tasks
+ * @param {Object} backup - Backup record
+ * @param {Array} currentTasks - Current local tasks
+ * @returns {Promise<Object>} { backup, tasks, diff }
+ */
+export const getBackupPreview = async (backup, currentTasks) => {
+  const backupData = await downloadBackup(backup);
+  const tasks = backupData.tasks || [];
+
+  return {
+    backup,
+    createdAt: backupData.created_at,
+    tasks,
+    diff: diffBackup(tasks, currentTasks),
+  };
+};
+
+/**
+ * Prepare a backup task for local use
+ * Attachments only keep metadata; their files are downloaded from Storage
+ * when first opened (see resolveAttachmentUri).
+ */
+const toRestoredTask = (task) => ({
+  ...task,
+  notificationId: null,
+  notificationIds: {},
+  attachments: (task.attachments || []).map(a => ({ ...a, localUri: a.localUri || null })),
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Build the task list resulting from a restore
+ * @param {Array} backupTasks - Tasks from the backup
+ * @param {Array} currentTasks - Current local tasks
+ * @param {Object} options
+ * @param {string} options.mode - One of RESTORE_MODES
+ * @param {Array<string>} [options.taskIds] - Task IDs for RESTORE_MODES.SELECTED
+ * @returns {{ tasks: Array, restored: number, removed: number }}
+ */
+export const buildRestoredTasks = (backupTasks, currentTasks, { mode, taskIds = [] }) => {
+  switch (mode) {
+    case RESTORE_MODES.REPLACE: {
+      const backupIds = new Set(backupTasks.map(t => t.id));
+      return {
+        tasks: backupTasks.map(toRestoredTask),
+        restored: backupTasks.length,
+        removed: currentTasks.filter(t => !backupIds.has(t.id)).length,
+      };
+    }
+
+    case RESTORE_MODES.MERGE: {
+      const currentMap = new Map(currentTasks.map(t => [t.id, t]));
+      const backupMap = new Map(backupTasks.map(t => [t.id, t]));
+      let restored = 0;
+      const merged = currentTasks.map(current => {
+        const backupTask = backupMap.get(current.id);
+        if (backupTask && new Date(backupTask.updatedAt || 0) > new Date(current.updatedAt || 0)) {
+          restored++;
+          return { ...toRestoredTask(backupTask), notificationIds: current.notificationIds };
+        }
+        return current;
+      });
+      const missing = backupTasks.filter(t => !currentMap.has(t.id)).map(toRestoredTask);
+
+      return {
+        tasks: [...merged, ...missing],
+        restored: restored + missing.length,
+        removed: 0,
+      };
+    }
+
+    case RESTORE_MODES.SELECTED: {
+      const selected = new Map(
+        backupTasks.filter(t => taskIds.includes(t.id)).map(t => [t.id, toRestoredTask(t)])
+      );
+      const replaced = currentTasks.map(current => selected.get(current.id) || current);
+      const currentIds = new Set(currentTasks.map(t => t.id));
+      const added = [...selected.values()].filter(t => !currentIds.has(t.id));
+
+      return {
+        tasks: [...replaced, ...added],
+        restored: selected.size,
+        removed: 0,
+      };
+    }
+
+    default:
+      throw new Error(`Modo de restauración no válido: ${mode}`);
+  }
+};
+
+/**
+ * Restore tasks from a backup
+ * Works on the payload already downloaded for the preview
+ * @param {Object} preview - Result of getBackupPreview
+ * @param {Array} currentTasks - Current local tasks
+ * @param {Object} options - { mode, taskIds } (see buildRestoredTasks)
+ * @returns {Object} { success, tasks, restored, removed }
+ */
+export const restoreBackup = (preview, currentTasks, options) => {
+  const result = buildRestoredTasks(preview.tasks || [], currentTasks, options);
+
+  return {
+    success: true,
+    ...result,
+  };
+};
+
+/**
+ * Get the automatic backup schedule
+ * @returns {Promise<Object>} { frequency, retention }
+ */
+export const getBackupSchedule = async () => {
+  const defaults = {
+    frequency: BACKUP_CONFIG.AUTO_BACKUP_ENABLED ? BACKUP_CONFIG.DEFAULT_FREQUENCY : 'off',
+    retention: BACKUP_CONFIG.RETENTION,
+  };
+
+  try {
+    const saved = await AsyncStorage.getItem(BACKUP_SCHEDULE_KEY);
+    return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+  } catch (error) {
+    console.error('Error getting backup schedule:', error);
+    return defaults;
+  }
+};
+
+/**
+ * Save the automatic backup schedule
+ * @param {Object} updates - { frequency?, retention? }
+ * @returns {Promise<Object>} Updated schedule
+ */
+export const saveBackupSchedule = async (updates) => {
+  const schedule = { ...(await getBackupSchedule()), ...updates };
+
+  if (!(schedule.frequency in BACKUP_FREQUENCIES)) {
+    throw new Error(`Frecuencia de respaldo no válida: ${schedule.frequency}`);
+  }
+
+  await AsyncStorage.setItem(BACKUP_SCHEDULE_KEY, JSON.stringify(schedule));
+  return schedule;
+};
+
+/**
+ * Get the result of the latest automatic backup run
+ * @returns {Promise<Object>} { lastAttemptAt, lastSuccessAt, lastError, consecutiveFailures }
+ */
+export const getBackupRunStatus = async () => {
+  const defaults = {
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+  };
+
+  try {
+    const saved = await AsyncStorage.getItem(BACKUP_STATUS_KEY);
+    return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+  } catch (error) {
+    console.error('Error getting backup status:', error);
+    return defaults;
+  }
+};
+
+/**
+ * Save the result of an automatic backup run
+ */
+const saveBackupRunStatus = async (status) => {
+  try {
+    await AsyncStorage.setItem(BACKUP_STATUS_KEY, JSON.stringify(status));
+  } catch (error) {
+    console.error('Error saving backup status:', error);
+  }
+};
+
 /**
  * Check if auto backup is needed
  * @returns {Promise<boolean>} True if backup is needed
  */
 export const isBackupNeeded = async () => {
-  if (!BACKUP_CONFIG.AUTO_BACKUP_ENABLED) {
+  const schedule = await getBackupSchedule();
+  const intervalHours = BACKUP_FREQUENCIES[schedule.frequency];
+
+  if (!intervalHours) {
     return false;
   }
 
+  // Wait before retrying after a failed attempt
+  const runStatus = await getBackupRunStatus();
+  if (runStatus.lastError && runStatus.lastAttemptAt) {
+    const hoursSinceAttempt = (new Date() - new Date(runStatus.lastAttemptAt)) / (1000 * 60 * 60);
+    if (hoursSinceAttempt < BACKUP_CONFIG.FAILURE_RETRY_HOURS) {
+      return false;
+    }
+  }
+
   const stats = await getBackupStats();
   
   if (!stats.lastBackupDate) {
@@ -264,7 +678,45 @@ export const isBackupNeeded = async () => {
   const now = new Date();
   const hoursSinceLastBackup = (now - lastBackup) / (1000 * 60 * 60);
 
-  return hoursSinceLastBackup >= BACKUP_CONFIG.BACKUP_INTERVAL_HOURS;
+  return hoursSinceLastBackup >= intervalHours;
+};
+
+/**
+ * Create an automatic backup if the schedule says one is due.
+ * Records the outcome so failures can be shown to the user.
+ * @param {Array} tasks - Tasks to backup
+ * @returns {Promise<Object>} { ran, success, error? }
+ */
+export const runScheduledBackup = async (tasks) => {
+  if (!isSupabaseConfigured() || !(await getCurrentUserId())) {
+    return { ran: false };
+  }
+
+  if (!(await isBackupNeeded())) {
+    return { ran: false };
+  }
+
+  const previous = await getBackupRunStatus();
+  const attemptAt = new Date().toISOString();
+
+  try {
+    const result = await createBackup(tasks, true);
+    await saveBackupRunStatus({
+      lastAttemptAt: attemptAt,
+      lastSuccessAt: attemptAt,
+      lastError: null,
+      consecutiveFailures: 0,
+    });
+    return { ran: true, success: true, ...result };
+  } catch (error) {
+    await saveBackupRunStatus({
+      ...previous,
+      lastAttemptAt: attemptAt,
+      lastError: error.message || 'Error desconocido',
+      consecutiveFailures: (previous.consecutiveFailures || 0) + 1,
+    });
+    return { ran: true, success: false, error: error.message };
+  }
 };
 
 export default {
@@ -273,4 +725,14 @@ export default {
   deleteBackup,
   getBackupStats,
   isBackupNeeded,
+  getBackupSchedule,
+  saveBackupSchedule,
+  getBackupRunStatus,
+  runScheduledBackup,
+  selectBackupsToKeep,
+  downloadBackup,
+  diffBackup,
+  getBackupPreview,
+  buildRestoredTasks,
+  restoreBackup,
 };
@@ -7,11 +7,18 @@
 
 import { supabase, TABLES, SYNC_CONFIG, isSupabaseConfigured } from '../config/supabase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { threeWayMerge, differsFromCloud, createBaseSnapshot, toSyncedAttachments, mergeByUpdatedAt, valuesEqual } from '../utils/syncMerge';
+import { uploadPendingAttachments } from './attachmentStorageService';
 
 // Storage keys
 const LAST_SYNC_KEY = '@tasklist_last_sync';
-const SYNC_QUEUE_KEY = '@tasklist_sync_queue';
 const USER_ID_KEY = '@tasklist_user_id';
+const TOMBSTONES_KEY = '@tasklist_tombstones';
+const SYNC_BASE_KEY = '@tasklist_sync_base';
+const CONFLICTS_KEY = '@tasklist_sync_conflicts';
+
+// Tombstone updates run one after another (see updateTombstones)
+let tombstoneChain = Promise.resolve();
 
 /**
  * Get current user ID
@@ -53,31 +60,211 @@ export const setLastSyncTime = async (date = new Date()) => {
   }
 };
 
+/**
+ * Get the oldest date a tombstone is still kept for
+ */
+const getTombstoneCutoff = () => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - SYNC_CONFIG.TOMBSTONE_RETENTION_DAYS);
+  return cutoff;
+};
+
+/**
+ * Get local deletion tombstones
+ * @returns {Promise<Object>} Map of task ID to deletion timestamp
+ */
+export const getTombstones = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(TOMBSTONES_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error getting tombstones:', error);
+    return {};
+  }
+};
+
+/**
+ * Save local deletion tombstones, dropping expired ones
+ * @param {Object} tombstones - Map of task ID to deletion timestamp
+ */
+const saveTombstones = async (tombstones) => {
+  const cutoff = getTombstoneCutoff();
+  const active = Object.fromEntries(
+    Object.entries(tombstones).filter(([, deletedAt]) => new Date(deletedAt) >= cutoff)
+  );
+
+  try {
+    await AsyncStorage.setItem(TOMBSTONES_KEY, JSON.stringify(active));
+  } catch (error) {
+    console.error('Error saving tombstones:', error);
+  }
+};
+
+/**
+ * Read, change and save the tombstones as one step. Updates are queued
+ * so a slow one (a sync waiting on the network) can't overwrite
+ * deletions recorded meanwhile.
+ * @param {Function} update - Receives the current tombstones and edits them in place
+ */
+const updateTombstones = (update) => {
+  tombstoneChain = tombstoneChain
+    .then(async () => {
+      const tombstones = await getTombstones();
+      update(tombstones);
+      await saveTombstones(tombstones);
+    })
+    .catch(error => console.error('Error updating tombstones:', error));
+
+  return tombstoneChain;
+};
+
+/**
+ * Record that tasks were deleted locally so sync does not bring them back
+ * @param {Array<string>} taskIds - Deleted task IDs
+ * @param {string} [deletedAt] - Deletion timestamp
+ */
+export const recordTombstones = async (taskIds, deletedAt = new Date().toISOString()) => {
+  if (!taskIds || taskIds.length === 0) return;
+
+  await updateTombstones(tombstones => {
+    taskIds.forEach(id => {
+      tombstones[id] = deletedAt;
+    });
+  });
+};
+
+/**
+ * Remove tombstones (e.g. when a deleted task is restored)
+ * @param {Array<string>} taskIds - Task IDs
+ */
+export const clearTombstones = async (taskIds) => {
+  if (!taskIds || taskIds.length === 0) return;
+
+  await updateTombstones(tombstones => {
+    taskIds.forEach(id => {
+      delete tombstones[id];
+    });
+  });
+};
+
+/**
+ * Permanently remove cloud rows whose tombstone retention has expired
+ * @param {string} userId - User ID
+ */
+const purgeExpiredTombstones = async (userId) => {
+  try {
+    const { error } = await supabase
+      .from(TABLES.TASKS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('deleted', true)
+      .lt('updated_at', getTombstoneCutoff().toISOString());
+
+    if (error) {
+      console.error('Error purging expired tombstones:', error);
+    }
+  } catch (error) {
+    console.error('Error purging expired tombstones:', error);
+  }
+};
+
+/**
+ * Get the last synced version of each task (three-way merge base)
+ * @returns {Promise<Object>} Map of task ID to base snapshot
+ */
+const getSyncBase = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(SYNC_BASE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error getting sync base:', error);
+    return {};
+  }
+};
+
+/**
+ * Save the last synced version of each task
+ * @param {Object} base - Map of task ID to base snapshot
+ */
+const saveSyncBase = async (base) => {
+  try {
+    await AsyncStorage.setItem(SYNC_BASE_KEY, JSON.stringify(base));
+  } catch (error) {
+    console.error('Error saving sync base:', error);
+  }
+};
+
+/**
+ * Get sync conflicts waiting for the user to review
+ * @returns {Promise<Array>} Conflicts: { taskId, title, detectedAt, fields }
+ */
+export const getPendingConflicts = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(CONFLICTS_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error getting sync conflicts:', error);
+    return [];
+  }
+};
+
+/**
+ * Save sync conflicts waiting for review
+ * @param {Array} conflicts - Conflicts to save
+ */
+const savePendingConflicts = async (conflicts) => {
+  try {
+    await AsyncStorage.setItem(CONFLICTS_KEY, JSON.stringify(conflicts));
+  } catch (error) {
+    console.error('Error saving sync conflicts:', error);
+  }
+};
+
+/**
+ * Mark a conflicting field as reviewed
+ * @param {string} taskId - Task ID
+ * @param {string} field - Field name
+ * @returns {Promise<Array>} Remaining conflicts
+ */
+export const resolveConflictField = async (taskId, field) => {
+  const conflicts = await getPendingConflicts();
+  const remaining = conflicts
+    .map(conflict => conflict.taskId === taskId
+      ? { ...conflict, fields: conflict.fields.filter(f => f.field !== field) }
+      : conflict)
+    .filter(conflict => conflict.fields.length > 0);
+
+  await savePendingConflicts(remaining);
+  return remaining;
+};
+
 /**
  * Convert local task to cloud format
  */
-const taskToCloudFormat = (task, userId) => {
+export const taskToCloudFormat = (task, userId) => {
   return {
     id: task.id,
     user_id: userId,
     title: task.title,
     description: task.description || null,
     category: task.category || 'personal',
+    tags: JSON.stringify(task.tags || []),
+    blocked_by: JSON.stringify(task.blockedBy || []),
     priority: task.priority || 'medium',
     completed: task.completed || false,
+    completed_at: task.completedAt || null,
     due_date: task.dueDate || null,
     enable_reminder: task.enableReminder || false,
+    due_time: task.dueTime || null,
+    reminder_offsets: JSON.stringify(task.reminderOffsets || [0]),
     subtasks: JSON.stringify(task.subtasks || []),
-    attachments: JSON.stringify((task.attachments || []).map(a => ({
-      id: a.id,
-      filename: a.filename,
-      type: a.type,
-      filesize: a.filesize,
-    }))),
+    attachments: JSON.stringify(toSyncedAttachments(task.attachments)),
     is_recurring: task.isRecurring || false,
     recurring_series_id: task.recurringSeriesId || null,
     instance_date: task.instanceDate || null,
     skipped: task.skipped || false,
+    time_zone: task.timeZone || null,
+    floating: task.floating ?? true,
     created_at: task.createdAt || new Date().toISOString(),
     updated_at: task.updatedAt || new Date().toISOString(),
     synced_at: new Date().toISOString(),
@@ -95,10 +282,21 @@ const taskToLocalFormat = (cloudTask) => {
     title: cloudTask.title,
     description: cloudTask.description || '',
     category: cloudTask.category || 'personal',
+    tags: typeof cloudTask.tags === 'string'
+      ? JSON.parse(cloudTask.tags)
+      : (cloudTask.tags || []),
+    blockedBy: typeof cloudTask.blocked_by === 'string'
+      ? JSON.parse(cloudTask.blocked_by)
+      : (cloudTask.blocked_by || []),
     priority: cloudTask.priority || 'medium',
     completed: cloudTask.completed || false,
+    completedAt: cloudTask.completed_at || null,
     dueDate: cloudTask.due_date,
     enableReminder: cloudTask.enable_reminder || false,
+    dueTime: cloudTask.due_time || null,
+    reminderOffsets: typeof cloudTask.reminder_offsets === 'string'
+      ? JSON.parse(cloudTask.reminder_offsets)
+      : (cloudTask.reminder_offsets || [0]),
     subtasks: typeof cloudTask.subtasks === 'string' 
       ? JSON.parse(cloudTask.subtasks) 
       : (cloudTask.subtasks || []),
@@ -109,7 +307,9 @@ const taskToLocalFormat = (cloudTask) => {
     recurringSeriesId: cloudTask.recurring_series_id,
     instanceDate: cloudTask.instance_date,
     skipped: cloudTask.skipped || false,
-    notificationId: null,
+    timeZone: cloudTask.time_zone || null,
+    floating: cloudTask.floating ?? true,
+    notificationIds: {},
     createdAt: cloudTask.created_at,
     updatedAt: cloudTask.updated_at,
     syncedAt: cloudTask.synced_at,
@@ -206,7 +406,7 @@ export const downloadFromCloud = async () => {
 
 /**
  * Sync local and cloud tasks
- * Uses "server wins" conflict resolution by default
+ * Uses field-level three-way merge by default (see SYNC_CONFIG.CONFLICT_RESOLUTION)
  * @param {Array} localTasks - Current local tasks
  * @returns {Promise<Object>} Sync result with merged tasks
  */
@@ -232,16 +432,38 @@ export const syncTasks = async (localTasks) => {
     const userId = await getCurrentUserId();
     const lastSync = await getLastSyncTime();
 
-    // Get cloud tasks
-    const cloudTasks = await downloadFromCloud();
-    
+    // Upload attachment files first so their Storage paths sync with the tasks
+    const { tasks: preparedTasks } = await uploadPendingAttachments(localTasks);
+
+    // Get cloud tasks, including recent deletions (cloud tombstones)
+    const { data: cloudRows, error: fetchError } = await supabase
+      .from(TABLES.TASKS)
+      .select('*')
+      .eq('user_id', userId)
+      .or(`deleted.eq.false,updated_at.gte.${getTombstoneCutoff().toISOString()}`)
+      .order('updated_at', { ascending: false });
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const cloudTasks = (cloudRows || []).filter(row => !row.deleted).map(taskToLocalFormat);
+    const cloudDeleted = new Map(
+      (cloudRows || []).filter(row => row.deleted).map(row => [row.id, row.updated_at])
+    );
+    const tombstones = await getTombstones();
+    const syncBase = await getSyncBase();
+
     // Build maps for comparison
-    const localMap = new Map(localTasks.map(t => [t.id, t]));
+    const localMap = new Map(preparedTasks.map(t => [t.id, t]));
     const cloudMap = new Map(cloudTasks.map(t => [t.id, t]));
 
     const mergedTasks = [];
     const conflicts = [];
     const toUpload = [];
+    const toDeleteInCloud = [];
+    const deletedLocally = [];
+    const resurrected = [];
 
     // Process all unique task IDs
     const allIds = new Set([...localMap.keys(), ...cloudMap.keys()]);
@@ -268,26 +490,61 @@ export const syncTasks = async (localTasks) => {
           mergedTasks.push(local);
           toUpload.push(local);
         } else {
-          // Merge - keep most recent updatedAt, merge subtasks and attachments
-          const merged = cloudUpdated >= localUpdated ? cloud : local;
-          mergedTasks.push({
-            ...merged,
-            subtasks: mergeArrays(local.subtasks, cloud.subtasks, 'id'),
-            syncedAt: new Date().toISOString(),
-          });
-          conflicts.push({ local, cloud, resolved: merged });
+          const base = syncBase[id];
+
+          if (!base) {
+            // Never synced from this device - no base to compare, newest wins
+            if (cloudUpdated >= localUpdated) {
+              mergedTasks.push({ ...local, ...cloud, syncedAt: new Date().toISOString() });
+            } else {
+              mergedTasks.push(local);
+              toUpload.push(local);
+            }
+          } else {
+            // Field-level three-way merge against the last synced version
+            const { task: merged, conflicts: fieldConflicts } = threeWayMerge(local, cloud, base);
+            mergedTasks.push({ ...merged, syncedAt: new Date().toISOString() });
+
+            if (differsFromCloud(merged, cloud)) {
+              toUpload.push(merged);
+            }
+            if (fieldConflicts.length > 0) {
+              conflicts.push({
+                taskId: id,
+                title: merged.title,
+                detectedAt: new Date().toISOString(),
+                fields: fieldConflicts,
+              });
+            }
+          }
         }
       } else if (local && !cloud) {
-        // Only exists locally - upload to cloud
-        mergedTasks.push(local);
-        toUpload.push(local);
+        const cloudDeletedAt = cloudDeleted.get(id);
+
+        if (cloudDeletedAt && new Date(cloudDeletedAt) >= new Date(local.updatedAt || 0)) {
+          // Deleted on another device after our last edit - drop locally
+          deletedLocally.push(id);
+        } else {
+          // Only exists locally (or edited after the remote delete) - upload to cloud
+          mergedTasks.push(local);
+          toUpload.push(local);
+        }
       } else if (!local && cloud) {
-        // Only exists in cloud - download to local
-        mergedTasks.push(cloud);
+        const localDeletedAt = tombstones[id];
+
+        if (localDeletedAt && new Date(localDeletedAt) >= new Date(cloud.updatedAt || 0)) {
+          // Deleted on this device - propagate the delete instead of resurrecting
+          toDeleteInCloud.push({ id, deletedAt: localDeletedAt });
+        } else {
+          // Only exists in cloud - download to local
+          mergedTasks.push(cloud);
+          if (localDeletedAt) resurrected.push(id);
+        }
       }
     }
 
     // Upload local-only tasks to cloud
+    let uploadFailed = false;
     if (toUpload.length > 0) {
       const uploadTasks = toUpload.map(t => taskToCloudFormat(t, userId));
       
@@ -297,8 +554,53 @@ export const syncTasks = async (localTasks) => {
 
       if (error) {
         console.error('Error uploading during sync:', error);
+        uploadFailed = true;
+      }
+    }
+
+    // Record what both sides now agree on as the base for the next merge
+    const uploadedIds = new Set(toUpload.map(t => t.id));
+    const nextBase = {};
+    for (const task of mergedTasks) {
+      if (uploadFailed && uploadedIds.has(task.id)) {
+        if (syncBase[task.id]) nextBase[task.id] = syncBase[task.id];
+      } else {
+        nextBase[task.id] = createBaseSnapshot(task);
       }
     }
+    await saveSyncBase(nextBase);
+
+    // Keep conflicts for review; newer detections replace older ones per task
+    if (conflicts.length > 0) {
+      const conflictIds = new Set(conflicts.map(c => c.taskId));
+      const previous = (await getPendingConflicts()).filter(c => !conflictIds.has(c.taskId));
+      await savePendingConflicts([...previous, ...conflicts]);
+    }
+
+    // Propagate local deletions to cloud
+    for (const { id, deletedAt } of toDeleteInCloud) {
+      const { error } = await supabase
+        .from(TABLES.TASKS)
+        .update({ deleted: true, updated_at: deletedAt })
+        .eq('id', id)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error propagating deletion during sync:', error);
+      }
+    }
+
+    // Remember remote deletions locally; forget tombstones for tasks edited after deletion.
+    // Applied to the current tombstones, which may have gained deletions during the sync.
+    await updateTombstones(current => {
+      for (const id of deletedLocally) {
+        current[id] = cloudDeleted.get(id);
+      }
+      resurrected.forEach(id => {
+        if (current[id] === tombstones[id]) delete current[id];
+      });
+    });
+    await purgeExpiredTombstones(userId);
 
     await setLastSyncTime();
 
@@ -308,9 +610,12 @@ export const syncTasks = async (localTasks) => {
       stats: {
         total: mergedTasks.length,
         uploaded: toUpload.length,
-        downloaded: cloudTasks.filter(c => !localMap.has(c.id)).length,
+        downloaded: cloudTasks.filter(c => !localMap.has(c.id) && !toDeleteInCloud.some(d => d.id === c.id)).length,
+        deletedLocally: deletedLocally.length,
+        deletedInCloud: toDeleteInCloud.length,
         conflicts: conflicts.length,
       },
+      conflicts,
       lastSync: new Date().toISOString(),
     };
   } catch (error) {
@@ -323,6 +628,74 @@ export const syncTasks = async (localTasks) => {
   }
 };
 
+/**
+ * Send the fields of a task edited locally.
+ * A field is only sent while the cloud still holds the value it had
+ * before the edit; fields changed on another device in the meantime are
+ * left for syncTasks, whose three-way merge reports them as conflicts.
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Edited fields with their new values (local format)
+ * @param {Object} base - Values the edited fields had before the edit
+ * @param {string} updatedAt - Time of the last edit
+ * @param {string} userId - Owner of the task
+ * @returns {Promise<Array<string>>} Fields left for the next sync
+ */
+export const pushTaskChanges = async (taskId, changes, base, updatedAt, userId) => {
+  const fields = Object.keys(changes);
+  if (fields.length === 0) return [];
+
+  const { data: row, error: fetchError } = await supabase
+    .from(TABLES.TASKS)
+    .select('*')
+    .eq('id', taskId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  // Not in the cloud yet, or deleted there: syncTasks decides
+  if (!row || row.deleted) return fields;
+
+  const cloud = taskToLocalFormat(row);
+  const cloudValues = createBaseSnapshot(cloud);
+  const baseValues = createBaseSnapshot(base);
+  const unchangedInCloud = fields.filter(field => valuesEqual(cloudValues[field], baseValues[field]));
+  const deferred = fields.filter(field => !unchangedInCloud.includes(field));
+
+  if (unchangedInCloud.length === 0) return deferred;
+
+  const cloudRow = taskToCloudFormat({ ...cloud, ...changes }, userId);
+  const update = Object.fromEntries(
+    unchangedInCloud.map(field => {
+      const column = toColumnName(field);
+      return [column, cloudRow[column]];
+    })
+  );
+
+  // Only update the version we compared against
+  const { data: updated, error } = await supabase
+    .from(TABLES.TASKS)
+    .update({
+      ...update,
+      updated_at: updatedAt || new Date().toISOString(),
+      synced_at: new Date().toISOString(),
+      version: (row.version || 0) + 1,
+    })
+    .eq('id', taskId)
+    .eq('user_id', userId)
+    .eq('updated_at', row.updated_at)
+    .select('id');
+
+  if (error) throw error;
+
+  return updated?.length ? deferred : fields;
+};
+
+/**
+ * Cloud column of a task field (dueDate -> due_date)
+ */
+const toColumnName = (field) => field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
 /**
  * Delete task from cloud
  * @param {string} taskId - Task ID to delete
@@ -330,14 +703,17 @@ export const syncTasks = async (localTasks) => {
 export const deleteFromCloud = async (taskId) => {
   if (!isSupabaseConfigured()) return;
 
+  const deletedAt = new Date().toISOString();
+  await recordTombstones([taskId], deletedAt);
+
   const userId = await getCurrentUserId();
   if (!userId) return;
 
   try {
-    // Soft delete - mark as deleted
+    // Soft delete - mark as deleted (acts as the cloud tombstone)
     await supabase
       .from(TABLES.TASKS)
-      .update({ deleted: true, updated_at: new Date().toISOString() })
+      .update({ deleted: true, updated_at: deletedAt })
       .eq('id', taskId)
       .eq('user_id', userId);
   } catch (error) {
@@ -346,19 +722,123 @@ export const deleteFromCloud = async (taskId) => {
 };
 
 /**
- * Helper to merge arrays by ID
+ * Convert a local category to cloud format
+ */
+const categoryToCloudFormat = (category, userId) => ({
+  id: category.id,
+  user_id: userId,
+  name: category.name,
+  color: category.color,
+  icon: category.icon,
+  position: category.position ?? 0,
+  deleted: category.deleted || false,
+  updated_at: category.updatedAt || new Date(0).toISOString(),
+});
+
+/**
+ * Convert a cloud category to local format
+ */
+const categoryToLocalFormat = (cloudCategory) => ({
+  id: cloudCategory.id,
+  name: cloudCategory.name,
+  color: cloudCategory.color,
+  icon: cloudCategory.icon,
+  position: cloudCategory.position ?? 0,
+  deleted: cloudCategory.deleted || false,
+  updatedAt: cloudCategory.updated_at,
+});
+
+/**
+ * Sync the user's categories (deleted ones included, as tombstones).
+ * Each category keeps whichever side changed it last; untouched
+ * defaults (no updatedAt) always yield to the cloud copy.
+ * @param {Array} localCategories - All local category records
+ * @returns {Promise<Object>} { success, categories, error? }
+ */
+export const syncCategories = async (localCategories) => {
+  if (!isSupabaseConfigured() || !(await isAuthenticated())) {
+    return { success: false, categories: localCategories };
+  }
+
+  try {
+    const userId = await getCurrentUserId();
+
+    const { data: cloudRows, error: fetchError } = await supabase
+      .from(TABLES.TASK_CATEGORIES)
+      .select('*')
+      .eq('user_id', userId);
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const { merged, localNewer: toUpload } = mergeByUpdatedAt(
+      localCategories,
+      (cloudRows || []).map(categoryToLocalFormat)
+    );
+
+    if (toUpload.length > 0) {
+      const { error } = await supabase
+        .from(TABLES.TASK_CATEGORIES)
+        .upsert(toUpload.map(category => categoryToCloudFormat(category, userId)), {
+          onConflict: 'user_id,id',
+        });
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return { success: true, categories: merged };
+  } catch (error) {
+    console.error('Error syncing categories:', error);
+    return { success: false, error: error.message, categories: localCategories };
+  }
+};
+
+/**
+ * Sync the user's smart lists, stored in their profile
+ * (deleted ones included, as tombstones). Each list keeps whichever
+ * side changed it last.
+ * @param {Array} localLists - All local smart list records
+ * @returns {Promise<Object>} { success, smartLists, error? }
  */
-const mergeArrays = (arr1 = [], arr2 = [], idKey = 'id') => {
-  const map = new Map();
-  
-  arr1.forEach(item => map.set(item[idKey], item));
-  arr2.forEach(item => {
-    if (!map.has(item[idKey])) {
-      map.set(item[idKey], item);
+export const syncSmartLists = async (localLists) => {
+  if (!isSupabaseConfigured() || !(await isAuthenticated())) {
+    return { success: false, smartLists: localLists };
+  }
+
+  try {
+    const userId = await getCurrentUserId();
+
+    const { data: profile, error: fetchError } = await supabase
+      .from(TABLES.PROFILES)
+      .select('smart_lists')
+      .eq('id', userId)
+      .single();
+
+    if (fetchError) {
+      throw fetchError;
     }
-  });
-  
-  return Array.from(map.values());
+
+    const { merged, localNewer } = mergeByUpdatedAt(localLists, profile?.smart_lists || []);
+
+    if (localNewer.length > 0) {
+      const { error } = await supabase
+        .from(TABLES.PROFILES)
+        .update({ smart_lists: merged })
+        .eq('id', userId);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return { success: true, smartLists: merged };
+  } catch (error) {
+    console.error('Error syncing smart lists:', error);
+    return { success: false, error: error.message, smartLists: localLists };
+  }
 };
 
 /**
@@ -386,6 +866,14 @@ export default {
   uploadToCloud,
   downloadFromCloud,
   syncTasks,
+  syncCategories,
+  syncSmartLists,
+  pushTaskChanges,
   deleteFromCloud,
+  getTombstones,
+  recordTombstones,
+  clearTombstones,
+  getPendingConflicts,
+  resolveConflictField,
   getSyncStatus,
 };
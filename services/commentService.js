@@ -89,6 +89,36 @@ export async function getTaskComments(taskId, { limit = 50, offset = 0 } = {}) {
   }));
 }
 
+/**
+ * Find comments containing some text, for task search
+ * @param {Array<string>} terms - Words or phrases to look for
+ * @returns {Promise<Object>} Comment contents by task id
+ */
+export async function searchComments(terms, { limit = 200 } = {}) {
+  if (!terms?.length) return {};
+
+  // Drop characters reserved by the filter syntax and escape LIKE wildcards
+  const patterns = terms.map((term) => {
+    const safe = term.replace(/[,()"*]/g, ' ').replace(/[%_\\]/g, '\\$&');
+    return `content.ilike.%${safe}%`;
+  });
+
+  const { data, error } = await supabase
+    .from(TABLES.COMMENTS)
+    .select('task_id, content')
+    .or(patterns.join(','))
+    .is('deleted_at', null)
+    .limit(limit);
+
+  if (error) throw error;
+
+  const byTask = {};
+  for (const comment of data || []) {
+    (byTask[comment.task_id] = byTask[comment.task_id] || []).push(comment.content);
+  }
+  return byTask;
+}
+
 /**
  * Update a comment
  */
@@ -287,6 +317,7 @@ export function getMentionTrigger(text, cursorPosition) {
 export default {
   createComment,
   getTaskComments,
+  searchComments,
   updateComment,
   deleteComment,
   addReaction,
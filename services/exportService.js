@@ -27,10 +27,17 @@ const escapeCsvValue = (value) => {
   return stringValue;
 };
 
+/**
+ * Category fields written to exports
+ */
+const toExportCategory = ({ id, name, color, icon }) => ({ id, name, color, icon });
+
 /**
  * Export tasks to JSON format
  * @param {Array} tasks - Tasks to export
  * @param {Object} options - Export options
+ * @param {Array} [options.userCategories] - Category definitions to include,
+ *   so an import can recreate categories it does not know
  * @returns {string} JSON string
  */
 export const exportToJSON = (tasks, options = {}) => {
@@ -39,6 +46,7 @@ export const exportToJSON = (tasks, options = {}) => {
     includeAttachments = false,
     dateRange = null,
     categories = null,
+    userCategories = null,
   } = options;
 
   let filteredTasks = [...tasks];
@@ -64,8 +72,12 @@ export const exportToJSON = (tasks, options = {}) => {
   }
 
   // Prepare tasks for export
+  const exportedIds = new Set(filteredTasks.map(t => t.id));
   const exportTasks = filteredTasks.map(task => {
     const exportTask = { ...task };
+
+    // Keep only dependencies on tasks that are in the file
+    exportTask.blockedBy = (task.blockedBy || []).filter(id => exportedIds.has(id));
     
     // Handle attachments
     if (!includeAttachments && exportTask.attachments) {
@@ -86,13 +98,14 @@ export const exportToJSON = (tasks, options = {}) => {
     version: EXPORT_VERSION,
     exportDate: new Date().toISOString(),
     appName: 'Bitrova',
+    ...(userCategories && { categories: userCategories.map(toExportCategory) }),
     tasks: exportTasks,
     metadata: {
       totalTasks: exportTasks.length,
       completedTasks: exportTasks.filter(t => t.completed).length,
       pendingTasks: exportTasks.filter(t => !t.completed).length,
       categories: [...new Set(exportTasks.map(t => t.category))],
-      exportOptions: options,
+      exportOptions: { ...options, userCategories: undefined },
     },
   };
 
@@ -103,10 +116,12 @@ export const exportToJSON = (tasks, options = {}) => {
  * Export tasks to CSV format
  * @param {Array} tasks - Tasks to export
  * @param {Object} options - Export options
+ * @param {Array} [options.userCategories] - Categories, to write names instead of IDs
  * @returns {string} CSV string
  */
 export const exportToCSV = (tasks, options = {}) => {
-  const { includeCompleted = true } = options;
+  const { includeCompleted = true, userCategories = [] } = options;
+  const categoryNames = new Map(userCategories.map(c => [c.id, c.name]));
 
   let filteredTasks = [...tasks];
   if (!includeCompleted) {
@@ -119,6 +134,7 @@ export const exportToCSV = (tasks, options = {}) => {
     'Title',
     'Description',
     'Category',
+    'Tags',
     'Priority',
     'Completed',
     'Due Date',
@@ -126,6 +142,7 @@ export const exportToCSV = (tasks, options = {}) => {
     'Updated At',
     'Subtasks Count',
     'Attachments Count',
+    'Blocked By',
   ];
 
   // Build CSV rows
@@ -133,7 +150,8 @@ export const exportToCSV = (tasks, options = {}) => {
     escapeCsvValue(task.id),
     escapeCsvValue(task.title),
     escapeCsvValue(task.description || ''),
-    escapeCsvValue(task.category),
+    escapeCsvValue(categoryNames.get(task.category) || task.category),
+    escapeCsvValue((task.tags || []).join(';')),
     escapeCsvValue(task.priority),
     task.completed ? 'Yes' : 'No',
     escapeCsvValue(task.dueDate || ''),
@@ -141,6 +159,7 @@ export const exportToCSV = (tasks, options = {}) => {
     escapeCsvValue(task.updatedAt || ''),
     (task.subtasks || []).length,
     (task.attachments || []).length,
+    escapeCsvValue((task.blockedBy || []).join(';')),
   ]);
 
   // Combine headers and rows
@@ -194,6 +213,10 @@ export const exportToMarkdown = (tasks, options = {}) => {
       });
       line += ` (${due})`;
     }
+
+    if (task.tags?.length) {
+      line += ` ${task.tags.map(tag => `#${tag}`).join(' ')}`;
+    }
     
     return line;
   };
@@ -7,24 +7,70 @@
 
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
+import {
+  FALLBACK_CATEGORY_ID,
+  getDefaultCategories,
+  findCategory,
+  foldName,
+  normalizeTags,
+} from '../utils/categories';
 
 /**
- * Valid categories in the app
+ * Valid priorities in the app
  */
-const VALID_CATEGORIES = ['personal', 'work', 'shopping', 'health'];
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
 
 /**
- * Valid priorities in the app
+ * Map imported category values (IDs or names) to the user's categories.
+ * Categories defined in the file that the user does not have are collected
+ * in `newCategories` so they can be created before the tasks are added.
+ * @param {Array} userCategories - The user's categories
+ * @param {Array} fileCategories - Categories defined in the import file
+ * @returns {{ resolve: Function, newCategories: Array, fallbackId: string }}
  */
-const VALID_PRIORITIES = ['low', 'medium', 'high'];
+const createCategoryResolver = (userCategories, fileCategories = []) => {
+  const fallbackId =
+    (findCategory(userCategories, FALLBACK_CATEGORY_ID) || userCategories[0])?.id || FALLBACK_CATEGORY_ID;
+  const newCategories = [];
+
+  // Returns the category ID, or null when the value matches nothing
+  const resolve = (value) => {
+    if (!value) return fallbackId;
+
+    const known = findCategory(userCategories, value) || findCategory(newCategories, value);
+    if (known) return known.id;
+
+    const defined = findCategory(fileCategories, value);
+    if (defined) {
+      const sameName = findCategory(userCategories, defined.name);
+      if (sameName) return sameName.id;
+
+      newCategories.push({
+        id: defined.id,
+        name: defined.name || defined.id,
+        color: defined.color,
+        icon: defined.icon,
+      });
+      return defined.id;
+    }
+
+    // Loose match for spreadsheets ("Work stuff", "Compras semana")
+    const folded = foldName(value);
+    const partial = userCategories.find(c => folded.includes(foldName(c.name)) || folded.includes(c.id));
+    return partial ? partial.id : null;
+  };
+
+  return { resolve, newCategories, fallbackId };
+};
 
 /**
  * Validate a single task
  * @param {Object} task - Task to validate
  * @param {number} index - Task index for error reporting
+ * @param {Object} categoryResolver - From createCategoryResolver
  * @returns {Object} Validation result
  */
-const validateTask = (task, index) => {
+const validateTask = (task, index, categoryResolver) => {
   const errors = [];
   const warnings = [];
 
@@ -33,11 +79,12 @@ const validateTask = (task, index) => {
     errors.push(`Tarea ${index + 1}: Falta el título`);
   }
 
-  // Validate category
-  if (task.category && !VALID_CATEGORIES.includes(task.category)) {
-    warnings.push(`Tarea ${index + 1}: Categoría "${task.category}" no válida, usando "personal"`);
-    task.category = 'personal';
+  // Map category to one of the user's categories
+  const categoryId = categoryResolver.resolve(task.category);
+  if (categoryId === null) {
+    warnings.push(`Tarea ${index + 1}: Categoría "${task.category}" no válida, usando "${categoryResolver.fallbackId}"`);
   }
+  task.category = categoryId ?? categoryResolver.fallbackId;
 
   // Validate priority
   if (task.priority && !VALID_PRIORITIES.includes(task.priority)) {
@@ -61,14 +108,18 @@ const validateTask = (task, index) => {
 /**
  * Validate import data structure
  * @param {Object} data - Parsed import data
- * @returns {Object} Validation result
+ * @param {Object} [options]
+ * @param {Array} [options.categories] - The user's categories (defaults to the built-in ones)
+ * @returns {Object} Validation result; `newCategories` lists categories to create
  */
-export const validateImportData = (data) => {
+export const validateImportData = (data, options = {}) => {
+  const { categories: userCategories = getDefaultCategories() } = options;
   const result = {
     valid: true,
     errors: [],
     warnings: [],
     tasks: [],
+    newCategories: [],
     stats: {
       total: 0,
       valid: 0,
@@ -93,9 +144,14 @@ export const validateImportData = (data) => {
 
   result.stats.total = data.tasks.length;
 
+  const fileCategories = Array.isArray(data.categories)
+    ? data.categories.filter(c => c && typeof c.id === 'string')
+    : [];
+  const categoryResolver = createCategoryResolver(userCategories, fileCategories);
+
   // Validate each task
   data.tasks.forEach((task, index) => {
-    const validation = validateTask(task, index);
+    const validation = validateTask(task, index, categoryResolver);
     
     result.errors.push(...validation.errors);
     result.warnings.push(...validation.warnings);
@@ -108,6 +164,10 @@ export const validateImportData = (data) => {
     }
   });
 
+  // Only categories that imported tasks actually use
+  result.newCategories = categoryResolver.newCategories.filter(category =>
+    result.tasks.some(task => task.category === category.id)
+  );
   result.valid = result.tasks.length > 0;
 
   return result;
@@ -125,12 +185,17 @@ const normalizeTask = (task) => {
     id: task.id || `imported_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     title: String(task.title).trim(),
     description: task.description || '',
-    category: VALID_CATEGORIES.includes(task.category) ? task.category : 'personal',
+    category: task.category,
+    tags: normalizeTags(task.tags || []),
+    blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy.map(String) : [],
     priority: VALID_PRIORITIES.includes(task.priority) ? task.priority : 'medium',
     completed: Boolean(task.completed),
+    completedAt: task.completed ? (task.completedAt || null) : null,
     dueDate: task.dueDate || null,
+    dueTime: /^\d{2}:\d{2}$/.test(task.dueTime) ? task.dueTime : null,
     enableReminder: task.enableReminder || false,
-    notificationId: null,
+    reminderOffsets: Array.isArray(task.reminderOffsets) ? task.reminderOffsets : [0],
+    notificationIds: {},
     subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
     attachments: [], // Don't import file attachments
     isRecurring: false,
@@ -204,6 +269,14 @@ export const parseCSV = (content) => {
     const dueDateIndex = headers.findIndex(h => 
       h.toLowerCase().includes('due') || h.toLowerCase().includes('fecha')
     );
+    const tagsIndex = headers.findIndex(h => 
+      h.toLowerCase().includes('tags') || h.toLowerCase().includes('etiquetas')
+    );
+    // IDs are only needed to link dependencies
+    const idIndex = headers.findIndex(h => h.trim().toLowerCase() === 'id');
+    const blockedByIndex = headers.findIndex(h => 
+      h.toLowerCase().includes('blocked by') || h.toLowerCase().includes('bloqueada por')
+    );
 
     if (titleIndex === -1) {
       throw new Error('No se encontró columna de título');
@@ -217,12 +290,15 @@ export const parseCSV = (content) => {
       if (values.length === 0) continue;
 
       const task = {
+        ...(idIndex >= 0 && values[idIndex] && { id: values[idIndex] }),
         title: values[titleIndex] || '',
         description: descIndex >= 0 ? values[descIndex] || '' : '',
-        category: categoryIndex >= 0 ? mapCategory(values[categoryIndex]) : 'personal',
+        category: categoryIndex >= 0 ? (values[categoryIndex] || '').trim() || null : null,
+        tags: tagsIndex >= 0 ? normalizeTags(values[tagsIndex]) : [],
         priority: priorityIndex >= 0 ? mapPriority(values[priorityIndex]) : 'medium',
         completed: completedIndex >= 0 ? isCompletedValue(values[completedIndex]) : false,
         dueDate: dueDateIndex >= 0 ? parseDate(values[dueDateIndex]) : null,
+        blockedBy: blockedByIndex >= 0 ? (values[blockedByIndex] || '').split(';').map(id => id.trim()).filter(Boolean) : [],
       };
 
       if (task.title.trim()) {
@@ -269,19 +345,6 @@ const parseCSVLine = (line) => {
   return values;
 };
 
-/**
- * Map category string to valid category
- */
-const mapCategory = (value) => {
-  if (!value) return 'personal';
-  const lower = value.toLowerCase();
-  
-  if (lower.includes('work') || lower.includes('trabajo')) return 'work';
-  if (lower.includes('shop') || lower.includes('compra')) return 'shopping';
-  if (lower.includes('health') || lower.includes('salud')) return 'health';
-  return 'personal';
-};
-
 /**
  * Map priority string to valid priority
  */
@@ -316,20 +379,23 @@ const parseDate = (value) => {
  * Detect duplicates between new and existing tasks
  * @param {Array} newTasks - Tasks to import
  * @param {Array} existingTasks - Existing tasks in app
- * @returns {Object} Duplicate detection result
+ * @returns {Object} Duplicate detection result; `existingIds` maps each
+ *   duplicate's file ID to the matching task, so dependencies can follow it
  */
 export const detectDuplicates = (newTasks, existingTasks) => {
   const duplicates = [];
   const unique = [];
+  const existingIds = {};
 
   newTasks.forEach(newTask => {
-    const isDuplicate = existingTasks.some(existing => 
+    const match = existingTasks.find(existing => 
       existing.title.toLowerCase() === newTask.title.toLowerCase() &&
       existing.category === newTask.category
     );
 
-    if (isDuplicate) {
+    if (match) {
       duplicates.push(newTask);
+      existingIds[newTask.id] = match.id;
     } else {
       unique.push(newTask);
     }
@@ -338,6 +404,7 @@ export const detectDuplicates = (newTasks, existingTasks) => {
   return {
     duplicates,
     unique,
+    existingIds,
     hasDuplicates: duplicates.length > 0,
   };
 };
@@ -5,7 +5,7 @@
  * Handle in-app notifications
  */
 
-import { supabase, TABLES } from '../config/supabase';
+import { supabase, TABLES, isSupabaseConfigured } from '../config/supabase';
 
 /**
  * Get notifications for current user
@@ -131,6 +131,32 @@ export async function createNotification({
   return true;
 }
 
+/**
+ * Tell the signed-in user that tasks waiting on a completed task can start
+ * @param {Object} blocker - Task that was just completed
+ * @param {Array} unblocked - Its dependents with no pending blockers left
+ */
+export async function notifyUnblockedTasks(blocker, unblocked) {
+  if (!isSupabaseConfigured() || unblocked.length === 0) return false;
+
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) return false;
+
+  const { error } = await supabase
+    .from(TABLES.NOTIFICATIONS)
+    .insert(unblocked.map((task) => ({
+      recipient_id: user.id,
+      type: 'task_unblocked',
+      title: `Ya puedes empezar "${task.title}"`,
+      body: `Se completó "${blocker.title}", que la bloqueaba.`,
+      data: { task_id: task.id, blocker_id: blocker.id },
+      action_url: `/task-details?taskId=${task.id}`,
+    })));
+
+  if (error) throw error;
+  return true;
+}
+
 export default {
   getNotifications,
   getUnreadCount,
@@ -138,4 +164,5 @@ export default {
   markAllAsRead,
   deleteNotification,
   createNotification,
+  notifyUnblockedTasks,
 };
@@ -3,6 +3,7 @@
  * TaskList App - Phase 4 Monetization
  * 
  * Handles usage quota tracking, enforcement, and syncing
+ * (AI requests are metered and enforced server-side; the app only shows them)
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -33,6 +34,7 @@ export const getLocalUsage = async () => {
 const getDefaultUsage = () => ({
   tasksThisMonth: 0,
   storageBytes: 0,
+  aiRequestsThisMonth: 0,
   cycleStartDate: new Date().toISOString(),
   lastUpdated: new Date().toISOString(),
 });
@@ -105,6 +107,29 @@ export const checkStorageQuota = (tierId, currentStorageBytes, fileSizeBytes = 0
   };
 };
 
+/**
+ * Check how many AI requests are left this month
+ * @param {string} tierId - User's subscription tier
+ * @param {number} currentCount - AI requests used this month
+ * @returns {Object} { allowed: boolean, remaining: number, limit: number }
+ */
+export const checkAiQuota = (tierId, currentCount) => {
+  const tier = getTierById(tierId);
+  const limit = tier.limits.aiRequestsPerMonth;
+
+  // -1 means unlimited
+  if (limit === -1) {
+    return { allowed: true, remaining: -1, limit: -1 };
+  }
+
+  return {
+    allowed: currentCount < limit,
+    remaining: Math.max(0, limit - currentCount),
+    limit,
+    usagePercent: limit > 0 ? Math.min(100, Math.round((currentCount / limit) * 100)) : 100,
+  };
+};
+
 /**
  * Get quota warning status
  * @param {number} usagePercent - Current usage percentage
@@ -123,6 +148,26 @@ export const getQuotaStatus = (usagePercent) => {
   return { status: 'ok', color: '#22C55E', message: 'Within quota' };
 };
 
+/**
+ * Fetch AI requests used in the current cycle (counted from ai_logs)
+ * @param {string} userId - User ID
+ * @returns {Object|null} { used, limit }
+ */
+export const fetchAiUsage = async (userId) => {
+  if (!isSupabaseConfigured() || !userId) return null;
+
+  try {
+    const { data, error } = await supabase.rpc('get_ai_usage', { user_uuid: userId });
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return { used: row?.used || 0, limit: row?.monthly_limit ?? 0 };
+  } catch (error) {
+    console.error('Failed to fetch AI usage:', error);
+    return null;
+  }
+};
+
 /**
  * Sync usage data with Supabase
  * @param {string} userId - User ID
@@ -139,9 +184,11 @@ export const syncUsageWithSupabase = async (userId) => {
     
     if (error) throw error;
     
+    const aiUsage = await fetchAiUsage(userId);
     const usage = {
       tasksThisMonth: profile.tasks_usage_current || 0,
       storageBytes: profile.storage_usage_bytes || 0,
+      aiRequestsThisMonth: aiUsage?.used || 0,
       cycleStartDate: profile.cycle_start_date,
     };
     
@@ -267,6 +314,7 @@ export const getUsageSummary = async (userId, tierId) => {
   
   const taskQuota = checkTaskQuota(tierId, usage?.tasksThisMonth || 0);
   const storageQuota = checkStorageQuota(tierId, usage?.storageBytes || 0);
+  const aiQuota = checkAiQuota(tierId, usage?.aiRequestsThisMonth || 0);
   
   return {
     tasks: {
@@ -280,6 +328,11 @@ export const getUsageSummary = async (userId, tierId) => {
       ...storageQuota,
       status: getQuotaStatus(storageQuota.usagePercent || 0),
     },
+    ai: {
+      current: usage?.aiRequestsThisMonth || 0,
+      ...aiQuota,
+      status: getQuotaStatus(aiQuota.usagePercent || 0),
+    },
     cycleStartDate: usage?.cycleStartDate,
   };
 };
@@ -289,7 +342,9 @@ export default {
   saveLocalUsage,
   checkTaskQuota,
   checkStorageQuota,
+  checkAiQuota,
   getQuotaStatus,
+  fetchAiUsage,
   syncUsageWithSupabase,
   incrementTaskCount,
   addStorageUsage,
@@ -0,0 +1,536 @@
+/**
+ * Sync Queue Service
+ * TaskList App - Offline-first Sync
+ *
+ * Durable local log of task operations. Every local change is recorded
+ * while offline and replayed to Supabase in order, with retry and
+ * exponential backoff when the network or server is unavailable.
+ * Operations belong to the account that made them, consecutive changes
+ * to a task are folded into one operation, and operations the server
+ * keeps rejecting are set aside so they don't hold up the rest.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase, TABLES, SYNC_CONFIG, isSupabaseConfigured } from '../config/supabase';
+import { getCurrentUserId, isAuthenticated, taskToCloudFormat, pushTaskChanges } from './cloudSyncService';
+import { MERGE_FIELDS, valuesEqual, createBaseSnapshot } from '../utils/syncMerge';
+
+// Storage keys
+const SYNC_QUEUE_KEY = '@tasklist_sync_queue';
+const DEAD_LETTER_KEY = '@tasklist_sync_dead_letters';
+
+/**
+ * Operation types stored in the queue
+ */
+export const OPERATION_TYPES = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// In-memory queue and set-aside operations, loaded once from storage
+let queue = null;
+let deadLetters = [];
+let loadPromise = null;
+let writeChain = Promise.resolve();
+let isProcessing = false;
+let retryTimer = null;
+const listeners = new Set();
+
+/**
+ * Load the queue from storage
+ */
+const loadQueue = () => {
+  if (queue) return Promise.resolve(queue);
+
+  if (!loadPromise) {
+    loadPromise = Promise.all([
+      AsyncStorage.getItem(SYNC_QUEUE_KEY),
+      AsyncStorage.getItem(DEAD_LETTER_KEY),
+    ])
+      .then(([saved, savedDeadLetters]) => {
+        queue = saved ? JSON.parse(saved) : [];
+        deadLetters = savedDeadLetters ? JSON.parse(savedDeadLetters) : [];
+        return queue;
+      })
+      .catch((error) => {
+        console.error('Error loading sync queue:', error);
+        queue = [];
+        deadLetters = [];
+        return queue;
+      });
+  }
+
+  return loadPromise;
+};
+
+/**
+ * Persist the queue and notify listeners.
+ * Writes are chained so they land in the order they were made.
+ */
+const persistQueue = () => {
+  const snapshot = JSON.stringify(queue);
+  const deadLetterSnapshot = JSON.stringify(deadLetters);
+  writeChain = writeChain
+    .then(() => Promise.all([
+      AsyncStorage.setItem(SYNC_QUEUE_KEY, snapshot),
+      AsyncStorage.setItem(DEAD_LETTER_KEY, deadLetterSnapshot),
+    ]))
+    .catch((error) => console.error('Error saving sync queue:', error));
+
+  const state = buildQueueState();
+  listeners.forEach((listener) => listener(state));
+
+  return writeChain;
+};
+
+/**
+ * Build a summary of the queue for the UI
+ */
+const buildQueueState = () => {
+  const operations = queue || [];
+  const nextRetry = operations
+    .filter((op) => op.nextAttemptAt)
+    .map((op) => op.nextAttemptAt)
+    .sort()[0] || null;
+
+  return {
+    pending: operations.length,
+    failed: deadLetters.length,
+    isProcessing,
+    nextRetryAt: nextRetry,
+    lastError: operations.find((op) => op.lastError)?.lastError
+      || deadLetters[deadLetters.length - 1]?.lastError
+      || null,
+  };
+};
+
+/**
+ * Get backoff delay for a given attempt number
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+const getBackoffDelay = (attempts) => {
+  const delay = SYNC_CONFIG.RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, SYNC_CONFIG.MAX_RETRY_DELAY_MS);
+};
+
+// Postgres error classes that mean "try again later", not "invalid request":
+// connection, transaction rollback, insufficient resources, operator intervention
+const TRANSIENT_ERROR_CLASSES = ['08', '40', '53', '57'];
+
+/**
+ * Whether the server looked at an operation and refused it (validation,
+ * constraint or permission errors). Network failures, timeouts and
+ * outages are not rejections: they are retried for as long as it takes.
+ * @param {Object} error - Error thrown while sending the operation
+ * @returns {boolean}
+ */
+const isServerRejection = (error) => {
+  if (error?.status) return error.status >= 400 && error.status < 500;
+
+  const code = error?.code || '';
+  // PGRST00x: PostgREST could not reach the database
+  if (!code || code.startsWith('PGRST00')) return false;
+  return !TRANSIENT_ERROR_CLASSES.includes(code.slice(0, 2));
+};
+
+/**
+ * Get the signed-in user from the stored session (works offline)
+ * @returns {Promise<string|null>}
+ */
+const getSessionUserId = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user?.id || null;
+};
+
+/**
+ * Build a new queue entry
+ */
+const createOperation = (type, taskId, payload, userId) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  taskId,
+  userId,
+  payload,
+  createdAt: new Date().toISOString(),
+  attempts: 0,
+  rejections: 0,
+  nextAttemptAt: null,
+  lastError: null,
+});
+
+/**
+ * Add an operation to the queue
+ * @param {string} type - One of OPERATION_TYPES
+ * @param {string} taskId - Affected task ID
+ * @param {Object} payload - Data needed to replay the operation
+ * @returns {Promise<Object>} The queued operation
+ */
+export const enqueueOperation = async (type, taskId, payload = {}) => {
+  const userId = await getSessionUserId();
+  if (!userId) return null;
+
+  await loadQueue();
+  const operation = addOperation(createOperation(type, taskId, payload, userId), payload.task);
+  await persistQueue();
+
+  return operation;
+};
+
+/**
+ * Fold an operation into the pending one for the same task, if any,
+ * or append it. The head of the queue is left alone while it is being
+ * sent. A delete replaces everything still pending for the task; edits
+ * to a task not created in the cloud yet update the queued creation.
+ * @param {Object} operation - New operation
+ * @param {Object} [task] - Full task after the change
+ * @returns {Object} The queued operation
+ */
+const addOperation = (operation, task) => {
+  const start = isProcessing ? 1 : 0;
+  const isPending = (op, index) =>
+    index >= start && op.taskId === operation.taskId && op.userId === operation.userId;
+
+  if (operation.type === OPERATION_TYPES.DELETE) {
+    queue = queue.filter((op, index) => !isPending(op, index));
+    queue.push(operation);
+    return operation;
+  }
+
+  let index = queue.length - 1;
+  while (index >= start && !isPending(queue[index], index)) index--;
+  const pending = index >= start ? queue[index] : null;
+
+  const canFold = pending
+    && operation.type === OPERATION_TYPES.UPDATE
+    && (pending.type === OPERATION_TYPES.UPDATE || (pending.type === OPERATION_TYPES.CREATE && task));
+
+  if (!canFold) {
+    queue.push(operation);
+    return operation;
+  }
+
+  if (pending.type === OPERATION_TYPES.CREATE) {
+    pending.payload = { task };
+  } else {
+    // Latest values, but the base from before the first edit
+    pending.payload = {
+      changes: { ...pending.payload.changes, ...operation.payload.changes },
+      base: { ...operation.payload.base, ...pending.payload.base },
+      updatedAt: operation.payload.updatedAt,
+    };
+  }
+  return pending;
+};
+
+/**
+ * Classify the difference between two task lists into queue operations.
+ * Tasks are compared by reference, the same way the task store does.
+ * @param {Array} prevTasks - Previous tasks
+ * @param {Array} nextTasks - Current tasks
+ * @param {Object} options
+ * @param {Function} [options.shouldSkip] - Return true for tasks that should not be queued
+ */
+export const enqueueTaskChanges = async (prevTasks, nextTasks, { shouldSkip } = {}) => {
+  if (!isSupabaseConfigured()) return;
+
+  const prevMap = new Map(prevTasks.map((t) => [t.id, t]));
+  const nextIds = new Set();
+  const operations = [];
+
+  for (const task of nextTasks) {
+    nextIds.add(task.id);
+    const previous = prevMap.get(task.id);
+    if (previous === task || shouldSkip?.(task)) continue;
+
+    if (!previous) {
+      operations.push([OPERATION_TYPES.CREATE, task.id, { task }]);
+      continue;
+    }
+
+    // Only synced fields that actually changed, with the values they replace
+    const before = createBaseSnapshot(previous);
+    const after = createBaseSnapshot(task);
+    const fields = MERGE_FIELDS.filter((field) => !valuesEqual(before[field], after[field]));
+    if (fields.length > 0) {
+      operations.push([OPERATION_TYPES.UPDATE, task.id, {
+        changes: Object.fromEntries(fields.map((field) => [field, after[field]])),
+        base: Object.fromEntries(fields.map((field) => [field, before[field]])),
+        updatedAt: task.updatedAt,
+      }]);
+    }
+  }
+
+  for (const task of prevTasks) {
+    if (!nextIds.has(task.id) && !shouldSkip?.(task)) {
+      operations.push([OPERATION_TYPES.DELETE, task.id, { deletedAt: new Date().toISOString() }]);
+    }
+  }
+
+  if (operations.length === 0) return;
+
+  // Signed out: the next sync uploads local changes and tombstones
+  const userId = await getSessionUserId();
+  if (!userId) return;
+
+  const nextMap = new Map(nextTasks.map((t) => [t.id, t]));
+  await loadQueue();
+  operations.forEach(([type, taskId, payload]) => {
+    addOperation(createOperation(type, taskId, payload, userId), nextMap.get(taskId));
+  });
+  await persistQueue();
+
+  processQueue();
+};
+
+/**
+ * Send a single operation to Supabase
+ */
+const applyOperation = async (operation, userId) => {
+  const { type, taskId, payload } = operation;
+
+  switch (type) {
+    case OPERATION_TYPES.CREATE: {
+      // Never overwrite a row that already exists; syncTasks merges it
+      const { error } = await supabase
+        .from(TABLES.TASKS)
+        .upsert(taskToCloudFormat(payload.task, userId), { onConflict: 'id', ignoreDuplicates: true });
+      if (error) throw error;
+      break;
+    }
+
+    case OPERATION_TYPES.UPDATE: {
+      // Fields edited elsewhere meanwhile are merged by the next syncTasks
+      await pushTaskChanges(taskId, payload.changes || {}, payload.base || {}, payload.updatedAt, userId);
+      break;
+    }
+
+    case OPERATION_TYPES.DELETE: {
+      const { error } = await supabase
+        .from(TABLES.TASKS)
+        .update({ deleted: true, updated_at: payload.deletedAt })
+        .eq('id', taskId)
+        .eq('user_id', userId);
+      if (error) throw error;
+      break;
+    }
+
+    default:
+      console.warn(`Unknown sync operation type: ${type}`);
+  }
+};
+
+/**
+ * Schedule the next replay attempt
+ */
+const scheduleRetry = (delay) => {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processQueue();
+  }, delay);
+};
+
+/**
+ * Whether the creation of a task was set aside, so nothing else
+ * about it can reach the cloud until it is retried
+ */
+const isCreationSetAside = (operation) => deadLetters.some((op) =>
+  op.type === OPERATION_TYPES.CREATE && op.taskId === operation.taskId && op.userId === operation.userId
+);
+
+/**
+ * Replay queued operations to Supabase in order.
+ * Stops at the first failure so later operations never overtake
+ * earlier ones, and schedules a retry with exponential backoff.
+ * Only server rejections count toward the retry limit; while offline
+ * operations wait as long as needed.
+ * @returns {Promise<Object>} Result with processed/remaining counts
+ */
+export const processQueue = async () => {
+  await loadQueue();
+
+  if (isProcessing) {
+    return { success: false, processed: 0, remaining: queue.length, busy: true };
+  }
+  if (queue.length === 0) {
+    return { success: true, processed: 0, remaining: 0 };
+  }
+
+  // Claim the queue before the first await so overlapping calls back off
+  isProcessing = true;
+
+  let processed = 0;
+  let failure = null;
+
+  try {
+    if (!isSupabaseConfigured() || !(await isAuthenticated())) {
+      return { success: false, processed: 0, remaining: queue.length };
+    }
+
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return { success: false, processed: 0, remaining: queue.length };
+    }
+
+    // Operations made under another account are never sent to this one
+    const foreign = queue.filter((op) => op.userId !== userId);
+    if (foreign.length > 0) {
+      console.warn(`Dropping ${foreign.length} sync operations queued by another account`);
+      queue = queue.filter((op) => op.userId === userId);
+    }
+    persistQueue();
+
+    while (queue.length > 0) {
+      const operation = queue[0];
+
+      // Updates and deletes wait with the creation they depend on
+      if (operation.type !== OPERATION_TYPES.CREATE && isCreationSetAside(operation)) {
+        queue.shift();
+        operation.nextAttemptAt = null;
+        deadLetters.push(operation);
+        await persistQueue();
+        continue;
+      }
+
+      // Respect backoff for the head of the queue
+      if (operation.nextAttemptAt && new Date(operation.nextAttemptAt) > new Date()) {
+        scheduleRetry(new Date(operation.nextAttemptAt) - new Date());
+        break;
+      }
+
+      try {
+        await applyOperation(operation, userId);
+        queue.shift();
+        processed++;
+        await persistQueue();
+      } catch (error) {
+        operation.attempts += 1;
+        if (isServerRejection(error)) {
+          operation.rejections = (operation.rejections || 0) + 1;
+        }
+        operation.lastError = error.message || String(error);
+        failure = operation.lastError;
+        console.error(`Sync operation ${operation.type} failed (attempt ${operation.attempts}):`, error);
+
+        if (operation.rejections >= SYNC_CONFIG.RETRY_ATTEMPTS) {
+          // Set it aside for the user to retry or discard, and go on
+          queue.shift();
+          operation.nextAttemptAt = null;
+          deadLetters.push(operation);
+          await persistQueue();
+          continue;
+        }
+
+        const delay = getBackoffDelay(operation.attempts);
+        operation.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        scheduleRetry(delay);
+        break;
+      }
+    }
+  } finally {
+    isProcessing = false;
+    await persistQueue();
+  }
+
+  return {
+    success: !failure,
+    processed,
+    remaining: queue.length,
+    error: failure,
+  };
+};
+
+/**
+ * Reset backoff for all queued operations, put the set-aside ones back
+ * in front (they are the oldest) and replay immediately
+ */
+export const retryNow = async () => {
+  await loadQueue();
+  const retried = deadLetters.map((op) => ({ ...op, attempts: 0, rejections: 0, lastError: null }));
+  const head = isProcessing ? queue.slice(0, 1) : [];
+  queue = [...head, ...retried, ...queue.slice(head.length)];
+  deadLetters = [];
+  queue.forEach((op) => {
+    op.nextAttemptAt = null;
+  });
+  await persistQueue();
+  return processQueue();
+};
+
+/**
+ * Get the operations set aside after the server rejected them too many
+ * times, along with those waiting for a rejected creation
+ * @returns {Promise<Array>}
+ */
+export const getFailedOperations = async () => {
+  await loadQueue();
+  return [...deadLetters];
+};
+
+/**
+ * Drop the set-aside operations; the next sync reconciles those tasks
+ * with the cloud through the regular merge
+ */
+export const discardFailedOperations = async () => {
+  await loadQueue();
+  deadLetters = [];
+  await persistQueue();
+};
+
+/**
+ * Get the queued operations
+ * @returns {Promise<Array>}
+ */
+export const getQueuedOperations = async () => {
+  await loadQueue();
+  return [...queue];
+};
+
+/**
+ * Get a summary of the queue state
+ * @returns {Promise<Object>}
+ */
+export const getQueueState = async () => {
+  await loadQueue();
+  return buildQueueState();
+};
+
+/**
+ * Listen for queue state changes
+ * @param {Function} listener - Called with the queue state
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Remove all queued operations (e.g. on sign out)
+ */
+export const clearQueue = async () => {
+  await loadQueue();
+  queue = [];
+  deadLetters = [];
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  await persistQueue();
+};
+
+export default {
+  OPERATION_TYPES,
+  enqueueOperation,
+  enqueueTaskChanges,
+  processQueue,
+  retryNow,
+  getFailedOperations,
+  discardFailedOperations,
+  getQueuedOperations,
+  getQueueState,
+  subscribeToQueue,
+  clearQueue,
+};
@@ -0,0 +1,80 @@
+/**
+ * AI call metering for Edge Functions
+ * TaskList App - Phase 4 Monetization
+ *
+ * Every AI call is logged in `ai_logs` (feature, model, tokens, latency).
+ * Calls answered by a model count against the tier's monthly AI request
+ * limit; see supabase/migrations/006_ai_usage_quotas.sql.
+ */
+
+import type { SupabaseClient } from 'jsr:@supabase/supabase-js@2'
+import { HttpError } from './http.ts'
+import type { AuthenticatedUser } from './auth.ts'
+import type { AiProvider } from './aiProvider.ts'
+
+export interface AiLogEntry {
+  userId: string
+  functionName: string
+  feature: string
+  model: string
+  inputTokens: number
+  outputTokens: number
+  durationMs: number
+}
+
+export interface AiUsage {
+  used: number
+  limit: number
+}
+
+/**
+ * AI requests the user has made this cycle and their monthly limit
+ * (-1 = unlimited)
+ */
+export const getAiUsage = async (supabase: SupabaseClient, user: AuthenticatedUser): Promise<AiUsage> => {
+  const { data, error } = await supabase.rpc('get_ai_usage', { user_uuid: user.id })
+  if (error) throw error
+
+  const row = Array.isArray(data) ? data[0] : data
+  return { used: row?.used ?? 0, limit: row?.monthly_limit ?? 0 }
+}
+
+/**
+ * Fail with 429 once the user has used up this month's AI requests.
+ * Rules-based answers are free, so the quota is only checked when the
+ * provider can run a model.
+ */
+export const requireAiQuota = async (
+  supabase: SupabaseClient,
+  user: AuthenticatedUser,
+  provider: AiProvider,
+): Promise<AiUsage | null> => {
+  if (!provider.usesModel) return null
+
+  const usage = await getAiUsage(supabase, user)
+
+  if (usage.limit !== -1 && usage.used >= usage.limit) {
+    throw new HttpError(429, `Monthly AI request limit reached (${usage.limit})`)
+  }
+
+  return usage
+}
+
+/**
+ * Record an AI call in `ai_logs`. Logging never fails the request.
+ */
+export const logAiCall = async (supabase: SupabaseClient, entry: AiLogEntry) => {
+  const { error } = await supabase.from('ai_logs').insert({
+    user_id: entry.userId,
+    function_name: entry.functionName,
+    feature: entry.feature,
+    model: entry.model,
+    input_tokens: entry.inputTokens,
+    output_tokens: entry.outputTokens,
+    duration_ms: entry.durationMs,
+  })
+
+  if (error) {
+    console.error('Error logging AI call:', error)
+  }
+}
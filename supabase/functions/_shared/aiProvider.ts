@@ -0,0 +1,168 @@
+/**
+ * AI providers for Edge Functions
+ * TaskList App - Phase 4 Monetization
+ *
+ * Functions describe what they need (prompts plus a deterministic
+ * rules-based answer) and the configured providers produce the JSON result:
+ * - openai: OpenAI, gpt-4o-mini by default (needs OPENAI_API_KEY)
+ * - local: any OpenAI-compatible endpoint such as Ollama
+ *   (needs AI_BASE_URL, e.g. http://localhost:11434/v1)
+ * - rules: returns the function's deterministic answer; never fails and
+ *   needs no model (`stub` is kept as an alias)
+ *
+ * Select with `supabase secrets set AI_PROVIDER=openai|local|rules`, or a
+ * comma-separated list such as `local,rules` that is tried in order until
+ * one succeeds. AI_MODEL overrides the model of openai/local. When unset,
+ * OpenAI is tried if a key is configured, then the local endpoint if a
+ * base URL is configured, and the rules engine always answers last.
+ */
+
+import OpenAI from 'npm:openai'
+
+export interface JsonRequest<T> {
+  system: string
+  user: string
+  maxTokens?: number
+  rules: () => T
+}
+
+export interface JsonResult<T> {
+  data: T
+  model: string
+  inputTokens: number
+  outputTokens: number
+}
+
+export interface AiProvider {
+  name: string
+  // Whether a model may answer (only model answers count against the quota)
+  usesModel: boolean
+  generateJson<T>(request: JsonRequest<T>): Promise<JsonResult<T>>
+}
+
+const OPENAI_MODEL = 'gpt-4o-mini'
+const LOCAL_MODEL = 'llama3.1'
+
+// Give up on a model after this long so the next provider can answer
+const REQUEST_TIMEOUT_MS = 20000
+
+/**
+ * Parse a JSON answer, tolerating markdown code fences
+ */
+const parseJson = (content: string | null | undefined) => {
+  const cleanJson = content?.replace(/```json/g, '').replace(/```/g, '').trim()
+  return JSON.parse(cleanJson || '{}')
+}
+
+/**
+ * Provider for the OpenAI chat completions API or any endpoint
+ * compatible with it
+ */
+const createChatProvider = (
+  name: string,
+  { apiKey, baseURL, model }: { apiKey: string; baseURL?: string; model: string },
+): AiProvider => {
+  const client = new OpenAI({ apiKey, baseURL, timeout: REQUEST_TIMEOUT_MS, maxRetries: 0 })
+
+  return {
+    name,
+    usesModel: true,
+    async generateJson<T>({ system, user, maxTokens = 300 }: JsonRequest<T>) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user },
+        ],
+        temperature: 0.3,
+        max_tokens: maxTokens,
+      })
+
+      return {
+        data: parseJson(completion.choices[0].message.content) as T,
+        model,
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0,
+      }
+    },
+  }
+}
+
+const rulesProvider: AiProvider = {
+  name: 'rules',
+  usesModel: false,
+  async generateJson<T>({ rules }: JsonRequest<T>) {
+    return { data: rules(), model: 'rules', inputTokens: 0, outputTokens: 0 }
+  },
+}
+
+/**
+ * Build a single provider by name from the environment
+ */
+const createProvider = (name: string): AiProvider => {
+  const model = Deno.env.get('AI_MODEL')
+
+  if (name === 'openai') {
+    const apiKey = Deno.env.get('OPENAI_API_KEY')
+    if (!apiKey) throw new Error('AI_PROVIDER includes openai but OPENAI_API_KEY is not set')
+    return createChatProvider(name, { apiKey, model: model || OPENAI_MODEL })
+  }
+  if (name === 'local') {
+    const baseURL = Deno.env.get('AI_BASE_URL')
+    if (!baseURL) throw new Error('AI_PROVIDER includes local but AI_BASE_URL is not set')
+    // Ollama and most local servers ignore the key, but the client requires one
+    const apiKey = Deno.env.get('AI_API_KEY') || 'local'
+    return createChatProvider(name, { apiKey, baseURL, model: model || LOCAL_MODEL })
+  }
+  if (name === 'rules' || name === 'stub') return rulesProvider
+
+  throw new Error(`Unknown AI_PROVIDER: ${name}`)
+}
+
+/**
+ * Provider names to try, in order
+ */
+const getProviderNames = () => {
+  const configured = Deno.env.get('AI_PROVIDER')
+  if (configured) {
+    return configured.split(',').map((name) => name.trim()).filter(Boolean)
+  }
+
+  const names: string[] = []
+  if (Deno.env.get('OPENAI_API_KEY')) names.push('openai')
+  if (Deno.env.get('AI_BASE_URL')) names.push('local')
+  names.push('rules')
+  return names
+}
+
+/**
+ * Try each provider in order and return the first answer
+ */
+const createFallbackProvider = (providers: AiProvider[]): AiProvider => ({
+  name: providers.map((provider) => provider.name).join(','),
+  usesModel: providers.some((provider) => provider.usesModel),
+  async generateJson<T>(request: JsonRequest<T>) {
+    let lastError: unknown = null
+
+    for (const provider of providers) {
+      try {
+        return await provider.generateJson(request)
+      } catch (error) {
+        console.error(`AI provider ${provider.name} failed:`, error)
+        lastError = error
+      }
+    }
+
+    throw lastError
+  },
+})
+
+/**
+ * Provider configured for this deployment
+ */
+export const getAiProvider = (): AiProvider => {
+  const providers = getProviderNames().map(createProvider)
+  if (providers.length === 0) throw new Error('AI_PROVIDER is empty')
+
+  return providers.length === 1 ? providers[0] : createFallbackProvider(providers)
+}
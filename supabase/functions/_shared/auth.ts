@@ -0,0 +1,71 @@
+/**
+ * Shared auth and plan checks for Edge Functions
+ * TaskList App - Phase 4 Monetization
+ *
+ * Every AI function runs as the calling user: the JWT is verified, the
+ * user's tier is read from `profiles`, and the feature flag is checked
+ * in `plan_limits`. Legacy users get Pro access, as in the app.
+ */
+
+import { createClient, type SupabaseClient } from 'jsr:@supabase/supabase-js@2'
+import { HttpError } from './http.ts'
+
+export interface AuthenticatedUser {
+  id: string
+  tier: string
+}
+
+/**
+ * Service-role client (bypasses RLS; used for profiles, plan_limits and ai_logs)
+ */
+export const createAdminClient = (): SupabaseClient =>
+  createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+  )
+
+/**
+ * Verify the caller's session and load their tier
+ */
+export const requireUser = async (req: Request, supabase: SupabaseClient): Promise<AuthenticatedUser> => {
+  const token = req.headers.get('Authorization')?.replace(/^Bearer\s+/i, '')
+  if (!token) {
+    throw new HttpError(401, 'Missing authorization header')
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  if (error || !user) {
+    throw new HttpError(401, 'Invalid or expired session')
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('tier, is_legacy')
+    .eq('id', user.id)
+    .single()
+
+  if (profileError || !profile) {
+    throw new HttpError(403, 'Profile not found')
+  }
+
+  const tier = profile.is_legacy && (profile.tier || 'free') === 'free' ? 'pro' : (profile.tier || 'free')
+  return { id: user.id, tier }
+}
+
+/**
+ * Fail with 403 unless the user's plan includes a feature flag
+ * @param feature - Key of `plan_limits.features` (e.g. "ai_access")
+ */
+export const requireFeature = async (supabase: SupabaseClient, user: AuthenticatedUser, feature: string) => {
+  const { data: limits, error } = await supabase
+    .from('plan_limits')
+    .select('features')
+    .eq('tier', user.tier)
+    .single()
+
+  if (error) throw error
+
+  if (!limits?.features?.[feature]) {
+    throw new HttpError(403, `The ${user.tier} plan does not include ${feature}`)
+  }
+}
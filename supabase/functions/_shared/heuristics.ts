@@ -0,0 +1,72 @@
+/**
+ * Deterministic task heuristics shared by the rules-based answers
+ * TaskList App - Phase 4 Monetization
+ *
+ * Calendar math runs on "local" dates (see toLocalTime): instants shifted
+ * by the user's UTC offset, so their UTC fields read as the user's wall
+ * clock and "today" is the user's today, not the server's.
+ */
+
+import { URGENT_KEYWORDS, LOW_KEYWORDS, normalizeKeywordText, hasKeyword } from './priorityKeywords.ts'
+
+/**
+ * Urgency a title expresses: 1 urgent, -1 can wait, 0 neutral
+ */
+export const getKeywordUrgency = (text: string) => {
+  const normalized = normalizeKeywordText(text)
+  if (hasKeyword(normalized, URGENT_KEYWORDS)) return 1
+  if (hasKeyword(normalized, LOW_KEYWORDS)) return -1
+  return 0
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Local date of an instant for a user `offsetMinutes` ahead of UTC
+ */
+export const toLocalTime = (date: Date, offsetMinutes: number) =>
+  new Date(date.getTime() + offsetMinutes * MINUTE_MS)
+
+/**
+ * Whole calendar days from one local date to another
+ */
+export const daysBetween = (from: Date, to: Date) => {
+  const start = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate())
+  const end = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate())
+  return Math.round((end - start) / DAY_MS)
+}
+
+/**
+ * "YYYY-MM-DD" of a local date a number of days after another
+ */
+export const addDaysKey = (from: Date, days: number) =>
+  new Date(from.getTime() + days * DAY_MS).toISOString().slice(0, 10)
+
+const WEEKDAYS: Record<string, number> = {
+  domingo: 0, lunes: 1, martes: 2, miércoles: 3, miercoles: 3, jueves: 4, viernes: 5, sábado: 6, sabado: 6,
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+}
+
+/**
+ * Days from the local date `now` to a day the text mentions ("hoy",
+ * "tomorrow", "el viernes"...), or null when it names none
+ */
+export const getMentionedDays = (text: string, now: Date): number | null => {
+  // "por la mañana" is a time of day, not tomorrow
+  const lower = text.toLowerCase().replace(/(^|\s)la mañana/g, ' ')
+  const hasWord = (word: string) => new RegExp(`(^|[^\\p{L}])${word}($|[^\\p{L}])`, 'u').test(lower)
+
+  if (hasWord('pasado mañana') || hasWord('day after tomorrow')) return 2
+  if (hasWord('hoy') || hasWord('today') || hasWord('tonight') || hasWord('esta noche')) return 0
+  if (hasWord('mañana') || hasWord('tomorrow')) return 1
+  if (hasWord('next week') || hasWord('próxima semana') || hasWord('proxima semana')) return 7
+
+  for (const [name, day] of Object.entries(WEEKDAYS)) {
+    if (hasWord(name)) {
+      return ((day - now.getUTCDay() + 7) % 7) || 7
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,86 @@
+/**
+ * Shared HTTP helpers for Edge Functions
+ * TaskList App - Phase 4 Monetization
+ */
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+export class HttpError extends Error {
+  status: number
+
+  constructor(status: number, message: string) {
+    super(message)
+    this.status = status
+  }
+}
+
+/**
+ * JSON response with CORS headers
+ */
+export const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+
+/**
+ * Response for an error thrown while handling a request
+ * (HttpErrors keep their status; anything else is a 500)
+ */
+export const errorResponse = (error: unknown) => {
+  if (error instanceof HttpError) {
+    return jsonResponse({ error: error.message }, error.status)
+  }
+  console.error('Error:', error)
+  return jsonResponse({ error: error instanceof Error ? error.message : 'Internal error' }, 500)
+}
+
+/**
+ * Read a JSON object body, or fail with 400
+ */
+export const readJsonBody = async (req: Request): Promise<Record<string, unknown>> => {
+  let body: unknown
+  try {
+    body = await req.json()
+  } catch (_error) {
+    throw new HttpError(400, 'Request body must be valid JSON')
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object')
+  }
+  return body as Record<string, unknown>
+}
+
+/**
+ * Parse the optional `current_date` of a request (now if missing)
+ */
+export const parseCurrentDate = (value: unknown): Date => {
+  if (value === undefined || value === null) return new Date()
+  const date = new Date(String(value))
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    throw new HttpError(400, 'current_date must be an ISO date string')
+  }
+  return date
+}
+
+// Furthest time zones from UTC (UTC-12:00 to UTC+14:00)
+const MIN_UTC_OFFSET = -12 * 60
+const MAX_UTC_OFFSET = 14 * 60
+
+/**
+ * Parse the optional `utc_offset` of a request: minutes the user's clock
+ * is ahead of UTC (0 if missing)
+ */
+export const parseUtcOffset = (value: unknown): number => {
+  if (value === undefined || value === null) return 0
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < MIN_UTC_OFFSET || value > MAX_UTC_OFFSET) {
+    throw new HttpError(400, `utc_offset must be whole minutes between ${MIN_UTC_OFFSET} and ${MAX_UTC_OFFSET}`)
+  }
+  return value
+}
@@ -0,0 +1,34 @@
+/**
+ * Priority keywords shared by the Edge Functions and the app's
+ * on-device fallback, so both read a title the same way
+ * TaskList App - Phase 4 Monetization
+ */
+
+// Lowercase, without accents (match against normalizeKeywordText)
+export const URGENT_KEYWORDS = [
+  'urgent', 'urgente', 'asap', 'now', 'ahora', 'ya mismo', 'immediately', 'inmediatamente',
+  'inmediato', 'emergency', 'emergencia', 'critical', 'critico', 'deadline', 'fecha limite',
+]
+
+export const HIGH_KEYWORDS = [
+  'important', 'importante', 'tonight', 'esta noche', 'must', 'need to', 'required',
+  'tengo que', 'hay que', 'obligatorio',
+]
+
+export const LOW_KEYWORDS = [
+  'sometime', 'maybe', 'eventually', 'later', 'when possible', 'no rush',
+  'algun dia', 'quizas', 'tal vez', 'mas tarde', 'cuando pueda', 'sin prisa',
+]
+
+/**
+ * Lowercase and strip accents so keywords match with or without them
+ */
+export const normalizeKeywordText = (text: string) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+/**
+ * Whether normalized text contains any of the keywords as whole words
+ * ("later" doesn't match "collateral")
+ */
+export const hasKeyword = (text: string, keywords: string[]) =>
+  keywords.some((keyword) => new RegExp(`(^|[^a-z0-9])${keyword}($|[^a-z0-9])`).test(text))
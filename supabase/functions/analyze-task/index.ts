@@ -1,95 +1,149 @@
 /**
  * Supabase Edge Function: analyze-task
  * TaskList App - Phase 4 Monetization
- * 
- * AI-powered task analysis using OpenAI gpt-4o-mini
- * 
+ *
+ * AI-powered task analysis: priority and due date for a new task
+ * Requires a plan with `ai_access`. Calls answered by a model count
+ * against the monthly AI quota (429 once it is used up); rules answers
+ * are free.
+ *
+ * Request:  { task_content, current_date?, utc_offset? }
+ * Response: { priority: "High" | "Medium" | "Low", suggested_due_date, reasoning, confidence }
+ *
  * Deploy: supabase functions deploy analyze-task
- * Set secret: supabase secrets set OPENAI_API_KEY=sk-...
+ * Provider: see _shared/aiProvider.ts (AI_PROVIDER=openai|local|rules)
  */
 
 import "jsr:@supabase/functions-js/edge-runtime.d.ts"
-import OpenAI from 'npm:openai'
+import { corsHeaders, HttpError, jsonResponse, errorResponse, readJsonBody, parseCurrentDate, parseUtcOffset } from '../_shared/http.ts'
+import { createAdminClient, requireUser, requireFeature } from '../_shared/auth.ts'
+import { logAiCall, requireAiQuota } from '../_shared/aiLogs.ts'
+import { getAiProvider } from '../_shared/aiProvider.ts'
+import { getKeywordUrgency, getMentionedDays, addDaysKey, toLocalTime } from '../_shared/heuristics.ts'
 
-const openai = new OpenAI({
-  apiKey: Deno.env.get('OPENAI_API_KEY'),
-})
+const FUNCTION_NAME = 'analyze-task'
+const FEATURE = 'task_analysis'
+const MAX_CONTENT_LENGTH = 1000
+const PRIORITIES = ['High', 'Medium', 'Low']
+
+interface TaskAnalysis {
+  priority: string
+  suggested_due_date: string | null
+  reasoning: string
+  confidence: number
+}
+
+/**
+ * Deterministic analysis: urgency keywords and the day the task mentions
+ */
+const analyzeTask = (content: string, now: Date): TaskAnalysis => {
+  const urgency = getKeywordUrgency(content)
+  const days = getMentionedDays(content, now)
+  const suggested_due_date = days === null ? null : addDaysKey(now, days)
+
+  if (urgency > 0) {
+    return {
+      priority: 'High',
+      suggested_due_date: suggested_due_date ?? addDaysKey(now, 0),
+      reasoning: 'Tarea urgente',
+      confidence: 0.8,
+    }
+  }
+  if (urgency < 0) {
+    return { priority: 'Low', suggested_due_date, reasoning: 'Sin prisa', confidence: 0.6 }
+  }
+  if (days !== null && days <= 1) {
+    return { priority: 'High', suggested_due_date, reasoning: days === 0 ? 'Es para hoy' : 'Es para mañana', confidence: 0.7 }
+  }
+  if (days !== null) {
+    return { priority: 'Medium', suggested_due_date, reasoning: `Es para dentro de ${days} días`, confidence: 0.6 }
+  }
+
+  return { priority: 'Medium', suggested_due_date: null, reasoning: 'Tarea sin plazo', confidence: 0.4 }
+}
 
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+/**
+ * Accept the provider's analysis only where it is well-formed
+ */
+const sanitizeAnalysis = (data: unknown, content: string, now: Date): TaskAnalysis => {
+  const fallback = analyzeTask(content, now)
+  const { priority, suggested_due_date, reasoning, confidence } = (data || {}) as Record<string, unknown>
+
+  if (typeof priority !== 'string' || !PRIORITIES.includes(priority)) return fallback
+
+  const validDate = typeof suggested_due_date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(suggested_due_date)
+
+  return {
+    priority,
+    suggested_due_date: validDate ? suggested_due_date as string : null,
+    reasoning: typeof reasoning === 'string' ? reasoning : '',
+    confidence: typeof confidence === 'number' ? Math.max(0, Math.min(1, confidence)) : 0.5,
+  }
 }
 
-Deno.serve(async (req) => {
+Deno.serve(async (req: Request) => {
   // Handle CORS for React Native
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
   }
 
   try {
-    const { task_content, current_date } = await req.json()
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed')
+    }
 
-    if (!task_content) {
-      throw new Error('Task content is required')
+    const supabase = createAdminClient()
+    const user = await requireUser(req, supabase)
+    await requireFeature(supabase, user, 'ai_access')
+
+    const body = await readJsonBody(req)
+    const { task_content } = body
+    if (typeof task_content !== 'string' || !task_content.trim() || task_content.length > MAX_CONTENT_LENGTH) {
+      throw new HttpError(400, `task_content must be 1-${MAX_CONTENT_LENGTH} characters`)
     }
+    const content = task_content.trim()
+    const now = toLocalTime(parseCurrentDate(body.current_date), parseUtcOffset(body.utc_offset))
 
-    // Call OpenAI
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Cost-effective model
-      messages: [
-        {
-          role: "system",
-          content: `You are an AI assistant for a task management app called Bitrova. 
-          Analyze the user's task description and extract structured data.
-          
-          Return JSON ONLY. No markdown. Format:
-          {
-            "priority": "High" | "Medium" | "Low",
-            "suggested_due_date": "YYYY-MM-DD" or null (if no time context implied),
-            "reasoning": "Short explanation (max 10 words)",
-            "confidence": 0.0-1.0
-          }
-          
-          Context: Current date is ${current_date}.
-          Rules:
-          1. Urgent words (ASAP, now, emergency) -> High.
-          2. Vague future (sometime, later) -> Low.
-          3. If specific day mentioned (e.g. "next Friday"), calculate date based on current date.
-          4. Work/business tasks often need higher priority.
-          5. Personal errands without deadline -> Low-Medium.
-          `
-        },
+    const provider = getAiProvider()
+    await requireAiQuota(supabase, user, provider)
+    const startedAt = Date.now()
+    const result = await provider.generateJson({
+      system: `You are an AI assistant for a task management app called Bitrova.
+        Analyze the user's task description and extract structured data.
+
+        Return JSON ONLY. No markdown. Format:
         {
-          role: "user",
-          content: `New Task: "${task_content}"`
+          "priority": "High" | "Medium" | "Low",
+          "suggested_due_date": "YYYY-MM-DD" or null (if no time context implied),
+          "reasoning": "Short explanation in Spanish (max 10 words)",
+          "confidence": 0.0-1.0
         }
-      ],
-      temperature: 0.3, // Low temperature for consistent formatting
-      max_tokens: 150,
-    })
 
-    const aiResponse = completion.choices[0].message.content
-    
-    // Parse the JSON string from OpenAI
-    // Cleanup in case GPT adds markdown code blocks
-    const cleanJson = aiResponse?.replace(/```json/g, '').replace(/```/g, '').trim()
-    const parsedData = JSON.parse(cleanJson || '{}')
+        Context: Today is ${addDaysKey(now, 0)} in the user's time zone.
+        Rules:
+        1. Urgent words (ASAP, now, emergency, urgente) -> High.
+        2. Vague future (sometime, later, algún día) -> Low.
+        3. If specific day mentioned (e.g. "next Friday", "el viernes"), calculate date based on current date.
+        4. Work/business tasks often need higher priority.
+        5. Personal errands without deadline -> Low-Medium.`,
+      user: `New Task: "${content}"`,
+      maxTokens: 150,
+      rules: () => analyzeTask(content, now),
+    })
 
-    return new Response(JSON.stringify(parsedData), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    await logAiCall(supabase, {
+      userId: user.id,
+      functionName: FUNCTION_NAME,
+      feature: FEATURE,
+      model: result.model,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      durationMs: Date.now() - startedAt,
     })
 
+    return jsonResponse(sanitizeAnalysis(result.data, content, now))
+
   } catch (error) {
-    console.error('Error:', error)
-    return new Response(JSON.stringify({ 
-      error: error.message,
-      priority: 'Medium',
-      suggested_due_date: null,
-      reasoning: 'Analysis failed',
-      confidence: 0
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    })
+    return errorResponse(error)
   }
 })
@@ -0,0 +1,178 @@
+/**
+ * Supabase Edge Function: breakdown-task
+ * TaskList App - Phase 4 Monetization
+ *
+ * Breaks a task down into ordered subtasks with optional time estimates
+ * Requires a plan with `ai_access`. Calls answered by a model count
+ * against the monthly AI quota (429 once it is used up); rules answers
+ * are free.
+ *
+ * Request:  { task_title, description?, existing_subtasks?: string[] }
+ * Response: { subtasks: [{ title, estimated_minutes }] }
+ *
+ * Deploy: supabase functions deploy breakdown-task
+ * Provider: see _shared/aiProvider.ts (AI_PROVIDER=openai|local|rules)
+ */
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts"
+import { corsHeaders, HttpError, jsonResponse, errorResponse, readJsonBody } from '../_shared/http.ts'
+import { createAdminClient, requireUser, requireFeature } from '../_shared/auth.ts'
+import { logAiCall, requireAiQuota } from '../_shared/aiLogs.ts'
+import { getAiProvider } from '../_shared/aiProvider.ts'
+
+const FUNCTION_NAME = 'breakdown-task'
+const FEATURE = 'subtask_breakdown'
+const MAX_TITLE_LENGTH = 500
+const MAX_DESCRIPTION_LENGTH = 5000
+const MAX_EXISTING_SUBTASKS = 50
+
+// Limits on what the provider may propose
+const MAX_SUBTASKS = 10
+const MAX_SUBTASK_LENGTH = 200
+const MAX_ESTIMATE_MINUTES = 8 * 60
+
+interface BreakdownInput {
+  title: string
+  description: string
+  existingSubtasks: string[]
+}
+
+interface ProposedSubtask {
+  title: string
+  estimated_minutes: number | null
+}
+
+/**
+ * Validate the task data sent by the app
+ */
+const parseInput = (body: Record<string, unknown>): BreakdownInput => {
+  const { task_title, description, existing_subtasks } = body
+
+  if (typeof task_title !== 'string' || !task_title.trim() || task_title.length > MAX_TITLE_LENGTH) {
+    throw new HttpError(400, `task_title must be 1-${MAX_TITLE_LENGTH} characters`)
+  }
+  if (description != null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    throw new HttpError(400, `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`)
+  }
+  if (existing_subtasks != null && (
+    !Array.isArray(existing_subtasks) ||
+    existing_subtasks.length > MAX_EXISTING_SUBTASKS ||
+    existing_subtasks.some((item) => typeof item !== 'string')
+  )) {
+    throw new HttpError(400, `existing_subtasks must be an array of at most ${MAX_EXISTING_SUBTASKS} strings`)
+  }
+
+  return {
+    title: task_title.trim(),
+    description: ((description as string) || '').trim(),
+    existingSubtasks: (existing_subtasks as string[] | undefined) || [],
+  }
+}
+
+/**
+ * Deterministic breakdown: the description's list items if it has any,
+ * otherwise the parts of a title that chains several actions
+ * ("Comprar pintura, pintar la valla y limpiar")
+ */
+const breakDown = (input: BreakdownInput): ProposedSubtask[] => {
+  const listItems = input.description
+    .split('\n')
+    .map((line) => line.match(/^\s*(?:[-*•]|\d+[.)]|\[[ x]?\])\s+(.+)$/i)?.[1]?.trim())
+    .filter((item): item is string => Boolean(item))
+
+  const steps = listItems.length > 0
+    ? listItems
+    : input.title.split(/\s*,\s*|\s+(?:y|and|luego|then)\s+/i).filter(Boolean)
+
+  if (steps.length < 2) return []
+
+  return steps.map((step) => ({
+    title: step.charAt(0).toUpperCase() + step.slice(1),
+    estimated_minutes: null,
+  }))
+}
+
+/**
+ * Keep only well-formed, new subtasks, in the provider's order
+ */
+const sanitizeSubtasks = (data: unknown, input: BreakdownInput): ProposedSubtask[] => {
+  const proposed = (data as { subtasks?: unknown })?.subtasks
+  if (!Array.isArray(proposed)) return breakDown(input)
+
+  const seen = new Set(input.existingSubtasks.map((title) => title.trim().toLowerCase()))
+  const subtasks: ProposedSubtask[] = []
+
+  for (const item of proposed) {
+    const { title, estimated_minutes } = (item || {}) as Record<string, unknown>
+    if (typeof title !== 'string' || !title.trim()) continue
+
+    const cleanTitle = title.trim().slice(0, MAX_SUBTASK_LENGTH)
+    if (seen.has(cleanTitle.toLowerCase())) continue
+    seen.add(cleanTitle.toLowerCase())
+
+    const validEstimate = typeof estimated_minutes === 'number' && isFinite(estimated_minutes) && estimated_minutes > 0
+    subtasks.push({
+      title: cleanTitle,
+      estimated_minutes: validEstimate ? Math.min(MAX_ESTIMATE_MINUTES, Math.round(estimated_minutes as number)) : null,
+    })
+
+    if (subtasks.length === MAX_SUBTASKS) break
+  }
+
+  return subtasks
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed')
+    }
+
+    const supabase = createAdminClient()
+    const user = await requireUser(req, supabase)
+    await requireFeature(supabase, user, 'ai_access')
+
+    const body = await readJsonBody(req)
+    const input = parseInput(body)
+
+    const provider = getAiProvider()
+    await requireAiQuota(supabase, user, provider)
+    const startedAt = Date.now()
+    const result = await provider.generateJson({
+      system: `You are an AI assistant for a task management app called Bitrova.
+        Break the user's task down into concrete subtasks, in the order they should be done.
+
+        Return JSON ONLY. No markdown. Format:
+        { "subtasks": [{ "title": "Short action (max 10 words)", "estimated_minutes": number or null }] }
+
+        Rules:
+        1. Between 2 and ${MAX_SUBTASKS} subtasks; fewer is better for simple tasks.
+        2. Write the subtasks in the same language as the task.
+        3. Start each subtask with a verb.
+        4. Only estimate minutes when the effort is reasonably clear; otherwise null.
+        5. Do not repeat existing subtasks.`,
+      user: JSON.stringify(input),
+      maxTokens: 400,
+      rules: () => ({ subtasks: breakDown(input) }),
+    })
+
+    await logAiCall(supabase, {
+      userId: user.id,
+      functionName: FUNCTION_NAME,
+      feature: FEATURE,
+      model: result.model,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      durationMs: Date.now() - startedAt,
+    })
+
+    return jsonResponse({ subtasks: sanitizeSubtasks(result.data, input) })
+
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
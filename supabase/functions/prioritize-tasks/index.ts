@@ -0,0 +1,203 @@
+/**
+ * Supabase Edge Function: prioritize-tasks
+ * TaskList App - Phase 4 Monetization
+ *
+ * Scores a batch of tasks by urgency (0-100, higher = do first)
+ * Requires a plan with `ai_access`. Calls answered by a model count
+ * against the monthly AI quota (429 once it is used up); rules answers
+ * are free.
+ *
+ * Request:  { tasks: [{ id, title, dueDate?, category?, hasSubtasks? }], current_date?, utc_offset? }
+ * Response: { prioritized: [{ id, score, reason }] }
+ *
+ * Deploy: supabase functions deploy prioritize-tasks
+ * Local testing without a model: AI_PROVIDER=rules
+ */
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts"
+import { corsHeaders, HttpError, jsonResponse, errorResponse, readJsonBody, parseCurrentDate, parseUtcOffset } from '../_shared/http.ts'
+import { createAdminClient, requireUser, requireFeature } from '../_shared/auth.ts'
+import { logAiCall, requireAiQuota } from '../_shared/aiLogs.ts'
+import { getAiProvider } from '../_shared/aiProvider.ts'
+import { getKeywordUrgency, daysBetween, addDaysKey, toLocalTime } from '../_shared/heuristics.ts'
+
+const FUNCTION_NAME = 'prioritize-tasks'
+const FEATURE = 'prioritization'
+const MAX_TASKS = 100
+const MAX_TITLE_LENGTH = 500
+
+interface TaskSummary {
+  id: string
+  title: string
+  dueDate: string | null
+  category: string | null
+  hasSubtasks: boolean
+}
+
+interface TaskScore {
+  id: string
+  score: number
+  reason: string
+}
+
+/**
+ * Validate the task summaries sent by the app
+ */
+const parseTasks = (value: unknown): TaskSummary[] => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new HttpError(400, 'tasks must be a non-empty array')
+  }
+  if (value.length > MAX_TASKS) {
+    throw new HttpError(400, `At most ${MAX_TASKS} tasks can be prioritized at once`)
+  }
+
+  return value.map((task, index) => {
+    if (!task || typeof task !== 'object') {
+      throw new HttpError(400, `tasks[${index}] must be an object`)
+    }
+    const { id, title, dueDate, category, hasSubtasks } = task as Record<string, unknown>
+
+    if (typeof id !== 'string' || !id) {
+      throw new HttpError(400, `tasks[${index}].id is required`)
+    }
+    if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+      throw new HttpError(400, `tasks[${index}].title must be 1-${MAX_TITLE_LENGTH} characters`)
+    }
+    if (dueDate != null && (typeof dueDate !== 'string' || isNaN(new Date(dueDate).getTime()))) {
+      throw new HttpError(400, `tasks[${index}].dueDate must be an ISO date string`)
+    }
+
+    return {
+      id,
+      title: title.trim(),
+      dueDate: (dueDate as string) || null,
+      category: typeof category === 'string' ? category : null,
+      hasSubtasks: Boolean(hasSubtasks),
+    }
+  })
+}
+
+/**
+ * Deterministic score of a task: due date first, then keywords,
+ * category and size (`now` is a local date, see toLocalTime)
+ */
+const scoreTask = (task: TaskSummary, now: Date, utcOffset: number): TaskScore => {
+  let score = 50
+  let reason = 'Sin fecha límite'
+
+  if (task.dueDate) {
+    const days = daysBetween(now, toLocalTime(new Date(task.dueDate), utcOffset))
+    if (days < 0) {
+      score += 40
+      reason = 'Vencida'
+    } else if (days === 0) {
+      score += 30
+      reason = 'Vence hoy'
+    } else if (days === 1) {
+      score += 20
+      reason = 'Vence mañana'
+    } else if (days <= 7) {
+      score += 10
+      reason = `Vence en ${days} días`
+    } else {
+      reason = `Vence en ${days} días`
+    }
+  } else {
+    score -= 10
+  }
+
+  const urgency = getKeywordUrgency(task.title)
+  if (urgency > 0) {
+    score += 15
+    reason = `${reason} · urgente`
+  } else if (urgency < 0) {
+    score -= 15
+    reason = `${reason} · sin prisa`
+  }
+
+  if (task.category === 'work') score += 5
+  if (task.hasSubtasks) score += 5
+
+  return { id: task.id, score: Math.max(0, Math.min(100, score)), reason }
+}
+
+/**
+ * Keep only well-formed scores for known tasks; tasks the provider
+ * skipped get their deterministic score
+ */
+const sanitizeScores = (data: unknown, tasks: TaskSummary[], now: Date, utcOffset: number): TaskScore[] => {
+  const returned = new Map<string, TaskScore>()
+  const prioritized = (data as { prioritized?: unknown })?.prioritized
+
+  if (Array.isArray(prioritized)) {
+    for (const item of prioritized) {
+      const { id, score, reason } = (item || {}) as Record<string, unknown>
+      if (typeof id === 'string' && typeof score === 'number' && isFinite(score)) {
+        returned.set(id, {
+          id,
+          score: Math.round(Math.max(0, Math.min(100, score))),
+          reason: typeof reason === 'string' ? reason : '',
+        })
+      }
+    }
+  }
+
+  return tasks.map((task) => returned.get(task.id) || scoreTask(task, now, utcOffset))
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed')
+    }
+
+    const supabase = createAdminClient()
+    const user = await requireUser(req, supabase)
+    await requireFeature(supabase, user, 'ai_access')
+
+    const body = await readJsonBody(req)
+    const tasks = parseTasks(body.tasks)
+    const utcOffset = parseUtcOffset(body.utc_offset)
+    const now = toLocalTime(parseCurrentDate(body.current_date), utcOffset)
+
+    const provider = getAiProvider()
+    await requireAiQuota(supabase, user, provider)
+    const startedAt = Date.now()
+    const result = await provider.generateJson({
+      system: `You are an AI assistant for a task management app called Bitrova.
+        Score each task by how urgently it should be done, from 0 (can wait) to 100 (do now).
+
+        Return JSON ONLY. No markdown. Format:
+        { "prioritized": [{ "id": "<task id>", "score": 0-100, "reason": "Short reason in Spanish (max 6 words)" }] }
+
+        Context: Today is ${addDaysKey(now, 0)} in the user's time zone.
+        Rules:
+        1. Overdue and due-today tasks score highest.
+        2. Urgent words (ASAP, urgente) raise the score; vague future (sometime, algún día) lowers it.
+        3. Work tasks and tasks with subtasks need slightly more attention.
+        4. Include every task id exactly once.`,
+      user: JSON.stringify(tasks),
+      maxTokens: 60 + tasks.length * 40,
+      rules: () => ({ prioritized: tasks.map((task) => scoreTask(task, now, utcOffset)) }),
+    })
+
+    await logAiCall(supabase, {
+      userId: user.id,
+      functionName: FUNCTION_NAME,
+      feature: FEATURE,
+      model: result.model,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      durationMs: Date.now() - startedAt,
+    })
+
+    return jsonResponse({ prioritized: sanitizeScores(result.data, tasks, now, utcOffset) })
+
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
@@ -0,0 +1,190 @@
+/**
+ * Supabase Edge Function: suggest-due-date
+ * TaskList App - Phase 4 Monetization
+ *
+ * Suggests a realistic due date for a new task
+ * Requires a plan with `smart_dates`. Calls answered by a model count
+ * against the monthly AI quota (429 once it is used up); rules answers
+ * are free.
+ *
+ * Request:  { task_title, category?, subtask_count?, description_length?, current_date?, utc_offset? }
+ * Response: { suggested_date: "YYYY-MM-DD", confidence, reasoning }
+ *
+ * Deploy: supabase functions deploy suggest-due-date
+ * Local testing without a model: AI_PROVIDER=rules
+ */
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts"
+import { corsHeaders, HttpError, jsonResponse, errorResponse, readJsonBody, parseCurrentDate, parseUtcOffset } from '../_shared/http.ts'
+import { createAdminClient, requireUser, requireFeature } from '../_shared/auth.ts'
+import { logAiCall, requireAiQuota } from '../_shared/aiLogs.ts'
+import { getAiProvider } from '../_shared/aiProvider.ts'
+import { getKeywordUrgency, daysBetween, addDaysKey, toLocalTime } from '../_shared/heuristics.ts'
+
+const FUNCTION_NAME = 'suggest-due-date'
+const FEATURE = 'due_date_suggestion'
+const MAX_TITLE_LENGTH = 500
+
+// Suggestions are never further out than this
+const MAX_DAYS_AHEAD = 90
+
+// Typical days to get a task done, by category
+const CATEGORY_DAYS: Record<string, number> = {
+  work: 3,
+  shopping: 2,
+  health: 7,
+  personal: 5,
+}
+
+interface DueDateInput {
+  title: string
+  category: string
+  subtaskCount: number
+  descriptionLength: number
+}
+
+interface DueDateSuggestion {
+  suggested_date: string
+  confidence: number
+  reasoning: string
+}
+
+/**
+ * Read a non-negative integer field, or fail with 400
+ */
+const parseCount = (value: unknown, field: string) => {
+  if (value === undefined || value === null) return 0
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+    throw new HttpError(400, `${field} must be a non-negative integer`)
+  }
+  return value
+}
+
+/**
+ * Validate the task data sent by the app
+ */
+const parseInput = (body: Record<string, unknown>): DueDateInput => {
+  const { task_title, category } = body
+
+  if (typeof task_title !== 'string' || !task_title.trim() || task_title.length > MAX_TITLE_LENGTH) {
+    throw new HttpError(400, `task_title must be 1-${MAX_TITLE_LENGTH} characters`)
+  }
+  if (category != null && typeof category !== 'string') {
+    throw new HttpError(400, 'category must be a string')
+  }
+
+  return {
+    title: task_title.trim(),
+    category: (category as string) || 'personal',
+    subtaskCount: parseCount(body.subtask_count, 'subtask_count'),
+    descriptionLength: parseCount(body.description_length, 'description_length'),
+  }
+}
+
+/**
+ * Deterministic suggestion: a base time per category, adjusted by
+ * urgency keywords and how big the task looks
+ */
+const suggestDate = (input: DueDateInput, now: Date): DueDateSuggestion => {
+  const urgency = getKeywordUrgency(input.title)
+
+  if (urgency > 0) {
+    return { suggested_date: addDaysKey(now, 0), confidence: 0.8, reasoning: 'Tarea urgente' }
+  }
+  if (urgency < 0) {
+    return { suggested_date: addDaysKey(now, 14), confidence: 0.5, reasoning: 'Sin prisa' }
+  }
+
+  let days = CATEGORY_DAYS[input.category] ?? CATEGORY_DAYS.personal
+  days += Math.ceil(input.subtaskCount / 2)
+  if (input.descriptionLength > 200) days += 2
+
+  return {
+    suggested_date: addDaysKey(now, days),
+    confidence: 0.6,
+    reasoning: input.subtaskCount > 0
+      ? `Plazo habitual con ${input.subtaskCount} subtareas`
+      : 'Plazo habitual para la categoría',
+  }
+}
+
+/**
+ * Accept the provider's suggestion only if it is a sensible date
+ */
+const sanitizeSuggestion = (data: unknown, input: DueDateInput, now: Date): DueDateSuggestion => {
+  const { suggested_date, confidence, reasoning } = (data || {}) as Record<string, unknown>
+
+  if (typeof suggested_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(suggested_date)) {
+    return suggestDate(input, now)
+  }
+  const days = daysBetween(now, new Date(`${suggested_date}T00:00:00Z`))
+  if (isNaN(days) || days < 0 || days > MAX_DAYS_AHEAD) {
+    return suggestDate(input, now)
+  }
+
+  return {
+    suggested_date,
+    confidence: typeof confidence === 'number' ? Math.max(0, Math.min(1, confidence)) : 0.5,
+    reasoning: typeof reasoning === 'string' ? reasoning : '',
+  }
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed')
+    }
+
+    const supabase = createAdminClient()
+    const user = await requireUser(req, supabase)
+    await requireFeature(supabase, user, 'smart_dates')
+
+    const body = await readJsonBody(req)
+    const input = parseInput(body)
+    const now = toLocalTime(parseCurrentDate(body.current_date), parseUtcOffset(body.utc_offset))
+
+    const provider = getAiProvider()
+    await requireAiQuota(supabase, user, provider)
+    const startedAt = Date.now()
+    const result = await provider.generateJson({
+      system: `You are an AI assistant for a task management app called Bitrova.
+        Suggest a realistic due date for the user's new task.
+
+        Return JSON ONLY. No markdown. Format:
+        {
+          "suggested_date": "YYYY-MM-DD",
+          "confidence": 0.0-1.0,
+          "reasoning": "Short explanation in Spanish (max 8 words)"
+        }
+
+        Context: Today is ${addDaysKey(now, 0)} in the user's time zone.
+        Rules:
+        1. Urgent words (ASAP, urgente) -> today.
+        2. Vague future (sometime, algún día) -> about two weeks.
+        3. More subtasks or a longer description need more time.
+        4. Never more than ${MAX_DAYS_AHEAD} days ahead.`,
+      user: JSON.stringify(input),
+      maxTokens: 100,
+      rules: () => suggestDate(input, now),
+    })
+
+    await logAiCall(supabase, {
+      userId: user.id,
+      functionName: FUNCTION_NAME,
+      feature: FEATURE,
+      model: result.model,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      durationMs: Date.now() - startedAt,
+    })
+
+    return jsonResponse(sanitizeSuggestion(result.data, input, now))
+
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
@@ -0,0 +1,11 @@
+/**
+ * Timezone-aware task dates
+ * Run this in Supabase SQL Editor
+ *
+ * Tasks carry the IANA timezone they were created in and whether their
+ * dates are floating (same wall-clock time everywhere) or fixed instants.
+ * Existing rows keep NULL time_zone and are read as stored.
+ */
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS time_zone TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS floating BOOLEAN DEFAULT TRUE;
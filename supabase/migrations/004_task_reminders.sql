@@ -0,0 +1,11 @@
+/**
+ * Due times and multiple reminders per task
+ * Run this in Supabase SQL Editor
+ *
+ * due_time is an optional "HH:mm" wall-clock time on the due date.
+ * reminder_offsets lists minutes before the due time at which to remind
+ * (0 = at the due time). Notification IDs stay on each device.
+ */
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_offsets JSONB DEFAULT '[0]';
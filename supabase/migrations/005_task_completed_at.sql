@@ -0,0 +1,10 @@
+/**
+ * Completion time of tasks
+ * Run this in Supabase SQL Editor
+ *
+ * completed_at is when a task was last marked as completed (NULL while
+ * pending). Devices with auto-delete enabled remove completed tasks
+ * 7 days after this moment.
+ */
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,59 @@
+/**
+ * AI usage metering and monthly AI quotas
+ * Run this in Supabase SQL Editor (after phase4_monetization.sql)
+ *
+ * Every AI Edge Function call is logged in ai_logs with its feature,
+ * tokens and latency. Calls answered by a model count against the
+ * tier's monthly AI request limit (-1 = unlimited); answers from the
+ * rules engine are logged but free. The cycle is the same as the task
+ * quota (profiles.cycle_start_date, reset by reset_monthly_usage()).
+ * Keep the limits in sync with SUBSCRIPTION_TIERS in constants/tiers.js.
+ */
+
+ALTER TABLE ai_logs ADD COLUMN IF NOT EXISTS feature TEXT;
+
+ALTER TABLE plan_limits ADD COLUMN IF NOT EXISTS max_ai_requests_per_month INTEGER DEFAULT 0;
+
+UPDATE plan_limits SET max_ai_requests_per_month = 0 WHERE tier = 'free';
+UPDATE plan_limits SET max_ai_requests_per_month = 500 WHERE tier = 'pro';
+UPDATE plan_limits SET max_ai_requests_per_month = 2000 WHERE tier = 'enterprise';
+
+-- AI requests used in the current cycle and the tier's limit.
+-- Users may only read their own usage; Edge Functions call it with the
+-- service role for any user.
+CREATE OR REPLACE FUNCTION get_ai_usage(user_uuid UUID)
+RETURNS TABLE (used INTEGER, monthly_limit INTEGER, cycle_start TIMESTAMPTZ) AS $$
+DECLARE
+  user_tier subscription_tier;
+  user_is_legacy BOOLEAN;
+  user_cycle_start TIMESTAMPTZ;
+  limit_count INTEGER;
+  used_count INTEGER;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> user_uuid THEN
+    RAISE EXCEPTION 'Cannot read AI usage of another user';
+  END IF;
+
+  SELECT tier, is_legacy, cycle_start_date
+  INTO user_tier, user_is_legacy, user_cycle_start
+  FROM profiles WHERE id = user_uuid;
+
+  -- Legacy users get Pro limits, as in the app
+  IF user_is_legacy AND COALESCE(user_tier, 'free') = 'free' THEN
+    user_tier := 'pro';
+  END IF;
+
+  SELECT max_ai_requests_per_month INTO limit_count
+  FROM plan_limits WHERE tier = COALESCE(user_tier, 'free');
+
+  user_cycle_start := COALESCE(user_cycle_start, date_trunc('month', NOW()));
+
+  SELECT COUNT(*) INTO used_count
+  FROM ai_logs
+  WHERE user_id = user_uuid
+    AND created_at >= user_cycle_start
+    AND COALESCE(model, '') <> 'rules';
+
+  RETURN QUERY SELECT used_count, COALESCE(limit_count, 0), user_cycle_start;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,29 @@
+/**
+ * User-defined categories and task tags
+ * Run this in Supabase SQL Editor
+ *
+ * task_categories holds each user's categories (id, name, color, icon,
+ * position). Deleted categories stay as rows with deleted = TRUE so the
+ * deletion reaches every device; tasks.category keeps the category id.
+ * tags is the list of free-form tags of a task (lowercase, without '#').
+ */
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '[]';
+
+CREATE TABLE IF NOT EXISTS task_categories (
+  id TEXT NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  color TEXT,
+  icon TEXT,
+  position INTEGER DEFAULT 0,
+  deleted BOOLEAN DEFAULT FALSE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
+
+ALTER TABLE task_categories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own categories" ON task_categories;
+CREATE POLICY "Users can manage own categories" ON task_categories
+  FOR ALL USING (auth.uid() = user_id);
@@ -0,0 +1,11 @@
+/**
+ * Smart lists (saved task views)
+ * Run this in Supabase SQL Editor
+ *
+ * Each user's smart lists travel with their profile as a JSON array of
+ * { id, name, icon, color, query, sortBy, groupBy, pinned, position,
+ * updatedAt, deleted? }. Deleted lists stay in the array with
+ * deleted = true so the deletion reaches every device.
+ */
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS smart_lists JSONB DEFAULT '[]';
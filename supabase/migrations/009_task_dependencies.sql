@@ -0,0 +1,15 @@
+/**
+ * Task dependencies
+ * Run this in Supabase SQL Editor
+ *
+ * blocked_by lists the ids of the tasks a task waits on. When one of
+ * them is completed, the app notifies its owner about the tasks that
+ * can start now, so users may add notifications addressed to
+ * themselves.
+ */
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS blocked_by JSONB DEFAULT '[]';
+
+DROP POLICY IF EXISTS "Create own notifications" ON notifications;
+CREATE POLICY "Create own notifications" ON notifications
+  FOR INSERT WITH CHECK (recipient_id = auth.uid());
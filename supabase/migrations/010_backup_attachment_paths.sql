@@ -0,0 +1,12 @@
+/**
+ * Attachment files referenced by backups
+ * Run this in Supabase SQL Editor
+ *
+ * attachment_paths lists the Storage paths of the attachment files a
+ * backup restores. The app keeps those files while any retained backup
+ * lists them, and deletes them once retention prunes the last one.
+ * NULL marks backups made before this column existed; while any of
+ * them is retained, no attachment file is deleted.
+ */
+
+ALTER TABLE backups ADD COLUMN IF NOT EXISTS attachment_paths JSONB;
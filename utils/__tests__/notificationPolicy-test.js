@@ -0,0 +1,146 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('react-native', () => ({ Platform: { OS: 'ios', select: (options) => options.ios } }));
+jest.mock('expo-haptics', () => ({}));
+jest.mock('expo-device', () => ({}));
+jest.mock('expo-notifications', () => ({ setNotificationHandler: jest.fn() }));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  loadNotificationPreferences,
+  saveNotificationPreferences,
+  subscribeToNotificationPreferences,
+  isInQuietHours,
+  deferPastQuietHours,
+  getPolicyReminderTimes,
+  getDigestNotifications,
+} from '../notificationPolicy';
+
+// Monday 19 October 2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+const dueOn = (day) => at(day, 0).toISOString();
+
+const NIGHT = { enabled: true, start: '22:00', end: '08:00' };
+
+const withPreferences = (updates) => ({ ...DEFAULT_NOTIFICATION_PREFERENCES, ...updates });
+const withDigest = (updates = {}) => withPreferences({ digest: { enabled: true, time: '08:00' }, ...updates });
+
+describe('quiet hours', () => {
+  it('span midnight when they end before they start', () => {
+    expect(isInQuietHours(at(19, 23, 30), NIGHT)).toBe(true);
+    expect(isInQuietHours(at(20, 7, 59), NIGHT)).toBe(true);
+    expect(isInQuietHours(at(20, 8, 0), NIGHT)).toBe(false);
+    expect(isInQuietHours(at(19, 12, 0), NIGHT)).toBe(false);
+  });
+
+  it('stay within the day when they end after they start', () => {
+    const siesta = { enabled: true, start: '14:00', end: '16:00' };
+
+    expect(isInQuietHours(at(19, 15, 0), siesta)).toBe(true);
+    expect(isInQuietHours(at(19, 23, 0), siesta)).toBe(false);
+    expect(isInQuietHours(at(19, 15, 0), { ...siesta, enabled: false })).toBe(false);
+  });
+
+  it('defer a moment to when they end, on the next day after midnight', () => {
+    expect(deferPastQuietHours(at(19, 23, 30), NIGHT)).toEqual(at(20, 8, 0));
+    expect(deferPastQuietHours(at(20, 6, 0), NIGHT)).toEqual(at(20, 8, 0));
+
+    const noon = at(19, 12, 0);
+    expect(deferPastQuietHours(noon, NIGHT)).toBe(noon);
+  });
+});
+
+describe('getPolicyReminderTimes', () => {
+  const task = { id: 'a', title: 'Informe', category: 'work', dueDate: dueOn(20), dueTime: '23:00' };
+
+  it('defers reminders in quiet hours', () => {
+    const preferences = withPreferences({ quietHours: NIGHT });
+
+    expect(getPolicyReminderTimes(task, preferences, NOW)).toEqual([
+      { offset: 0, time: at(21, 8, 0), flexible: false },
+    ]);
+  });
+
+  it('leaves out muted categories and everything when reminders are off', () => {
+    expect(getPolicyReminderTimes(task, withPreferences({ mutedCategories: ['work'] }), NOW)).toEqual([]);
+    expect(getPolicyReminderTimes(task, withPreferences({ remindersEnabled: false }), NOW)).toEqual([]);
+    expect(getPolicyReminderTimes({ ...task, category: 'personal' }, withPreferences({ mutedCategories: ['work'] }), NOW))
+      .toHaveLength(1);
+  });
+
+  it('leaves tasks without a due time to the digest', () => {
+    const untimed = { ...task, dueTime: null };
+
+    expect(getPolicyReminderTimes(untimed, withDigest(), NOW)).toEqual([]);
+    expect(getPolicyReminderTimes(task, withDigest(), NOW)).toHaveLength(1);
+  });
+});
+
+describe('getDigestNotifications', () => {
+  const tasks = [
+    { id: 'a', title: 'Informe', category: 'work', dueDate: dueOn(20) },
+    { id: 'b', title: 'Factura', category: 'work', dueDate: dueOn(18) },
+    { id: 'c', title: 'Gimnasio', category: 'health', dueDate: dueOn(20) },
+    { id: 'd', title: 'Hecha', category: 'work', dueDate: dueOn(20), completed: true },
+    { id: 'e', title: 'Sin fecha', category: 'work' },
+  ];
+
+  it('groups pending tasks into one digest per day, skipping the one already past', () => {
+    const digests = getDigestNotifications(tasks, withDigest({ mutedCategories: ['health'] }), NOW);
+
+    expect(digests).toEqual([
+      { time: at(20, 8), title: '☀️ Tu día: 1 para hoy · 1 vencida', body: 'Informe, Factura' },
+      { time: at(21, 8), title: '☀️ Tu día: 2 vencidas', body: 'Informe, Factura' },
+      { time: at(22, 8), title: '☀️ Tu día: 2 vencidas', body: 'Informe, Factura' },
+    ]);
+  });
+
+  it('lists a few titles and counts the rest', () => {
+    const many = ['Uno', 'Dos', 'Tres', 'Cuatro', 'Cinco'].map((title, i) => ({ id: `${i}`, title, dueDate: dueOn(20) }));
+    const [first] = getDigestNotifications(many, withDigest(), NOW);
+
+    expect(first.title).toBe('☀️ Tu día: 5 para hoy');
+    expect(first.body).toBe('Uno, Dos, Tres y 2 más');
+  });
+
+  it('sends a digest set inside quiet hours when they end', () => {
+    const preferences = withDigest({ digest: { enabled: true, time: '07:00' }, quietHours: NIGHT });
+
+    expect(getDigestNotifications(tasks, preferences, NOW).map((digest) => digest.time)).toEqual([
+      at(20, 8), at(21, 8), at(22, 8),
+    ]);
+  });
+
+  it('sends nothing when digests or reminders are off', () => {
+    expect(getDigestNotifications(tasks, withPreferences({}), NOW)).toEqual([]);
+    expect(getDigestNotifications(tasks, withDigest({ remindersEnabled: false }), NOW)).toEqual([]);
+  });
+});
+
+describe('preferences', () => {
+  it('fill in defaults for preferences saved by older versions', async () => {
+    await AsyncStorage.setItem('@notification_preferences', JSON.stringify({ quietHours: { enabled: true } }));
+
+    expect(await loadNotificationPreferences()).toEqual({
+      ...DEFAULT_NOTIFICATION_PREFERENCES,
+      quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, enabled: true },
+    });
+  });
+
+  it('merge nested updates, persist them and notify listeners', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToNotificationPreferences(listener);
+
+    const saved = await saveNotificationPreferences({ quietHours: { start: '23:00' }, mutedCategories: ['work'] });
+    unsubscribe();
+
+    expect(saved.quietHours).toEqual({ enabled: true, start: '23:00', end: '08:00' });
+    expect(saved.mutedCategories).toEqual(['work']);
+    expect(JSON.parse(await AsyncStorage.getItem('@notification_preferences'))).toEqual(saved);
+    expect(listener).toHaveBeenCalledWith(saved);
+  });
+});
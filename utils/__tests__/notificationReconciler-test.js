@@ -0,0 +1,157 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('react-native', () => ({ Platform: { OS: 'ios', select: (options) => options.ios } }));
+jest.mock('expo-haptics', () => ({}));
+jest.mock('expo-device', () => ({}));
+
+// Scheduled notifications kept in memory, like the OS would
+let mockScheduled = [];
+let mockNextId = 0;
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  AndroidNotificationPriority: { HIGH: 'high' },
+  scheduleNotificationAsync: jest.fn(async (request) => {
+    const identifier = `n${++mockNextId}`;
+    mockScheduled.push({ identifier, ...request });
+    return identifier;
+  }),
+  getAllScheduledNotificationsAsync: jest.fn(async () => mockScheduled),
+  cancelScheduledNotificationAsync: jest.fn(async (identifier) => {
+    mockScheduled = mockScheduled.filter((notification) => notification.identifier !== identifier);
+  }),
+}));
+
+import { reconcileNotifications } from '../notificationReconciler';
+import { DEFAULT_NOTIFICATION_PREFERENCES } from '../notificationPolicy';
+import { DIGEST_NOTIFICATION_TYPE, TASK_REMINDER_BLOCKED_CATEGORY } from '../notifications';
+
+// Monday 19 October 2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const dueOn = (day) => new Date(2026, 9, day).toISOString();
+
+const report = {
+  id: 'a',
+  title: 'Informe',
+  category: 'work',
+  dueDate: dueOn(20),
+  dueTime: '09:00',
+  reminderOffsets: [0, 60],
+  enableReminder: true,
+};
+const invoice = { ...report, id: 'b', title: 'Factura', dueDate: dueOn(21), reminderOffsets: [0] };
+
+const preferences = DEFAULT_NOTIFICATION_PREFERENCES;
+const reconcile = (tasks, options = {}) => reconcileNotifications(tasks, { preferences, ...options });
+
+const scheduledIds = () => mockScheduled.map((notification) => notification.identifier);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  mockScheduled = [];
+  mockNextId = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  jest.useRealTimers();
+});
+
+describe('reconcileNotifications', () => {
+  it('schedules missing reminders, nearest first, and records their IDs', async () => {
+    const result = await reconcile([report]);
+
+    expect(result).toMatchObject({ scheduled: 2, cancelled: 0 });
+    expect(result.tasks[0].notificationIds).toEqual({ 60: 'n1', 0: 'n2' });
+    expect(mockScheduled[0].trigger.date).toEqual(new Date(2026, 9, 20, 8, 0));
+  });
+
+  it('leaves tasks whose reminders are in place untouched', async () => {
+    const { tasks } = await reconcile([report]);
+    const result = await reconcile(tasks);
+
+    expect(result).toMatchObject({ scheduled: 0, cancelled: 0 });
+    expect(result.tasks[0]).toBe(tasks[0]);
+  });
+
+  it('schedules again what the OS dropped', async () => {
+    const { tasks } = await reconcile([report]);
+    mockScheduled = [];
+
+    const result = await reconcile(tasks);
+
+    expect(result.scheduled).toBe(2);
+    expect(result.tasks[0].notificationIds).toEqual({ 60: 'n3', 0: 'n4' });
+  });
+
+  it('replaces reminders set for an old due time', async () => {
+    const { tasks } = await reconcile([report]);
+    const moved = { ...tasks[0], dueTime: '11:00' };
+
+    const result = await reconcile([moved]);
+
+    expect(result).toMatchObject({ scheduled: 2, cancelled: 2 });
+    expect(scheduledIds()).toEqual(['n3', 'n4']);
+  });
+
+  it('reschedules a reminder when its task becomes blocked', async () => {
+    const { tasks } = await reconcile([{ ...report, reminderOffsets: [0] }, invoice]);
+    const blocked = { ...tasks[1], blockedBy: ['a'] };
+
+    const result = await reconcile([tasks[0], blocked]);
+
+    expect(result).toMatchObject({ scheduled: 1, cancelled: 1 });
+    expect(mockScheduled.find((n) => n.content.data.taskId === 'b').content.categoryIdentifier)
+      .toBe(TASK_REMINDER_BLOCKED_CATEGORY);
+  });
+
+  it('cancels reminders of deleted, completed and muted tasks', async () => {
+    const { tasks } = await reconcile([report, invoice]);
+    const [done, muted] = [{ ...tasks[0], completed: true }, tasks[1]];
+
+    const result = await reconcile([done, muted], {
+      preferences: { ...preferences, mutedCategories: ['work'] },
+    });
+
+    expect(result).toMatchObject({ scheduled: 0, cancelled: 3 });
+    expect(result.tasks.map((task) => task.notificationIds)).toEqual([{}, {}]);
+    expect(mockScheduled).toEqual([]);
+  });
+
+  it('keeps within the limit, dropping the furthest reminders', async () => {
+    const { tasks } = await reconcile([report, invoice], { limit: 2 });
+
+    expect(tasks[0].notificationIds).toEqual({ 60: 'n1', 0: 'n2' });
+    expect(tasks[1]).toBe(invoice);
+  });
+
+  it('keeps snoozed reminders of pending tasks', async () => {
+    const { tasks } = await reconcile([report]);
+    mockScheduled.push({ identifier: 'snoozed', content: { data: { taskId: 'a', type: 'task-reminder' } } });
+    const snoozed = { ...tasks[0], notificationIds: { ...tasks[0].notificationIds, snooze: 'snoozed' } };
+
+    const result = await reconcile([snoozed]);
+
+    expect(result.cancelled).toBe(0);
+    expect(result.tasks[0]).toBe(snoozed);
+  });
+
+  it('schedules the digests once and cancels them when turned off', async () => {
+    const withDigest = { ...preferences, digest: { enabled: true, time: '08:00' } };
+    const untimed = { ...report, dueTime: null };
+
+    const first = await reconcile([untimed], { preferences: withDigest });
+    const second = await reconcile(first.tasks, { preferences: withDigest });
+
+    expect(first.scheduled).toBe(3);
+    expect(first.tasks[0]).toBe(untimed);
+    expect(mockScheduled.every((n) => n.content.data.type === DIGEST_NOTIFICATION_TYPE)).toBe(true);
+    expect(second).toMatchObject({ scheduled: 0, cancelled: 0 });
+
+    const off = await reconcile(second.tasks, { preferences: { ...preferences, remindersEnabled: false } });
+    expect(off.cancelled).toBe(3);
+  });
+});
@@ -0,0 +1,68 @@
+import { parseQuickAdd, getQuickAddSegments } from '../quickAddParser';
+
+// Monday 19 October 2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+describe('parseQuickAdd', () => {
+  it('reads date, time, priority, category and tags', () => {
+    expect(parseQuickAdd('Llamar a Ana mañana a las 5pm !! #trabajo #cliente-acme', NOW)).toMatchObject({
+      title: 'Llamar a Ana',
+      dueDate: new Date(2026, 9, 20),
+      dueTime: '17:00',
+      priority: 'high',
+      category: 'work',
+      tags: ['cliente-acme'],
+    });
+  });
+
+  it('reads a time alone as today, or tomorrow once it passed', () => {
+    expect(parseQuickAdd('Gym at 18:30', NOW).dueDate).toEqual(new Date(2026, 9, 19));
+    expect(parseQuickAdd('Gym at 8:00', NOW).dueDate).toEqual(new Date(2026, 9, 20));
+  });
+
+  it('reads weekly recurrences on several days', () => {
+    expect(parseQuickAdd('Gym every monday and thursday at 7:30', NOW)).toMatchObject({
+      title: 'Gym',
+      dueTime: '07:30',
+      recurrence: { pattern: 'weekly', frequency: 1, daysOfWeek: [1, 4] },
+    });
+  });
+
+  it('keeps a bare weekday in the title', () => {
+    const result = parseQuickAdd('Watch Friday Night Lights', NOW);
+
+    expect(result.title).toBe('Watch Friday Night Lights');
+    expect(result.dueDate).toBeNull();
+  });
+
+  it('reads a weekday after a preposition as the next one', () => {
+    expect(parseQuickAdd('Reunión el viernes', NOW)).toMatchObject({
+      title: 'Reunión',
+      dueDate: new Date(2026, 9, 23),
+    });
+    expect(parseQuickAdd('Call mom on friday', NOW).dueDate).toEqual(new Date(2026, 9, 23));
+    expect(parseQuickAdd('Gym next monday', NOW).dueDate).toEqual(new Date(2026, 9, 26));
+    expect(parseQuickAdd('Dentista próximo lunes', NOW).dueDate).toEqual(new Date(2026, 9, 26));
+  });
+
+  it('leaves dismissed tokens in the title as plain text', () => {
+    const result = parseQuickAdd('Pagar mañana #trabajo', NOW, { dismissed: ['mañana', '#trabajo'] });
+
+    expect(result).toMatchObject({ title: 'Pagar mañana #trabajo', dueDate: null, category: null, tags: [] });
+    expect(result.tokens).toEqual([]);
+  });
+});
+
+describe('getQuickAddSegments', () => {
+  it('splits the text around recognized tokens', () => {
+    const text = 'Pagar mañana p1';
+    const { tokens } = parseQuickAdd(text, NOW);
+
+    expect(getQuickAddSegments(text, tokens)).toEqual([
+      { text: 'Pagar ', type: null },
+      { text: 'mañana', type: 'date' },
+      { text: ' ', type: null },
+      { text: 'p1', type: 'priority' },
+    ]);
+  });
+});
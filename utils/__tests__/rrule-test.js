@@ -0,0 +1,147 @@
+import {
+  parseRecurrenceRule,
+  serializeRecurrenceRule,
+  expandRecurrenceRule,
+  matchesRecurrenceRule,
+  configToRecurrenceRule,
+} from '../rrule';
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+const keys = (dates) => dates.map((d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+);
+
+const expand = (text, start, end, max) =>
+  keys(expandRecurrenceRule(parseRecurrenceRule(text), start, start, end, max));
+
+describe('parseRecurrenceRule / serializeRecurrenceRule', () => {
+  it.each([
+    'RRULE:FREQ=DAILY',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR',
+    'RRULE:FREQ=MONTHLY;COUNT=6;BYDAY=-1FR',
+    'RRULE:FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1',
+    'RRULE:FREQ=YEARLY;UNTIL=20301231;BYMONTH=2;BYMONTHDAY=29',
+    'RRULE:FREQ=WEEKLY;BYDAY=TU\nEXDATE;VALUE=DATE:20261103,20261110',
+  ])('round-trips %s', (text) => {
+    expect(serializeRecurrenceRule(parseRecurrenceRule(text))).toBe(text);
+  });
+
+  it('accepts lowercase rules without the prefix and DATE-TIME values', () => {
+    const rule = parseRecurrenceRule('freq=weekly;byday=mo;wkst=mo\nEXDATE:20261026T090000');
+
+    expect(rule).toMatchObject({ freq: 'WEEKLY', byDay: [{ ordinal: null, weekday: 1 }] });
+    expect(rule.exDates).toEqual([day(2026, 10, 26)]);
+  });
+
+  it.each([
+    ['', 'La regla está vacía'],
+    ['INTERVAL=2', 'Falta FREQ en la regla'],
+    ['FREQ=HOURLY', 'Frecuencia no soportada: HOURLY'],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20261231', 'COUNT y UNTIL no pueden usarse juntos'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'Valor no válido en BYMONTHDAY: 32'],
+    ['FREQ=MONTHLY;BYDAY=0MO', 'Valor no válido en BYDAY: 0MO'],
+    ['FREQ=DAILY;BYHOUR=9', 'Parte no soportada: BYHOUR'],
+  ])('rejects "%s"', (text, message) => {
+    expect(() => parseRecurrenceRule(text)).toThrow(message);
+  });
+});
+
+describe('expandRecurrenceRule', () => {
+  it('skips months too short for the day of the month', () => {
+    expect(expand('FREQ=MONTHLY;BYMONTHDAY=31', day(2026, 1, 31), day(2026, 6, 30))).toEqual([
+      '2026-01-31', '2026-03-31', '2026-05-31',
+    ]);
+  });
+
+  it('falls back to the last day of shorter months with BYSETPOS', () => {
+    const text = configToRecurrenceRule({ pattern: 'monthly', dayOfMonth: 31 });
+
+    expect(expand(text, day(2026, 1, 31), day(2026, 4, 30))).toEqual([
+      '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30',
+    ]);
+    expect(expand(text, day(2028, 2, 1), day(2028, 2, 29))).toEqual(['2028-02-29']);
+  });
+
+  it('counts negative month days from the end of each month', () => {
+    expect(expand('FREQ=MONTHLY;BYMONTHDAY=-1', day(2027, 12, 1), day(2028, 3, 31))).toEqual([
+      '2027-12-31', '2028-01-31', '2028-02-29', '2028-03-31',
+    ]);
+  });
+
+  it('only lands on 29 February in leap years', () => {
+    expect(expand('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29', day(2024, 2, 29), day(2033, 1, 1))).toEqual([
+      '2024-02-29', '2028-02-29', '2032-02-29',
+    ]);
+  });
+
+  it('picks a position among the candidates of each month with BYSETPOS', () => {
+    // Last weekday of the month
+    expect(expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', day(2026, 10, 1), day(2027, 1, 31))).toEqual([
+      '2026-10-30', '2026-11-30', '2026-12-31', '2027-01-29',
+    ]);
+    // First and second Tuesday
+    expect(expand('FREQ=MONTHLY;BYDAY=TU;BYSETPOS=1,2', day(2026, 11, 1), day(2026, 11, 30))).toEqual([
+      '2026-11-03', '2026-11-10',
+    ]);
+  });
+
+  it('limits days to the months in BYMONTH', () => {
+    expect(expand('FREQ=YEARLY;BYMONTH=3,9;BYDAY=-1SU', day(2026, 1, 1), day(2027, 12, 31))).toEqual([
+      '2026-03-29', '2026-09-27', '2027-03-28', '2027-09-26',
+    ]);
+    expect(expand('FREQ=WEEKLY;BYDAY=SA;BYMONTH=12', day(2026, 11, 1), day(2026, 12, 31))).toEqual([
+      '2026-12-05', '2026-12-12', '2026-12-19', '2026-12-26',
+    ]);
+  });
+
+  it('counts excluded dates toward COUNT but leaves them out', () => {
+    expect(expand('FREQ=WEEKLY;COUNT=4;BYDAY=TU\nEXDATE:20261110', day(2026, 11, 3), day(2027, 12, 31))).toEqual([
+      '2026-11-03', '2026-11-17', '2026-11-24',
+    ]);
+  });
+
+  it('stops at UNTIL, INTERVAL steps and the occurrence limit', () => {
+    expect(expand('FREQ=DAILY;INTERVAL=3;UNTIL=20261030', day(2026, 10, 19), day(2026, 12, 31))).toEqual([
+      '2026-10-19', '2026-10-22', '2026-10-25', '2026-10-28',
+    ]);
+    expect(expand('FREQ=DAILY', day(2026, 10, 19), day(2026, 12, 31), 2)).toEqual(['2026-10-19', '2026-10-20']);
+  });
+
+  it('gives up on rules that never match after MAX_PERIODS periods', () => {
+    expect(expand('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', day(2026, 1, 1), day(9999, 12, 31))).toEqual([]);
+  });
+});
+
+describe('matchesRecurrenceRule', () => {
+  const rules = [
+    'FREQ=DAILY;INTERVAL=3',
+    'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,SU',
+    'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+    'FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=-1\nEXDATE:20270131',
+    'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29',
+    'FREQ=WEEKLY;COUNT=5;BYDAY=TU,TH',
+    'FREQ=DAILY;UNTIL=20261105;BYDAY=SA,SU',
+  ];
+
+  it.each(rules)('agrees with the expansion of %s', (text) => {
+    const rule = parseRecurrenceRule(text);
+    const start = day(2026, 10, 18);
+    const end = day(2028, 12, 31);
+    const occurrences = new Set(keys(expandRecurrenceRule(rule, start, start, end, 1000)));
+
+    for (let date = day(2026, 10, 1); date <= end; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+      const [key] = keys([date]);
+      // The key in the assertion names the day that disagrees
+      expect({ key, matches: matchesRecurrenceRule(rule, start, date) })
+        .toEqual({ key, matches: occurrences.has(key) });
+    }
+  });
+
+  it('matches days years after the start without walking every period', () => {
+    const rule = parseRecurrenceRule('FREQ=DAILY');
+
+    expect(matchesRecurrenceRule(rule, day(2026, 1, 1), new Date(2026, 0, 1 + 4999))).toBe(true);
+    expect(matchesRecurrenceRule(rule, day(2026, 1, 1), new Date(2026, 0, 1 + 5000))).toBe(false);
+  });
+});
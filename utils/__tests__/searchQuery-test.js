@@ -0,0 +1,74 @@
+import { parseSearchQuery, searchTasks, splitHighlights } from '../searchQuery';
+
+// Monday 19 October 2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const ids = (results) => results.map(({ task }) => task.id);
+
+describe('parseSearchQuery', () => {
+  it('splits filters, free text and OR groups', () => {
+    const parsed = parseSearchQuery('informe priority:high -is:completed OR #cliente', NOW);
+
+    expect(parsed.groups).toEqual([
+      [
+        { type: 'text', value: 'informe', negate: false },
+        { type: 'filter', key: 'priority', value: ['high'], negate: false },
+        { type: 'filter', key: 'is', value: 'completed', negate: true },
+      ],
+      [{ type: 'filter', key: 'tag', value: 'cliente', negate: false }],
+    ]);
+    expect(parsed.textTerms).toEqual(['informe']);
+  });
+
+  it('reports filter values it does not understand', () => {
+    const parsed = parseSearchQuery('due:someday', NOW);
+
+    expect(parsed.isEmpty).toBe(true);
+    expect(parsed.errors).toHaveLength(1);
+  });
+});
+
+describe('searchTasks', () => {
+  const tasks = [
+    { id: 'desc', title: 'Llamar', description: 'Enviar el informe' },
+    { id: 'title', title: 'Informe mensual', priority: 'high' },
+    { id: 'done', title: 'Informe anual', completed: true },
+  ];
+
+  it('ranks title matches above description matches', () => {
+    const { results } = searchTasks(tasks, 'informe -is:completed', { now: NOW });
+
+    expect(ids(results)).toEqual(['title', 'desc']);
+    expect(results[1].snippet).toEqual({ field: 'description', text: 'Enviar el informe' });
+  });
+
+  it('filters by priority and matches accents loosely', () => {
+    expect(ids(searchTasks(tasks, 'p:alta', { now: NOW }).results)).toEqual(['title']);
+    expect(ids(searchTasks([{ id: 'r', title: 'Reunión' }], 'reunion', { now: NOW }).results)).toEqual(['r']);
+  });
+});
+
+
+describe('splitHighlights', () => {
+  it('marks every occurrence of the terms', () => {
+    expect(splitHighlights('Informe urgente, muy urgente', ['urgente'])).toEqual([
+      { text: 'Informe ', match: false },
+      { text: 'urgente', match: true },
+      { text: ', muy ', match: false },
+      { text: 'urgente', match: true },
+    ]);
+  });
+
+  it('matches accented text with folded terms', () => {
+    expect(splitHighlights('Reunión', ['reunion'])).toEqual([
+      { text: 'Reunión', match: true },
+    ]);
+  });
+
+  it('keeps highlights in place after an emoji', () => {
+    expect(splitHighlights('🔥 Informe urgente', ['urgente'])).toEqual([
+      { text: '🔥 Informe ', match: false },
+      { text: 'urgente', match: true },
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import { threeWayMerge, mergeCollection, createBaseSnapshot } from '../syncMerge';
+
+const baseTask = {
+  id: 't1',
+  title: 'Comprar pan',
+  priority: 'medium',
+  tags: ['casa'],
+  subtasks: [],
+  attachments: [],
+  updatedAt: '2026-10-19T08:00:00.000Z',
+};
+
+describe('threeWayMerge', () => {
+  const base = createBaseSnapshot(baseTask);
+
+  it('takes each field from the side that changed it', () => {
+    const local = { ...baseTask, title: 'Comprar pan integral', updatedAt: '2026-10-19T09:00:00.000Z' };
+    const cloud = { ...baseTask, priority: 'high', updatedAt: '2026-10-19T10:00:00.000Z' };
+
+    const { task, conflicts } = threeWayMerge(local, cloud, base);
+
+    expect(task).toMatchObject({ title: 'Comprar pan integral', priority: 'high' });
+    expect(task.updatedAt).toBe(cloud.updatedAt);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('reports fields changed differently on both sides and keeps the cloud value', () => {
+    const local = { ...baseTask, tags: ['casa', 'urgente'] };
+    const cloud = { ...baseTask, tags: ['super'] };
+
+    const { task, conflicts } = threeWayMerge(local, cloud, base);
+
+    expect(task.tags).toEqual(['super']);
+    expect(conflicts).toEqual([{
+      field: 'tags',
+      local: ['casa', 'urgente'],
+      cloud: ['super'],
+      base: ['casa'],
+      merged: ['super'],
+    }]);
+  });
+
+  it('treats empty values as equal', () => {
+    const local = { ...baseTask, description: '' };
+    const cloud = { ...baseTask, description: null };
+
+    expect(threeWayMerge(local, cloud, base).conflicts).toEqual([]);
+  });
+
+  it('keeps notification ids and local file URIs from this device', () => {
+    const attachment = { id: 'a1', filename: 'ticket.jpg', storagePath: 'u/a1.jpg' };
+    const local = {
+      ...baseTask,
+      notificationIds: { due: 'n1' },
+      attachments: [{ ...attachment, uri: 'file:///ticket.jpg' }],
+    };
+    const cloud = { ...baseTask, attachments: [attachment] };
+
+    const { task } = threeWayMerge(local, cloud, createBaseSnapshot(cloud));
+
+    expect(task.notificationIds).toEqual({ due: 'n1' });
+    expect(task.attachments[0]).toMatchObject({ uri: 'file:///ticket.jpg', storagePath: 'u/a1.jpg' });
+  });
+});
+
+describe('mergeCollection', () => {
+  const milk = { id: 's1', title: 'Leche', completed: false };
+  const eggs = { id: 's2', title: 'Huevos', completed: false };
+
+  it('applies items added on either side, cloud order first', () => {
+    const bread = { id: 's3', title: 'Pan', completed: false };
+
+    expect(mergeCollection([milk, bread], [milk, eggs], [milk])).toEqual({
+      value: [milk, eggs, bread],
+      conflict: false,
+    });
+  });
+
+  it('applies removals made on one side', () => {
+    expect(mergeCollection([milk], [milk, eggs], [milk, eggs])).toEqual({ value: [milk], conflict: false });
+    expect(mergeCollection([milk, eggs], [eggs], [milk, eggs])).toEqual({ value: [eggs], conflict: false });
+  });
+
+  it('merges an item changed on both sides key by key', () => {
+    const local = [{ ...milk, completed: true }];
+    const cloud = [{ ...milk, title: 'Leche sin lactosa' }];
+
+    expect(mergeCollection(local, cloud, [milk])).toEqual({
+      value: [{ id: 's1', title: 'Leche sin lactosa', completed: true }],
+      conflict: false,
+    });
+  });
+
+  it('flags the same key changed differently on both sides', () => {
+    const local = [{ ...milk, title: 'Leche entera' }];
+    const cloud = [{ ...milk, title: 'Leche desnatada' }];
+
+    expect(mergeCollection(local, cloud, [milk])).toEqual({
+      value: [{ ...milk, title: 'Leche desnatada' }],
+      conflict: true,
+    });
+  });
+
+  it('keeps an item edited on one side and deleted on the other', () => {
+    const edited = { ...milk, completed: true };
+
+    expect(mergeCollection([edited], [], [milk])).toEqual({ value: [edited], conflict: true });
+    expect(mergeCollection([], [edited], [milk])).toEqual({ value: [edited], conflict: true });
+  });
+});
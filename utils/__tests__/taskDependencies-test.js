@@ -0,0 +1,75 @@
+import {
+  getPendingBlockers,
+  isTaskBlocked,
+  getBlockersByTask,
+  wouldCreateCycle,
+  getUnblockedByCompletion,
+  sanitizeDependencies,
+} from '../taskDependencies';
+
+const ids = (tasks) => tasks.map((task) => task.id);
+
+describe('blockers', () => {
+  const tasks = [
+    { id: 'a' },
+    { id: 'b', completed: true },
+    { id: 'c', blockedBy: ['a', 'b', 'gone'] },
+    { id: 'd', blockedBy: ['b'] },
+  ];
+
+  it('only counts pending blockers that still exist', () => {
+    expect(ids(getPendingBlockers(tasks[2], tasks))).toEqual(['a']);
+    expect(isTaskBlocked(tasks[2], tasks)).toBe(true);
+    expect(isTaskBlocked(tasks[3], tasks)).toBe(false);
+  });
+
+  it('indexes the pending blockers of every blocked task', () => {
+    const blockers = getBlockersByTask(tasks);
+    expect(Object.keys(blockers)).toEqual(['c']);
+    expect(ids(blockers.c)).toEqual(['a']);
+  });
+});
+
+describe('wouldCreateCycle', () => {
+  const tasks = [
+    { id: 'a', blockedBy: ['b'] },
+    { id: 'b', blockedBy: ['c'] },
+    { id: 'c' },
+  ];
+
+  it('refuses a task waiting on itself', () => {
+    expect(wouldCreateCycle('a', 'a', tasks)).toBe(true);
+  });
+
+  it('finds cycles through other tasks', () => {
+    expect(wouldCreateCycle('c', 'a', tasks)).toBe(true);
+    expect(wouldCreateCycle('a', 'c', tasks)).toBe(false);
+  });
+});
+
+describe('getUnblockedByCompletion', () => {
+  it('returns dependents left without pending blockers', () => {
+    const tasks = [
+      { id: 'a' },
+      { id: 'b' },
+      { id: 'free', blockedBy: ['a'] },
+      { id: 'waiting', blockedBy: ['a', 'b'] },
+    ];
+    expect(ids(getUnblockedByCompletion('a', tasks))).toEqual(['free']);
+  });
+});
+
+describe('sanitizeDependencies', () => {
+  it('drops unknown blockers and the dependency closing a cycle', () => {
+    const tasks = [
+      { id: 'a', blockedBy: ['b', 'gone'] },
+      { id: 'b', blockedBy: ['a'] },
+      { id: 'c', blockedBy: ['a'] },
+    ];
+    const [a, b, c] = sanitizeDependencies(tasks);
+
+    expect(a.blockedBy).toEqual(['b']);
+    expect(b.blockedBy).toEqual([]);
+    expect(c).toBe(tasks[2]);
+  });
+});
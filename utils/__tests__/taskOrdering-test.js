@@ -0,0 +1,69 @@
+import { sortTasks, reorderIds, groupTasks, SORT_MODES, GROUP_MODES } from '../taskOrdering';
+
+// Monday 19 October 2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const dueOn = (day) => new Date(2026, 9, day).toISOString();
+
+const ids = (tasks) => tasks.map((task) => task.id);
+
+describe('sortTasks', () => {
+  const tasks = [
+    { id: 'a', title: 'Beta', priority: 'low', dueDate: dueOn(21) },
+    { id: 'b', title: 'alfa', priority: 'high' },
+    { id: 'c', title: 'Ñandú', priority: 'high', dueDate: dueOn(20) },
+  ];
+
+  it('sorts by due date with undated tasks last', () => {
+    expect(ids(sortTasks(tasks, SORT_MODES.DUE))).toEqual(['c', 'a', 'b']);
+  });
+
+  it('sorts by priority, then due date', () => {
+    expect(ids(sortTasks(tasks, SORT_MODES.PRIORITY))).toEqual(['c', 'b', 'a']);
+  });
+
+  it('sorts titles alphabetically ignoring case', () => {
+    expect(ids(sortTasks(tasks, SORT_MODES.TITLE))).toEqual(['b', 'a', 'c']);
+  });
+
+  it('puts tasks placed by hand first and keeps the rest in order', () => {
+    expect(ids(sortTasks(tasks, SORT_MODES.MANUAL, { manualOrder: ['c'] }))).toEqual(['c', 'a', 'b']);
+  });
+
+  it('orders by AI score, unscored tasks last', () => {
+    const aiScores = { a: { score: 90 }, b: { score: 40 } };
+    expect(ids(sortTasks(tasks, SORT_MODES.AI, { aiScores }))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('does not change the given array', () => {
+    const copy = [...tasks];
+    sortTasks(tasks, SORT_MODES.TITLE);
+    expect(tasks).toEqual(copy);
+  });
+});
+
+describe('reorderIds', () => {
+  it('moves a task and keeps hidden tasks after the visible ones', () => {
+    expect(reorderIds(['a', 'b', 'c'], 2, 0, ['x', 'a', 'b', 'c'])).toEqual(['c', 'a', 'b', 'x']);
+  });
+});
+
+describe('groupTasks', () => {
+  it('buckets pending tasks by due date and leaves out empty sections', () => {
+    const sections = groupTasks([
+      { id: 'late', dueDate: dueOn(17) },
+      { id: 'today', dueDate: dueOn(19) },
+      { id: 'tomorrow', dueDate: dueOn(20) },
+      { id: 'none' },
+      { id: 'done', dueDate: dueOn(19), completed: true },
+    ], GROUP_MODES.DUE, { now: NOW });
+
+    expect(sections.map((section) => [section.key, ids(section.tasks)])).toEqual([
+      ['overdue', ['late']],
+      ['today', ['today']],
+      ['tomorrow', ['tomorrow']],
+      ['none', ['none']],
+      ['completed', ['done']],
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Every test starts with a fresh store module and empty storage
+let AsyncStorage;
+let taskStore;
+
+const storage = () => AsyncStorage.__INTERNAL_MOCK_STORAGE__;
+const readJson = (key) => JSON.parse(storage()[key]);
+
+beforeEach(() => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  AsyncStorage.__INTERNAL_MOCK_STORAGE__ = {};
+  taskStore = require('../taskStore');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+const work = { id: 'a', title: 'Informe', category: 'work', completed: false };
+const home = { id: 'b', title: 'Compra', category: 'personal', completed: true };
+
+describe('legacy migration', () => {
+  it('moves tasks saved under "@tasks" into one record per task', async () => {
+    storage()['@tasks'] = JSON.stringify([work, home, { ...work, title: 'Duplicado' }]);
+
+    expect(await taskStore.getAllTasks()).toEqual([work, home]);
+    expect(storage()['@tasks']).toBeUndefined();
+    expect(readJson('@task:a')).toEqual(work);
+    expect(readJson('@tasks_index').ids).toEqual(['a', 'b']);
+  });
+
+  it('starts empty when there is nothing to migrate', async () => {
+    expect(await taskStore.getAllTasks()).toEqual([]);
+  });
+});
+
+describe('write queue', () => {
+  it('applies concurrent writes in order and keeps the index consistent', async () => {
+    taskStore.putTasks([work]);
+    taskStore.putTasks([home]);
+    taskStore.removeTasks(['a']);
+    taskStore.putTasks([{ ...home, completed: false }]);
+    await taskStore.flushWrites();
+
+    expect(await taskStore.getAllTasks()).toEqual([{ ...home, completed: false }]);
+    expect(storage()['@task:a']).toBeUndefined();
+    expect(await taskStore.queryTasks({ completed: true })).toEqual([]);
+    expect(await taskStore.queryTasks({ category: 'personal', completed: false })).toHaveLength(1);
+  });
+
+  it('writes only the tasks that changed', async () => {
+    await taskStore.replaceAllTasks([work, home]);
+    AsyncStorage.multiSet.mockClear();
+
+    const edited = { ...work, title: 'Informe final' };
+    await taskStore.persistTaskChanges([work, home], [edited, home]);
+
+    const written = AsyncStorage.multiSet.mock.calls.flatMap(([pairs]) => pairs.map(([key]) => key));
+    expect(written).toEqual(['@task:a', '@tasks_index']);
+  });
+
+  it('keeps going after a failed write', async () => {
+    AsyncStorage.multiSet.mockRejectedValueOnce(new Error('disk full'));
+
+    await taskStore.putTasks([work]);
+    await taskStore.putTasks([home]);
+
+    expect((await taskStore.getAllTasks()).map((task) => task.id)).toContain('b');
+  });
+});
+
+describe('when the store cannot be loaded', () => {
+  it('saves the full list under "@tasks" and migrates it on the next load', async () => {
+    await taskStore.replaceAllTasks([work, home]);
+
+    // Simulate a new session whose first load fails
+    jest.resetModules();
+    AsyncStorage = require('@react-native-async-storage/async-storage');
+    taskStore = require('../taskStore');
+    AsyncStorage.multiGet.mockRejectedValueOnce(new Error('storage busy'));
+
+    const edited = { ...work, title: 'Informe final' };
+    await taskStore.persistTaskChanges([work, home], [edited]);
+
+    expect(readJson('@tasks')).toEqual([edited]);
+
+    expect(await taskStore.getAllTasks()).toEqual([edited]);
+    expect(storage()['@tasks']).toBeUndefined();
+    expect(storage()['@task:b']).toBeUndefined();
+  });
+
+  it('reads the legacy list while loading keeps failing', async () => {
+    storage()['@tasks'] = JSON.stringify([work]);
+    storage()['@tasks_index'] = '{corrupt';
+    AsyncStorage.multiGet.mockImplementation(async (keys) => {
+      if (keys.includes('@tasks_index')) throw new Error('storage busy');
+      return keys.map((key) => [key, storage()[key] || null]);
+    });
+
+    expect(await taskStore.getAllTasks()).toEqual([work]);
+  });
+});
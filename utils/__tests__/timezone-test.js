@@ -0,0 +1,116 @@
+import {
+  getZonedParts,
+  zonedTimeToDate,
+  getDayKey,
+  utcDayKeyToDayKey,
+  startOfDayInZone,
+  resolveTaskDate,
+  getTaskDueDateTime,
+  moveTaskToDay,
+  getTaskDayKey,
+  isTaskOverdue,
+} from '../timezone';
+
+describe('getZonedParts', () => {
+  it('reads the wall clock of an instant in a timezone', () => {
+    expect(getZonedParts('2026-10-19T23:30:00Z', 'Asia/Tokyo')).toEqual({
+      year: 2026, month: 10, day: 20, hour: 8, minute: 30, second: 0,
+    });
+    expect(getZonedParts('2026-10-19T02:00:00Z', 'America/New_York')).toMatchObject({ day: 18, hour: 22 });
+  });
+
+  it('falls back to the device timezone for an unknown zone', () => {
+    const date = new Date(2026, 9, 19, 10, 0);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(getZonedParts(date, 'Mars/Olympus')).toMatchObject({ day: 19, hour: 10 });
+    console.error.mockRestore();
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('finds the instant of a wall-clock time', () => {
+    expect(zonedTimeToDate({ year: 2026, month: 10, day: 19, hour: 9 }, 'Europe/Madrid').toISOString())
+      .toBe('2026-10-19T07:00:00.000Z');
+  });
+
+  it('uses the offset in effect on each side of a DST change', () => {
+    // Madrid leaves summer time on 25 October 2026
+    expect(zonedTimeToDate({ year: 2026, month: 10, day: 24, hour: 12 }, 'Europe/Madrid').toISOString())
+      .toBe('2026-10-24T10:00:00.000Z');
+    expect(zonedTimeToDate({ year: 2026, month: 10, day: 26, hour: 12 }, 'Europe/Madrid').toISOString())
+      .toBe('2026-10-26T11:00:00.000Z');
+  });
+
+  it('round-trips through getZonedParts', () => {
+    const parts = { year: 2026, month: 3, day: 8, hour: 15, minute: 45, second: 0 };
+    expect(getZonedParts(zonedTimeToDate(parts, 'America/New_York'), 'America/New_York')).toEqual(parts);
+  });
+});
+
+describe('day keys', () => {
+  it('names the calendar day of an instant in a timezone', () => {
+    expect(getDayKey('2026-10-19T23:30:00Z', 'Asia/Tokyo')).toBe('2026-10-20');
+    expect(getDayKey('2026-10-19T23:30:00Z', 'America/Los_Angeles')).toBe('2026-10-19');
+    expect(getDayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  });
+
+  it('moves UTC day keys to the local day holding most of the UTC day', () => {
+    expect(utcDayKeyToDayKey('2026-10-19', 'America/New_York')).toBe('2026-10-19');
+    expect(utcDayKeyToDayKey('2026-10-19', 'Asia/Tokyo')).toBe('2026-10-19');
+    expect(utcDayKeyToDayKey('2026-12-31', 'Pacific/Kiritimati')).toBe('2027-01-01');
+  });
+
+  it('starts a day at local midnight', () => {
+    expect(startOfDayInZone(2026, 10, 19, 'Asia/Tokyo').toISOString()).toBe('2026-10-18T15:00:00.000Z');
+    expect(startOfDayInZone(2026, 10, 19)).toEqual(new Date(2026, 9, 19));
+  });
+});
+
+describe('task dates', () => {
+  // 09:00 in New York on 20 October 2026
+  const dueDate = '2026-10-20T13:00:00.000Z';
+
+  it('keeps the wall-clock time of floating tasks', () => {
+    const due = resolveTaskDate({ dueDate, timeZone: 'America/New_York' });
+
+    expect([due.getDate(), due.getHours()]).toEqual([20, 9]);
+  });
+
+  it('keeps the instant of fixed tasks and tasks without a timezone', () => {
+    expect(resolveTaskDate({ dueDate, timeZone: 'America/New_York', floating: false }).toISOString()).toBe(dueDate);
+    expect(resolveTaskDate({ dueDate }).toISOString()).toBe(dueDate);
+    expect(resolveTaskDate({})).toBeNull();
+  });
+
+  it('reads the due time of fixed tasks in their own timezone', () => {
+    const task = { dueDate, dueTime: '18:30', timeZone: 'America/New_York', floating: false };
+
+    expect(getTaskDueDateTime(task).toISOString()).toBe('2026-10-20T22:30:00.000Z');
+    expect(getTaskDueDateTime({ ...task, dueTime: null }).toISOString()).toBe(dueDate);
+  });
+
+  it('reads the due time of floating tasks on the device', () => {
+    const due = getTaskDueDateTime({ dueDate: new Date(2026, 9, 20).toISOString(), dueTime: '18:30' });
+
+    expect(due).toEqual(new Date(2026, 9, 20, 18, 30));
+  });
+
+  it('moves a task to another day keeping its time', () => {
+    const task = { dueDate: new Date(2026, 9, 20, 9, 15).toISOString() };
+    const moved = moveTaskToDay(task, new Date(2026, 9, 23));
+
+    expect(new Date(moved.dueDate)).toEqual(new Date(2026, 9, 23, 9, 15));
+    expect(typeof moved.timeZone).toBe('string');
+  });
+
+  it('flags pending tasks due before today as overdue', () => {
+    const now = new Date(2026, 9, 19, 10, 0);
+    const yesterday = { dueDate: new Date(2026, 9, 18, 23, 0).toISOString() };
+
+    expect(getTaskDayKey(yesterday)).toBe('2026-10-18');
+    expect(isTaskOverdue(yesterday, now)).toBe(true);
+    expect(isTaskOverdue({ ...yesterday, completed: true }, now)).toBe(false);
+    expect(isTaskOverdue({ dueDate: new Date(2026, 9, 19, 8, 0).toISOString() }, now)).toBe(false);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Category and tag helpers
+ * Task List App 2026
+ *
+ * Categories are user-defined ({ id, name, color, icon, position }) and
+ * seeded from the defaults in constants/theme. Each task has one category
+ * and any number of free-form tags (lowercase, without the '#').
+ */
+
+import { categories as defaultCategories } from '../constants/theme';
+
+// 'all' is the filter chip, not a category a task can have
+export const ALL_CATEGORIES_ID = 'all';
+
+export const FALLBACK_CATEGORY_ID = 'personal';
+
+export const MAX_CATEGORY_NAME_LENGTH = 30;
+
+export const MAX_TAG_LENGTH = 30;
+
+// Colors offered when creating or recoloring a category
+export const CATEGORY_COLORS = [
+  '#3B82F6', '#EC4899', '#F59E0B', '#10B981', '#A855F7',
+  '#00D9FF', '#EF4444', '#F97316', '#84CC16', '#6366F1',
+  '#14B8A6', '#6B7280',
+];
+
+// Ionicons offered for categories
+export const CATEGORY_ICONS = [
+  'briefcase', 'heart', 'cart', 'fitness', 'home', 'school',
+  'people', 'person', 'folder', 'code-slash', 'cash', 'airplane',
+  'car', 'restaurant', 'book', 'musical-notes', 'game-controller', 'paw',
+  'leaf', 'build', 'call', 'mail', 'star', 'pricetag',
+];
+
+/**
+ * Lowercase and strip accents, for name comparisons
+ */
+export const foldName = (text = '') =>
+  String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+/**
+ * The built-in categories a new install starts with
+ * @returns {Array} Categories in display order
+ */
+export const getDefaultCategories = () =>
+  Object.values(defaultCategories)
+    .filter((category) => category.id !== ALL_CATEGORIES_ID)
+    .map((category, index) => ({
+      id: category.id,
+      name: category.name,
+      color: category.color,
+      icon: category.icon,
+      position: index,
+      updatedAt: null,
+    }));
+
+/**
+ * Build an id for a new category from its name ("Cliente Acme" -> "cliente-acme")
+ * @param {string} name - Category name
+ * @param {Array} existing - Categories whose ids are taken (including deleted ones)
+ * @returns {string} Unique id
+ */
+export const createCategoryId = (name, existing = []) => {
+  const base = foldName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'categoria';
+  const taken = new Set(existing.map((category) => category.id));
+  taken.add(ALL_CATEGORIES_ID);
+
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+/**
+ * Find a category by id or (accent-insensitive) name
+ * @param {Array} categories - Categories to search
+ * @param {string} value - Category id or name
+ * @returns {Object|null}
+ */
+export const findCategory = (categories, value) => {
+  if (!value) return null;
+  const folded = foldName(value);
+  return (
+    categories.find((category) => category.id === value) ||
+    categories.find((category) => category.id === folded || foldName(category.name) === folded) ||
+    null
+  );
+};
+
+/**
+ * Display data for a category id that no longer exists
+ * (e.g. a synced task whose category was deleted on another device)
+ */
+export const getUnknownCategory = (id) => ({
+  id,
+  name: id || 'Sin categoría',
+  color: '#6B7280',
+  icon: 'pricetag',
+});
+
+/**
+ * Normalize a tag: lowercase, no leading '#', words joined with '-'
+ * @param {string} tag
+ * @returns {string} Normalized tag ('' when nothing is left)
+ */
+export const normalizeTag = (tag) =>
+  String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Normalize a list of tags, dropping empty values and duplicates
+ * @param {Array|string} tags - Tags, or a string separated by ',' or ';'
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(/[,;]/);
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * All tags used by a list of tasks, most used first
+ * @param {Array} tasks
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+export const collectTags = (tasks) => {
+  const counts = new Map();
+  for (const task of tasks) {
+    for (const tag of task.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+export default {
+  ALL_CATEGORIES_ID,
+  FALLBACK_CATEGORY_ID,
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
+  foldName,
+  getDefaultCategories,
+  createCategoryId,
+  findCategory,
+  getUnknownCategory,
+  normalizeTag,
+  normalizeTags,
+  collectTags,
+};
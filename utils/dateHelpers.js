@@ -104,3 +104,39 @@ export function isOverdue(date) {
   
   return d < today;
 }
+
+/**
+ * Format the time of a date as "HH:mm" (e.g. a task due time)
+ * @param {Date} date - The date to format
+ * @returns {string}
+ */
+export function formatTimeOfDay(date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Get a date at an "HH:mm" time of day
+ * @param {string} time - Time as "HH:mm"
+ * @param {Date} [base] - Day to use (today by default)
+ * @returns {Date}
+ */
+export function timeOfDayToDate(time, base = new Date()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const d = new Date(base);
+  d.setHours(hours, minutes, 0, 0);
+  return d;
+}
+
+/**
+ * Format a duration in minutes (e.g. "45 min", "1 h 30 min")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
@@ -0,0 +1,62 @@
+/**
+ * Feedback Helpers - Haptics and sounds gated by user settings
+ * Task List App 2026
+ *
+ * SettingsContext keeps the snapshot here up to date, so modules outside
+ * React (notification scheduling) and components can check it without
+ * subscribing to the context.
+ */
+
+import { Platform } from 'react-native';
+import * as Haptics from 'expo-haptics';
+
+let feedbackSettings = {
+  hapticFeedback: true,
+  soundEffects: true,
+};
+
+/**
+ * Update the feedback settings snapshot
+ * @param {Object} settings - { hapticFeedback, soundEffects }
+ */
+export const configureFeedback = (settings) => {
+  feedbackSettings = { ...feedbackSettings, ...settings };
+};
+
+/**
+ * Check whether haptic feedback is enabled (never on web)
+ * @returns {boolean}
+ */
+export const isHapticsEnabled = () => Platform.OS !== 'web' && feedbackSettings.hapticFeedback;
+
+/**
+ * Check whether sound effects are enabled
+ * @returns {boolean}
+ */
+export const isSoundEnabled = () => feedbackSettings.soundEffects;
+
+// Haptics wrapper that respects the Vibración setting and web compatibility
+export const safeHaptics = {
+  impact: (style = Haptics.ImpactFeedbackStyle.Light) => {
+    if (isHapticsEnabled()) {
+      Haptics.impactAsync(style);
+    }
+  },
+  notification: (type = Haptics.NotificationFeedbackType.Success) => {
+    if (isHapticsEnabled()) {
+      Haptics.notificationAsync(type);
+    }
+  },
+  selection: () => {
+    if (isHapticsEnabled()) {
+      Haptics.selectionAsync();
+    }
+  },
+};
+
+export default {
+  configureFeedback,
+  isHapticsEnabled,
+  isSoundEnabled,
+  safeHaptics,
+};
@@ -23,6 +23,17 @@ const generateAttachmentId = () => {
   return `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Get the local file URI for an attachment
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} filename - Original filename (for the extension)
+ * @returns {string} Local file URI
+ */
+export const getAttachmentFileUri = (attachmentId, filename) => {
+  const extension = filename.split('.').pop() || '';
+  return getAttachmentsDir() + `${attachmentId}.${extension}`;
+};
+
 /**
  * Ensure attachments directory exists
  */
@@ -114,9 +125,7 @@ export const saveFile = async (sourceUri, taskId, filename, mimeType) => {
   
   // Generate unique ID and destination path
   const attachmentId = generateAttachmentId();
-  const extension = filename.split('.').pop() || '';
-  const destFilename = `${attachmentId}.${extension}`;
-  const destUri = getAttachmentsDir() + destFilename;
+  const destUri = getAttachmentFileUri(attachmentId, filename);
   
   // Copy file to attachments directory
   await FileSystem.copyAsync({
@@ -287,6 +296,7 @@ export const getStorageStats = async () => {
 };
 
 export default {
+  getAttachmentFileUri,
   ensureDirectoryExists,
   getTotalStorageUsed,
   canAddFile,
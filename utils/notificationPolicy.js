@@ -0,0 +1,259 @@
+/**
+ * Notification Policy
+ * Task List App 2026
+ *
+ * Decides which reminders are actually sent, in front of the scheduling
+ * helpers in utils/notifications.js:
+ * - reminders can be turned off altogether or muted per category
+ * - reminders that fall in quiet hours are deferred to when they end
+ * - in digest mode, tasks without a due time are not reminded one by one;
+ *   a morning digest summarizes today's and overdue tasks instead (it is
+ *   deferred past quiet hours too)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getTaskReminderTimes,
+  getReminderContent,
+  scheduleTaskNotification,
+} from './notifications';
+import { getDayKey, getTaskDayKey } from './timezone';
+import { timeOfDayToDate } from './dateHelpers';
+
+const PREFERENCES_STORAGE_KEY = '@notification_preferences';
+
+// Days after today for which digests are scheduled (in case the app is not opened)
+export const DIGEST_DAYS_AHEAD = 3;
+
+// Task titles listed in a digest before summarizing the rest
+const DIGEST_MAX_TITLES = 3;
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  remindersEnabled: true,
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '08:00',
+  },
+  digest: {
+    enabled: false,
+    time: '08:00',
+  },
+  mutedCategories: [],
+};
+
+let currentPreferences = DEFAULT_NOTIFICATION_PREFERENCES;
+const listeners = new Set();
+
+/**
+ * Fill in defaults for preferences saved by older versions
+ */
+const withDefaults = (preferences = {}) => ({
+  ...DEFAULT_NOTIFICATION_PREFERENCES,
+  ...preferences,
+  quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, ...preferences.quietHours },
+  digest: { ...DEFAULT_NOTIFICATION_PREFERENCES.digest, ...preferences.digest },
+  mutedCategories: preferences.mutedCategories || [],
+});
+
+/**
+ * Get the current notification preferences (defaults until loaded)
+ * @returns {Object}
+ */
+export const getNotificationPreferences = () => currentPreferences;
+
+/**
+ * Load notification preferences from storage
+ * @returns {Promise<Object>}
+ */
+export const loadNotificationPreferences = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(PREFERENCES_STORAGE_KEY);
+    currentPreferences = withDefaults(saved ? JSON.parse(saved) : {});
+  } catch (error) {
+    console.error('Error loading notification preferences:', error);
+  }
+  return currentPreferences;
+};
+
+/**
+ * Update and persist notification preferences
+ * @param {Object} updates - Fields to change (quietHours/digest are merged)
+ * @returns {Promise<Object>} Updated preferences
+ */
+export const saveNotificationPreferences = async (updates) => {
+  currentPreferences = withDefaults({
+    ...currentPreferences,
+    ...updates,
+    quietHours: { ...currentPreferences.quietHours, ...updates.quietHours },
+    digest: { ...currentPreferences.digest, ...updates.digest },
+  });
+
+  try {
+    await AsyncStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(currentPreferences));
+  } catch (error) {
+    console.error('Error saving notification preferences:', error);
+  }
+
+  listeners.forEach((listener) => listener(currentPreferences));
+  return currentPreferences;
+};
+
+/**
+ * Listen for preference changes
+ * @param {Function} listener - Called with the new preferences
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToNotificationPreferences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Minutes since midnight of an "HH:mm" time
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a moment falls in quiet hours (which may span midnight)
+ * @param {Date} date
+ * @param {Object} quietHours - { enabled, start, end }
+ * @returns {boolean}
+ */
+export const isInQuietHours = (date, quietHours) => {
+  if (!quietHours?.enabled) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Move a moment in quiet hours to the moment they end
+ * @param {Date} date
+ * @param {Object} quietHours - { enabled, start, end }
+ * @returns {Date}
+ */
+export const deferPastQuietHours = (date, quietHours) => {
+  if (!isInQuietHours(date, quietHours)) return date;
+
+  const deferred = timeOfDayToDate(quietHours.end, date);
+  if (deferred <= date) {
+    deferred.setDate(deferred.getDate() + 1);
+  }
+  return deferred;
+};
+
+/**
+ * Check whether a task's reminders are muted
+ */
+const isMuted = (task, preferences) =>
+  !preferences.remindersEnabled || preferences.mutedCategories.includes(task.category);
+
+/**
+ * Reminders a task should actually get under the notification policy
+ * @param {Object} task - Task
+ * @param {Object} [preferences] - Notification preferences
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} { offset, time, flexible } like getTaskReminderTimes
+ */
+export const getPolicyReminderTimes = (task, preferences = currentPreferences, now = new Date()) => {
+  if (isMuted(task, preferences)) return [];
+
+  // The digest covers tasks due some day without a specific time
+  if (preferences.digest.enabled && !task.dueTime) return [];
+
+  return getTaskReminderTimes(task, now).map((reminder) => ({
+    ...reminder,
+    time: deferPastQuietHours(reminder.time, preferences.quietHours),
+  }));
+};
+
+/**
+ * Schedule a task's reminders under the notification policy
+ * @param {Object} task - Task
+ * @param {boolean} [blocked] - Whether the task still waits on others
+ * @returns {Promise<Object>} Notification IDs by offset
+ */
+export const schedulePolicyReminders = async (task, blocked = false) => {
+  const notificationIds = {};
+
+  for (const { offset, time } of getPolicyReminderTimes(task)) {
+    const notificationId = await scheduleTaskNotification(task, time, getReminderContent(task, offset, blocked));
+    if (notificationId) {
+      notificationIds[offset] = notificationId;
+    }
+  }
+
+  return notificationIds;
+};
+
+/**
+ * Summary line of a digest, e.g. "3 para hoy · 1 vencida"
+ */
+const formatDigestSummary = (dueToday, overdue) => {
+  const parts = [];
+  if (dueToday.length > 0) parts.push(`${dueToday.length} para hoy`);
+  if (overdue.length > 0) parts.push(`${overdue.length} vencida${overdue.length > 1 ? 's' : ''}`);
+  return parts.join(' · ');
+};
+
+/**
+ * Digest notifications for the next days
+ * @param {Array} tasks - Current tasks
+ * @param {Object} [preferences] - Notification preferences
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} { time, title, body } - days with nothing pending are skipped
+ */
+export const getDigestNotifications = (tasks, preferences = currentPreferences, now = new Date()) => {
+  if (!preferences.remindersEnabled || !preferences.digest.enabled) return [];
+
+  const pending = tasks.filter(
+    (task) => task.dueDate && !task.completed && !task.skipped && !isMuted(task, preferences)
+  );
+  const digests = [];
+
+  for (let i = 0; i <= DIGEST_DAYS_AHEAD; i++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + i);
+    // A digest time inside quiet hours waits until they end, like reminders
+    const time = deferPastQuietHours(timeOfDayToDate(preferences.digest.time, day), preferences.quietHours);
+    if (time <= now) continue;
+
+    const dayKey = getDayKey(time);
+    const dueToday = pending.filter((task) => getTaskDayKey(task) === dayKey);
+    const overdue = pending.filter((task) => getTaskDayKey(task) < dayKey);
+    if (dueToday.length === 0 && overdue.length === 0) continue;
+
+    const listed = [...dueToday, ...overdue].slice(0, DIGEST_MAX_TITLES).map((task) => task.title);
+    const rest = dueToday.length + overdue.length - listed.length;
+
+    digests.push({
+      time,
+      title: `☀️ Tu día: ${formatDigestSummary(dueToday, overdue)}`,
+      body: rest > 0 ? `${listed.join(', ')} y ${rest} más` : listed.join(', '),
+    });
+  }
+
+  return digests;
+};
+
+export default {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  getNotificationPreferences,
+  loadNotificationPreferences,
+  saveNotificationPreferences,
+  subscribeToNotificationPreferences,
+  isInQuietHours,
+  deferPastQuietHours,
+  getPolicyReminderTimes,
+  schedulePolicyReminders,
+  getDigestNotifications,
+};
@@ -0,0 +1,207 @@
+/**
+ * Notification Reconciler
+ * Task List App 2026
+ *
+ * Notification IDs are stored on tasks, but the OS can drop scheduled
+ * notifications (reboot, reinstall) and a sync or restore can replace
+ * tasks wholesale. The reconciler compares what is actually scheduled
+ * with the reminders tasks need (under the notification policy, including
+ * the morning digests), schedules the missing ones, cancels orphans and
+ * keeps within the platform limit of pending notifications.
+ */
+
+import { Platform } from 'react-native';
+import {
+  getScheduledNotifications,
+  getReminderContent,
+  scheduleTaskNotification,
+  scheduleDigestNotification,
+  cancelNotification,
+  TASK_REMINDER_TYPE,
+  TASK_REMINDER_CATEGORY,
+  DIGEST_NOTIFICATION_TYPE,
+} from './notifications';
+import { isSoundEnabled } from './feedback';
+import {
+  getNotificationPreferences,
+  getPolicyReminderTimes,
+  getDigestNotifications,
+} from './notificationPolicy';
+import { getBlockersByTask } from './taskDependencies';
+
+/**
+ * Pending local notifications the OS keeps per app
+ * (iOS only keeps the 64 soonest; Android allows around 500 alarms)
+ */
+export const MAX_PENDING_NOTIFICATIONS = Platform.select({ ios: 64, android: 500, default: 64 });
+
+// A scheduled reminder counts as on time within this margin
+const TIME_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Check whether a task should have reminders scheduled
+ */
+const needsReminders = (task) =>
+  task.enableReminder && task.dueDate && !task.completed && !task.skipped;
+
+/**
+ * Fire time of a scheduled notification trigger, or null when unknown
+ */
+const getTriggerTime = (trigger) => {
+  const value = trigger?.value ?? trigger?.timestamp ?? trigger?.date;
+  if (value == null) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Check whether a scheduled notification still has the sound setting it
+ * would get now (sound effects can be turned off after scheduling)
+ */
+const hasCurrentSound = (notification) =>
+  Boolean(notification.content?.sound) === isSoundEnabled();
+
+/**
+ * Check whether a scheduled notification is the reminder a task wants
+ * (including whether it offers Complete, which blocked tasks don't)
+ */
+const isSameReminder = (notification, task, { offset, time, flexible }, blocked) => {
+  const { content } = notification;
+  if (content?.data?.taskId !== task.id || content?.data?.reminderOffset !== offset) {
+    return false;
+  }
+  const wanted = getReminderContent(task, offset, blocked);
+  if (content.body !== wanted.body || !hasCurrentSound(notification)) {
+    return false;
+  }
+  if ((content.categoryIdentifier || TASK_REMINDER_CATEGORY) !== wanted.categoryIdentifier) {
+    return false;
+  }
+  if (flexible) return true;
+
+  const triggerTime = getTriggerTime(notification.trigger);
+  return triggerTime === null || Math.abs(triggerTime - time.getTime()) <= TIME_TOLERANCE_MS;
+};
+
+/**
+ * Check whether a scheduled notification is the digest wanted at a time
+ */
+const isSameDigest = (notification, digest) => {
+  const { content } = notification;
+  if (content?.title !== digest.title || content?.body !== digest.body) return false;
+  if (!hasCurrentSound(notification)) return false;
+
+  const triggerTime = getTriggerTime(notification.trigger);
+  return triggerTime === null || Math.abs(triggerTime - digest.time.getTime()) <= TIME_TOLERANCE_MS;
+};
+
+/**
+ * Check whether two notification ID maps are the same
+ */
+const sameIds = (a = {}, b = {}) => {
+  const keysA = Object.keys(a);
+  return keysA.length === Object.keys(b).length && keysA.every((key) => a[key] === b[key]);
+};
+
+/**
+ * Reconcile scheduled notifications with task reminders
+ * @param {Array} tasks - Current tasks
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum pending notifications
+ * @param {Object} [options.preferences] - Notification preferences
+ * @returns {Promise<Object>} { tasks, scheduled, cancelled } - tasks whose
+ *   notificationIds changed are new objects, the rest are returned as is
+ */
+export const reconcileNotifications = async (tasks, {
+  limit = MAX_PENDING_NOTIFICATIONS,
+  preferences = getNotificationPreferences(),
+} = {}) => {
+  const scheduledNotifications = await getScheduledNotifications();
+  const scheduledById = new Map(scheduledNotifications.map((n) => [n.identifier, n]));
+  const now = new Date();
+
+  const keep = new Set();
+  const nextIds = new Map(tasks.map((task) => [task.id, {}]));
+
+  // Snoozed reminders of pending tasks stay as they are
+  for (const task of tasks) {
+    const snoozeId = task.notificationIds?.snooze;
+    if (snoozeId && !task.completed && scheduledById.has(snoozeId)) {
+      keep.add(snoozeId);
+      nextIds.get(task.id).snooze = snoozeId;
+    }
+  }
+
+  // Morning digests
+  let scheduled = 0;
+  const scheduledDigests = scheduledNotifications.filter(
+    (n) => n.content?.data?.type === DIGEST_NOTIFICATION_TYPE
+  );
+  for (const digest of getDigestNotifications(tasks, preferences, now)) {
+    const existing = scheduledDigests.find((n) => !keep.has(n.identifier) && isSameDigest(n, digest));
+    const notificationId = existing
+      ? existing.identifier
+      : await scheduleDigestNotification(digest.time, digest);
+
+    if (notificationId) {
+      keep.add(notificationId);
+      if (!existing) scheduled++;
+    }
+  }
+
+  // Wanted reminders, nearest first, within the platform limit
+  const blockers = getBlockersByTask(tasks);
+  const wanted = tasks
+    .filter(needsReminders)
+    .flatMap((task) =>
+      getPolicyReminderTimes(task, preferences, now).map((reminder) => ({ task, ...reminder }))
+    )
+    .sort((a, b) => a.time - b.time)
+    .slice(0, Math.max(0, limit - keep.size));
+
+  for (const reminder of wanted) {
+    const { task, offset, time, flexible } = reminder;
+    const blocked = Boolean(blockers[task.id]);
+    const existingId = task.notificationIds?.[offset];
+    const existing = existingId && scheduledById.get(existingId);
+
+    let notificationId = null;
+    if (existing && isSameReminder(existing, task, reminder, blocked)) {
+      notificationId = existingId;
+    } else if (!flexible) {
+      // The catch-up reminder of a task due today is not recreated: it may
+      // already have fired, and re-adding it would remind again every launch
+      notificationId = await scheduleTaskNotification(task, time, getReminderContent(task, offset, blocked));
+      if (notificationId) scheduled++;
+    }
+
+    if (notificationId) {
+      keep.add(notificationId);
+      nextIds.get(task.id)[offset] = notificationId;
+    }
+  }
+
+  // Cancel task reminders and digests nobody wants anymore (deleted or
+  // completed tasks, stale IDs, muted reminders, reminders beyond the limit)
+  let cancelled = 0;
+  for (const notification of scheduledNotifications) {
+    if (keep.has(notification.identifier)) continue;
+    const type = notification.content?.data?.type;
+    if (type !== TASK_REMINDER_TYPE && type !== DIGEST_NOTIFICATION_TYPE) continue;
+
+    await cancelNotification(notification.identifier);
+    cancelled++;
+  }
+
+  const reconciledTasks = tasks.map((task) => {
+    const ids = nextIds.get(task.id);
+    return sameIds(task.notificationIds, ids) ? task : { ...task, notificationIds: ids };
+  });
+
+  return { tasks: reconciledTasks, scheduled, cancelled };
+};
+
+export default {
+  MAX_PENDING_NOTIFICATIONS,
+  reconcileNotifications,
+};
@@ -9,12 +9,74 @@
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import { Platform } from 'react-native';
+import { resolveTaskDate, getTaskDueDateTime } from './timezone';
+import { isSoundEnabled } from './feedback';
+
+/**
+ * Time used for reminders of tasks that have a due date but no due time
+ */
+export const DEFAULT_DUE_TIME = '09:00';
+
+/**
+ * Reminder offsets offered in the task form, in minutes before the due time
+ */
+export const REMINDER_OFFSET_OPTIONS = [
+  { value: 0, label: 'A la hora límite' },
+  { value: 15, label: '15 min antes' },
+  { value: 60, label: '1 hora antes' },
+  { value: 1440, label: '1 día antes' },
+  { value: 10080, label: '1 semana antes' },
+];
+
+/**
+ * Reminders of tasks created before reminder offsets existed
+ */
+export const DEFAULT_REMINDER_OFFSETS = [0];
+
+/**
+ * Notification category of task reminders (carries the reminder actions)
+ */
+export const TASK_REMINDER_CATEGORY = 'task-reminder';
+
+/**
+ * Category of reminders of blocked tasks: same actions without Complete
+ */
+export const TASK_REMINDER_BLOCKED_CATEGORY = 'task-reminder-blocked';
+
+/**
+ * `data.type` of the notifications this module schedules
+ */
+export const TASK_REMINDER_TYPE = 'task-reminder';
+export const DIGEST_NOTIFICATION_TYPE = 'daily-digest';
+
+/**
+ * Actions shown on task reminder notifications
+ */
+export const REMINDER_ACTIONS = {
+  COMPLETE: 'complete',
+  SNOOZE_10_MIN: 'snooze-10m',
+  SNOOZE_1_HOUR: 'snooze-1h',
+  TOMORROW: 'tomorrow',
+};
+
+/**
+ * Minutes each snooze action postpones the reminder
+ */
+export const SNOOZE_MINUTES = {
+  [REMINDER_ACTIONS.SNOOZE_10_MIN]: 10,
+  [REMINDER_ACTIONS.SNOOZE_1_HOUR]: 60,
+};
+
+/**
+ * Sound of scheduled notifications (silent when sound effects are off)
+ */
+const getNotificationSound = () => (isSoundEnabled() ? 'default' : false);
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
   handleNotification: async () => ({
     shouldShowAlert: true,
-    shouldPlaySound: true,
+    shouldPlaySound: isSoundEnabled(),
     shouldSetBadge: true,
   }),
 });
@@ -62,16 +124,46 @@ export async function requestNotificationPermissions() {
     });
   }
 
+  await registerNotificationCategories();
+
   return true;
 }
 
+/**
+ * Register the reminder actions (Complete, Snooze, Tomorrow).
+ * Actions run without opening the app; responses are handled by
+ * useReminderActions.
+ */
+export async function registerNotificationCategories() {
+  if (Platform.OS === 'web') return;
+
+  const background = { opensAppToForeground: false };
+
+  const postponeActions = [
+    { identifier: REMINDER_ACTIONS.SNOOZE_10_MIN, buttonTitle: 'Posponer 10 min', options: background },
+    { identifier: REMINDER_ACTIONS.SNOOZE_1_HOUR, buttonTitle: 'Posponer 1 hora', options: background },
+    { identifier: REMINDER_ACTIONS.TOMORROW, buttonTitle: 'Mañana', options: background },
+  ];
+
+  try {
+    await Notifications.setNotificationCategoryAsync(TASK_REMINDER_CATEGORY, [
+      { identifier: REMINDER_ACTIONS.COMPLETE, buttonTitle: 'Completar', options: background },
+      ...postponeActions,
+    ]);
+    await Notifications.setNotificationCategoryAsync(TASK_REMINDER_BLOCKED_CATEGORY, postponeActions);
+  } catch (error) {
+    console.error('Error registering notification categories:', error);
+  }
+}
+
 /**
  * Schedule a notification for a task
  * @param {Object} task - The task object
  * @param {Date} reminderTime - When to send the notification
+ * @param {Object} [options] - { body, data, categoryIdentifier } overrides for the notification content
  * @returns {Promise<string|null>} - Notification identifier or null
  */
-export async function scheduleTaskNotification(task, reminderTime) {
+export async function scheduleTaskNotification(task, reminderTime, options = {}) {
   if (!task || !reminderTime) return null;
 
   // Don't schedule if time is in the past
@@ -84,14 +176,15 @@ export async function scheduleTaskNotification(task, reminderTime) {
     const notificationId = await Notifications.scheduleNotificationAsync({
       content: {
         title: '⏰ Recordatorio de tarea',
-        body: task.title,
+        body: options.body || task.title,
         data: { 
           taskId: task.id,
-          type: 'task-reminder',
+          type: TASK_REMINDER_TYPE,
+          ...options.data,
         },
-        sound: 'default',
+        sound: getNotificationSound(),
         priority: Notifications.AndroidNotificationPriority.HIGH,
-        categoryIdentifier: 'task-reminder',
+        categoryIdentifier: options.categoryIdentifier || TASK_REMINDER_CATEGORY,
       },
       trigger: {
         date: reminderTime,
@@ -109,18 +202,18 @@ export async function scheduleTaskNotification(task, reminderTime) {
 
 /**
  * Schedule a notification for task due date
- * Sends notification at 9:00 AM on the due date
+ * Sends notification at the due time, or 9:00 AM on the due date
  * @param {Object} task - The task object with dueDate
  * @returns {Promise<string|null>} - Notification identifier or null
  */
 export async function scheduleTaskDueDateNotification(task) {
   if (!task || !task.dueDate) return null;
 
-  const dueDate = new Date(task.dueDate);
+  // Floating dates keep their wall-clock day in the device timezone
+  const dueDate = resolveTaskDate(task);
   
-  // Set reminder to 9:00 AM on the due date
-  const reminderTime = new Date(dueDate);
-  reminderTime.setHours(9, 0, 0, 0);
+  // Set reminder to the due time (9:00 AM when the task has none)
+  const reminderTime = getTaskDueDateTime(task, DEFAULT_DUE_TIME);
 
   // If it's already past 9 AM on the due date, schedule for now + 1 minute
   const now = new Date();
@@ -137,6 +230,152 @@ export async function scheduleTaskDueDateNotification(task) {
   return scheduleTaskNotification(task, reminderTime);
 }
 
+/**
+ * Format a reminder offset for display
+ * @param {number} minutes - Minutes before the due time
+ * @returns {string} e.g. "15 min", "2 horas", "1 día"
+ */
+export function formatReminderOffset(minutes) {
+  if (minutes % 10080 === 0) {
+    const weeks = minutes / 10080;
+    return weeks === 1 ? '1 semana' : `${weeks} semanas`;
+  }
+  if (minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return days === 1 ? '1 día' : `${days} días`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return hours === 1 ? '1 hora' : `${hours} horas`;
+  }
+  return `${minutes} min`;
+}
+
+/**
+ * When each reminder of a task should fire.
+ * Reminders whose time has already passed are left out, except the
+ * at-due reminder of a task without due time, which (as before offsets
+ * existed) fires an hour from now when the task is due today.
+ * @param {Object} task - Task with dueDate, optional dueTime and reminderOffsets
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} { offset, time, flexible } - `flexible` marks that
+ *   catch-up reminder, whose exact time does not matter
+ */
+export function getTaskReminderTimes(task, now = new Date()) {
+  if (!task || !task.dueDate) return [];
+
+  const dueTime = getTaskDueDateTime(task, DEFAULT_DUE_TIME);
+  const offsets = task.reminderOffsets || DEFAULT_REMINDER_OFFSETS;
+  const reminders = [];
+
+  for (const offset of offsets) {
+    const time = new Date(dueTime.getTime() - offset * 60 * 1000);
+
+    if (time > now) {
+      reminders.push({ offset, time, flexible: false });
+      continue;
+    }
+
+    const dueToday = resolveTaskDate(task).toDateString() === now.toDateString();
+    if (offset === 0 && !task.dueTime && dueToday) {
+      reminders.push({ offset, time: new Date(now.getTime() + 60 * 60 * 1000), flexible: true });
+    }
+  }
+
+  return reminders;
+}
+
+/**
+ * Notification content of a task reminder
+ * @param {Object} task - Task
+ * @param {number} offset - Minutes before the due time
+ * @param {boolean} [blocked] - Whether the task still waits on others (no Complete action)
+ * @returns {Object} { body, data, categoryIdentifier } options for scheduleTaskNotification
+ */
+export function getReminderContent(task, offset, blocked = false) {
+  return {
+    body: offset > 0 ? `${task.title} · Vence en ${formatReminderOffset(offset)}` : task.title,
+    data: { reminderOffset: offset },
+    categoryIdentifier: blocked ? TASK_REMINDER_BLOCKED_CATEGORY : TASK_REMINDER_CATEGORY,
+  };
+}
+
+/**
+ * Schedule one notification per reminder offset of a task
+ * @param {Object} task - Task with dueDate, optional dueTime and reminderOffsets
+ * @returns {Promise<Object>} Notification IDs by offset, e.g. { 60: 'id', 0: 'id' }
+ */
+export async function scheduleTaskReminders(task) {
+  const notificationIds = {};
+
+  for (const { offset, time } of getTaskReminderTimes(task)) {
+    const notificationId = await scheduleTaskNotification(task, time, getReminderContent(task, offset));
+    if (notificationId) {
+      notificationIds[offset] = notificationId;
+    }
+  }
+
+  return notificationIds;
+}
+
+/**
+ * Schedule a daily digest notification
+ * @param {Date} time - When to send it
+ * @param {Object} content - { title, body }
+ * @returns {Promise<string|null>} - Notification identifier or null
+ */
+export async function scheduleDigestNotification(time, { title, body }) {
+  if (time <= new Date()) return null;
+
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      content: {
+        title,
+        body,
+        data: { type: DIGEST_NOTIFICATION_TYPE },
+        sound: getNotificationSound(),
+      },
+      trigger: {
+        date: time,
+        channelId: 'task-reminders',
+      },
+    });
+  } catch (error) {
+    console.error('Error scheduling digest notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Remind about a task again after a snooze
+ * @param {Object} task - Task
+ * @param {number} minutes - Minutes from now
+ * @param {boolean} [blocked] - Whether the task still waits on others (no Complete action)
+ * @returns {Promise<string|null>} - Notification identifier or null
+ */
+export async function scheduleSnoozedReminder(task, minutes, blocked = false) {
+  const reminderTime = new Date(Date.now() + minutes * 60 * 1000);
+  return scheduleTaskNotification(task, reminderTime, {
+    data: { snoozed: true },
+    categoryIdentifier: blocked ? TASK_REMINDER_BLOCKED_CATEGORY : TASK_REMINDER_CATEGORY,
+  });
+}
+
+/**
+ * Cancel every scheduled reminder of a task
+ * @param {Object} task - Task with notificationIds (and/or a legacy notificationId)
+ */
+export async function cancelTaskReminders(task) {
+  if (!task) return;
+
+  const ids = Object.values(task.notificationIds || {});
+  if (task.notificationId) ids.push(task.notificationId);
+
+  for (const id of ids) {
+    await cancelNotification(id);
+  }
+}
+
 /**
  * Cancel a scheduled notification
  * @param {string} notificationId - The notification identifier
@@ -177,6 +416,18 @@ export async function getScheduledNotifications() {
   }
 }
 
+/**
+ * Set the app icon badge number (0 clears it)
+ * @param {number} count - Badge number
+ */
+export async function setBadgeCount(count) {
+  try {
+    await Notifications.setBadgeCountAsync(count);
+  } catch (error) {
+    console.error('Error setting badge count:', error);
+  }
+}
+
 /**
  * Send an immediate notification (for testing)
  * @param {string} title - Notification title
@@ -188,7 +439,7 @@ export async function sendImmediateNotification(title, body) {
       content: {
         title,
         body,
-        sound: 'default',
+        sound: getNotificationSound(),
       },
       trigger: null, // null means immediate
     });
@@ -201,8 +452,17 @@ export default {
   requestNotificationPermissions,
   scheduleTaskNotification,
   scheduleTaskDueDateNotification,
+  registerNotificationCategories,
+  getTaskReminderTimes,
+  getReminderContent,
+  scheduleTaskReminders,
+  scheduleSnoozedReminder,
+  scheduleDigestNotification,
+  cancelTaskReminders,
+  formatReminderOffset,
   cancelNotification,
   cancelAllNotifications,
   getScheduledNotifications,
+  setBadgeCount,
   sendImmediateNotification,
 };
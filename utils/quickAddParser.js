@@ -0,0 +1,493 @@
+/**
+ * Quick Add Parser - Natural-language task input
+ * Task List App 2026
+ *
+ * Picks dates, times, priority markers, categories, tags and recurrence
+ * phrases out of a task title typed in Spanish or English, entirely on the
+ * device (no network or AI service needed):
+ *   "Llamar a Ana mañana a las 5pm !! #trabajo #cliente-acme"
+ *   "Gym every monday and thursday at 7:30"
+ *   "Pagar alquiler cada mes el 1 p1"
+ *
+ * Matching works on an accent-folded, lowercased copy of the text with the
+ * same length, so token positions map straight back to the original input.
+ */
+
+import { RECURRENCE_PATTERNS } from './recurringHelpers';
+import { getDefaultCategories, normalizeTag } from './categories';
+
+export const QUICK_ADD_TOKEN_TYPES = {
+  DATE: 'date',
+  TIME: 'time',
+  PRIORITY: 'priority',
+  CATEGORY: 'category',
+  TAG: 'tag',
+  RECURRENCE: 'recurrence',
+};
+
+const { DATE, TIME, PRIORITY, CATEGORY, TAG, RECURRENCE } = QUICK_ADD_TOKEN_TYPES;
+
+// Weekday names (1 = Monday, 7 = Sunday, as in recurring configs)
+const WEEKDAYS = {
+  lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7,
+  monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 7,
+};
+
+// Month names (1-12)
+const MONTHS = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7,
+  agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12,
+  jan: 1, feb: 2, mar: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+// Priority markers
+const PRIORITY_MARKERS = { p1: 'high', p2: 'medium', p3: 'low' };
+
+/**
+ * Lowercase and strip accents, keeping one character per character
+ * so that indices match the original text
+ */
+const fold = (text) =>
+  Array.from(text, (char) => {
+    const folded = char.normalize('NFD')[0].toLowerCase();
+    return folded.length === char.length ? folded : char;
+  }).join('');
+
+// Hashtags: "#trabajo"; any other hashtag is a tag
+const HASHTAG = /#([a-z0-9_-]+)/;
+
+/**
+ * Category hashtags: ids ("#work") and names ("#trabajo", "#cliente-acme")
+ */
+const getCategoryAliases = (categories) =>
+  categories.reduce((aliases, category) => ({
+    ...aliases,
+    [category.id]: category.id,
+    [fold(category.name).trim().replace(/\s+/g, '-')]: category.id,
+  }), {});
+
+const DEFAULT_CATEGORY_ALIASES = getCategoryAliases(getDefaultCategories());
+
+const WEEKDAY = '(lunes|martes|miercoles|jueves|viernes|sabado|domingo|monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const WEEKDAYS_PLURAL = '(?:lunes|martes|miercoles|jueves|viernes|sabados?|domingos?|mondays?|tuesdays?|wednesdays?|thursdays?|fridays?|saturdays?|sundays?)';
+const MONTH = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})`;
+const ORDINAL = '(?:st|nd|rd|th)?';
+const UNIT = '(dias?|semanas?|mes|meses|days?|weeks?|months?)';
+
+/**
+ * Midnight of a day offset from a date
+ */
+const addDays = (date, days) => {
+  const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Weekday of a date (1 = Monday, 7 = Sunday)
+ */
+const getWeekday = (date) => date.getDay() || 7;
+
+/**
+ * Next date (after today) falling on a weekday
+ */
+const nextWeekday = (now, weekday) => {
+  const diff = (weekday - getWeekday(now) + 7) % 7;
+  return addDays(now, diff === 0 ? 7 : diff);
+};
+
+/**
+ * Date for a day and month, this year or next if it already passed
+ */
+const resolveDayMonth = (now, day, month, year) => {
+  const today = addDays(now, 0);
+  const date = new Date(year || now.getFullYear(), month - 1, day);
+  if (date.getMonth() !== month - 1) return null;
+  if (!year && date < today) date.setFullYear(date.getFullYear() + 1);
+  return date;
+};
+
+/**
+ * Next date (today or later) on a day of the month
+ */
+const resolveDayOfMonth = (now, day) => {
+  if (day < 1 || day > 31) return null;
+  const today = addDays(now, 0);
+
+  for (let i = 0; i < 12; i++) {
+    const date = new Date(now.getFullYear(), now.getMonth() + i, day);
+    if (date.getDate() === day && date >= today) return date;
+  }
+  return null;
+};
+
+/**
+ * Add an amount of days, weeks or months to today
+ */
+const addUnits = (now, amount, unit) => {
+  if (/^(dia|day)/.test(unit)) return addDays(now, amount);
+  if (/^(semana|week)/.test(unit)) return addDays(now, amount * 7);
+  const date = addDays(now, 0);
+  date.setMonth(date.getMonth() + amount);
+  return date;
+};
+
+/**
+ * Recurrence pattern of a unit word
+ */
+const unitToPattern = (unit) => {
+  if (/^(dia|day)/.test(unit)) return RECURRENCE_PATTERNS.DAILY;
+  if (/^(semana|week)/.test(unit)) return RECURRENCE_PATTERNS.WEEKLY;
+  return RECURRENCE_PATTERNS.MONTHLY;
+};
+
+/**
+ * Weekdays named in a phrase like "lunes y miércoles" or "monday, friday"
+ */
+const parseWeekdayList = (phrase) => {
+  const days = phrase
+    .split(/\s*(?:,|\by\b|\be\b|\band\b|&)\s*/)
+    .map((name) => WEEKDAYS[name.trim().replace(/s$/, '')] || WEEKDAYS[name.trim()])
+    .filter(Boolean);
+  return days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : null;
+};
+
+/**
+ * "HH:mm" for an hour and minute, or null when out of range
+ */
+const formatTime = (hour, minute) => {
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Time of day from an hour, minutes and a meridiem or part of the day
+ * Hours 1-6 without either are read as afternoon ("a las 5" → 17:00),
+ * since tasks are rarely due before dawn.
+ */
+const resolveTime = (hourText, minuteText, meridiem, partOfDay) => {
+  let hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  const pm = /^p/.test(meridiem || '') || /tarde|noche|afternoon|evening/.test(partOfDay || '');
+  const am = /^a/.test(meridiem || '') || /manana|madrugada|morning/.test(partOfDay || '');
+
+  if (meridiem && (hour < 1 || hour > 12)) return null;
+  if (pm && hour < 12) hour += 12;
+  else if (am && hour === 12) hour = 0;
+  else if (!pm && !am && hour >= 1 && hour <= 6) hour += 12;
+
+  return formatTime(hour, minute);
+};
+
+/**
+ * Recognition rules, in the order they claim text. Each pattern runs on
+ * the folded text; `resolve` returns the token value or null to skip.
+ */
+const RULES = [
+  // Recurrence
+  {
+    type: RECURRENCE,
+    pattern: new RegExp(`(?:cada|todos los|todas las|los|every|each|on)\\s+(${WEEKDAYS_PLURAL}(?:\\s*(?:,|y|e|and|&)\\s*${WEEKDAYS_PLURAL})*)`),
+    resolve: (match) => {
+      // "los lunes" / "every monday" repeat; a single "on monday" is a date
+      if (/^on\s/.test(match[0]) && !/s$/.test(match[1])) return null;
+      const daysOfWeek = parseWeekdayList(match[1]);
+      return daysOfWeek && { pattern: RECURRENCE_PATTERNS.WEEKLY, frequency: 1, daysOfWeek };
+    },
+  },
+  {
+    type: RECURRENCE,
+    pattern: /(?:cada dia laborable|todos los dias laborables|entre semana|(?:every|each) weekday|on weekdays)/,
+    resolve: () => ({ pattern: RECURRENCE_PATTERNS.WEEKLY, frequency: 1, daysOfWeek: [1, 2, 3, 4, 5] }),
+  },
+  {
+    type: RECURRENCE,
+    pattern: new RegExp(`(?:cada|every|each)\\s+(?:(\\d{1,3})\\s+)?${UNIT}`),
+    resolve: (match) => {
+      const frequency = Number(match[1] || 1);
+      return frequency > 0 ? { pattern: unitToPattern(match[2]), frequency } : null;
+    },
+  },
+  {
+    type: RECURRENCE,
+    pattern: /(?:todos los|todas las)\s+(dias|semanas|meses)|a diario|diariamente/,
+    resolve: (match) => ({ pattern: unitToPattern(match[1] || 'dia'), frequency: 1 }),
+  },
+
+  // Times
+  {
+    type: TIME,
+    pattern: /(?:a las?|at|@)\s*(\d{1,2})(?:[:.](\d{2}))?(?:\s*(am|pm|a\.m\.|p\.m\.))?(?:\s*hs?\b)?(?:\s+(?:de la|in the)\s+(manana|tarde|noche|madrugada|morning|afternoon|evening))?/,
+    resolve: (match) => resolveTime(match[1], match[2], match[3], match[4]),
+  },
+  {
+    type: TIME,
+    pattern: /(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/,
+    resolve: (match) => resolveTime(match[1], match[2], match[3]),
+  },
+  {
+    type: TIME,
+    pattern: /(\d{1,2}):(\d{2})/,
+    resolve: (match) => formatTime(Number(match[1]), Number(match[2])),
+  },
+  {
+    type: TIME,
+    pattern: /(?:al |a )?mediodia|(?:at )?noon/,
+    resolve: () => '12:00',
+  },
+
+  // Dates
+  {
+    type: DATE,
+    pattern: /pasado manana|(?:the )?day after tomorrow/,
+    resolve: (match, { now }) => addDays(now, 2),
+  },
+  {
+    type: DATE,
+    pattern: /manana|tomorrow/,
+    // "por la mañana" is a time of day, not tomorrow
+    resolve: (match, { before, now }) => (/\blas?\s+$/.test(before) ? null : addDays(now, 1)),
+  },
+  {
+    type: DATE,
+    pattern: /hoy|today|tonight|esta noche/,
+    resolve: (match, { now }) => addDays(now, 0),
+  },
+  {
+    type: DATE,
+    pattern: /(?:la )?(?:proxima semana|semana que viene)|next week/,
+    resolve: (match, { now }) => nextWeekday(now, 1),
+  },
+  {
+    type: DATE,
+    pattern: /(?:el )?(?:proximo mes|mes que viene)|next month/,
+    resolve: (match, { now }) => new Date(now.getFullYear(), now.getMonth() + 1, 1),
+  },
+  {
+    type: DATE,
+    pattern: /(?:este |el )?(?:fin de semana|finde)|this weekend/,
+    resolve: (match, { now }) => (getWeekday(now) === 6 ? addDays(now, 0) : nextWeekday(now, 6)),
+  },
+  {
+    type: DATE,
+    // Only after "el", "on", "next"...: a bare weekday is usually part of
+    // the title ("Watch Friday Night Lights")
+    pattern: new RegExp(`(?:(?:el|del|este|esta|on|this|next)\\s+(?:(?:proximo|proxima)\\s+)?|(?:proximo|proxima)\\s+)${WEEKDAY}(?:\\s+(?:que viene|proximo))?`),
+    resolve: (match, { now }) => nextWeekday(now, WEEKDAYS[match[1]]),
+  },
+  {
+    type: DATE,
+    pattern: new RegExp(`(?:el\\s+)?(\\d{1,2})\\s+de\\s+${MONTH}(?:\\s+(?:de\\s+)?(\\d{4}))?`),
+    resolve: (match, { now }) => resolveDayMonth(now, Number(match[1]), MONTHS[match[2]], Number(match[3]) || null),
+  },
+  {
+    type: DATE,
+    pattern: new RegExp(`(?:on\\s+)?${MONTH}\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?`),
+    resolve: (match, { now }) => resolveDayMonth(now, Number(match[2]), MONTHS[match[1]], Number(match[3]) || null),
+  },
+  {
+    type: DATE,
+    pattern: new RegExp(`(?:on\\s+)?(?:the\\s+)?(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?`),
+    resolve: (match, { now }) => resolveDayMonth(now, Number(match[1]), MONTHS[match[2]], Number(match[3]) || null),
+  },
+  {
+    // Day first, as written in Spanish: 15/3, 15/03/2027
+    type: DATE,
+    pattern: /(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?/,
+    resolve: (match, { now }) => {
+      const year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : null;
+      return resolveDayMonth(now, Number(match[1]), Number(match[2]), year);
+    },
+  },
+  {
+    type: DATE,
+    pattern: /(?:el(?: dia)?|on the|the)\s+(\d{1,2})(?:st|nd|rd|th)?|(\d{1,2})(?:st|nd|rd|th)/,
+    resolve: (match, { now }) => resolveDayOfMonth(now, Number(match[1] || match[2])),
+  },
+  {
+    type: DATE,
+    pattern: new RegExp(`(?:en|in)\\s+(\\d{1,3})\\s+${UNIT}`),
+    resolve: (match, { now }) => addUnits(now, Number(match[1]), match[2]),
+  },
+
+  // Priority and category
+  {
+    type: PRIORITY,
+    pattern: /!{2,}|p[123]/,
+    resolve: (match) => PRIORITY_MARKERS[match[0]] || 'high',
+  },
+  {
+    type: CATEGORY,
+    pattern: HASHTAG,
+    resolve: (match, { categoryAliases }) => categoryAliases[match[1]] || null,
+  },
+];
+
+// Characters a token must be separated by
+const BOUNDARY_BEFORE = /[\s,.;:(¡¿]/;
+const BOUNDARY_AFTER = /[\s,.;:)!?]/;
+
+/**
+ * Find all occurrences of a rule's pattern that stand as separate words
+ */
+const findMatches = (folded, pattern) => {
+  const regex = new RegExp(pattern.source, 'g');
+  const matches = [];
+  let match;
+
+  while ((match = regex.exec(folded)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    const start = match.index;
+    const end = start + match[0].length;
+    const separatedBefore = start === 0 || BOUNDARY_BEFORE.test(folded[start - 1]);
+    const separatedAfter = end === folded.length || BOUNDARY_AFTER.test(folded[end]);
+    if (separatedBefore && separatedAfter) {
+      matches.push(match);
+    } else {
+      // Retry from the next character: a shorter match may still fit
+      regex.lastIndex = start + 1;
+    }
+  }
+  return matches;
+};
+
+/**
+ * Parse a quick-add task title
+ * @param {string} text - Text typed by the user
+ * @param {Date} [now] - Reference time
+ * @param {Object} [options]
+ * @param {Array} [options.categories] - User categories (defaults to the built-in ones)
+ * @param {Array<string>} [options.dismissed] - Token texts the user dismissed;
+ *   they stay in the title as plain text
+ * @returns {Object} { title, dueDate, dueTime, priority, category, tags, recurrence, tokens }
+ *   - title: text without the recognized tokens
+ *   - dueDate: Date (midnight) or null; a time alone means today, or
+ *     tomorrow when it already passed
+ *   - dueTime: "HH:mm" or null
+ *   - priority: 'high' | 'medium' | 'low' | null
+ *   - category: category id or null (the first category hashtag)
+ *   - tags: other hashtags, normalized
+ *   - recurrence: partial recurring config ({ pattern, frequency,
+ *     daysOfWeek, dayOfMonth }) or null
+ *   - tokens: [{ type, start, end, text, value }] sorted by position
+ */
+export const parseQuickAdd = (text = '', now = new Date(), options = {}) => {
+  const categoryAliases = options.categories
+    ? getCategoryAliases(options.categories)
+    : DEFAULT_CATEGORY_ALIASES;
+  const folded = fold(text);
+  const tokens = [];
+  const values = {};
+
+  const dismissed = new Set((options.dismissed || []).map(fold));
+
+  const overlaps = (start, end) => tokens.some((token) => start < token.end && end > token.start);
+  const isDismissed = (start, end) => dismissed.has(folded.slice(start, end));
+
+  for (const rule of RULES) {
+    // Only the first date, time, priority... counts; later ones stay in the title
+    if (values[rule.type] !== undefined) continue;
+
+    for (const match of findMatches(folded, rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(start, end) || isDismissed(start, end)) continue;
+
+      const value = rule.resolve(match, { now, before: folded.slice(0, start), categoryAliases });
+      if (value == null) continue;
+
+      tokens.push({ type: rule.type, start, end, text: text.slice(start, end), value });
+      values[rule.type] = value;
+      break;
+    }
+  }
+
+  // Every other hashtag is a tag
+  const tags = [];
+  for (const match of findMatches(folded, HASHTAG)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const tag = normalizeTag(text.slice(start, end));
+    if (overlaps(start, end) || isDismissed(start, end)) continue;
+
+    tokens.push({ type: TAG, start, end, text: text.slice(start, end), value: tag });
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  tokens.sort((a, b) => a.start - b.start);
+
+  let dueDate = values[DATE] || null;
+  const dueTime = values[TIME] || null;
+
+  // A time without a day means the next time it comes around
+  if (dueTime && !dueDate) {
+    const [hour, minute] = dueTime.split(':').map(Number);
+    const todayAt = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+    dueDate = addDays(now, todayAt > now ? 0 : 1);
+  }
+
+  // Weekly and monthly recurrences without days repeat on the start day
+  let recurrence = values[RECURRENCE] || null;
+  if (recurrence) {
+    const start = dueDate || addDays(now, 0);
+    recurrence = {
+      ...recurrence,
+      daysOfWeek: recurrence.pattern === RECURRENCE_PATTERNS.WEEKLY
+        ? recurrence.daysOfWeek || [getWeekday(start)]
+        : [],
+      dayOfMonth: recurrence.pattern === RECURRENCE_PATTERNS.MONTHLY ? start.getDate() : null,
+    };
+  }
+
+  const title = tokens
+    .reduceRight((result, token) => result.slice(0, token.start) + ' ' + result.slice(token.end), text)
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/^[\s,.;:]+|[\s,;:]+$/g, '');
+
+  return {
+    title,
+    dueDate,
+    dueTime,
+    priority: values[PRIORITY] || null,
+    category: values[CATEGORY] || null,
+    tags,
+    recurrence,
+    tokens,
+  };
+};
+
+/**
+ * Split text into plain and recognized segments, for inline highlighting
+ * @param {string} text - Text typed by the user
+ * @param {Array} tokens - Tokens returned by parseQuickAdd
+ * @returns {Array<Object>} [{ text, type }] - type is null for plain text
+ */
+export const getQuickAddSegments = (text, tokens) => {
+  const segments = [];
+  let position = 0;
+
+  for (const token of tokens) {
+    if (token.start > position) {
+      segments.push({ text: text.slice(position, token.start), type: null });
+    }
+    segments.push({ text: text.slice(token.start, token.end), type: token.type });
+    position = token.end;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), type: null });
+  }
+
+  return segments;
+};
+
+export default {
+  QUICK_ADD_TOKEN_TYPES,
+  parseQuickAdd,
+  getQuickAddSegments,
+};
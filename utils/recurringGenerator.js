@@ -9,8 +9,11 @@
 import { 
   generateInstancesForNextDays, 
   generateSeriesId,
-  dateMatchesPattern 
+  dateMatchesPattern,
+  isCompletionBased,
+  calculateNextAfterCompletion,
 } from './recurringHelpers';
+import { getDeviceTimeZone, getZonedParts, getDayKey, startOfDayInZone } from './timezone';
 
 /**
  * Default number of days to generate instances for
@@ -22,6 +25,107 @@ const DEFAULT_GENERATION_DAYS = 30;
  */
 const MAX_INSTANCES_PER_SERIES = 100;
 
+/**
+ * Build the base task template of a series
+ * @param {Object} series - Recurring series
+ * @returns {Object}
+ */
+const getSeriesBaseTask = (series) => ({
+  title: series.title,
+  category: series.category || 'personal',
+  tags: series.tags || [],
+  priority: series.priority || 'medium',
+  description: series.description || '',
+  enableReminder: series.enableReminder || false,
+  dueTime: series.dueTime || null,
+  reminderOffsets: series.reminderOffsets || [0],
+  subtasks: [],
+});
+
+/**
+ * Timezone a series is anchored to (device timezone for older series)
+ */
+const getSeriesTimeZone = (series) => series.timeZone || getDeviceTimeZone();
+
+/**
+ * Calendar day of an ISO date in a timezone, as a local Date
+ * (recurrence math works on local calendar days)
+ */
+const toCalendarDay = (value, timeZone) => {
+  const { year, month, day } = getZonedParts(value, timeZone);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Recurrence config with start/end dates as calendar days of the series timezone
+ */
+const toCalendarConfig = (config, timeZone) => ({
+  ...config,
+  startDate: config.startDate ? toCalendarDay(config.startDate, timeZone).toISOString() : config.startDate,
+  endDate: config.endDate ? toCalendarDay(config.endDate, timeZone).toISOString() : config.endDate,
+});
+
+/**
+ * Create a task instance of a series for a given day
+ * @param {Object} series - Recurring series
+ * @param {Object} baseTask - Base task template
+ * @param {Date} date - Instance day (local calendar day)
+ * @returns {Object}
+ */
+const createInstance = (series, baseTask, date) => {
+  // Store the start of that day in the series timezone, not the device's
+  const timeZone = getSeriesTimeZone(series);
+  const dateKey = startOfDayInZone(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    date.getDate(),
+    timeZone
+  ).toISOString();
+  const now = new Date().toISOString();
+
+  return {
+    ...baseTask,
+    timeZone,
+    floating: series.floating ?? true,
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    isRecurring: true,
+    recurringSeriesId: series.id,
+    instanceDate: dateKey,
+    dueDate: dateKey,
+    completed: false,
+    skipped: false,
+    notificationIds: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Whether a series has an instance waiting to be done
+ */
+const hasOpenInstance = (series, tasks) =>
+  tasks.some(t => t.recurringSeriesId === series.id && !t.completed && !t.skipped);
+
+/**
+ * Occurrences of a series completed so far. The count is stored on the
+ * series because completed instances may be deleted afterwards; series
+ * created before it was stored count the completed instances left.
+ * @param {Object} series - Recurring series
+ * @param {Array} tasks - Existing tasks
+ * @returns {number}
+ */
+export const getCompletedOccurrences = (series, tasks) =>
+  series.completedOccurrences
+    ?? tasks.filter(t => t.recurringSeriesId === series.id && t.completed).length;
+
+/**
+ * Whether an "after N times" series has had all its occurrences completed
+ */
+const hasReachedOccurrenceLimit = (series, completedCount) => {
+  const { endAfterOccurrences } = series.recurringConfig;
+  return Boolean(endAfterOccurrences) && completedCount >= endAfterOccurrences;
+};
+
 /**
  * Generate task instances for a recurring series
  * @param {Object} series - Recurring series configuration
@@ -37,31 +141,42 @@ export const generateInstancesForSeries = (
   days = DEFAULT_GENERATION_DAYS
 ) => {
   const newInstances = [];
+  const timeZone = getSeriesTimeZone(series);
+
+  // Completion-based series keep a single open instance: the first one on
+  // the start date, and after that one counted from now whenever the open
+  // instance was skipped or deleted instead of completed
+  if (isCompletionBased(series.recurringConfig)) {
+    if (hasOpenInstance(series, existingTasks)) return newInstances;
+    if (hasReachedOccurrenceLimit(series, getCompletedOccurrences(series, existingTasks))) {
+      return newInstances;
+    }
+
+    const isFirst = !existingTasks.some(t => t.recurringSeriesId === series.id)
+      && !series.completedOccurrences;
+    const date = isFirst
+      ? toCalendarDay(series.recurringConfig.startDate, timeZone)
+      : calculateNextAfterCompletion(series.recurringConfig, new Date());
+    if (date) newInstances.push(createInstance(series, baseTask, date));
+    return newInstances;
+  }
 
   // Get dates for the generation period
-  const dates = generateInstancesForNextDays(series.recurringConfig, days);
+  const dates = generateInstancesForNextDays(toCalendarConfig(series.recurringConfig, timeZone), days);
 
-  // Filter out dates that already have instances
-  const existingDates = new Set(
+  // Filter out days that already have instances (compared as calendar days
+  // of the series timezone, so travelling does not create duplicates)
+  const existingDays = new Set(
     existingTasks
-      .filter(t => t.recurringSeriesId === series.id)
-      .map(t => {
-        if (t.instanceDate) {
-          const d = new Date(t.instanceDate);
-          d.setHours(0, 0, 0, 0);
-          return d.toISOString();
-        }
-        return null;
-      })
-      .filter(Boolean)
+      .filter(t => t.recurringSeriesId === series.id && t.instanceDate)
+      .map(t => getDayKey(t.instanceDate, t.timeZone || timeZone))
   );
 
   for (const date of dates) {
     date.setHours(0, 0, 0, 0);
-    const dateKey = date.toISOString();
 
     // Skip if instance already exists
-    if (existingDates.has(dateKey)) continue;
+    if (existingDays.has(getDayKey(date))) continue;
 
     // Check max instances limit
     const currentInstanceCount = existingTasks.filter(
@@ -72,22 +187,7 @@ export const generateInstancesForSeries = (
       break;
     }
 
-    // Create new instance
-    const instance = {
-      ...baseTask,
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      isRecurring: true,
-      recurringSeriesId: series.id,
-      instanceDate: dateKey,
-      dueDate: dateKey,
-      completed: false,
-      skipped: false,
-      notificationId: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-
-    newInstances.push(instance);
+    newInstances.push(createInstance(series, baseTask, date));
   }
 
   return newInstances;
@@ -111,19 +211,9 @@ export const generateAllMissingInstances = (
     // Skip inactive or deleted series
     if (!s.active) continue;
 
-    // Get the base task template from the series
-    const baseTask = {
-      title: s.title,
-      category: s.category || 'personal',
-      priority: s.priority || 'medium',
-      description: s.description || '',
-      enableReminder: s.enableReminder || false,
-      subtasks: [],
-    };
-
     const newInstances = generateInstancesForSeries(
       s,
-      baseTask,
+      getSeriesBaseTask(s),
       [...existingTasks, ...allNewInstances],
       days
     );
@@ -149,9 +239,14 @@ export const createRecurringSeries = (taskData, recurringConfig) => {
     id: seriesId,
     title: taskData.title,
     category: taskData.category || 'personal',
+    tags: taskData.tags || [],
     priority: taskData.priority || 'medium',
     description: taskData.description || '',
     enableReminder: taskData.enableReminder || false,
+    dueTime: taskData.dueTime || null,
+    reminderOffsets: taskData.reminderOffsets || [0],
+    timeZone: taskData.timeZone || getDeviceTimeZone(),
+    floating: taskData.floating ?? true,
     recurringConfig: {
       ...recurringConfig,
       startDate: recurringConfig.startDate || now,
@@ -162,20 +257,46 @@ export const createRecurringSeries = (taskData, recurringConfig) => {
   };
 
   // Generate initial instances
-  const baseTask = {
-    title: taskData.title,
-    category: taskData.category || 'personal',
-    priority: taskData.priority || 'medium',
-    description: taskData.description || '',
-    enableReminder: taskData.enableReminder || false,
-    subtasks: [],
-  };
-
-  const instances = generateInstancesForSeries(series, baseTask, []);
+  const instances = generateInstancesForSeries(series, getSeriesBaseTask(series), []);
 
   return { series, instances };
 };
 
+/**
+ * Create the next instance of a completion-based series after one of
+ * its instances is completed
+ * @param {Object} series - Recurring series
+ * @param {Object} completedTask - The instance that was completed
+ * @param {Array} existingTasks - Existing tasks
+ * @param {Date|string} [completedAt] - Completion time
+ * @returns {Object|null} New instance, or null if none is due
+ */
+export const generateNextCompletionInstance = (
+  series,
+  completedTask,
+  existingTasks,
+  completedAt = new Date()
+) => {
+  if (!series?.active || !isCompletionBased(series.recurringConfig)) return null;
+
+  // Only one open instance at a time
+  const otherTasks = existingTasks.filter(t => t.id !== completedTask.id);
+  if (hasOpenInstance(series, otherTasks)) return null;
+
+  // "After N times": the series ends once N occurrences are completed
+  if (hasReachedOccurrenceLimit(series, getCompletedOccurrences(series, otherTasks) + 1)) {
+    return null;
+  }
+
+  const nextDate = calculateNextAfterCompletion(series.recurringConfig, completedAt);
+  if (!nextDate) return null;
+
+  return {
+    ...createInstance(series, getSeriesBaseTask(series), nextDate),
+    previousInstanceId: completedTask.id,
+  };
+};
+
 /**
  * Get count of instances that would be affected by a scope
  * @param {string} seriesId - Series ID
@@ -274,6 +395,13 @@ export const filterTasksByScope = (tasks, seriesId, scope, taskId) => {
 export const shouldGenerateMoreInstances = (series, tasks, daysThreshold = 7) => {
   if (!series.active) return false;
 
+  // Completion-based series are not generated ahead of time, but always
+  // need an open instance until they end
+  if (isCompletionBased(series.recurringConfig)) {
+    return !hasOpenInstance(series, tasks)
+      && !hasReachedOccurrenceLimit(series, getCompletedOccurrences(series, tasks));
+  }
+
   const seriesTasks = tasks.filter(t => 
     t.recurringSeriesId === series.id && 
     !t.completed && 
@@ -6,6 +6,13 @@
  * and generating instance dates.
  */
 
+import {
+  parseRecurrenceRule,
+  expandRecurrenceRule,
+  matchesRecurrenceRule,
+  describeRecurrenceRule,
+} from './rrule';
+
 /**
  * Recurrence pattern types
  */
@@ -14,6 +21,18 @@ export const RECURRENCE_PATTERNS = {
   WEEKLY: 'weekly',
   MONTHLY: 'monthly',
   CUSTOM: 'custom',
+  RRULE: 'rrule', // RFC 5545 rule text in config.rrule
+};
+
+/**
+ * Recurrence modes
+ * - calendar: instances follow the calendar, generated ahead of time
+ * - after_completion: the next instance is due `frequency` units after
+ *   the previous one is completed, and is only created at that point
+ */
+export const RECURRENCE_MODES = {
+  CALENDAR: 'calendar',
+  AFTER_COMPLETION: 'after_completion',
 };
 
 /**
@@ -40,6 +59,17 @@ export const DEFAULT_RECURRING_CONFIG = {
   startDate: null, // ISO string
   endDate: null, // null = infinite, or ISO string
   endAfterOccurrences: null, // number or null
+  rrule: null, // "RRULE:FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1" for the rrule pattern
+  mode: RECURRENCE_MODES.CALENDAR,
+};
+
+/**
+ * Check whether a config repeats relative to completion
+ * @param {Object} config - Recurring configuration
+ * @returns {boolean}
+ */
+export const isCompletionBased = (config) => {
+  return config?.mode === RECURRENCE_MODES.AFTER_COMPLETION;
 };
 
 /**
@@ -58,17 +88,25 @@ export const validateRecurringConfig = (config) => {
     errors.push('Invalid recurrence pattern');
   }
 
-  if (!config.frequency || config.frequency < 1) {
+  if (config.pattern === RECURRENCE_PATTERNS.RRULE) {
+    try {
+      parseRecurrenceRule(config.rrule);
+    } catch (error) {
+      errors.push(`Invalid RRULE: ${error.message}`);
+    }
+  } else if (!config.frequency || config.frequency < 1) {
     errors.push('Frequency must be at least 1');
   }
 
-  if (config.pattern === RECURRENCE_PATTERNS.WEEKLY) {
+  if (isCompletionBased(config)) {
+    if (config.pattern === RECURRENCE_PATTERNS.RRULE) {
+      errors.push('RRULE patterns cannot repeat after completion');
+    }
+  } else if (config.pattern === RECURRENCE_PATTERNS.WEEKLY) {
     if (!config.daysOfWeek || config.daysOfWeek.length === 0) {
       errors.push('At least one day of week must be selected for weekly pattern');
     }
-  }
-
-  if (config.pattern === RECURRENCE_PATTERNS.MONTHLY) {
+  } else if (config.pattern === RECURRENCE_PATTERNS.MONTHLY) {
     if (!config.dayOfMonth || config.dayOfMonth < 1 || config.dayOfMonth > 31) {
       errors.push('Day of month must be between 1 and 31');
     }
@@ -99,6 +137,20 @@ const getDayOfWeek = (date) => {
   return day === 0 ? 7 : day; // Convert Sunday (0) to 7
 };
 
+/**
+ * Get the parsed rule of an rrule config, or null if it is not valid
+ * @param {Object} config - Recurring configuration
+ * @returns {Object|null}
+ */
+const getConfigRule = (config) => {
+  try {
+    return parseRecurrenceRule(config.rrule);
+  } catch (error) {
+    console.error('Invalid recurrence rule:', error.message);
+    return null;
+  }
+};
+
 /**
  * Calculate the next occurrence date based on recurrence config
  * @param {Object} config - Recurring configuration
@@ -157,6 +209,21 @@ export const calculateNextOccurrence = (config, fromDate) => {
       nextDate.setDate(nextDate.getDate() + frequency);
       break;
 
+    case RECURRENCE_PATTERNS.RRULE: {
+      const rule = getConfigRule(config);
+      if (!rule) return null;
+
+      const searchStart = new Date(current);
+      searchStart.setDate(searchStart.getDate() + 1);
+      const searchEnd = new Date(current);
+      searchEnd.setFullYear(searchEnd.getFullYear() + 10);
+
+      const [next] = expandRecurrenceRule(rule, config.startDate, searchStart, searchEnd, 1);
+      if (!next) return null;
+      nextDate = next;
+      break;
+    }
+
     default:
       return null;
   }
@@ -173,6 +240,48 @@ export const calculateNextOccurrence = (config, fromDate) => {
   return nextDate;
 };
 
+/**
+ * Calculate when the next instance is due for a completion-based config
+ * @param {Object} config - Recurring configuration (mode after_completion)
+ * @param {Date|string} completedAt - When the previous instance was completed
+ * @returns {Date|null} - Next due date or null if the series has ended
+ */
+export const calculateNextAfterCompletion = (config, completedAt) => {
+  const nextDate = new Date(completedAt);
+  nextDate.setHours(0, 0, 0, 0);
+
+  const frequency = config.frequency || 1;
+
+  switch (config.pattern) {
+    case RECURRENCE_PATTERNS.WEEKLY:
+      nextDate.setDate(nextDate.getDate() + frequency * 7);
+      break;
+
+    case RECURRENCE_PATTERNS.MONTHLY: {
+      // Keep the day, clamped to shorter months (Jan 31 → Feb 28)
+      const day = nextDate.getDate();
+      nextDate.setDate(1);
+      nextDate.setMonth(nextDate.getMonth() + frequency);
+      const maxDay = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate();
+      nextDate.setDate(Math.min(day, maxDay));
+      break;
+    }
+
+    default:
+      nextDate.setDate(nextDate.getDate() + frequency);
+  }
+
+  if (config.endDate) {
+    const endDateObj = new Date(config.endDate);
+    endDateObj.setHours(23, 59, 59, 999);
+    if (nextDate > endDateObj) {
+      return null;
+    }
+  }
+
+  return nextDate;
+};
+
 /**
  * Generate all occurrence dates within a date range
  * @param {Object} config - Recurring configuration
@@ -188,6 +297,15 @@ export const generateDateRange = (config, rangeStart, rangeEnd, maxOccurrences =
   start.setHours(0, 0, 0, 0);
   end.setHours(23, 59, 59, 999);
 
+  // Rule-based configs are expanded directly
+  if (config.pattern === RECURRENCE_PATTERNS.RRULE) {
+    const rule = getConfigRule(config);
+    if (!rule) return [];
+
+    const endDate = config.endDate && new Date(config.endDate) < end ? new Date(config.endDate) : end;
+    return expandRecurrenceRule(rule, config.startDate, start, endDate, maxOccurrences);
+  }
+
   // Start from config.startDate if it's after rangeStart
   let currentDate = new Date(config.startDate);
   currentDate.setHours(0, 0, 0, 0);
@@ -251,6 +369,15 @@ export const formatRecurrencePreview = (config) => {
 
   const { pattern, frequency, daysOfWeek, dayOfMonth } = config;
 
+  if (isCompletionBased(config)) {
+    const units = {
+      [RECURRENCE_PATTERNS.WEEKLY]: ['semana', 'semanas'],
+      [RECURRENCE_PATTERNS.MONTHLY]: ['mes', 'meses'],
+    }[pattern] || ['día', 'días'];
+    const amount = frequency === 1 ? `1 ${units[0]}` : `${frequency} ${units[1]}`;
+    return `Se repite ${amount} después de completarla`;
+  }
+
   switch (pattern) {
     case RECURRENCE_PATTERNS.DAILY:
       if (frequency === 1) return 'Se repite todos los días';
@@ -277,6 +404,11 @@ export const formatRecurrencePreview = (config) => {
     case RECURRENCE_PATTERNS.CUSTOM:
       return `Se repite cada ${frequency} días`;
 
+    case RECURRENCE_PATTERNS.RRULE: {
+      const rule = getConfigRule(config);
+      return rule ? describeRecurrenceRule(rule) : 'Regla de recurrencia no válida';
+    }
+
     default:
       return 'Configuración de recurrencia';
   }
@@ -323,6 +455,11 @@ export const dateMatchesPattern = (config, date) => {
     case RECURRENCE_PATTERNS.MONTHLY:
       return checkDate.getDate() === config.dayOfMonth;
 
+    case RECURRENCE_PATTERNS.RRULE: {
+      const rule = getConfigRule(config);
+      return rule ? matchesRecurrenceRule(rule, startDate, checkDate) : false;
+    }
+
     default:
       return false;
   }
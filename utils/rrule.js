@@ -0,0 +1,649 @@
+/**
+ * Recurrence Rule (RRULE) Helpers
+ * Task List App 2026
+ *
+ * Parsing, serialization and expansion of RFC 5545 recurrence rules
+ * (RRULE + EXDATE). Occurrences are local calendar days; the time of
+ * day is not part of a recurrence.
+ */
+
+/**
+ * Supported FREQ values
+ */
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Weekday codes mapped to DAYS_OF_WEEK numbers (1 = Monday, 7 = Sunday)
+ */
+export const WEEKDAY_CODES = {
+  MO: 1,
+  TU: 2,
+  WE: 3,
+  TH: 4,
+  FR: 5,
+  SA: 6,
+  SU: 7,
+};
+
+const WEEKDAY_BY_NUMBER = Object.fromEntries(
+  Object.entries(WEEKDAY_CODES).map(([code, number]) => [number, code])
+);
+
+const WEEKDAY_NAMES = {
+  1: 'lunes',
+  2: 'martes',
+  3: 'miércoles',
+  4: 'jueves',
+  5: 'viernes',
+  6: 'sábado',
+  7: 'domingo',
+};
+
+const MONTH_NAMES = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre',
+];
+
+const ORDINAL_NAMES = {
+  1: 'primer',
+  2: 'segundo',
+  3: 'tercer',
+  4: 'cuarto',
+  5: 'quinto',
+  '-1': 'último',
+  '-2': 'penúltimo',
+};
+
+/**
+ * Maximum number of periods (days, weeks, months, years) walked while
+ * expanding a rule, so a rule that never matches cannot loop forever
+ */
+const MAX_PERIODS = 5000;
+
+// ============ Date helpers ============
+
+const getDayOfWeek = (date) => {
+  const day = date.getDay();
+  return day === 0 ? 7 : day;
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const addDays = (date, days) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Day key (YYYY-MM-DD) in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Parse an RFC 5545 DATE or DATE-TIME value (20261225, 20261225T090000Z)
+ * or an ISO date into a local day
+ */
+const parseRuleDate = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2}):?(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Fecha no válida: ${value}`);
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours && utc) {
+    return startOfDay(new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds)));
+  }
+  return new Date(+year, +month - 1, +day);
+};
+
+/**
+ * Format a date as an RFC 5545 DATE value
+ */
+const formatRuleDate = (value) => {
+  const date = startOfDay(value);
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+};
+
+/**
+ * Parse a comma separated list of integers within bounds
+ */
+const parseIntegerList = (key, value, min, max) => {
+  return value.split(',').map((part) => {
+    const number = parseInt(part, 10);
+    if (!/^[+-]?\d+$/.test(part.trim()) || number === 0 || Math.abs(number) > max || (min > 0 && number < min)) {
+      throw new Error(`Valor no válido en ${key}: ${part}`);
+    }
+    return number;
+  });
+};
+
+// ============ Parsing ============
+
+/**
+ * Parse recurrence rule text.
+ * Accepts an RRULE line (with or without the "RRULE:" prefix) and
+ * optional EXDATE and DTSTART lines.
+ * @param {string} text - Rule text, e.g. "RRULE:FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1"
+ * @returns {Object} Parsed rule
+ * @throws {Error} With a user-facing message when the rule is not valid
+ */
+export const parseRecurrenceRule = (text) => {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    throw new Error('La regla está vacía');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    exDates: [],
+    dtstart: null,
+  };
+
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+  for (const line of lines) {
+    const upper = line.toUpperCase();
+
+    if (upper.startsWith('EXDATE') || upper.startsWith('DTSTART')) {
+      const value = line.slice(line.lastIndexOf(':') + 1);
+      const dates = value.split(',').filter(Boolean).map(parseRuleDate);
+      if (upper.startsWith('EXDATE')) {
+        rule.exDates.push(...dates);
+      } else {
+        rule.dtstart = dates[0] || null;
+      }
+      continue;
+    }
+
+    const body = upper.startsWith('RRULE:') ? upper.slice(6) : upper;
+    for (const part of body.split(';').filter(Boolean)) {
+      const [key, value] = part.split('=');
+      if (!value) {
+        throw new Error(`Parte no válida: ${part}`);
+      }
+
+      switch (key) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(value)) {
+            throw new Error(`Frecuencia no soportada: ${value}`);
+          }
+          rule.freq = value;
+          break;
+
+        case 'INTERVAL':
+          [rule.interval] = parseIntegerList(key, value, 1, 999);
+          break;
+
+        case 'COUNT':
+          [rule.count] = parseIntegerList(key, value, 1, 9999);
+          break;
+
+        case 'UNTIL':
+          rule.until = parseRuleDate(value);
+          break;
+
+        case 'BYDAY':
+          rule.byDay = value.split(',').map((entry) => {
+            const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry.trim());
+            if (!match || (match[1] && (parseInt(match[1], 10) === 0 || Math.abs(parseInt(match[1], 10)) > 53))) {
+              throw new Error(`Valor no válido en BYDAY: ${entry}`);
+            }
+            return {
+              ordinal: match[1] ? parseInt(match[1], 10) : null,
+              weekday: WEEKDAY_CODES[match[2]],
+            };
+          });
+          break;
+
+        case 'BYMONTHDAY':
+          rule.byMonthDay = parseIntegerList(key, value, 0, 31);
+          break;
+
+        case 'BYMONTH':
+          rule.byMonth = parseIntegerList(key, value, 1, 12);
+          break;
+
+        case 'BYSETPOS':
+          rule.bySetPos = parseIntegerList(key, value, 0, 366);
+          break;
+
+        case 'WKST':
+          // Weeks always start on Monday in this app
+          break;
+
+        default:
+          throw new Error(`Parte no soportada: ${key}`);
+      }
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Falta FREQ en la regla');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT y UNTIL no pueden usarse juntos');
+  }
+
+  return rule;
+};
+
+/**
+ * Serialize a parsed rule back to RRULE (and EXDATE) text
+ * @param {Object} rule - Parsed rule
+ * @returns {string}
+ */
+export const serializeRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatRuleDate(rule.until)}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal || ''}${WEEKDAY_BY_NUMBER[d.weekday]}`).join(',')}`);
+  }
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+
+  const lines = [`RRULE:${parts.join(';')}`];
+  if (rule.exDates?.length) {
+    lines.push(`EXDATE;VALUE=DATE:${rule.exDates.map(formatRuleDate).join(',')}`);
+  }
+
+  return lines.join('\n');
+};
+
+// ============ Expansion ============
+
+/**
+ * Check a day against BYDAY, with ordinals counted within the given scope
+ * @param {Array} byDay - Parsed BYDAY entries
+ * @param {number} weekday - Day of week (1-7)
+ * @param {number} index - 1-based position of the day within the scope
+ * @param {number} total - Number of days in the scope
+ */
+const matchesByDay = (byDay, weekday, index, total) => {
+  const nth = Math.ceil(index / 7);
+  const nthFromEnd = -(Math.floor((total - index) / 7) + 1);
+
+  return byDay.some((entry) =>
+    entry.weekday === weekday &&
+    (entry.ordinal === null || entry.ordinal === nth || entry.ordinal === nthFromEnd)
+  );
+};
+
+/**
+ * Candidate days of a single month
+ */
+const expandMonth = (rule, year, month, dtstart) => {
+  const total = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map((d) => (d > 0 ? d : total + d + 1))
+      .filter((d) => d >= 1 && d <= total);
+  } else if (rule.byDay.length > 0) {
+    days = Array.from({ length: total }, (_, i) => i + 1);
+  } else {
+    days = dtstart.getDate() <= total ? [dtstart.getDate()] : [];
+  }
+
+  if (rule.byDay.length > 0) {
+    days = days.filter((d) =>
+      matchesByDay(rule.byDay, getDayOfWeek(new Date(year, month, d)), d, total)
+    );
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map((d) => new Date(year, month, d));
+};
+
+/**
+ * Candidate days of a single year
+ */
+const expandYear = (rule, year, dtstart) => {
+  // Ordinal weekdays without BYMONTH count within the whole year ("20th Monday")
+  if (rule.byMonth.length === 0 && rule.byMonthDay.length === 0 &&
+      rule.byDay.some((d) => d.ordinal !== null)) {
+    const first = new Date(year, 0, 1);
+    const total = Math.round((new Date(year + 1, 0, 1) - first) / 86400000);
+    const days = [];
+    for (let i = 0; i < total; i++) {
+      const date = addDays(first, i);
+      if (matchesByDay(rule.byDay, getDayOfWeek(date), i + 1, total)) {
+        days.push(date);
+      }
+    }
+    return days;
+  }
+
+  let months;
+  if (rule.byMonth.length > 0) {
+    months = [...rule.byMonth].sort((a, b) => a - b).map((m) => m - 1);
+  } else if (rule.byMonthDay.length > 0 || rule.byDay.length > 0) {
+    months = Array.from({ length: 12 }, (_, i) => i);
+  } else {
+    months = [dtstart.getMonth()];
+  }
+
+  return months.flatMap((month) => expandMonth(rule, year, month, dtstart));
+};
+
+/**
+ * First day of the k-th period of the rule
+ */
+const getPeriodStart = (rule, dtstart, k) => {
+  const step = k * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(dtstart, step);
+    case 'WEEKLY':
+      return addDays(dtstart, step * 7 - (getDayOfWeek(dtstart) - 1));
+    case 'MONTHLY':
+      return new Date(dtstart.getFullYear(), dtstart.getMonth() + step, 1);
+    case 'YEARLY':
+      return new Date(dtstart.getFullYear() + step, 0, 1);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Candidate days of one period, before BYSETPOS
+ */
+const expandPeriod = (rule, periodStart, dtstart) => {
+  const inMonths = (date) => rule.byMonth.length === 0 || rule.byMonth.includes(date.getMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const total = daysInMonth(periodStart.getFullYear(), periodStart.getMonth());
+      const day = periodStart.getDate();
+      const matchesMonthDay = rule.byMonthDay.length === 0 ||
+        rule.byMonthDay.some((d) => (d > 0 ? d : total + d + 1) === day);
+      const matchesWeekday = rule.byDay.length === 0 ||
+        rule.byDay.some((d) => d.weekday === getDayOfWeek(periodStart));
+      return inMonths(periodStart) && matchesMonthDay && matchesWeekday ? [periodStart] : [];
+    }
+
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length > 0
+        ? [...new Set(rule.byDay.map((d) => d.weekday))].sort((a, b) => a - b)
+        : [getDayOfWeek(dtstart)];
+      return weekdays.map((w) => addDays(periodStart, w - 1)).filter(inMonths);
+    }
+
+    case 'MONTHLY':
+      if (!inMonths(periodStart)) return [];
+      return expandMonth(rule, periodStart.getFullYear(), periodStart.getMonth(), dtstart);
+
+    case 'YEARLY':
+      return expandYear(rule, periodStart.getFullYear(), dtstart);
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Apply BYSETPOS to the candidates of one period
+ */
+const applySetPos = (rule, candidates) => {
+  if (rule.bySetPos.length === 0) return candidates;
+
+  const selected = rule.bySetPos
+    .map((pos) => (pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos]))
+    .filter(Boolean);
+
+  return [...new Map(selected.map((d) => [d.getTime(), d])).values()]
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Expand a rule into occurrence days within a range
+ * @param {Object} rule - Parsed rule (see parseRecurrenceRule)
+ * @param {Date|string} dtstart - First day of the series
+ * @param {Date|string} rangeStart - Start of range (inclusive)
+ * @param {Date|string} rangeEnd - End of range (inclusive)
+ * @param {number} [maxOccurrences=100] - Maximum occurrences to return
+ * @returns {Date[]} Occurrence days, EXDATEs removed
+ */
+export const expandRecurrenceRule = (rule, dtstart, rangeStart, rangeEnd, maxOccurrences = 100) => {
+  const start = startOfDay(dtstart || rule.dtstart || new Date());
+  const from = startOfDay(rangeStart || start);
+  const to = startOfDay(rangeEnd);
+  const until = rule.until ? startOfDay(rule.until) : null;
+  const excluded = new Set(rule.exDates.map(toDayKey));
+
+  const dates = [];
+  let generated = 0;
+
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    const periodStart = getPeriodStart(rule, start, k);
+    if (!periodStart || periodStart > to || (until && periodStart > until)) break;
+
+    for (const date of applySetPos(rule, expandPeriod(rule, periodStart, start))) {
+      if (date < start) continue;
+      if (until && date > until) return dates;
+      // COUNT includes excluded dates (RFC 5545 applies EXDATE afterwards)
+      if (rule.count && generated >= rule.count) return dates;
+      generated++;
+
+      if (date > to) return dates;
+      if (date >= from && !excluded.has(toDayKey(date))) {
+        dates.push(date);
+        if (dates.length >= maxOccurrences) return dates;
+      }
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Calendar days between two local days (safe across DST changes)
+ */
+const daysBetween = (from, to) =>
+  Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+    Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000);
+
+/**
+ * Index of the period of the rule that contains a day, or null when the
+ * day falls in a period skipped by INTERVAL
+ */
+const getPeriodIndex = (rule, dtstart, date) => {
+  let periods;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      periods = daysBetween(dtstart, date);
+      break;
+    case 'WEEKLY':
+      periods = Math.floor((daysBetween(dtstart, date) + getDayOfWeek(dtstart) - 1) / 7);
+      break;
+    case 'MONTHLY':
+      periods = (date.getFullYear() - dtstart.getFullYear()) * 12 + date.getMonth() - dtstart.getMonth();
+      break;
+    case 'YEARLY':
+      periods = date.getFullYear() - dtstart.getFullYear();
+      break;
+    default:
+      return null;
+  }
+
+  return periods % rule.interval === 0 ? periods / rule.interval : null;
+};
+
+// Occurrences of COUNT-limited rules, by rule text and first day
+const countedOccurrences = new Map();
+const MAX_CACHED_RULES = 50;
+
+/**
+ * Every occurrence of a COUNT-limited rule as day keys, expanded once
+ */
+const getCountedOccurrences = (rule, start) => {
+  const key = `${serializeRecurrenceRule(rule)}|${toDayKey(start)}`;
+  if (!countedOccurrences.has(key)) {
+    if (countedOccurrences.size >= MAX_CACHED_RULES) countedOccurrences.clear();
+    const dates = expandRecurrenceRule(rule, start, start, new Date(9999, 11, 31), rule.count);
+    countedOccurrences.set(key, new Set(dates.map(toDayKey)));
+  }
+  return countedOccurrences.get(key);
+};
+
+/**
+ * Check whether a day is an occurrence of a rule.
+ * Only the period containing the day is expanded; rules with COUNT need
+ * the occurrences before it, so those are expanded once and cached.
+ * @param {Object} rule - Parsed rule
+ * @param {Date|string} dtstart - First day of the series
+ * @param {Date|string} date - Day to check
+ * @returns {boolean}
+ */
+export const matchesRecurrenceRule = (rule, dtstart, date) => {
+  const start = startOfDay(dtstart || rule.dtstart || new Date());
+  const day = startOfDay(date);
+  const dayKey = toDayKey(day);
+
+  if (day < start || (rule.until && day > startOfDay(rule.until))) return false;
+  if (rule.exDates.some((exDate) => toDayKey(exDate) === dayKey)) return false;
+
+  if (rule.count) {
+    return getCountedOccurrences(rule, start).has(dayKey);
+  }
+
+  const k = getPeriodIndex(rule, start, day);
+  if (k === null || k >= MAX_PERIODS) return false;
+
+  const candidates = applySetPos(rule, expandPeriod(rule, getPeriodStart(rule, start, k), start));
+  return candidates.some((candidate) => candidate >= start && toDayKey(candidate) === dayKey);
+};
+
+// ============ Conversion and description ============
+
+/**
+ * Express a simple recurring config (daily/weekly/monthly/custom) as RRULE text
+ * @param {Object} config - Recurring configuration
+ * @returns {string}
+ */
+export const configToRecurrenceRule = (config) => {
+  const rule = {
+    freq: 'DAILY',
+    interval: config.frequency || 1,
+    count: config.endAfterOccurrences || null,
+    until: !config.endAfterOccurrences && config.endDate ? new Date(config.endDate) : null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    exDates: [],
+  };
+
+  switch (config.pattern) {
+    case 'weekly':
+      rule.freq = 'WEEKLY';
+      rule.byDay = (config.daysOfWeek || []).map((weekday) => ({ ordinal: null, weekday }));
+      break;
+
+    case 'monthly': {
+      rule.freq = 'MONTHLY';
+      const day = config.dayOfMonth || 1;
+      if (day > 28) {
+        // Day 31 means "31, or the last day of shorter months"
+        rule.byMonthDay = Array.from({ length: day - 27 }, (_, i) => 28 + i);
+        rule.bySetPos = [-1];
+      } else {
+        rule.byMonthDay = [day];
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return serializeRecurrenceRule(rule);
+};
+
+/**
+ * Describe a parsed rule in Spanish
+ * @param {Object} rule - Parsed rule
+ * @returns {string}
+ */
+export const describeRecurrenceRule = (rule) => {
+  const units = {
+    DAILY: ['día', 'días'],
+    WEEKLY: ['semana', 'semanas'],
+    MONTHLY: ['mes', 'meses'],
+    YEARLY: ['año', 'años'],
+  }[rule.freq];
+
+  const parts = [rule.interval === 1 ? `cada ${units[0]}` : `cada ${rule.interval} ${units[1]}`];
+
+  const weekdays = rule.byDay.map((d) => {
+    const ordinal = d.ordinal ?? (rule.bySetPos.length === 1 ? rule.bySetPos[0] : null);
+    const name = WEEKDAY_NAMES[d.weekday];
+    if (ordinal === null) return name;
+    return `${ORDINAL_NAMES[ordinal] || `${ordinal}º`} ${name}`;
+  });
+
+  if (weekdays.length > 0) {
+    const isOrdinal = rule.byDay.some((d) => d.ordinal !== null) || rule.bySetPos.length === 1;
+    parts.push(isOrdinal ? `el ${weekdays.join(' o ')}` : `los ${weekdays.join(', ')}`);
+  }
+
+  if (rule.byMonthDay.length > 0) {
+    if (rule.byMonthDay.length === 1 && rule.byMonthDay[0] === -1) {
+      parts.push('el último día');
+    } else {
+      const days = rule.byMonthDay.map((d) => (d < 0 ? `${-d}º desde el final` : d));
+      const position = rule.byDay.length === 0 && rule.bySetPos.length === 1 && days.length > 1
+        ? ORDINAL_NAMES[rule.bySetPos[0]]
+        : null;
+      parts.push(position ? `el ${position} de los días ${days.join(', ')}` : `el día ${days.join(', ')}`);
+    }
+  }
+
+  if (rule.byMonth.length > 0) {
+    parts.push(`en ${rule.byMonth.map((m) => MONTH_NAMES[m - 1]).join(', ')}`);
+  }
+
+  let text = `Se repite ${parts.join(' ')}`;
+
+  if (rule.count) {
+    text += `, ${rule.count} ${rule.count === 1 ? 'vez' : 'veces'}`;
+  } else if (rule.until) {
+    text += `, hasta el ${rule.until.toLocaleDateString('es-ES')}`;
+  }
+
+  if (rule.exDates.length > 0) {
+    text += ` (excepto ${rule.exDates.length} ${rule.exDates.length === 1 ? 'fecha' : 'fechas'})`;
+  }
+
+  return text;
+};
+
+export default {
+  WEEKDAY_CODES,
+  parseRecurrenceRule,
+  serializeRecurrenceRule,
+  expandRecurrenceRule,
+  matchesRecurrenceRule,
+  configToRecurrenceRule,
+  describeRecurrenceRule,
+};
@@ -0,0 +1,430 @@
+/**
+ * Search Query - Structured task search
+ * Task List App 2026
+ *
+ * Parses the home screen search box into filters and free text:
+ *   "informe due:<7d priority:high -is:completed"
+ *   "tag:cliente OR tag:proveedor"
+ *   "\"revisar contrato\" has:attachment"
+ *
+ * Terms in a group must all match; OR separates groups. A leading '-'
+ * negates a term. Free text is matched (accent- and case-insensitive)
+ * against the title, tags, description, subtasks and comments, and
+ * results are ranked by where the text was found.
+ */
+
+import { getDayKey, getTaskDayKey, isTaskOverdue } from './timezone';
+import { findCategory, foldName, normalizeTag } from './categories';
+
+// Filter keys and their aliases
+const FILTER_KEYS = {
+  due: 'due', vence: 'due', fecha: 'due',
+  priority: 'priority', prioridad: 'priority', p: 'priority',
+  is: 'is', es: 'is',
+  has: 'has', tiene: 'has',
+  tag: 'tag', etiqueta: 'tag',
+  category: 'category', categoria: 'category', cat: 'category',
+  series: 'series', serie: 'series',
+};
+
+const PRIORITY_VALUES = {
+  high: 'high', alta: 'high', p1: 'high', '1': 'high',
+  medium: 'medium', media: 'medium', p2: 'medium', '2': 'medium',
+  low: 'low', baja: 'low', p3: 'low', '3': 'low',
+};
+
+// is:<state>
+const STATES = {
+  overdue: (task, now) => isTaskOverdue(task, now),
+  completed: (task) => !!task.completed,
+  pending: (task) => !task.completed,
+  recurring: (task) => !!(task.isRecurring || task.recurringSeriesId),
+  today: (task, now) => !!task.dueDate && getTaskDayKey(task) === getDayKey(now),
+  skipped: (task) => !!task.skipped,
+};
+
+const STATE_ALIASES = {
+  overdue: 'overdue', vencida: 'overdue', vencido: 'overdue',
+  completed: 'completed', done: 'completed', completada: 'completed', hecha: 'completed',
+  pending: 'pending', open: 'pending', pendiente: 'pending',
+  recurring: 'recurring', recurrente: 'recurring',
+  today: 'today', hoy: 'today',
+  skipped: 'skipped', saltada: 'skipped',
+};
+
+// has:<thing>
+const PROPERTIES = {
+  attachment: (task) => (task.attachments || []).length > 0,
+  subtasks: (task) => (task.subtasks || []).length > 0,
+  due: (task) => !!task.dueDate,
+  reminder: (task) => !!task.enableReminder,
+  tags: (task) => (task.tags || []).length > 0,
+  description: (task) => !!task.description?.trim(),
+};
+
+const PROPERTY_ALIASES = {
+  attachment: 'attachment', attachments: 'attachment', adjunto: 'attachment', adjuntos: 'attachment',
+  subtask: 'subtasks', subtasks: 'subtasks', subtarea: 'subtasks', subtareas: 'subtasks',
+  due: 'due', fecha: 'due',
+  reminder: 'reminder', recordatorio: 'reminder',
+  tag: 'tags', tags: 'tags', etiqueta: 'tags', etiquetas: 'tags',
+  description: 'description', descripcion: 'description', notes: 'description', notas: 'description',
+};
+
+// Where free text can match, most relevant first
+const TEXT_FIELDS = [
+  { field: 'title', weight: 10, get: (task) => [task.title] },
+  { field: 'tags', weight: 6, get: (task) => task.tags },
+  { field: 'description', weight: 3, get: (task) => [task.description] },
+  { field: 'subtasks', weight: 2, get: (task) => (task.subtasks || []).map((subtask) => subtask.title) },
+  { field: 'comments', weight: 1, get: (task, comments) => comments[task.id] },
+];
+
+// Fields a task card already displays
+const VISIBLE_FIELDS = ['title', 'tags'];
+
+// Optional '-', optional "key:", then a quoted phrase or a word
+const TERM_REGEX = /(-?)(?:([a-zÀ-ſ]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Lowercase and strip accents, keeping one character per character
+ * so that indices match the original text
+ */
+const fold = (text) =>
+  Array.from(String(text ?? ''), (char) => {
+    const folded = char.normalize('NFD')[0].toLowerCase();
+    return folded.length === char.length ? folded : char;
+  }).join('');
+
+/**
+ * Day key some days, weeks or months away from a reference date
+ */
+const shiftDayKey = (now, amount, unit) => {
+  const date = new Date(now);
+  if (unit === 'w') date.setDate(date.getDate() + amount * 7);
+  else if (unit === 'm') date.setMonth(date.getMonth() + amount);
+  else date.setDate(date.getDate() + amount);
+  return getDayKey(date);
+};
+
+/**
+ * Resolve the date of a due: filter to a day key
+ * @returns {string|null} Day key, 'none', or null when not understood
+ */
+const resolveDueValue = (value, now) => {
+  const folded = foldName(value);
+  if (folded === 'none' || folded === 'ninguna') return 'none';
+  if (folded === 'today' || folded === 'hoy') return getDayKey(now);
+  if (folded === 'tomorrow' || folded === 'manana') return shiftDayKey(now, 1, 'd');
+  if (folded === 'yesterday' || folded === 'ayer') return shiftDayKey(now, -1, 'd');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(folded)) return folded;
+
+  const relative = folded.match(/^(-?\d+)([dwms])$/);
+  if (relative) {
+    // 's' for semanas
+    const unit = relative[2] === 's' ? 'w' : relative[2];
+    return shiftDayKey(now, Number(relative[1]), unit);
+  }
+  return null;
+};
+
+/**
+ * Build a filter term, or an error message when its value is not understood
+ */
+const buildFilter = (key, value, now) => {
+  const folded = foldName(value);
+
+  switch (key) {
+    case 'due': {
+      const [, op = '=', rest] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+      const dayKey = resolveDueValue(rest, now);
+      if (!dayKey) return { error: `Fecha no válida: due:${value}` };
+      return { key, op, value: dayKey };
+    }
+    case 'priority': {
+      const values = folded.split(',').map((v) => PRIORITY_VALUES[v]);
+      if (values.some((v) => !v)) return { error: `Prioridad no válida: priority:${value}` };
+      return { key, value: values };
+    }
+    case 'is':
+      if (!STATE_ALIASES[folded]) return { error: `Estado desconocido: is:${value}` };
+      return { key, value: STATE_ALIASES[folded] };
+    case 'has':
+      if (!PROPERTY_ALIASES[folded]) return { error: `Filtro desconocido: has:${value}` };
+      return { key, value: PROPERTY_ALIASES[folded] };
+    case 'tag':
+      return normalizeTag(value) ? { key, value: normalizeTag(value) } : { error: 'Falta la etiqueta en tag:' };
+    case 'category':
+      return folded ? { key, value } : { error: 'Falta la categoría en category:' };
+    case 'series':
+      return value ? { key, value } : { error: 'Falta el ID de la serie en series:' };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse a search query
+ * @param {string} query - Text typed in the search box
+ * @param {Date} [now] - Reference time for relative dates
+ * @returns {Object} { groups, textTerms, errors, isEmpty }
+ *   groups: Array of term lists (OR between groups, AND within a group);
+ *   a term is { type: 'filter', key, op?, value, negate } or
+ *   { type: 'text', value, negate }.
+ *   textTerms: positive free-text terms, for highlighting.
+ */
+export const parseSearchQuery = (query = '', now = new Date()) => {
+  const groups = [[]];
+  const errors = [];
+  const textTerms = [];
+
+  for (const match of String(query).matchAll(TERM_REGEX)) {
+    const [raw, minus, rawKey, quoted, bare] = match;
+    if (!raw.trim()) continue;
+
+    if (!minus && !rawKey && quoted === undefined && (bare === 'OR' || bare === '|')) {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+
+    // A filter key still being typed ("due:") matches everything
+    if (!rawKey && /^[^:]+:$/.test(bare || '') && FILTER_KEYS[foldName(bare.slice(0, -1))]) continue;
+
+    const negate = minus === '-';
+    const value = quoted ?? bare ?? '';
+    const key = rawKey ? FILTER_KEYS[foldName(rawKey)] : null;
+    let term = null;
+
+    if (key) {
+      const filter = buildFilter(key, value, now);
+      if (filter?.error) {
+        errors.push(filter.error);
+        continue;
+      }
+      term = { type: 'filter', ...filter, negate };
+    } else if (!rawKey && quoted === undefined && /^#[^#\s]+$/.test(value)) {
+      // "#trabajo" is the same as tag:trabajo
+      term = { type: 'filter', key: 'tag', value: normalizeTag(value), negate };
+    } else {
+      const text = fold(rawKey ? `${rawKey}:${value}` : value).trim();
+      if (!/[\p{L}\p{N}]/u.test(text)) continue;
+      term = { type: 'text', value: text, negate };
+      if (!negate && !textTerms.includes(text)) textTerms.push(text);
+    }
+
+    groups[groups.length - 1].push(term);
+  }
+
+  const nonEmptyGroups = groups.filter((group) => group.length > 0);
+  return {
+    groups: nonEmptyGroups,
+    textTerms,
+    errors,
+    isEmpty: nonEmptyGroups.length === 0,
+  };
+};
+
+/**
+ * Check a filter term against a task
+ */
+const matchesFilter = (task, term, { now, categories }) => {
+  switch (term.key) {
+    case 'due': {
+      const dayKey = task.dueDate ? getTaskDayKey(task) : null;
+      if (term.value === 'none') return !dayKey;
+      if (!dayKey) return false;
+      if (term.op === '<') return dayKey < term.value;
+      if (term.op === '<=') return dayKey <= term.value;
+      if (term.op === '>') return dayKey > term.value;
+      if (term.op === '>=') return dayKey >= term.value;
+      return dayKey === term.value;
+    }
+    case 'priority':
+      return term.value.includes(task.priority || 'medium');
+    case 'is':
+      return STATES[term.value](task, now);
+    case 'has':
+      return PROPERTIES[term.value](task);
+    case 'tag':
+      return (task.tags || []).includes(term.value);
+    case 'category': {
+      const category = findCategory(categories, term.value);
+      return task.category === (category ? category.id : foldName(term.value));
+    }
+    case 'series':
+      return task.recurringSeriesId === term.value;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Find a text term in a task
+ * @returns {Object|null} { score, field, text } for the best match
+ */
+const matchText = (task, value, comments) => {
+  let best = null;
+
+  for (const { field, weight, get } of TEXT_FIELDS) {
+    for (const text of get(task, comments) || []) {
+      if (!text) continue;
+      const folded = fold(text);
+      const index = folded.indexOf(value);
+      if (index === -1) continue;
+
+      let score = weight;
+      if (index === 0 || /[^\p{L}\p{N}]/u.test(folded[index - 1])) score += weight / 2;
+      if (folded.trim() === value) score += weight;
+
+      if (!best || score > best.score) best = { score, field, text };
+    }
+    // Earlier fields always outrank later ones
+    if (best) break;
+  }
+  return best;
+};
+
+/**
+ * Match one AND-group of terms against a task
+ * @returns {Object|null} { score, matches } or null when the task is excluded
+ */
+const matchGroup = (task, group, context) => {
+  let score = 0;
+  const matches = [];
+
+  for (const term of group) {
+    if (term.type === 'filter') {
+      if (matchesFilter(task, term, context) === term.negate) return null;
+      continue;
+    }
+
+    const match = matchText(task, term.value, context.comments);
+    if (!!match === term.negate) return null;
+    if (match) {
+      score += match.score;
+      matches.push(match);
+    }
+  }
+  return { score, matches };
+};
+
+/**
+ * Search tasks with a query
+ * @param {Array} tasks - Tasks to search
+ * @param {string|Object} query - Query text, or the result of parseSearchQuery
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @param {Array} [options.categories] - User categories, for category: by name
+ * @param {Object} [options.comments] - Comment texts by task id
+ * @returns {Object} { results, textTerms, errors }
+ *   results: [{ task, score, snippet }], ranked by score when the query has
+ *   free text; snippet is { field, text } for a match the card does not show.
+ */
+export const searchTasks = (tasks, query, options = {}) => {
+  const { now = new Date(), categories = [], comments = {} } = options;
+  const parsed = typeof query === 'string' ? parseSearchQuery(query, now) : query;
+
+  if (parsed.isEmpty) {
+    return {
+      results: tasks.map((task) => ({ task, score: 0, snippet: null })),
+      textTerms: [],
+      errors: parsed.errors,
+    };
+  }
+
+  const context = { now, categories, comments };
+  const results = [];
+
+  tasks.forEach((task, index) => {
+    let best = null;
+    for (const group of parsed.groups) {
+      const match = matchGroup(task, group, context);
+      if (match && (!best || match.score > best.score)) best = match;
+    }
+    if (!best) return;
+
+    // Matches the card does not show (description, subtasks, comments)
+    const hidden = best.matches
+      .filter((match) => !VISIBLE_FIELDS.includes(match.field))
+      .sort((a, b) => b.score - a.score)[0];
+    const snippet = hidden ? { field: hidden.field, text: hidden.text } : null;
+
+    results.push({ task, score: best.score, snippet, index });
+  });
+
+  if (parsed.textTerms.length > 0) {
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+
+  return {
+    results: results.map(({ index, ...result }) => result),
+    textTerms: parsed.textTerms,
+    errors: parsed.errors,
+  };
+};
+
+/**
+ * Split a text into highlighted and plain parts
+ * @param {string} text - Text to display
+ * @param {Array<string>} terms - Folded search terms
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const splitHighlights = (text, terms = []) => {
+  if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+
+  const folded = fold(text);
+  const marked = new Array(folded.length).fill(false);
+  for (const term of terms) {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      marked.fill(true, index, index + term.length);
+      index = folded.indexOf(term, index + term.length);
+    }
+  }
+
+  // `marked` follows UTF-16 positions (fold keeps them), so slice by position
+  const parts = [];
+  let start = 0;
+  for (let i = 1; i <= text.length; i++) {
+    if (i === text.length || marked[i] !== marked[start]) {
+      parts.push({ text: text.slice(start, i), match: marked[start] });
+      start = i;
+    }
+  }
+  return parts;
+};
+
+/**
+ * Keep an excerpt of a long text centered on the first match
+ * @param {string} text
+ * @param {Array<string>} terms - Folded search terms
+ * @param {number} [radius] - Characters to keep on each side
+ * @returns {string}
+ */
+export const getExcerpt = (text, terms = [], radius = 40) => {
+  const folded = fold(text);
+  const index = Math.min(...terms.map((t) => folded.indexOf(t)).filter((i) => i >= 0));
+  if (!Number.isFinite(index) || text.length <= radius * 2) return text;
+
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Examples shown under the search box
+export const SEARCH_SYNTAX_HINTS = [
+  { query: 'due:<7d', label: 'Vencen en 7 días' },
+  { query: 'priority:high', label: 'Prioridad alta' },
+  { query: 'is:overdue', label: 'Vencidas' },
+  { query: 'has:attachment', label: 'Con adjuntos' },
+  { query: '-is:completed', label: 'Sin completar' },
+  { query: 'tag:', label: 'Por etiqueta' },
+];
+
+export default {
+  parseSearchQuery,
+  searchTasks,
+  splitHighlights,
+  getExcerpt,
+  SEARCH_SYNTAX_HINTS,
+};
@@ -0,0 +1,63 @@
+/**
+ * Smart list helpers
+ * Task List App 2026
+ *
+ * A smart list is a saved view: a search query (utils/searchQuery syntax)
+ * plus a sort order and a grouping, e.g.
+ *   { name: 'Trabajo urgente', query: 'category:work due:<7d priority:high -is:recurring',
+ *     sortBy: 'due', groupBy: 'none', pinned: true }
+ * Its tasks are computed from the current tasks every time, so the list
+ * stays up to date as tasks change.
+ */
+
+import { searchTasks } from './searchQuery';
+import { sortTasks, SORT_MODES, GROUP_MODES } from './taskOrdering';
+
+export const MAX_SMART_LIST_NAME_LENGTH = 30;
+
+// Ionicons offered for smart lists
+export const SMART_LIST_ICONS = [
+  'flash', 'star', 'flame', 'calendar', 'alarm', 'rocket',
+  'briefcase', 'home', 'bookmark', 'funnel', 'eye', 'trophy',
+];
+
+// Starting points offered when creating a smart list
+export const SMART_LIST_TEMPLATES = [
+  { name: 'Esta semana', query: 'due:<7d -is:completed', icon: 'calendar', sortBy: SORT_MODES.DUE, groupBy: GROUP_MODES.DUE },
+  { name: 'Urgentes', query: 'priority:high -is:completed', icon: 'flame', sortBy: SORT_MODES.DUE, groupBy: GROUP_MODES.NONE },
+  { name: 'Vencidas', query: 'is:overdue', icon: 'alarm', sortBy: SORT_MODES.DUE, groupBy: GROUP_MODES.CATEGORY },
+  { name: 'Sin fecha', query: 'due:none -is:completed', icon: 'funnel', sortBy: SORT_MODES.PRIORITY, groupBy: GROUP_MODES.NONE },
+];
+
+/**
+ * Build an id for a new smart list
+ * @returns {string}
+ */
+export const createSmartListId = () =>
+  `list-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Tasks of a smart list, sorted by its sort order
+ * @param {Array} tasks - All tasks
+ * @param {Object} list - Smart list
+ * @param {Object} [options] - searchTasks options ({ now, categories })
+ * @returns {Array}
+ */
+export const getSmartListTasks = (tasks, list, options = {}) => {
+  const { results } = searchTasks(tasks, list.query || '', options);
+  return sortTasks(results.map((result) => result.task), list.sortBy);
+};
+
+/**
+ * Number of pending tasks in a smart list
+ */
+export const countSmartList = (tasks, list, options = {}) =>
+  getSmartListTasks(tasks, list, options).filter((task) => !task.completed).length;
+
+export default {
+  SMART_LIST_ICONS,
+  SMART_LIST_TEMPLATES,
+  createSmartListId,
+  getSmartListTasks,
+  countSmartList,
+};
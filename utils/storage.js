@@ -1,25 +1,31 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getAllTasks, replaceAllTasks, persistTaskChanges } from "./taskStore";
 
-const TASKS_KEY = "@tasks";
 const RECURRING_SERIES_KEY = "@recurring_series";
+const RECENT_SEARCHES_KEY = "@recent_searches";
+const MAX_RECENT_SEARCHES = 8;
+const LIST_VIEWS_KEY = "@tasklist_list_views";
+const AI_SCORES_KEY = "@tasklist_ai_scores";
 
-export const loadTasks = async () => {
-  try {
-    const saved = await AsyncStorage.getItem(TASKS_KEY);
-    return saved ? JSON.parse(saved) : [];
-  } catch (error) {
-    console.error("Error loading tasks:", error);
-    return [];
-  }
-};
+/**
+ * Load all tasks from the indexed task store
+ * @returns {Promise<Array>} Array of tasks
+ */
+export const loadTasks = () => getAllTasks();
 
-export const saveTasks = async (tasks) => {
-  try {
-    await AsyncStorage.setItem(TASKS_KEY, JSON.stringify(tasks));
-  } catch (error) {
-    console.error("Error saving tasks:", error);
-  }
-};
+/**
+ * Replace all stored tasks (bulk operations such as imports)
+ * @param {Array} tasks - Full task list
+ */
+export const saveTasks = (tasks) => replaceAllTasks(tasks);
+
+/**
+ * Persist only the tasks that changed between two task lists
+ * @param {Array} prevTasks - Previously persisted tasks
+ * @param {Array} nextTasks - Current tasks
+ */
+export const saveTaskChanges = (prevTasks, nextTasks) =>
+  persistTaskChanges(prevTasks, nextTasks);
 
 /**
  * Load recurring series configurations
@@ -57,3 +63,99 @@ export const clearRecurringSeries = async () => {
     console.error("Error clearing recurring series:", error);
   }
 };
+
+/**
+ * Load recent home screen searches, newest first
+ * @returns {Promise<Array<string>>}
+ */
+export const loadRecentSearches = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error("Error loading recent searches:", error);
+    return [];
+  }
+};
+
+/**
+ * Add a search to the recent searches (moved to the top if already there)
+ * @param {string} query - Search query
+ * @returns {Promise<Array<string>>} Updated recent searches
+ */
+export const addRecentSearch = async (query) => {
+  const trimmed = query.trim();
+  const recent = await loadRecentSearches();
+  if (!trimmed) return recent;
+
+  const next = [trimmed, ...recent.filter((q) => q !== trimmed)].slice(0, MAX_RECENT_SEARCHES);
+  try {
+    await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.error("Error saving recent searches:", error);
+  }
+  return next;
+};
+
+/**
+ * Clear the recent searches
+ */
+export const clearRecentSearches = async () => {
+  try {
+    await AsyncStorage.removeItem(RECENT_SEARCHES_KEY);
+  } catch (error) {
+    console.error("Error clearing recent searches:", error);
+  }
+};
+
+/**
+ * Load the saved view (sort, grouping, manual order, collapsed sections) of each list
+ * @returns {Promise<Object>} { [listKey]: view }
+ */
+export const loadListViews = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(LIST_VIEWS_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error("Error loading list views:", error);
+    return {};
+  }
+};
+
+/**
+ * Save the views of all lists
+ * @param {Object} views - { [listKey]: view }
+ */
+export const saveListViews = async (views) => {
+  try {
+    await AsyncStorage.setItem(LIST_VIEWS_KEY, JSON.stringify(views));
+  } catch (error) {
+    console.error("Error saving list views:", error);
+  }
+};
+
+/**
+ * Load the cached AI priority scores
+ * @returns {Promise<Object>} { [taskId]: { score, reason, signature, scoredOn } }
+ */
+export const loadAiScores = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(AI_SCORES_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error("Error loading AI scores:", error);
+    return {};
+  }
+};
+
+/**
+ * Save the cached AI priority scores
+ * @param {Object} scores - { [taskId]: { score, reason, signature, scoredOn } }
+ */
+export const saveAiScores = async (scores) => {
+  try {
+    await AsyncStorage.setItem(AI_SCORES_KEY, JSON.stringify(scores));
+  } catch (error) {
+    console.error("Error saving AI scores:", error);
+  }
+};
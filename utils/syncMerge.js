@@ -0,0 +1,280 @@
+/**
+ * Sync Merge Helpers
+ * TaskList App - Cloud Sync
+ *
+ * Field-level three-way merge between a local task, its cloud copy
+ * and the base version both sides last agreed on.
+ */
+
+/**
+ * Task fields tracked for three-way merge
+ */
+export const MERGE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'tags',
+  'blockedBy',
+  'priority',
+  'completed',
+  'completedAt',
+  'dueDate',
+  'enableReminder',
+  'dueTime',
+  'reminderOffsets',
+  'isRecurring',
+  'recurringSeriesId',
+  'instanceDate',
+  'skipped',
+  'timeZone',
+  'floating',
+  'subtasks',
+  'attachments',
+];
+
+/**
+ * Fields holding lists of items with an `id`, merged item by item
+ */
+const COLLECTION_FIELDS = ['subtasks', 'attachments'];
+
+/**
+ * Attachment keys stored in the cloud (local URIs never leave the device;
+ * the file itself lives in Storage at `storagePath`)
+ */
+const ATTACHMENT_SYNC_KEYS = ['id', 'filename', 'type', 'mimeType', 'filesize', 'hash', 'storagePath'];
+
+/**
+ * Reduce attachments to the metadata both sides actually share
+ */
+export const toSyncedAttachments = (attachments) =>
+  (attachments || []).map((a) =>
+    Object.fromEntries(ATTACHMENT_SYNC_KEYS.map((key) => [key, a[key] ?? null]))
+  );
+
+/**
+ * Get a field value in the form it is compared during merge
+ */
+const getMergeValue = (task, field) => {
+  if (!task) return undefined;
+  return field === 'attachments' ? toSyncedAttachments(task[field]) : task[field];
+};
+
+/**
+ * JSON serialization with sorted object keys, for order-insensitive comparison
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Normalize empty values so '' / null / undefined compare equal
+ */
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Deep equality for task field values (JSON-compatible data)
+ */
+export const valuesEqual = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return true;
+  if (left === null || right === null) return false;
+  if (typeof left !== 'object' || typeof right !== 'object') return false;
+  return stableStringify(left) === stableStringify(right);
+};
+
+/**
+ * Build the base snapshot stored after a successful sync
+ * @param {Object} task - Task in local format
+ * @returns {Object} Snapshot of merge fields
+ */
+export const createBaseSnapshot = (task) => {
+  const snapshot = {};
+  MERGE_FIELDS.forEach((field) => {
+    const value = getMergeValue(task, field);
+    snapshot[field] = value === undefined ? null : value;
+  });
+  return snapshot;
+};
+
+/**
+ * Three-way merge of a single value
+ * @returns {{ value: *, conflict: boolean }}
+ */
+const mergeValue = (local, cloud, base) => {
+  if (valuesEqual(local, cloud)) return { value: local, conflict: false };
+  if (valuesEqual(local, base)) return { value: cloud, conflict: false };
+  if (valuesEqual(cloud, base)) return { value: local, conflict: false };
+  return { value: cloud, conflict: true };
+};
+
+/**
+ * Three-way merge of a list of items keyed by `id`.
+ * Items added or removed on one side are applied; items changed on
+ * both sides are merged key by key.
+ * @returns {{ value: Array, conflict: boolean }}
+ */
+export const mergeCollection = (local = [], cloud = [], base = []) => {
+  const localMap = new Map((local || []).map((item) => [item.id, item]));
+  const cloudMap = new Map((cloud || []).map((item) => [item.id, item]));
+  const baseMap = new Map((base || []).map((item) => [item.id, item]));
+
+  // Cloud order first, then items only known locally
+  const orderedIds = [
+    ...(cloud || []).map((item) => item.id),
+    ...(local || []).map((item) => item.id).filter((id) => !cloudMap.has(id)),
+  ];
+
+  const merged = [];
+  let conflict = false;
+
+  for (const id of orderedIds) {
+    const l = localMap.get(id);
+    const c = cloudMap.get(id);
+    const b = baseMap.get(id);
+
+    if (l && c) {
+      if (valuesEqual(l, c)) {
+        merged.push(c);
+        continue;
+      }
+      const item = {};
+      const keys = new Set([...Object.keys(l), ...Object.keys(c)]);
+      for (const key of keys) {
+        const result = mergeValue(l[key], c[key], b?.[key]);
+        item[key] = result.value;
+        if (result.conflict) conflict = true;
+      }
+      merged.push(item);
+    } else if (l && !c) {
+      // Missing in cloud: new locally, or deleted remotely
+      if (!b) {
+        merged.push(l);
+      } else if (!valuesEqual(l, b)) {
+        // Deleted remotely but edited locally
+        merged.push(l);
+        conflict = true;
+      }
+    } else if (!l && c) {
+      // Missing locally: new in cloud, or deleted locally
+      if (!b) {
+        merged.push(c);
+      } else if (!valuesEqual(c, b)) {
+        // Deleted locally but edited remotely
+        merged.push(c);
+        conflict = true;
+      }
+    }
+  }
+
+  return { value: merged, conflict };
+};
+
+/**
+ * Merge a local and cloud task against their common base version.
+ * Fields changed on only one side are taken from that side. Fields
+ * changed differently on both sides are reported as conflicts and
+ * provisionally resolved with the cloud value.
+ * @param {Object} local - Local task
+ * @param {Object} cloud - Cloud task
+ * @param {Object|null} base - Last synced snapshot (from createBaseSnapshot)
+ * @returns {{ task: Object, conflicts: Array<{ field, local, cloud, base }> }}
+ */
+export const threeWayMerge = (local, cloud, base) => {
+  const task = { ...local, ...cloud };
+  const conflicts = [];
+
+  for (const field of MERGE_FIELDS) {
+    const isCollection = COLLECTION_FIELDS.includes(field);
+    const localValue = getMergeValue(local, field);
+    const cloudValue = getMergeValue(cloud, field);
+    const result = isCollection
+      ? mergeCollection(localValue, cloudValue, base?.[field])
+      : mergeValue(localValue, cloudValue, base?.[field]);
+
+    task[field] = result.value;
+
+    if (result.conflict) {
+      conflicts.push({
+        field,
+        local: localValue,
+        cloud: cloudValue,
+        base: base?.[field] ?? null,
+        merged: result.value,
+      });
+    }
+  }
+
+  // Keep local-only data (notification IDs, local file URIs)
+  task.notificationIds = local.notificationIds || {};
+  if (local.attachments) {
+    const localAttachments = new Map(local.attachments.map((a) => [a.id, a]));
+    task.attachments = (task.attachments || []).map((a) => ({
+      ...localAttachments.get(a.id),
+      ...a,
+    }));
+  }
+
+  const localUpdated = new Date(local.updatedAt || 0);
+  const cloudUpdated = new Date(cloud.updatedAt || 0);
+  task.updatedAt = (localUpdated > cloudUpdated ? local : cloud).updatedAt;
+
+  return { task, conflicts };
+};
+
+/**
+ * Check whether a merged task differs from the cloud copy
+ * (and therefore needs to be uploaded)
+ */
+export const differsFromCloud = (merged, cloud) => {
+  return MERGE_FIELDS.some(
+    (field) => !valuesEqual(getMergeValue(merged, field), getMergeValue(cloud, field))
+  );
+};
+
+/**
+ * Merge two lists of records with an `id` and an `updatedAt`
+ * (categories, smart lists): each record keeps whichever side changed it
+ * last, and records without `updatedAt` yield to the other side.
+ * @param {Array} local - Local records
+ * @param {Array} remote - Cloud records
+ * @returns {{ merged: Array, localNewer: Array }} localNewer lists the
+ *   local records the cloud does not have yet
+ */
+export const mergeByUpdatedAt = (local = [], remote = []) => {
+  const localMap = new Map(local.map((record) => [record.id, record]));
+  const remoteMap = new Map(remote.map((record) => [record.id, record]));
+  const merged = [];
+  const localNewer = [];
+
+  for (const id of new Set([...localMap.keys(), ...remoteMap.keys()])) {
+    const mine = localMap.get(id);
+    const theirs = remoteMap.get(id);
+
+    if (mine && (!theirs || new Date(mine.updatedAt || 0) > new Date(theirs.updatedAt || 0))) {
+      merged.push(mine);
+      localNewer.push(mine);
+    } else {
+      merged.push(theirs);
+    }
+  }
+
+  return { merged, localNewer };
+};
+
+export default {
+  MERGE_FIELDS,
+  valuesEqual,
+  toSyncedAttachments,
+  createBaseSnapshot,
+  mergeCollection,
+  threeWayMerge,
+  differsFromCloud,
+  mergeByUpdatedAt,
+};
@@ -0,0 +1,146 @@
+/**
+ * Task dependency helpers
+ * Task List App 2026
+ *
+ * A task lists the tasks it waits on in `blockedBy` (task ids). It is
+ * blocked while any of them is still pending; the tasks it blocks are
+ * the ones listing it. Ids of tasks that no longer exist are ignored,
+ * and a dependency that would close a cycle is refused.
+ */
+
+/**
+ * Whether a blocker no longer holds its dependents back
+ */
+const isResolved = (task) => task.completed || task.skipped;
+
+/**
+ * Index tasks by id
+ * @returns {Map<string, Object>}
+ */
+const indexTasks = (tasks) => new Map(tasks.map((task) => [task.id, task]));
+
+/**
+ * Tasks a task waits on (existing ones only)
+ * @param {Object} task
+ * @param {Array|Map} tasks - All tasks, or tasks indexed by id
+ * @returns {Array}
+ */
+export const getBlockers = (task, tasks) => {
+  const byId = tasks instanceof Map ? tasks : indexTasks(tasks);
+  return (task.blockedBy || []).map((id) => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Blockers of a task that are still pending
+ * @param {Object} task
+ * @param {Array|Map} tasks - All tasks, or tasks indexed by id
+ * @returns {Array}
+ */
+export const getPendingBlockers = (task, tasks) =>
+  getBlockers(task, tasks).filter((blocker) => !isResolved(blocker));
+
+/**
+ * Whether a pending task still waits on another task
+ */
+export const isTaskBlocked = (task, tasks) =>
+  !isResolved(task) && getPendingBlockers(task, tasks).length > 0;
+
+/**
+ * Pending blockers of every blocked task
+ * @param {Array} tasks
+ * @returns {Object} { [taskId]: Array of blocker tasks }
+ */
+export const getBlockersByTask = (tasks) => {
+  const byId = indexTasks(tasks);
+  const result = {};
+  tasks.forEach((task) => {
+    if (!task.blockedBy?.length || isResolved(task)) return;
+    const pending = getPendingBlockers(task, byId);
+    if (pending.length > 0) result[task.id] = pending;
+  });
+  return result;
+};
+
+/**
+ * Tasks that wait on a task
+ * @param {string} taskId
+ * @param {Array} tasks
+ * @returns {Array}
+ */
+export const getDependents = (taskId, tasks) =>
+  tasks.filter((task) => task.blockedBy?.includes(taskId));
+
+/**
+ * Whether making `taskId` wait on `blockerId` would close a cycle
+ * (the blocker already waits on the task, directly or through others)
+ * @param {string} taskId
+ * @param {string} blockerId
+ * @param {Array} tasks
+ * @returns {boolean}
+ */
+export const wouldCreateCycle = (taskId, blockerId, tasks) => {
+  if (taskId === blockerId) return true;
+
+  const byId = indexTasks(tasks);
+  const visited = new Set();
+  const stack = [blockerId];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    stack.push(...(byId.get(id)?.blockedBy || []));
+  }
+  return false;
+};
+
+/**
+ * Dependents that completing a task leaves free to start
+ * @param {string} taskId - Task being completed
+ * @param {Array} tasks - Tasks before the completion
+ * @returns {Array}
+ */
+export const getUnblockedByCompletion = (taskId, tasks) => {
+  const byId = indexTasks(tasks);
+  return getDependents(taskId, tasks).filter((task) =>
+    !isResolved(task) &&
+    getPendingBlockers(task, byId).every((blocker) => blocker.id === taskId)
+  );
+};
+
+/**
+ * Drop dependencies on unknown tasks and those closing a cycle
+ * (for task lists coming from an import or a sync)
+ * @param {Array} tasks
+ * @returns {Array} Tasks with valid `blockedBy` lists; tasks that needed
+ *   no change are returned as is
+ */
+export const sanitizeDependencies = (tasks) => {
+  const ids = new Set(tasks.map((task) => task.id));
+  const accepted = tasks.map((task) => ({ ...task, blockedBy: [] }));
+
+  tasks.forEach((task, index) => {
+    [...new Set(task.blockedBy || [])].forEach((blockerId) => {
+      if (ids.has(blockerId) && !wouldCreateCycle(task.id, blockerId, accepted)) {
+        accepted[index].blockedBy.push(blockerId);
+      }
+    });
+  });
+
+  return accepted.map((task, index) => {
+    const original = tasks[index];
+    return (original.blockedBy || []).length === task.blockedBy.length ? original : task;
+  });
+};
+
+export default {
+  getBlockers,
+  getPendingBlockers,
+  isTaskBlocked,
+  getBlockersByTask,
+  getDependents,
+  wouldCreateCycle,
+  getUnblockedByCompletion,
+  sanitizeDependencies,
+};
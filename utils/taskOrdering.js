@@ -0,0 +1,222 @@
+/**
+ * Task Ordering - Sort and group task lists
+ * Task List App 2026
+ *
+ * Orders the home list and smart lists and splits them into sections.
+ * Pending tasks are grouped; completed ones always go to a final
+ * "Completadas" section. Manual order is a list of task ids kept per
+ * list; AI order uses the scores of aiService.prioritizeTasks.
+ */
+
+import { priorities } from '../constants/theme';
+import { getDayKey, getTaskDayKey, getTaskDueDateTime } from './timezone';
+
+export const SORT_MODES = {
+  MANUAL: 'manual',
+  DUE: 'due',
+  PRIORITY: 'priority',
+  CREATED: 'created',
+  UPDATED: 'updated',
+  TITLE: 'title',
+  AI: 'ai',
+};
+
+export const GROUP_MODES = {
+  NONE: 'none',
+  DUE: 'due',
+  CATEGORY: 'category',
+  PRIORITY: 'priority',
+  SERIES: 'series',
+};
+
+export const SORT_OPTIONS = [
+  { value: SORT_MODES.MANUAL, label: 'Manual', icon: 'reorder-three-outline' },
+  { value: SORT_MODES.DUE, label: 'Fecha límite', icon: 'calendar-outline' },
+  { value: SORT_MODES.PRIORITY, label: 'Prioridad', icon: 'flag-outline' },
+  { value: SORT_MODES.CREATED, label: 'Más recientes', icon: 'time-outline' },
+  { value: SORT_MODES.UPDATED, label: 'Modificadas', icon: 'create-outline' },
+  { value: SORT_MODES.TITLE, label: 'Alfabético', icon: 'text-outline' },
+  { value: SORT_MODES.AI, label: 'Sugerido por IA', icon: 'sparkles-outline' },
+];
+
+export const GROUP_OPTIONS = [
+  { value: GROUP_MODES.NONE, label: 'Sin agrupar', icon: 'list-outline' },
+  { value: GROUP_MODES.DUE, label: 'Vencimiento', icon: 'calendar-outline' },
+  { value: GROUP_MODES.CATEGORY, label: 'Categoría', icon: 'folder-outline' },
+  { value: GROUP_MODES.PRIORITY, label: 'Prioridad', icon: 'flag-outline' },
+  { value: GROUP_MODES.SERIES, label: 'Serie recurrente', icon: 'repeat-outline' },
+];
+
+// View of a list when nothing was chosen yet
+export const DEFAULT_LIST_VIEW = {
+  sortBy: SORT_MODES.MANUAL,
+  groupBy: GROUP_MODES.NONE,
+  manualOrder: [],
+  collapsed: [],
+};
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Due buckets, in display order
+const DUE_BUCKETS = [
+  { key: 'overdue', title: 'Vencidas' },
+  { key: 'today', title: 'Hoy' },
+  { key: 'tomorrow', title: 'Mañana' },
+  { key: 'week', title: 'Esta semana' },
+  { key: 'later', title: 'Más adelante' },
+  { key: 'none', title: 'Sin fecha' },
+];
+
+/**
+ * Due moment of a task as a number (tasks without a due date last)
+ */
+const dueValue = (task) => getTaskDueDateTime(task, '23:59')?.getTime() ?? Infinity;
+
+const COMPARATORS = {
+  [SORT_MODES.DUE]: () => (a, b) => dueValue(a) - dueValue(b),
+  [SORT_MODES.PRIORITY]: () => (a, b) =>
+    (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1) || dueValue(a) - dueValue(b),
+  [SORT_MODES.CREATED]: () => (a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')),
+  [SORT_MODES.UPDATED]: () => (a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')),
+  [SORT_MODES.TITLE]: () => (a, b) => (a.title || '').localeCompare(b.title || '', 'es', { sensitivity: 'base' }),
+  // Tasks not placed by hand keep their order after the placed ones
+  [SORT_MODES.MANUAL]: ({ manualOrder = [] }) => {
+    const rank = new Map(manualOrder.map((id, index) => [id, index]));
+    return (a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity) || 0;
+  },
+  // Highest score first; tasks not scored yet go last, by due date
+  [SORT_MODES.AI]: ({ aiScores = {} }) => (a, b) =>
+    (aiScores[b.id]?.score ?? -Infinity) - (aiScores[a.id]?.score ?? -Infinity) || dueValue(a) - dueValue(b),
+};
+
+/**
+ * Sort tasks
+ * @param {Array} tasks
+ * @param {string} sortBy - One of SORT_MODES
+ * @param {Object} [options]
+ * @param {Array<string>} [options.manualOrder] - Task ids in manual order
+ * @param {Object} [options.aiScores] - { [taskId]: { score, reason } }
+ * @returns {Array} New sorted array
+ */
+export const sortTasks = (tasks, sortBy = SORT_MODES.MANUAL, options = {}) => {
+  const makeCompare = COMPARATORS[sortBy] || COMPARATORS[SORT_MODES.MANUAL];
+  const compare = makeCompare(options);
+  // Infinity - Infinity is NaN: treat as equal to keep the sort stable
+  return [...tasks].sort((a, b) => compare(a, b) || 0);
+};
+
+/**
+ * Move a task within a manual order
+ * @param {Array<string>} visibleIds - Task ids as currently shown
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @param {Array<string>} [manualOrder] - Previous manual order of the list
+ * @returns {Array<string>} New manual order (hidden tasks keep their place after)
+ */
+export const reorderIds = (visibleIds, fromIndex, toIndex, manualOrder = []) => {
+  const next = [...visibleIds];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return [...next, ...manualOrder.filter((id) => !next.includes(id))];
+};
+
+/**
+ * Due bucket of a task relative to today
+ */
+const getDueBucket = (task, now) => {
+  if (!task.dueDate) return 'none';
+  const dayKey = getTaskDayKey(task);
+  const today = getDayKey(now);
+  if (dayKey < today) return 'overdue';
+  if (dayKey === today) return 'today';
+
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (dayKey === getDayKey(tomorrow)) return 'tomorrow';
+
+  const weekEnd = new Date(now);
+  weekEnd.setDate(weekEnd.getDate() + 7);
+  return dayKey < getDayKey(weekEnd) ? 'week' : 'later';
+};
+
+/**
+ * Split pending tasks into sections, in display order
+ * @returns {Array<{ key, title, color?, tasks }>}
+ */
+const groupPending = (tasks, groupBy, { categories = [], getCategory, series = [], now }) => {
+  if (groupBy === GROUP_MODES.DUE) {
+    return DUE_BUCKETS.map((bucket) => ({
+      ...bucket,
+      tasks: tasks.filter((task) => getDueBucket(task, now) === bucket.key),
+    }));
+  }
+
+  if (groupBy === GROUP_MODES.PRIORITY) {
+    return Object.values(priorities).map((priority) => ({
+      key: priority.id,
+      title: priority.name,
+      color: priority.color,
+      tasks: tasks.filter((task) => (task.priority || 'medium') === priority.id),
+    }));
+  }
+
+  if (groupBy === GROUP_MODES.CATEGORY) {
+    const ids = [
+      ...categories.map((category) => category.id),
+      ...tasks.map((task) => task.category).filter((id) => !categories.some((c) => c.id === id)),
+    ];
+    return [...new Set(ids)].map((id) => {
+      const category = getCategory ? getCategory(id) : { name: id };
+      return {
+        key: `category-${id}`,
+        title: category.name,
+        color: category.color,
+        tasks: tasks.filter((task) => task.category === id),
+      };
+    });
+  }
+
+  if (groupBy === GROUP_MODES.SERIES) {
+    const ids = [...new Set(tasks.map((task) => task.recurringSeriesId).filter(Boolean))];
+    return [
+      ...ids.map((id) => ({
+        key: `series-${id}`,
+        title: series.find((s) => s.id === id)?.title || 'Serie recurrente',
+        tasks: tasks.filter((task) => task.recurringSeriesId === id),
+      })),
+      { key: 'series-none', title: 'Sin serie', tasks: tasks.filter((task) => !task.recurringSeriesId) },
+    ];
+  }
+
+  return [{ key: 'pending', title: 'Pendientes', tasks }];
+};
+
+/**
+ * Split tasks into list sections: pending tasks grouped by `groupBy`,
+ * then the completed ones. Empty sections are left out.
+ * @param {Array} tasks - Tasks, already sorted
+ * @param {string} groupBy - One of GROUP_MODES
+ * @param {Object} [options] - { categories, getCategory, series, now }
+ * @returns {Array<{ key, title, color?, tasks }>}
+ */
+export const groupTasks = (tasks, groupBy = GROUP_MODES.NONE, options = {}) => {
+  const { now = new Date() } = options;
+  const pending = tasks.filter((task) => !task.completed);
+  const completed = tasks.filter((task) => task.completed);
+
+  return [
+    ...groupPending(pending, groupBy, { ...options, now }),
+    { key: 'completed', title: 'Completadas', tasks: completed },
+  ].filter((section) => section.tasks.length > 0);
+};
+
+export default {
+  SORT_MODES,
+  GROUP_MODES,
+  SORT_OPTIONS,
+  GROUP_OPTIONS,
+  DEFAULT_LIST_VIEW,
+  sortTasks,
+  reorderIds,
+  groupTasks,
+};
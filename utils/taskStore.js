@@ -0,0 +1,460 @@
+/**
+ * Task Store - Indexed local persistence for tasks
+ * Task List App 2026
+ *
+ * Stores one AsyncStorage record per task plus a small index document,
+ * so editing a single task only rewrites that task. Writes are queued
+ * and applied one after another, which keeps the index consistent when
+ * several writes are started at the same time. While the store can't be
+ * loaded, the full task list is kept under the legacy key instead.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Storage keys
+const LEGACY_TASKS_KEY = '@tasks';
+const TASK_KEY_PREFIX = '@task:';
+const INDEX_KEY = '@tasks_index';
+const STORE_VERSION = 1;
+
+/**
+ * Secondary indexes kept for every task
+ * Each entry maps an index name to the function that extracts its key
+ */
+const INDEX_FIELDS = {
+  byCategory: (task) => task.category || null,
+  byDueDate: (task) => getDueDateKey(task.dueDate),
+  byCompleted: (task) => (task.completed ? 'true' : 'false'),
+  bySeries: (task) => task.recurringSeriesId || null,
+};
+
+// In-memory copy of the index, loaded once per session
+let index = null;
+let initPromise = null;
+
+// Tail of the write queue; every write chains onto it
+let writeQueue = Promise.resolve();
+
+/**
+ * Build the storage key for a task record
+ * @param {string} id - Task ID
+ * @returns {string}
+ */
+const taskKey = (id) => `${TASK_KEY_PREFIX}${id}`;
+
+/**
+ * Get the local YYYY-MM-DD key for a due date
+ * @param {string|null} dueDate - ISO date string
+ * @returns {string|null}
+ */
+const getDueDateKey = (dueDate) => {
+  if (!dueDate) return null;
+  const date = new Date(dueDate);
+  if (isNaN(date.getTime())) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Create an empty index document
+ */
+const createEmptyIndex = () => ({
+  version: STORE_VERSION,
+  ids: [],
+  entries: {},
+  byCategory: {},
+  byDueDate: {},
+  byCompleted: {},
+  bySeries: {},
+});
+
+/**
+ * Remove a task from the secondary indexes
+ */
+const unindexTask = (idx, id) => {
+  const entry = idx.entries[id];
+  if (!entry) return;
+
+  for (const field of Object.keys(INDEX_FIELDS)) {
+    const key = entry[field];
+    if (key === null || key === undefined) continue;
+    const bucket = idx[field][key];
+    if (!bucket) continue;
+    const remaining = bucket.filter((taskId) => taskId !== id);
+    if (remaining.length > 0) {
+      idx[field][key] = remaining;
+    } else {
+      delete idx[field][key];
+    }
+  }
+
+  delete idx.entries[id];
+};
+
+/**
+ * Add (or re-add) a task to the secondary indexes
+ */
+const indexTask = (idx, task) => {
+  unindexTask(idx, task.id);
+
+  const entry = {};
+  for (const [field, getKey] of Object.entries(INDEX_FIELDS)) {
+    const key = getKey(task);
+    entry[field] = key;
+    if (key === null || key === undefined) continue;
+    idx[field][key] = [...(idx[field][key] || []), task.id];
+  }
+
+  idx.entries[task.id] = entry;
+};
+
+/**
+ * Run a write after every previously queued write has finished.
+ * The store is loaded (or loading is retried) before each write. If it
+ * still can't be loaded, the full task list is saved under the legacy
+ * key instead: reads fall back to it, and the next successful load
+ * migrates it back into the store.
+ * @param {Function} operation - Async function performing the write
+ * @param {Array} [fallbackTasks] - Full task list after the write
+ * @returns {Promise<*>} Result of the operation
+ */
+const enqueueWrite = (operation, fallbackTasks) => {
+  const run = writeQueue.then(async () => {
+    try {
+      await ensureInitialized();
+    } catch (error) {
+      if (!fallbackTasks) throw error;
+      await AsyncStorage.setItem(LEGACY_TASKS_KEY, JSON.stringify(fallbackTasks));
+      return;
+    }
+    return operation();
+  });
+  // Keep the queue alive even if this write fails
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Move tasks saved under the legacy "@tasks" key into the indexed store.
+ * Runs on first launch, and again after tasks were saved there while the
+ * store couldn't be loaded (the legacy list is then the newest data).
+ * The legacy key is removed after a successful migration.
+ * @param {string} saved - Legacy tasks JSON
+ * @param {string|null} savedIndex - Index JSON from before, if any
+ * @returns {Promise<Object>} The new index
+ */
+const migrateLegacyTasks = async (saved, savedIndex) => {
+  const legacyTasks = JSON.parse(saved) || [];
+  const idx = createEmptyIndex();
+  const pairs = [];
+
+  for (const task of legacyTasks) {
+    if (!task?.id || idx.entries[task.id]) continue;
+    idx.ids.push(task.id);
+    indexTask(idx, task);
+    pairs.push([taskKey(task.id), JSON.stringify(task)]);
+  }
+
+  // Records of tasks deleted meanwhile (left alone if the old index is unreadable)
+  let staleIds = [];
+  try {
+    staleIds = savedIndex ? JSON.parse(savedIndex).ids.filter((id) => !idx.entries[id]) : [];
+  } catch (error) {
+    console.error('Error reading previous task index:', error);
+  }
+
+  pairs.push([INDEX_KEY, JSON.stringify(idx)]);
+  if (staleIds.length > 0) {
+    await AsyncStorage.multiRemove(staleIds.map(taskKey));
+  }
+  await AsyncStorage.multiSet(pairs);
+  await AsyncStorage.removeItem(LEGACY_TASKS_KEY);
+
+  return idx;
+};
+
+/**
+ * Load the index, migrating legacy data first when there is any.
+ * If that fails the index stays unloaded, so nothing is written over
+ * data that couldn't be read, and the next call tries again.
+ */
+const ensureInitialized = () => {
+  if (index) return Promise.resolve(index);
+
+  if (!initPromise) {
+    initPromise = (async () => {
+      const [[, savedIndex], [, savedLegacy]] = await AsyncStorage.multiGet([INDEX_KEY, LEGACY_TASKS_KEY]);
+      if (savedLegacy) {
+        index = await migrateLegacyTasks(savedLegacy, savedIndex);
+      } else {
+        index = savedIndex ? JSON.parse(savedIndex) : createEmptyIndex();
+      }
+      return index;
+    })().catch((error) => {
+      console.error('Error initializing task store:', error);
+      throw error;
+    }).finally(() => {
+      initPromise = null;
+    });
+  }
+
+  return initPromise;
+};
+
+/**
+ * Read tasks still saved under the legacy key (fallback while the
+ * indexed store can't be loaded)
+ * @returns {Promise<Array>} Tasks
+ */
+const readLegacyTasks = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(LEGACY_TASKS_KEY);
+    return saved ? JSON.parse(saved) || [] : [];
+  } catch (error) {
+    console.error('Error loading legacy tasks:', error);
+    return [];
+  }
+};
+
+/**
+ * Wait for queued writes so reads see the latest data
+ */
+const readyForRead = async () => {
+  await writeQueue;
+  return ensureInitialized();
+};
+
+/**
+ * Read task records for a list of IDs, preserving order
+ * @param {Array<string>} ids - Task IDs
+ * @returns {Promise<Array>} Tasks
+ */
+const readTasks = async (ids) => {
+  if (ids.length === 0) return [];
+
+  const results = await AsyncStorage.multiGet(ids.map(taskKey));
+  return results
+    .map(([, value]) => (value ? JSON.parse(value) : null))
+    .filter(Boolean);
+};
+
+/**
+ * Load every stored task in insertion order
+ * @returns {Promise<Array>} Tasks
+ */
+export const getAllTasks = async () => {
+  let idx;
+  try {
+    idx = await readyForRead();
+  } catch (error) {
+    return readLegacyTasks();
+  }
+
+  try {
+    return await readTasks(idx.ids);
+  } catch (error) {
+    console.error('Error loading tasks:', error);
+    return [];
+  }
+};
+
+/**
+ * Load a single task
+ * @param {string} id - Task ID
+ * @returns {Promise<Object|null>}
+ */
+export const getTask = async (id) => {
+  try {
+    await readyForRead();
+  } catch (error) {
+    return (await readLegacyTasks()).find((task) => task.id === id) || null;
+  }
+
+  try {
+    const saved = await AsyncStorage.getItem(taskKey(id));
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Error loading task:', error);
+    return null;
+  }
+};
+
+/**
+ * Query tasks through the secondary indexes
+ * All given filters must match (AND).
+ * @param {Object} filters
+ * @param {string} [filters.category] - Category ID
+ * @param {string} [filters.dueDate] - Due date as YYYY-MM-DD or ISO string
+ * @param {boolean} [filters.completed] - Completion state
+ * @param {string} [filters.recurringSeriesId] - Recurring series ID
+ * @returns {Promise<Array>} Matching tasks
+ */
+export const queryTasks = async (filters = {}) => {
+  try {
+    const idx = await readyForRead();
+    const buckets = [];
+
+    if (filters.category !== undefined) {
+      buckets.push(idx.byCategory[filters.category] || []);
+    }
+    if (filters.dueDate !== undefined) {
+      const key = /^\d{4}-\d{2}-\d{2}$/.test(filters.dueDate)
+        ? filters.dueDate
+        : getDueDateKey(filters.dueDate);
+      buckets.push(idx.byDueDate[key] || []);
+    }
+    if (filters.completed !== undefined) {
+      buckets.push(idx.byCompleted[filters.completed ? 'true' : 'false'] || []);
+    }
+    if (filters.recurringSeriesId !== undefined) {
+      buckets.push(idx.bySeries[filters.recurringSeriesId] || []);
+    }
+
+    if (buckets.length === 0) {
+      return await readTasks(idx.ids);
+    }
+
+    const [first, ...rest] = buckets;
+    const ids = first.filter((id) => rest.every((bucket) => bucket.includes(id)));
+    return await readTasks(ids);
+  } catch (error) {
+    console.error('Error querying tasks:', error);
+    return [];
+  }
+};
+
+/**
+ * Write task records and the index (store must be loaded)
+ * @param {Array} tasks - Tasks to write
+ */
+const writeTasks = async (tasks) => {
+  const pairs = [];
+
+  for (const task of tasks) {
+    if (!index.entries[task.id]) {
+      index.ids.push(task.id);
+    }
+    indexTask(index, task);
+    pairs.push([taskKey(task.id), JSON.stringify(task)]);
+  }
+
+  pairs.push([INDEX_KEY, JSON.stringify(index)]);
+  await AsyncStorage.multiSet(pairs);
+};
+
+/**
+ * Delete task records and update the index (store must be loaded)
+ * @param {Array<string>} ids - Task IDs to remove
+ */
+const deleteTasks = async (ids) => {
+  const removed = new Set(ids);
+  ids.forEach((id) => unindexTask(index, id));
+  index.ids = index.ids.filter((id) => !removed.has(id));
+
+  await AsyncStorage.multiRemove(ids.map(taskKey));
+  await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+};
+
+/**
+ * Insert or update tasks, writing only the given records
+ * @param {Array} tasks - Tasks to write
+ */
+export const putTasks = (tasks) => {
+  if (!tasks || tasks.length === 0) return Promise.resolve();
+
+  return enqueueWrite(() => writeTasks(tasks)).catch((error) => {
+    console.error('Error saving tasks:', error);
+  });
+};
+
+/**
+ * Remove tasks by ID
+ * @param {Array<string>} ids - Task IDs to remove
+ */
+export const removeTasks = (ids) => {
+  if (!ids || ids.length === 0) return Promise.resolve();
+
+  return enqueueWrite(() => deleteTasks(ids)).catch((error) => {
+    console.error('Error removing tasks:', error);
+  });
+};
+
+/**
+ * Replace the whole store with a new list of tasks
+ * Used for bulk operations such as imports and restores.
+ * @param {Array} tasks - New full task list
+ */
+export const replaceAllTasks = (tasks) => {
+  return enqueueWrite(async () => {
+    const nextIds = new Set(tasks.map((t) => t.id));
+    const staleIds = index.ids.filter((id) => !nextIds.has(id));
+
+    index = createEmptyIndex();
+    const pairs = [];
+    for (const task of tasks) {
+      if (index.entries[task.id]) continue;
+      index.ids.push(task.id);
+      indexTask(index, task);
+      pairs.push([taskKey(task.id), JSON.stringify(task)]);
+    }
+    pairs.push([INDEX_KEY, JSON.stringify(index)]);
+
+    if (staleIds.length > 0) {
+      await AsyncStorage.multiRemove(staleIds.map(taskKey));
+    }
+    await AsyncStorage.multiSet(pairs);
+  }, tasks).catch((error) => {
+    console.error('Error replacing tasks:', error);
+  });
+};
+
+/**
+ * Persist the difference between two versions of the task list.
+ * Tasks are compared by reference, which matches how TaskContext
+ * produces new state (unchanged tasks keep their object identity).
+ * @param {Array} prevTasks - Previously persisted tasks
+ * @param {Array} nextTasks - Current tasks
+ * @returns {Promise<void>}
+ */
+export const persistTaskChanges = (prevTasks, nextTasks) => {
+  const prevMap = new Map(prevTasks.map((t) => [t.id, t]));
+  const nextIds = new Set();
+  const changed = [];
+
+  for (const task of nextTasks) {
+    nextIds.add(task.id);
+    if (prevMap.get(task.id) !== task) {
+      changed.push(task);
+    }
+  }
+
+  const removed = prevTasks
+    .filter((t) => !nextIds.has(t.id))
+    .map((t) => t.id);
+
+  if (removed.length === 0 && changed.length === 0) return Promise.resolve();
+
+  return enqueueWrite(async () => {
+    if (removed.length > 0) await deleteTasks(removed);
+    if (changed.length > 0) await writeTasks(changed);
+  }, nextTasks).catch((error) => {
+    console.error('Error saving tasks:', error);
+  });
+};
+
+/**
+ * Wait until every queued write has been applied
+ */
+export const flushWrites = () => writeQueue;
+
+export default {
+  getAllTasks,
+  getTask,
+  queryTasks,
+  putTasks,
+  removeTasks,
+  replaceAllTasks,
+  persistTaskChanges,
+  flushWrites,
+};
@@ -0,0 +1,240 @@
+/**
+ * Timezone Helpers
+ * Task List App 2026
+ *
+ * Tasks and recurring series carry an IANA timezone (`timeZone`) and a
+ * `floating` flag that say how their dates should be read:
+ * - floating (default): the date is a wall-clock day/time ("due on the
+ *   20th", "every morning at 9:00") and stays the same when the device
+ *   changes timezone
+ * - fixed (floating: false): the date is an absolute instant ("call at
+ *   15:00 New York time") and is shown converted to the device timezone
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatterCache = new Map();
+
+/**
+ * Get the device IANA timezone
+ * @returns {string} e.g. "Europe/Madrid"
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Local date parts of a Date (device timezone)
+ */
+const getLocalParts = (date) => ({
+  year: date.getFullYear(),
+  month: date.getMonth() + 1,
+  day: date.getDate(),
+  hour: date.getHours(),
+  minute: date.getMinutes(),
+  second: date.getSeconds(),
+});
+
+/**
+ * Get a cached formatter for a timezone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date|string} value - Instant
+ * @param {string} [timeZone] - IANA timezone (device timezone if omitted)
+ * @returns {{ year, month, day, hour, minute, second }} month is 1-12
+ */
+export const getZonedParts = (value, timeZone) => {
+  const date = new Date(value);
+  if (!timeZone) return getLocalParts(date);
+
+  try {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value: part }) => {
+      parts[type] = part;
+    });
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour) % 24,
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+    };
+  } catch (error) {
+    console.error(`Invalid timezone ${timeZone}:`, error.message);
+    return getLocalParts(date);
+  }
+};
+
+/**
+ * Instant at which a wall-clock time happens in a timezone
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} [timeZone] - IANA timezone (device timezone if omitted)
+ * @returns {Date}
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  const target = Date.UTC(year, month - 1, day, hour, minute, second);
+  let guess = target;
+
+  // Correct by the zone offset; a second pass settles DST transitions
+  for (let i = 0; i < 2; i++) {
+    const seen = getZonedParts(guess, timeZone);
+    guess += target - Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute, seen.second);
+  }
+
+  return new Date(guess);
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date|string} [value] - Instant (now if omitted)
+ * @param {string} [timeZone] - IANA timezone (device timezone if omitted)
+ * @returns {string}
+ */
+export const getDayKey = (value = new Date(), timeZone) => {
+  const { year, month, day } = getZonedParts(value, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Calendar day in a timezone that best matches a UTC day key, for data
+ * that was keyed by UTC day. A UTC day overlaps two local days; its
+ * midday falls on the one holding most of it.
+ * @param {string} utcDayKey - UTC calendar day (YYYY-MM-DD)
+ * @param {string} [timeZone] - IANA timezone (device timezone if omitted)
+ * @returns {string}
+ */
+export const utcDayKeyToDayKey = (utcDayKey, timeZone) => {
+  const [year, month, day] = utcDayKey.split('-').map(Number);
+  return getDayKey(new Date(Date.UTC(year, month - 1, day, 12)), timeZone);
+};
+
+/**
+ * Start of a calendar day in a timezone
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {string} [timeZone] - IANA timezone (device timezone if omitted)
+ * @returns {Date}
+ */
+export const startOfDayInZone = (year, month, day, timeZone) => {
+  return zonedTimeToDate({ year, month, day }, timeZone);
+};
+
+/**
+ * Resolve a task date to the instant it applies to on this device.
+ * Floating dates keep their wall-clock time; fixed dates are absolute.
+ * Tasks without a timezone (created before timezones existed) are read as stored.
+ * @param {Object} task - Task or series instance
+ * @param {string} [field='dueDate'] - Date field to read
+ * @returns {Date|null}
+ */
+export const resolveTaskDate = (task, field = 'dueDate') => {
+  const value = task?.[field];
+  if (!value) return null;
+
+  if (!task.timeZone || task.floating === false) {
+    return new Date(value);
+  }
+
+  return zonedTimeToDate(getZonedParts(value, task.timeZone));
+};
+
+/**
+ * Due moment of a task: its due day at `dueTime` ("HH:mm"), or at
+ * `defaultTime` when the task has no due time. Fixed tasks read the
+ * time in their own timezone; floating ones in the device timezone.
+ * @param {Object} task - Task
+ * @param {string} [defaultTime='09:00'] - Time used when dueTime is empty
+ * @returns {Date|null}
+ */
+export const getTaskDueDateTime = (task, defaultTime = '09:00') => {
+  if (!task?.dueDate) return null;
+  const [hour, minute] = (task.dueTime || defaultTime).split(':').map(Number);
+
+  if (task.timeZone && task.floating === false) {
+    const { year, month, day } = getZonedParts(task.dueDate, task.timeZone);
+    return zonedTimeToDate({ year, month, day, hour, minute }, task.timeZone);
+  }
+
+  const due = resolveTaskDate(task);
+  due.setHours(hour, minute, 0, 0);
+  return due;
+};
+
+/**
+ * Due date updates that move a task to another day on this device,
+ * keeping the time of day it is currently due at
+ * @param {Object} task - Task
+ * @param {Date} day - Target day (device timezone)
+ * @returns {{ dueDate: string, timeZone: string }}
+ */
+export const moveTaskToDay = (task, day) => {
+  const due = resolveTaskDate(task) || day;
+  const next = new Date(day);
+  next.setHours(due.getHours(), due.getMinutes(), due.getSeconds(), 0);
+
+  // The new day was picked here, so it is anchored to the device timezone
+  return { dueDate: next.toISOString(), timeZone: getDeviceTimeZone() };
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) a task date falls on for this device
+ * @param {Object} task - Task
+ * @param {string} [field='dueDate'] - Date field to read
+ * @returns {string|null}
+ */
+export const getTaskDayKey = (task, field = 'dueDate') => {
+  const date = resolveTaskDate(task, field);
+  return date ? getDayKey(date) : null;
+};
+
+/**
+ * Check whether a pending task is due before today on this device
+ * @param {Object} task - Task
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+export const isTaskOverdue = (task, now = new Date()) => {
+  if (!task || task.completed || !task.dueDate) return false;
+  return getTaskDayKey(task) < getDayKey(now);
+};
+
+export default {
+  getDeviceTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  getDayKey,
+  utcDayKeyToDayKey,
+  startOfDayInZone,
+  resolveTaskDate,
+  getTaskDueDateTime,
+  moveTaskToDay,
+  getTaskDayKey,
+  isTaskOverdue,
+};